@@ -1,365 +1,784 @@
-import Papa from 'papaparse';
-import React, { useState, useMemo, useEffect } from 'react';
+import React, { useState, useMemo, useEffect, useRef } from 'react';
 import {
-  BarChart, Bar, PieChart, Pie, Cell, LineChart, Line, ReferenceLine,
+  BarChart, Bar, PieChart, Pie, Cell, ComposedChart, Line, Area, ReferenceLine, ErrorBar,
   XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer
 } from 'recharts';
+import { pearsonCorrelation, welchTTest, chiSquareTest, twoProportionTest, formatPValue } from './lib/stats';
+import { MODEL_FEATURES, DEFAULT_MODEL_OPTIONS, getAvailableFeatures, fitBaselineModel } from './lib/logisticRegression';
+import { scoreAppointments } from './lib/riskScoring';
+import { AGGREGATE_EXPORTS, exportTable } from './lib/exporters';
+import { exportChartPng, exportChartSvg, chartImageDataUrl } from './lib/chartExport';
+import { toDateKey } from './lib/values';
+import { fixAgeGroupLabel } from './lib/records';
+import {
+  MIN_SAMPLE_SIZE, sortAgeGroups, sortWeeks, aggregateSelection, mergeSegmentSeries, rateAxisDomain
+} from './lib/aggregations';
+import {
+  formatOptionalFilterValue, createDefaultFilters, isFilterActive, isRangeFilter, matchesRange, toggleValue, describeFilters,
+  describeWaitingRangeValue, WEEKDAY_LABELS, BOOKING_TYPE_LABELS, formatBookingHour
+} from './lib/filters';
+import { loadWaitingBinSettings, saveWaitingBinSettings, resolveWaitingBins } from './lib/waitingBins';
+import { ageBandsFor, loadAgeBandSettings, saveAgeBandSettings, parseAgeRange } from './lib/ageBands';
+import { modelRecordAt, withAgeBands } from './lib/columnar';
+import { serializeViewState, serializeFilters, parseViewState } from './lib/urlState';
+import { headerSignature, isMappingComplete, loadSavedMapping, saveMapping, suggestMapping } from './lib/columnMapping';
+import { ACCEPTED_EXTENSIONS } from './lib/fileFormats';
+import {
+  BASELINE_BREAKDOWNS, toBaselineFilters, compareHeadlineKpis, compareBreakdowns, biggestMovers, withBaselineChanges,
+  formatPointChange
+} from './lib/periodComparison';
+import {
+  listDatasets, renameDataset, deleteDataset, getActiveDatasetId, rememberActiveDataset
+} from './lib/datasetStore';
+import RiskWorklist from './components/RiskWorklist';
+import AppointmentTable from './components/AppointmentTable';
+import ColumnMappingWizard from './components/ColumnMappingWizard';
+import ValidationReport from './components/ValidationReport';
+import SheetPicker from './components/SheetPicker';
+import DatasetSwitcher from './components/DatasetSwitcher';
+import WaitingBinEditor from './components/WaitingBinEditor';
+import AgeBandEditor from './components/AgeBandEditor';
+import MultiSelectFilter from './components/MultiSelectFilter';
+import ExportMenu from './components/ExportMenu';
+import PrintReport from './components/PrintReport';
+import SegmentComparisonChart from './components/SegmentComparisonChart';
+import SchedulingPanel from './components/SchedulingPanel';
+import CalendarHeatmap from './components/CalendarHeatmap';
+import {
+  DEFAULT_FORECAST_OPTIONS, FORECAST_HORIZONS, SEASON_PERIODS, MIN_FORECAST_WEEKS, canUseSeason, forecastWeeklyRates, withForecast
+} from './lib/forecast';
+import { BarTooltip, WaitingTooltip, RateTooltip } from './components/ChartTooltips';
 
 const COLAB_URL = 'https://colab.research.google.com/drive/1zJEDIAIp1cpNJCIxTw7wu5hTN5WrfkP7?usp=sharing';
 
+const DEFAULT_FILTERS = createDefaultFilters();
+
+// Worker message for the CSV bundled with the app
+const bundledCsvMessage = () => ({
+  url: new URL('/publicsafefinalnoshowdataset.csv', window.location.href).href,
+  requiredColumns: ['NoShow', 'AppointmentDay']
+});
+
+// Stand-in for aggregateSelection's result before a dataset is loaded
+const EMPTY_SELECTION = {
+  kpis: { total: 0, noShows: 0, shows: 0, noShowRate: 0 },
+  chartData: {
+    byAge: [], bySMS: [], byWeek: [], byWaitingDays: [], byWeekday: [], byBookingHour: [], byBookingType: [], byDate: [], pieData: []
+  },
+  weekdayLeadTime: []
+};
+
+// Result lines of the statistical summary, shared by the panel and the print report
+const describeStatisticalSummary = (summary, smsFilterActive) => ({
+  correlations: summary.correlations.map(({ label, result }) => ({
+    label,
+    text: result
+      ? `r = ${result.r.toFixed(3)}, ${formatPValue(result.p)} (df = ${result.df.toLocaleString()}, n = ${result.n.toLocaleString()})`
+      : 'not available for the current selection',
+    isStrongest: summary.strongest?.label === label
+  })),
+  tTest: {
+    text: summary.tTest
+      ? `t = ${summary.tTest.t.toFixed(3)}, df = ${summary.tTest.df.toFixed(1)}, ${formatPValue(summary.tTest.p)} ` +
+        `(show mean ${summary.tTest.meanA.toFixed(2)} days, n = ${summary.tTest.nA.toLocaleString()}; ` +
+        `no-show mean ${summary.tTest.meanB.toFixed(2)} days, n = ${summary.tTest.nB.toLocaleString()})`
+      : 'needs at least 2 shows and 2 no-shows with waiting time',
+    significant: Boolean(summary.tTest && summary.tTest.p < 0.05)
+  },
+  chiSquare: {
+    text: summary.chiSquare
+      ? `χ² = ${summary.chiSquare.chi2.toFixed(2)}, df = ${summary.chiSquare.df}, ${formatPValue(summary.chiSquare.p)} (n = ${summary.chiSquare.n.toLocaleString()}${summary.chiSquare.corrected ? ', Yates-corrected' : ''})`
+      : smsFilterActive
+        ? 'not available while the SMS filter is active'
+        : 'needs both SMS groups and both outcomes in the current selection',
+    significant: Boolean(summary.chiSquare && summary.chiSquare.p < 0.05)
+  }
+});
+
 const PatientNoShowDashboard = () => {
+  // Filters, chart toggles, theme and open panels can be restored from a shared link
+  const [initialViewState] = useState(() => parseViewState(window.location.search));
   const [csvData, setCsvData] = useState(null);
-  const [filters, setFilters] = useState({
-    ageGroup: 'All',
-    smsReceived: 'All',
-    week: 'All'
-  });
-  const [isLoading, setIsLoading] = useState(false);
-  const [isDarkMode, setIsDarkMode] = useState(false);
-  const [isDataQualityExpanded, setIsDataQualityExpanded] = useState(false);
-  const [weeklyView, setWeeklyView] = useState('count');
-  const [ageView, setAgeView] = useState('count');
-  const [smsView, setSmsView] = useState('count');
-  const [showStats, setShowStats] = useState(false);
-
-  // Auto-load CSV on page load
+  const [filters, setFilters] = useState(initialViewState.filters);
+  // Compare mode: segment B's filters (null = compare mode off). The filter panel edits one segment at a time.
+  const [compareFilters, setCompareFilters] = useState(initialViewState.compareFilters);
+  const [editingSegment, setEditingSegment] = useState('A');
+  // Starts true: the page auto-loads the bundled CSV on mount
+  const [isLoading, setIsLoading] = useState(true);
+  // { rowsParsed, percent } while a CSV is streaming through the parse worker
+  const [loadProgress, setLoadProgress] = useState(null);
+  // { fileName, sheets } while a workbook upload waits on the sheet choice
+  const [sheetRequest, setSheetRequest] = useState(null);
+  // { fileName, fields, samples, signature, initialMapping } while an upload waits on the column-mapping step
+  const [mappingRequest, setMappingRequest] = useState(null);
+  // { fileName, report } while a load waits on the user to accept the validation report
+  const [validationRequest, setValidationRequest] = useState(null);
+  // Filter-independent facts about csvData (overview, data quality, filter options), from the parse worker
+  const [datasetSummary, setDatasetSummary] = useState(null);
+  // Typed-array columns of csvData (see lib/columnar), built by the parse worker; filtering and charts run on these
+  const [dataColumns, setDataColumns] = useState(null);
+  // Datasets saved in this browser (lib/datasetStore) and the one on screen (null = the bundled CSV)
+  const [storedDatasets, setStoredDatasets] = useState([]);
+  const [activeDataset, setActiveDataset] = useState(null);
+  // Period-over-period comparison against another dataset (e.g. last month's extract):
+  // { id (null = the bundled CSV), name, status: 'loading' | 'ready' | 'error', columns, summary, error }
+  const [baseline, setBaseline] = useState(null);
+  const [isDarkMode, setIsDarkMode] = useState(initialViewState.isDarkMode);
+  const [isDataQualityExpanded, setIsDataQualityExpanded] = useState(initialViewState.panels.includes('quality'));
+  const [weeklyView, setWeeklyView] = useState(initialViewState.weeklyView);
+  const [ageView, setAgeView] = useState(initialViewState.ageView);
+  const [smsView, setSmsView] = useState(initialViewState.smsView);
+  const [calendarView, setCalendarView] = useState(initialViewState.calendarView);
+  // Weekly rate forecast (see lib/forecast)
+  const [showForecast, setShowForecast] = useState(true);
+  const [forecastOptions, setForecastOptions] = useState(DEFAULT_FORECAST_OPTIONS);
+  // Waiting-time bins, kept in the browser's preferences (see lib/waitingBins)
+  const [waitingBinSettings, setWaitingBinSettings] = useState(loadWaitingBinSettings);
+  const [showBinEditor, setShowBinEditor] = useState(false);
+  // Age group scheme, also kept in the browser (see lib/ageBands)
+  const [ageBandSettings, setAgeBandSettings] = useState(loadAgeBandSettings);
+  const [showAgeBandEditor, setShowAgeBandEditor] = useState(false);
+  const [showBaseline, setShowBaseline] = useState(initialViewState.panels.includes('baseline'));
+  const [showCalendar, setShowCalendar] = useState(initialViewState.panels.includes('calendar'));
+  const [showSchedule, setShowSchedule] = useState(initialViewState.panels.includes('schedule'));
+  const [showStats, setShowStats] = useState(initialViewState.panels.includes('stats'));
+  const [showModel, setShowModel] = useState(initialViewState.panels.includes('model'));
+  const [modelOptions, setModelOptions] = useState(DEFAULT_MODEL_OPTIONS);
+  const [showWorklist, setShowWorklist] = useState(initialViewState.panels.includes('worklist'));
+  const [upcomingOnly, setUpcomingOnly] = useState(true);
+  const [showRows, setShowRows] = useState(initialViewState.panels.includes('rows'));
+  const [linkCopied, setLinkCopied] = useState(false);
+  // Chart containers by aggregate key, used for the per-chart image export
+  const chartRefs = useRef({});
+  // Snapshot for the print report; set while the print dialog is open
+  const [printReport, setPrintReport] = useState(null);
+  const printReportRef = useRef(null);
+
+  // Keep the URL in sync with the view. Filter changes push a history entry so back/forward
+  // step through them; everything else replaces the current entry.
   useEffect(() => {
-    const autoLoadCSV = async () => {
-      try {
-        setIsLoading(true);
+    const panels = [
+      isDataQualityExpanded && 'quality',
+      showBaseline && 'baseline',
+      showCalendar && 'calendar',
+      showSchedule && 'schedule',
+      showStats && 'stats',
+      showModel && 'model',
+      showWorklist && 'worklist',
+      showRows && 'rows'
+    ].filter(Boolean);
+    const search = serializeViewState({ filters, compareFilters, ageView, smsView, weeklyView, calendarView, isDarkMode, panels });
+    if (search === window.location.search) return;
+
+    const previous = parseViewState(window.location.search);
+    const segmentsQuery = (a, b) => `${serializeFilters(a)}|${b ? serializeFilters(b) : ''}`;
+    const filtersChanged = segmentsQuery(filters, compareFilters) !== segmentsQuery(previous.filters, previous.compareFilters);
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    if (filtersChanged) window.history.pushState(null, '', url);
+    else window.history.replaceState(null, '', url);
+  }, [filters, compareFilters, ageView, smsView, weeklyView, calendarView, isDarkMode, isDataQualityExpanded, showBaseline, showCalendar, showSchedule, showStats, showModel, showWorklist, showRows]);
+
+  // Back/forward: restore the view encoded in the URL we landed on
+  useEffect(() => {
+    const handlePopState = () => {
+      const state = parseViewState(window.location.search);
+      setFilters(state.filters);
+      setCompareFilters(state.compareFilters);
+      if (!state.compareFilters) setEditingSegment('A');
+      setAgeView(state.ageView);
+      setSmsView(state.smsView);
+      setWeeklyView(state.weeklyView);
+      setCalendarView(state.calendarView);
+      setIsDarkMode(state.isDarkMode);
+      setIsDataQualityExpanded(state.panels.includes('quality'));
+      setShowBaseline(state.panels.includes('baseline'));
+      setShowCalendar(state.panels.includes('calendar'));
+      setShowSchedule(state.panels.includes('schedule'));
+      setShowStats(state.panels.includes('stats'));
+      setShowModel(state.panels.includes('model'));
+      setShowWorklist(state.panels.includes('worklist'));
+      setShowRows(state.panels.includes('rows'));
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
 
-        // Fetch CSV from public folder
-        const csvUrl = '/publicsafefinalnoshowdataset.csv';
+  // CSV loads run in a worker (parse + dataset summary); a new load or Cancel terminates the one in flight
+  const parseWorkerRef = useRef(null);
 
-        console.log('Auto-loading CSV from:', csvUrl);
+  const stopParseWorker = () => {
+    parseWorkerRef.current?.terminate();
+    parseWorkerRef.current = null;
+  };
 
-        const response = await fetch(csvUrl);
+  const refreshStoredDatasets = () => {
+    listDatasets()
+      .then(setStoredDatasets)
+      .catch((err) => console.error('Listing saved datasets failed:', err));
+  };
 
-        // Check if fetch was successful
-        if (!response.ok) {
-          throw new Error(`Failed to fetch CSV: ${response.status} ${response.statusText}`);
+  // Callers switch the loader on; the worker's messages drive it from there.
+  // resetView clears the filters once the new data is in (they may not apply to another dataset).
+  const loadInWorker = (message, { onError, resetView = false } = {}) => {
+    stopParseWorker();
+    const worker = new Worker(new URL('./workers/parseWorker.js', import.meta.url), { type: 'module' });
+    parseWorkerRef.current = worker;
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        setLoadProgress({ rowsParsed: data.rowsParsed, percent: data.percent });
+        return;
+      }
+      if (data.type === 'sheet-needed') {
+        setSheetRequest({ fileName: message.file?.name, sheets: data.sheets });
+        return;
+      }
+      if (data.type === 'mapping-needed') {
+        // A mapping saved for these headers is applied straight away unless the file has values it doesn't cover
+        const signature = headerSignature(data.fields);
+        const saved = loadSavedMapping(signature);
+        if (saved && isMappingComplete(saved, data.fields, data.samples)) {
+          worker.postMessage({ type: 'mapping', mapping: saved });
+        } else {
+          setMappingRequest({
+            fileName: message.file?.name,
+            fields: data.fields,
+            samples: data.samples,
+            signature,
+            initialMapping: suggestMapping(data.fields, data.samples, saved)
+          });
         }
+        return;
+      }
+      if (data.type === 'validation') {
+        setValidationRequest({ fileName: message.file?.name, report: data.report });
+        return;
+      }
+      stopParseWorker();
+      setIsLoading(false);
+      setLoadProgress(null);
+      if (data.type === 'done') {
+        console.log(`CSV loaded: ${data.rows.length} rows`);
+        setCsvData(data.rows);
+        setDataColumns(data.columns);
+        setDatasetSummary(data.summary);
+        setActiveDataset(data.dataset);
+        rememberActiveDataset(data.dataset ? data.dataset.id : null);
+        // A dataset can't be its own baseline
+        setBaseline((current) => (current && current.id === (data.dataset ? data.dataset.id : null) ? null : current));
+        if (data.dataset) refreshStoredDatasets();
+        if (resetView) {
+          setFilters(DEFAULT_FILTERS);
+          setCompareFilters(null);
+          setEditingSegment('A');
+        }
+      } else {
+        console.error('CSV loading failed:', data.message);
+        onError?.(data.message);
+      }
+    };
+    worker.onerror = (event) => {
+      console.error('CSV worker failed:', event.message);
+      stopParseWorker();
+      setIsLoading(false);
+      setLoadProgress(null);
+    };
 
-        const text = await response.text();
+    worker.postMessage(message);
+  };
 
-        // Guard: Check if response is HTML (404 page) instead of CSV
-        if (text.trim().startsWith('<!') || text.trim().startsWith('<html')) {
-          throw new Error('Received HTML instead of CSV - file may not exist');
-        }
+  // The baseline loads in a worker of its own, so it neither interrupts nor waits for the main load
+  const baselineWorkerRef = useRef(null);
 
-        // Guard: Check if it looks like a CSV (has comma or common headers)
-        if (!text.includes(',') || text.trim().length < 50) {
-          throw new Error('Response does not appear to be valid CSV data');
-        }
+  const stopBaselineWorker = () => {
+    baselineWorkerRef.current?.terminate();
+    baselineWorkerRef.current = null;
+  };
 
-        // Parse using existing parseCSV function
-        const parsedData = parseCSV(text);
+  // id: a saved dataset's id, or null for the bundled CSV. Only the columns come back (withoutRows).
+  const loadBaseline = (id, name) => {
+    stopBaselineWorker();
+    setBaseline({ id, name, status: 'loading' });
+    const worker = new Worker(new URL('./workers/parseWorker.js', import.meta.url), { type: 'module' });
+    baselineWorkerRef.current = worker;
+
+    // Results for a baseline that has since been replaced are dropped
+    const settle = (update) => {
+      stopBaselineWorker();
+      setBaseline((current) => (current?.id === id && current.status === 'loading' ? { ...current, ...update } : current));
+    };
 
-        // Guard: Validate parsed data has expected columns
-        if (!parsedData || parsedData.length === 0) {
-          throw new Error('Parsed CSV is empty');
-        }
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') return;
+      if (data.type === 'validation') {
+        // The bundled CSV was already reviewed when it was opened; compare its valid rows
+        worker.postMessage({ type: 'proceed' });
+        return;
+      }
+      if (data.type === 'done') settle({ status: 'ready', columns: data.columns, summary: data.summary });
+      else settle({ status: 'error', error: data.message });
+    };
+    worker.onerror = (event) => settle({ status: 'error', error: event.message || 'The baseline could not be loaded' });
 
-        const firstRow = parsedData[0];
-        const requiredColumns = ['NoShow', 'AppointmentDay'];
-        const missingColumns = requiredColumns.filter(col => !(col in firstRow));
+    worker.postMessage({ ...(id === null ? bundledCsvMessage() : { datasetId: id }), withoutRows: true });
+  };
 
-        if (missingColumns.length > 0) {
-          throw new Error(`CSV missing required columns: ${missingColumns.join(', ')}`);
-        }
+  const clearBaseline = () => {
+    stopBaselineWorker();
+    setBaseline(null);
+  };
+
+  // value from the baseline picker: '' (none), 'sample' or a saved dataset's id
+  const selectBaseline = (value) => {
+    if (!value) {
+      clearBaseline();
+    } else if (value === 'sample') {
+      loadBaseline(null, 'Sample dataset');
+    } else {
+      const dataset = storedDatasets.find((d) => String(d.id) === value);
+      if (dataset) loadBaseline(dataset.id, dataset.name);
+    }
+  };
+
+  const cancelLoad = () => {
+    stopParseWorker();
+    setSheetRequest(null);
+    setMappingRequest(null);
+    setValidationRequest(null);
+    setIsLoading(false);
+    setLoadProgress(null);
+  };
+
+  const selectSheet = (name) => {
+    parseWorkerRef.current?.postMessage({ type: 'sheet', name });
+    setSheetRequest(null);
+  };
 
-        console.log(`Auto-load successful: ${parsedData.length} rows loaded`);
+  const applyColumnMapping = (mapping, remember) => {
+    if (remember) saveMapping(mappingRequest.signature, mapping);
+    parseWorkerRef.current?.postMessage({ type: 'mapping', mapping });
+    setMappingRequest(null);
+  };
 
-        // Set the data - this will trigger dashboard render
-        setCsvData(parsedData);
+  // Load without the rows the validation report flagged
+  const proceedPastValidation = () => {
+    parseWorkerRef.current?.postMessage({ type: 'proceed' });
+    setValidationRequest(null);
+  };
 
-      } catch (error) {
-        console.error('Auto-load failed:', error.message);
-        console.log('Falling back to manual upload mode');
+  // The loader as of the first render, for the mount-only auto-load below
+  const initialLoadRef = useRef(loadInWorker);
+
+  // Auto-load on page load: the dataset open last time if it was a saved one, else the bundled CSV
+  useEffect(() => {
+    const load = initialLoadRef.current;
+    const loadBundled = () => {
+      // Fetch CSV from public folder
+      const message = bundledCsvMessage();
+      console.log('Auto-loading CSV from:', message.url);
+      load(
+        message,
         // Don't set csvData - this will show the upload screen
-      } finally {
-        // ALWAYS turn off loading to prevent infinite loader
-        setIsLoading(false);
-      }
+        { onError: () => console.log('Falling back to manual upload mode') }
+      );
     };
 
-    // Only auto-load if we don't already have data
-    if (!csvData) {
-      autoLoadCSV();
+    const storedId = getActiveDatasetId();
+    if (storedId) {
+      load({ datasetId: storedId }, {
+        onError: () => {
+          setIsLoading(true);
+          loadBundled();
+        }
+      });
+    } else {
+      loadBundled();
     }
+    refreshStoredDatasets();
+    return () => {
+      stopParseWorker();
+      stopBaselineWorker();
+    };
   }, []);
 
-  const toNum = (val) => {
-    if (val === null || val === undefined) return null;
-    const s = String(val).trim();
-    if (s === '') return null;
-    const n = Number(s);
-    return Number.isNaN(n) ? null : n;
-  };
-
-  const toBin01 = (val) => {
-    const n = toNum(val);
-    if (n === 1) return '1';
-    if (n === 0) return '0';
-    return String(val ?? '').trim();
+  const startLoad = (message) => {
+    setIsLoading(true);
+    setLoadProgress(null);
+    loadInWorker(message, { resetView: true });
   };
 
-  const fixAgeGroupLabel = (label) => {
-    if (!label) return label;
-    const str = String(label);
+  const uploadFile = (file) => startLoad({ file });
 
-    // Fix "19-Oct" or "Oct-19" back to "10-19"
-    if (str.toLowerCase().includes('oct') && str.includes('19')) {
-      return '10-19';
-    }
-    // Fix any other potential date conversions
-    if (str.match(/^\d{1,2}-[A-Za-z]{3}$/) || str.match(/^[A-Za-z]{3}-\d{1,2}$/)) {
-      // This looks like a date format, try to convert back
-      const monthMap = {
-        'jan': '1', 'feb': '2', 'mar': '3', 'apr': '4', 'may': '5', 'jun': '6',
-        'jul': '7', 'aug': '8', 'sep': '9', 'oct': '10', 'nov': '11', 'dec': '12'
-      };
-      for (const [month, num] of Object.entries(monthMap)) {
-        if (str.toLowerCase().includes(month)) {
-          const dayMatch = str.match(/\d+/);
-          if (dayMatch) {
-            return `${num}-${dayMatch[0]}`;
-          }
-        }
-      }
-    }
-    return str;
+  const handleFileUpload = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    uploadFile(file);
   };
 
-  const getWaitingDays = (row) => {
-    if (!row) return null;
+  const renameStoredDataset = (id, name) => {
+    renameDataset(id, name)
+      .then(() => {
+        if (activeDataset?.id === id) setActiveDataset({ ...activeDataset, name });
+        setBaseline((current) => (current?.id === id ? { ...current, name } : current));
+        refreshStoredDatasets();
+      })
+      .catch((err) => console.error('Renaming the dataset failed:', err));
+  };
 
-    const normKey = (k) => String(k).toLowerCase().replace(/[^a-z0-9]/g, '');
+  // Deleting the dataset on screen keeps it on screen; the next visit opens the bundled CSV
+  const deleteStoredDataset = (id) => {
+    deleteDataset(id)
+      .then(() => {
+        if (activeDataset?.id === id) rememberActiveDataset(null);
+        refreshStoredDatasets();
+      })
+      .catch((err) => console.error('Deleting the dataset failed:', err));
+  };
 
-    // Try to find the waiting-days field even if the header has weird characters/spaces
-    const pickField = (targetNorm) => {
-      const key = Object.keys(row).find((k) => normKey(k) === targetNorm);
-      return key ? row[key] : undefined;
-    };
+  // Open the print dialog once the report's chart images have decoded, and drop the report afterwards
+  useEffect(() => {
+    if (!printReport) return undefined;
 
-    // 1) Use the real waiting-days field if present (do NOT use WaitingDays_ because it looks like a normalized/scaled value in your CSV)
-    const candidates = [
-      row.WaitingDays,
-      row.AwaitingTime,
-      row.AwaitingDays,
-      pickField('waitingdays'),
-      pickField('awaitingtime'),
-      pickField('awaitingdays'),
-    ];
+    let cancelled = false;
+    const handleAfterPrint = () => setPrintReport(null);
+    window.addEventListener('afterprint', handleAfterPrint);
 
-    for (const v of candidates) {
-      const n = toNum(v);
-      if (n !== null) return n;
-    }
+    const images = [...(printReportRef.current?.querySelectorAll('img') || [])];
+    Promise.all(images.map((img) => img.decode().catch(() => undefined))).then(() => {
+      if (!cancelled) window.print();
+    });
 
-    // 2) Fallback: compute from ScheduledDay -> AppointmentDay
-    // Note: Safari is picky about date strings like "YYYY-MM-DD HH:mm:ss".
-    // Convert to ISO-ish "YYYY-MM-DDTHH:mm:ss" before parsing.
-    const toDate = (raw) => {
-      if (raw == null) return null;
-      const s = String(raw).trim();
-      if (!s) return null;
-      const iso = s.includes(' ') && !s.includes('T') ? s.replace(' ', 'T') : s;
-      const d = new Date(iso);
-      return Number.isNaN(d.getTime()) ? null : d;
+    return () => {
+      cancelled = true;
+      window.removeEventListener('afterprint', handleAfterPrint);
     };
+  }, [printReport]);
+
+  const copyShareLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (err) {
+      console.error('Copy link failed:', err);
+    }
+  };
 
-    const scheduledRaw =
-      row.ScheduledDay || row.ScheduledDate || row.Scheduled || row.Scheduled_Day || pickField('scheduledday');
-    const apptRaw =
-      row.AppointmentDay || row.AppointmentDate || row.Appointment || row.Appointment_Day || pickField('appointmentday');
+  const isComparing = compareFilters !== null;
+  // The filter panel shows segment B's filters while B is being edited in compare mode
+  const panelFilters = isComparing && editingSegment === 'B' ? compareFilters : filters;
+  const setPanelFilters = isComparing && editingSegment === 'B' ? setCompareFilters : setFilters;
 
-    const scheduled = toDate(scheduledRaw);
-    const appt = toDate(apptRaw);
+  const resetFilters = () => {
+    setPanelFilters(DEFAULT_FILTERS);
+  };
 
-    if (scheduled && appt) {
-      const diffMs = appt.getTime() - scheduled.getTime();
-      const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
-      return diffDays < 0 ? 0 : diffDays;
+  // Entering compare mode starts B as a copy of A, so a single change gives e.g. "with SMS" vs "without SMS"
+  const toggleCompareMode = () => {
+    if (isComparing) {
+      setCompareFilters(null);
+      setEditingSegment('A');
+    } else {
+      setCompareFilters(filters);
+      setEditingSegment('B');
     }
+  };
 
-    return null;
+  // Chart clicks cross-filter the dashboard: a click selects that bar / slice (or clears it when it is
+  // already the only selection), Shift-click adds it to or removes it from the selection.
+  // The appointment table opens so the rows behind the selection are one scroll away. In compare mode a
+  // click narrows the segment it was made on and switches the filter panel and table to that segment.
+  const narrowSegment = (segment, update) => {
+    setShowRows(true);
+    if (isComparing) setEditingSegment(segment);
+    (segment === 'B' ? setCompareFilters : setFilters)(update);
   };
 
-  const parseCSV = (text) => {
-    const result = Papa.parse(text, {
-      header: true,
-      skipEmptyLines: true,
-      dynamicTyping: false,
-      // Strip BOM + non‑breaking spaces that Excel exports sometimes include
-      transformHeader: (h) => {
-        if (h == null) return h;
-        return String(h).replace(/\uFEFF/g, '').replace(/\u00A0/g, ' ').trim();
-      },
-      transform: (v) => (typeof v === 'string' ? v.replace(/\u00A0/g, ' ').trim() : v),
+  const selectFromChart = (key, value, event, segment = 'A') => {
+    if (value === undefined || value === null) return;
+    narrowSegment(segment, (prev) => {
+      const current = prev[key];
+      if (event?.shiftKey) return { ...prev, [key]: toggleValue(current, value) };
+      return { ...prev, [key]: current.length === 1 && current[0] === value ? [] : [value] };
     });
-    // If PapaParse hits a parsing issue, return what it can.
-    // You can also console.log(result.errors) if you want.
-    return (result.data || []).map((obj) => {
-      const appt = obj.AppointmentDay || obj.Appointment || obj.AppointmentDate;
-      // Week label: YYYY-MM-DD (Monday start) if missing
-      if (!obj.Week || String(obj.Week).trim() === '' || String(obj.Week).toLowerCase() === 'unknown') {
-        if (appt) {
-          const d = new Date(appt);
-          if (!isNaN(d.getTime())) {
-            const day = d.getDay(); // 0=Sun..6=Sat
-            const diffToMonday = day === 0 ? -6 : 1 - day;
-            const monday = new Date(d);
-            monday.setDate(d.getDate() + diffToMonday);
-            const yyyy = monday.getFullYear();
-            const mm = String(monday.getMonth() + 1).padStart(2, '0');
-            const dd = String(monday.getDate()).padStart(2, '0');
-            obj.Week = `${yyyy}-${mm}-${dd}`;
-          } else {
-            obj.Week = 'Unknown';
-          }
-        } else {
-          obj.Week = 'Unknown';
-        }
-      }
-      // Normalize SMS_received so filters match cleanly ('0'/'1')
-      if (obj.SMS_received !== undefined) {
-        obj.SMS_received = toBin01(obj.SMS_received);
-      }
+  };
 
-      // Normalize NoShow to a number (0/1) so comparisons like (row.NoShow === 1) work
-      if (obj.NoShow !== undefined) {
-        obj.NoShow = toNum(obj.NoShow);
+  // Weeks are a range filter: a click selects one week, Shift-click stretches the range to reach it
+  const selectWeekFromChart = (state, event, segment = 'A') => {
+    const week = state?.activeLabel;
+    if (!week || week === 'Unknown') return;
+    narrowSegment(segment, (prev) => {
+      const { start, end } = prev.week;
+      if (event?.shiftKey && (start || end)) {
+        return { ...prev, week: { start: [start || week, week].sort()[0], end: [end || week, week].sort()[1] } };
       }
+      if (start === week && end === week) return { ...prev, week: { start: '', end: '' } };
+      return { ...prev, week: { start: week, end: week } };
+    });
+  };
 
-      // Normalize waiting day fields to numbers when present
-      if (obj.WaitingDays !== undefined) {
-        obj.WaitingDays = toNum(obj.WaitingDays);
+  // Calendar days work like weeks on the appointment date filter: a click selects the day,
+  // Shift-click stretches the range to reach it
+  const selectDayFromCalendar = (day, event) => {
+    narrowSegment('A', (prev) => {
+      const { start, end } = prev.appointmentDate;
+      if (event?.shiftKey && (start || end)) {
+        return { ...prev, appointmentDate: { start: [start || day, day].sort()[0], end: [end || day, day].sort()[1] } };
       }
+      if (start === day && end === day) return { ...prev, appointmentDate: { start: '', end: '' } };
+      return { ...prev, appointmentDate: { start: day, end: day } };
+    });
+  };
 
-      return obj;
+  // A weekday x waiting-time heatmap cell sets both filters; clicking the selected cell clears them
+  const selectScheduleCell = (weekday, waitingDays) => {
+    narrowSegment('A', (prev) => {
+      const isSelected = prev.weekday.length === 1 && prev.weekday[0] === weekday &&
+        prev.waitingDays.length === 1 && prev.waitingDays[0] === waitingDays;
+      return isSelected ? { ...prev, weekday: [], waitingDays: [] } : { ...prev, weekday: [weekday], waitingDays: [waitingDays] };
     });
   };
 
+  // Compare-mode charts: bars and slices belong to one segment; the weekly lines narrow the segment being edited
+  const selectFromComparison = (key) => (segment, value, event) => (key === 'week'
+    ? selectWeekFromChart({ activeLabel: value }, event, segment ?? editingSegment)
+    : selectFromChart(key, value, event, segment ?? editingSegment));
 
-  const handleFileUpload = (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
+  const handleAgeGroupBarClick = (data, index, event) => selectFromChart('ageGroup', data?.payload?.name, event);
+  const handleSmsBarClick = (data, index, event) => selectFromChart('smsReceived', data?.payload?.filterValue, event);
 
-    setIsLoading(true);
+  // Clinical / demographic filters for whichever optional columns this CSV has
+  const optionalFilters = useMemo(() => datasetSummary?.optionalFilters ?? [], [datasetSummary]);
+
+  // Filter keys that apply to this dataset (optional columns only count when present)
+  const filterKeys = useMemo(
+    () => [
+      'ageGroup', 'smsReceived', 'waitingDays', 'outcome', 'weekday', 'bookingHour', 'bookingType', 'week', 'appointmentDate',
+      ...optionalFilters.map((def) => def.key)
+    ],
+    [optionalFilters]
+  );
 
-    const reader = new FileReader();
+  const activeFilterCount = useMemo(
+    () => filterKeys.filter((key) => isFilterActive(filters[key])).length,
+    [filters, filterKeys]
+  );
 
-    reader.onload = (event) => {
-      try {
-        const data = parseCSV(event.target.result);
-        setCsvData(data);
+  const panelFilterCount = filterKeys.filter((key) => isFilterActive(panelFilters[key])).length;
 
-        // Give React a moment to render charts before removing the loader
-        setTimeout(() => setIsLoading(false), 150);
-      } catch (err) {
-        console.error('CSV parsing failed:', err);
-        setIsLoading(false);
+  // Range filters: keep start <= end so a reversed pick still selects the span the user meant
+  const updateRangeFilter = (key, bound, value) => {
+    setPanelFilters((prev) => {
+      const next = { ...prev[key], [bound]: value };
+      if (next.start && next.end && next.start > next.end) {
+        return { ...prev, [key]: { start: next.end, end: next.start } };
       }
-    };
+      return { ...prev, [key]: next };
+    });
+  };
 
-    reader.onerror = () => {
-      console.error('Failed to read file');
-      setIsLoading(false);
-    };
+  const datasetOverview = datasetSummary?.overview ?? null;
 
-    reader.readAsText(file);
-  };
+  const dataQualityStats = datasetSummary?.dataQuality ?? null;
 
-  const resetFilters = () => {
-    setFilters({ ageGroup: 'All', smsReceived: 'All', week: 'All' });
+  const updateWaitingBinSettings = (settings) => {
+    setWaitingBinSettings(settings);
+    saveWaitingBinSettings(settings);
   };
 
-  const handleAgeGroupBarClick = (data) => {
-    const age = data?.payload?.name;
-    if (!age) return;
-    setFilters((prev) => ({ ...prev, ageGroup: age }));
+  // The bins every waiting-time view counts into; quantile bins come from this dataset's waiting times
+  const waitingTimeBins = useMemo(
+    () => resolveWaitingBins(waitingBinSettings, dataColumns?.waitingDays),
+    [waitingBinSettings, dataColumns]
+  );
+
+  // Filter choices: the bins, plus any selected range that isn't one (e.g. from a link made with other bins)
+  const waitingFilterOptions = useMemo(() => {
+    const options = waitingTimeBins.map((bin) => ({ value: bin.filterValue, label: bin.name }));
+    const extra = [...new Set([...filters.waitingDays, ...(compareFilters?.waitingDays ?? [])])]
+      .filter((value) => !options.some((option) => option.value === value))
+      .map((value) => ({ value, label: describeWaitingRangeValue(value) }));
+    return [...options, ...extra];
+  }, [waitingTimeBins, filters.waitingDays, compareFilters]);
+
+  // Age groups are labels of the scheme they came from, so a new scheme clears the age filters
+  const updateAgeBandSettings = (settings) => {
+    setAgeBandSettings(settings);
+    saveAgeBandSettings(settings);
+    setFilters((prev) => ({ ...prev, ageGroup: [] }));
+    setCompareFilters((prev) => (prev ? { ...prev, ageGroup: [] } : prev));
   };
 
-  const activeFilterCount = useMemo(() => {
-    let count = 0;
-    if (filters.ageGroup !== 'All') count++;
-    if (filters.smsReceived !== 'All') count++;
-    if (filters.week !== 'All') count++;
-    return count;
-  }, [filters]);
+  const hasAges = useMemo(() => Boolean(dataColumns?.age.some(Number.isFinite)), [dataColumns]);
 
-  const datasetOverview = useMemo(() => {
-    if (!csvData) return null;
+  // Booking hours present in the dataset, for the hour filter (none when ScheduledDay has no times)
+  const bookingHours = useMemo(
+    () => (dataColumns ? [...new Set(dataColumns.bookingHour)].filter((hour) => hour >= 0).sort((a, b) => a - b) : []),
+    [dataColumns]
+  );
 
-    const total = csvData.length;
-    const dates = csvData
-      .map((row) => new Date(row.AppointmentDay || row.Appointment || row.AppointmentDate))
-      .filter((d) => !isNaN(d.getTime()));
+  // null keeps the AgeGroup column as loaded
+  const ageBands = useMemo(() => (hasAges ? ageBandsFor(ageBandSettings) : null), [hasAges, ageBandSettings]);
 
-    if (dates.length === 0) {
-      return { total, dateRange: 'Unknown', noShowDef: 'NoShow=1 means patient missed appointment' };
-    }
+  // The dataset's columns with the age groups of the chosen scheme; the age chart, filter and insight read these
+  const bandedColumns = useMemo(
+    () => (dataColumns && ageBands ? withAgeBands(dataColumns, ageBands) : dataColumns),
+    [dataColumns, ageBands]
+  );
 
-    const minDate = new Date(Math.min(...dates));
-    const maxDate = new Date(Math.max(...dates));
-    const dateRange = `${minDate.toLocaleDateString()} – ${maxDate.toLocaleDateString()}`;
+  // One pass over the columns per filter set. A chart filtered through its own clicks keeps showing
+  // its other bars / slices (dimmed), so the selection can be changed from the chart; every other
+  // chart follows the full filter set. Compare mode plots both segments exactly as filtered.
+  const selection = useMemo(
+    () => (bandedColumns
+      ? aggregateSelection(bandedColumns, filters, optionalFilters, { crossFilter: !compareFilters, waitingTimeBins })
+      : null),
+    [bandedColumns, filters, optionalFilters, compareFilters, waitingTimeBins]
+  );
 
-    // Calculate date range in days
-    const daysDiff = Math.ceil((maxDate - minDate) / (1000 * 60 * 60 * 24));
+  const filteredData = useMemo(
+    () => (selection ? Array.from(selection.indices, (i) => csvData[i]) : []),
+    [selection, csvData]
+  );
 
-    return { total, dateRange, dateRangeDays: daysDiff, minDate, maxDate, noShowDef: 'NoShow=1 means patient missed appointment' };
-  }, [csvData]);
+  const kpis = selection?.kpis ?? EMPTY_SELECTION.kpis;
+
+  // Baseline: the same filters, less the date ranges, on the baseline dataset. Off in compare mode.
+  const baselineSelection = useMemo(
+    () => (baseline?.status === 'ready' && !compareFilters
+      ? aggregateSelection(
+        ageBands ? withAgeBands(baseline.columns, ageBands) : baseline.columns,
+        toBaselineFilters(filters),
+        baseline.summary.optionalFilters,
+        { crossFilter: true, waitingTimeBins }
+      )
+      : null),
+    [baseline, filters, compareFilters, waitingTimeBins, ageBands]
+  );
 
-  const dataQualityStats = useMemo(() => {
-    if (!csvData) return null;
+  const baselineComparison = useMemo(() => {
+    if (!selection || !baselineSelection) return null;
+    const breakdowns = compareBreakdowns(selection.chartData, baselineSelection.chartData);
+    return {
+      kpis: compareHeadlineKpis(selection.kpis, baselineSelection.kpis),
+      breakdowns,
+      movers: biggestMovers(breakdowns)
+    };
+  }, [selection, baselineSelection]);
+
+  // Chart entries carry their baseline change for the tooltips
+  const chartData = useMemo(
+    () => withBaselineChanges(selection?.chartData ?? EMPTY_SELECTION.chartData, baselineComparison?.breakdowns),
+    [selection, baselineComparison]
+  );
+
+  // Projection of the weekly rate, shown on the rate view of the weekly chart outside compare mode
+  const weeklyForecast = useMemo(
+    () => (showForecast && weeklyView === 'rate' && !compareFilters ? forecastWeeklyRates(chartData.byWeek, forecastOptions) : null),
+    [showForecast, weeklyView, compareFilters, chartData, forecastOptions]
+  );
 
-    const total = csvData.length;
+  const weeklyChartData = useMemo(() => withForecast(chartData.byWeek, weeklyForecast), [chartData, weeklyForecast]);
 
-    // Count missing values for key fields
-    const missingWaitingDays = csvData.filter((row) => getWaitingDays(row) === null).length;
-    const missingSMS = csvData.filter((row) => !row.SMS_received || row.SMS_received.trim() === '').length;
-    const missingAgeGroup = csvData.filter((row) => !row.AgeGroup || row.AgeGroup.trim() === '' || row.AgeGroup === 'Unknown').length;
+  const datedWeekCount = chartData.byWeek.filter((week) => week.name !== 'Unknown').length;
+
+  // The SMS chart's two groups; the counter-intuitive finding only holds while recipients no-show more
+  const smsSent = chartData.bySMS.find((d) => d.filterValue === '1');
+  const smsNotSent = chartData.bySMS.find((d) => d.filterValue === '0');
+  const smsRecipientsNoShowMore = smsSent?.total > 0 && smsNotSent?.total > 0 && smsSent.rate > smsNotSent.rate;
+
+  // Compare mode: segment B. Panels other than the KPI cards, summary and charts keep describing segment A.
+  const compareSelection = useMemo(
+    () => (bandedColumns && compareFilters
+      ? aggregateSelection(bandedColumns, compareFilters, optionalFilters, { waitingTimeBins })
+      : null),
+    [bandedColumns, compareFilters, optionalFilters, waitingTimeBins]
+  );
+
+  const compareFilteredData = useMemo(
+    () => (compareSelection ? Array.from(compareSelection.indices, (i) => csvData[i]) : []),
+    [compareSelection, csvData]
+  );
+
+  // The appointment table lists the rows of the segment being edited, which chart clicks switch to
+  const tableSegment = isComparing ? editingSegment : 'A';
+  const tableRows = tableSegment === 'B' ? compareFilteredData : filteredData;
+
+  const compareKpis = compareSelection?.kpis ?? EMPTY_SELECTION.kpis;
+  const compareChartData = compareSelection?.chartData ?? null;
+
+  // Chart series for compare mode: each category with segment A and B values side by side
+  const comparisonSeries = useMemo(() => {
+    if (!compareChartData) return null;
+
+    const merge = (key, view, sort) => {
+      const totalKey = key === 'byWaitingDays' ? 'n' : 'total';
+      const rateKey = key === 'byWaitingDays' ? 'No-Show Rate' : 'rate';
+      return mergeSegmentSeries(chartData[key], compareChartData[key], {
+        value: view === 'rate' ? rateKey : totalKey,
+        total: totalKey,
+        sort
+      });
+    };
 
     return {
-      total,
-      missingWaitingDays,
-      missingSMS,
-      missingAgeGroup
+      byAge: merge('byAge', ageView, sortAgeGroups),
+      bySMS: merge('bySMS', smsView),
+      byWaitingDays: merge('byWaitingDays', 'rate'),
+      byWeek: merge('byWeek', weeklyView, sortWeeks),
+      pieData: { A: chartData.pieData, B: compareChartData.pieData }
     };
-  }, [csvData]);
+  }, [chartData, compareChartData, ageView, smsView, weeklyView]);
 
-  const filteredData = useMemo(() => {
-    if (!csvData) return [];
+  const overallKpis = useMemo(
+    () => datasetSummary?.overallKpis ?? { total: 0, noShows: 0, noShowRate: 0 },
+    [datasetSummary]
+  );
 
-    return csvData.filter((row) => {
-      if (filters.ageGroup !== 'All' && fixAgeGroupLabel(row.AgeGroup) !== filters.ageGroup) return false;
-      if (filters.smsReceived !== 'All' && row.SMS_received !== filters.smsReceived) return false;
-      if (filters.week !== 'All' && row.Week !== filters.week) return false;
-      return true;
-    });
-  }, [csvData, filters]);
+  const filterDescription = useMemo(() => describeFilters(filters, optionalFilters), [filters, optionalFilters]);
 
-  const kpis = useMemo(() => {
-    if (!filteredData.length) return { total: 0, noShows: 0, shows: 0, noShowRate: 0 };
+  const segmentLabels = useMemo(() => ({
+    A: filterDescription || 'all appointments',
+    B: compareFilters ? describeFilters(compareFilters, optionalFilters) || 'all appointments' : ''
+  }), [filterDescription, compareFilters, optionalFilters]);
 
-    const total = filteredData.length;
-    const noShows = filteredData.filter((row) => row.NoShow === 1).length;
-    const shows = total - noShows;
-    const noShowRate = ((noShows / total) * 100).toFixed(1);
+  // Rate difference A - B with a two-proportion z-test
+  const segmentComparison = useMemo(() => {
+    if (!selection || !compareSelection) return null;
 
-    return { total, noShows, shows, noShowRate };
-  }, [filteredData]);
+    const describe = (segment, values) =>
+      `Segment ${segment} (${segmentLabels[segment]}): ${values.total ? `${values.noShowRate}%` : 'n/a'} no-show rate, n = ${values.total.toLocaleString()}`;
+    const summary = `${describe('A', kpis)}. ${describe('B', compareKpis)}.`;
 
-  const overallKpis = useMemo(() => {
-    if (!csvData) return { total: 0, noShows: 0, noShowRate: 0 };
+    const test = twoProportionTest(kpis.noShows, kpis.total, compareKpis.noShows, compareKpis.total);
+    if (!test) {
+      return { summary, result: 'Both segments need at least one appointment to compare rates.', insight: '', overlap: 0 };
+    }
 
-    const total = csvData.length;
-    const noShows = csvData.filter((row) => row.NoShow === 1).length;
-    const noShowRate = ((noShows / total) * 100).toFixed(1);
+    const pp = (v) => `${v >= 0 ? '+' : ''}${(v * 100).toFixed(1)}`;
+    const result =
+      `Difference (A − B): ${pp(test.diff)} percentage points (95% CI ${pp(test.low)} to ${pp(test.high)}), ` +
+      `two-proportion z = ${test.z.toFixed(2)}, ${formatPValue(test.p)}.`;
+    const insight = test.p < 0.05
+      ? `✓ Segment ${test.diff > 0 ? 'A' : 'B'} has a significantly higher no-show rate (p < 0.05).`
+      : 'The difference is not statistically significant at the 5% level.';
+
+    // Appointments matching both filter sets are counted in each segment, which the test assumes does not happen
+    // (both index lists are ascending, so walk them together)
+    const a = selection.indices;
+    const b = compareSelection.indices;
+    let overlap = 0;
+    for (let i = 0, j = 0; i < a.length && j < b.length;) {
+      if (a[i] === b[j]) {
+        overlap++;
+        i++;
+        j++;
+      } else if (a[i] < b[j]) i++;
+      else j++;
+    }
 
-    return { total, noShows, noShowRate };
-  }, [csvData]);
+    return { summary, result, insight, overlap };
+  }, [segmentLabels, kpis, compareKpis, selection, compareSelection]);
 
   const currentViewSummary = useMemo(() => {
     if (!csvData) return null;
@@ -376,13 +795,6 @@ const PatientNoShowDashboard = () => {
       };
     }
 
-    // Filters are applied - build filter description
-    const filterDescriptions = [];
-    if (filters.ageGroup !== 'All') filterDescriptions.push(`age group ${filters.ageGroup}`);
-    if (filters.smsReceived !== 'All') filterDescriptions.push(filters.smsReceived === '1' ? 'SMS sent' : 'no SMS');
-    if (filters.week !== 'All') filterDescriptions.push(`week of ${filters.week}`);
-
-    const filterDescription = filterDescriptions.join(', ');
     const rateDiff = filteredRate - overallRate;
     const absDiff = Math.abs(rateDiff);
     const comparison = rateDiff > 0 ? 'higher' : 'lower';
@@ -404,25 +816,13 @@ const PatientNoShowDashboard = () => {
     }
 
     return { summary, insight };
-  }, [csvData, filters, kpis, overallKpis, activeFilterCount]);
+  }, [csvData, kpis, overallKpis, activeFilterCount, filterDescription]);
 
   const waitingTimeComparison = useMemo(() => {
-    if (!filteredData.length) return null;
-
-    // Separate patients who showed up vs no-showed
-    const showedUp = filteredData.filter((row) => row.NoShow === 0);
-    const noShowed = filteredData.filter((row) => row.NoShow === 1);
-
-    // Extract waiting times (filter out null values)
-    const showedWaitTimes = showedUp
-      .map((row) => getWaitingDays(row))
-      .filter((days) => days !== null)
-      .sort((a, b) => a - b);
+    if (!selection || !selection.kpis.total) return null;
 
-    const noShowWaitTimes = noShowed
-      .map((row) => getWaitingDays(row))
-      .filter((days) => days !== null)
-      .sort((a, b) => a - b);
+    // Sorted waiting times of patients who showed up vs no-showed (missing values left out)
+    const { showed: showedWaitTimes, noShow: noShowWaitTimes } = selection.waitingByOutcome;
 
     if (showedWaitTimes.length === 0 || noShowWaitTimes.length === 0) return null;
 
@@ -452,303 +852,377 @@ const PatientNoShowDashboard = () => {
       showedCount: showedWaitTimes.length,
       noShowCount: noShowWaitTimes.length
     };
-  }, [filteredData]);
+  }, [selection]);
 
   const waitingDaysStats = useMemo(() => {
-    if (!filteredData.length) return { validCount: 0, excludedCount: 0 };
+    if (!selection) return { validCount: 0, excludedCount: 0 };
+    return { validCount: selection.kpis.total - selection.missingWaitingDays, excludedCount: selection.missingWaitingDays };
+  }, [selection]);
+
+  // Only shown in the statistics panel and the print report, so skip the pass over the selection otherwise
+  const needsStatistics = showStats || printReport !== null;
+  const statisticalSummary = useMemo(() => {
+    if (!needsStatistics || !selection || !selection.indices.length) return null;
+
+    const noShow = [];
+    const waitingDays = [];
+    const sms = [];
+    const age = [];
+    const showedWait = [];
+    const noShowWait = [];
+    // 2x2 table: rows = SMS_received (0, 1), cols = NoShow (0, 1)
+    const smsTable = [[0, 0], [0, 0]];
+
+    selection.indices.forEach((i) => {
+      const record = modelRecordAt(dataColumns, i);
+      if (record.noShow === null) return;
+
+      noShow.push(record.noShow);
+      waitingDays.push(record.waitingDays);
+      sms.push(record.sms);
+      age.push(record.age);
+
+      if (record.waitingDays !== null) {
+        if (record.noShow === 1) noShowWait.push(record.waitingDays);
+        else showedWait.push(record.waitingDays);
+      }
+      if (record.sms !== null) smsTable[record.sms][record.noShow]++;
+    });
 
-    const validCount = filteredData.filter((row) => {
-      const days = getWaitingDays(row);
-      return days !== null;
-    }).length;
+    const correlations = [
+      { label: 'Waiting Days', result: pearsonCorrelation(waitingDays, noShow) },
+      { label: 'SMS Received', result: pearsonCorrelation(sms, noShow) },
+      { label: 'Age', result: pearsonCorrelation(age, noShow) }
+    ];
 
-    return { validCount, excludedCount: filteredData.length - validCount };
-  }, [filteredData]);
+    const strongest = correlations
+      .filter((c) => c.result)
+      .reduce((best, c) => (!best || Math.abs(c.result.r) > Math.abs(best.result.r) ? c : best), null);
 
-  const keyTakeaways = useMemo(() => {
-    if (!filteredData.length) return [];
+    return {
+      correlations,
+      strongest,
+      tTest: welchTTest(showedWait, noShowWait),
+      chiSquare: chiSquareTest(smsTable),
+      smsTable
+    };
+  }, [needsStatistics, selection, dataColumns]);
 
-    const currentSelectionRate = `No-show rate in current selection is ${kpis.noShowRate}% (${kpis.noShows} of ${kpis.total} appointments)`;
+  const statisticalSummaryText = useMemo(
+    () => (statisticalSummary ? describeStatisticalSummary(statisticalSummary, filters.smsReceived.length === 1) : null),
+    [statisticalSummary, filters.smsReceived]
+  );
 
-    // For SMS comparison, ignore SMS filter but respect age and week filters
-    const dataForSmsCompare = !csvData ? [] : csvData.filter((row) => {
-      if (filters.ageGroup !== 'All' && fixAgeGroupLabel(row.AgeGroup) !== filters.ageGroup) return false;
-      if (filters.week !== 'All' && row.Week !== filters.week) return false;
-      return true;
-    });
+  // Inputs for the baseline logistic regression (trained on the full loaded CSV, not the filtered view)
+  const modelRecords = useMemo(() => {
+    if (!dataColumns || !(showModel || showWorklist)) return [];
 
-    const withSMS = dataForSmsCompare.filter((row) => row.SMS_received === '1');
-    const withoutSMS = dataForSmsCompare.filter((row) => row.SMS_received === '0');
+    return Array.from({ length: dataColumns.length }, (_, i) => modelRecordAt(dataColumns, i));
+  }, [dataColumns, showModel, showWorklist]);
 
-    const smsNoShowCount = withSMS.filter((r) => r.NoShow === 1).length;
-    const noSmsNoShowCount = withoutSMS.filter((r) => r.NoShow === 1).length;
+  const availableModelFeatures = useMemo(() => getAvailableFeatures(modelRecords), [modelRecords]);
 
-    const smsNoShowRate = withSMS.length ? ((smsNoShowCount / withSMS.length) * 100).toFixed(1) : '0.0';
-    const noSmsNoShowRate = withoutSMS.length ? ((noSmsNoShowCount / withoutSMS.length) * 100).toFixed(1) : '0.0';
+  const modelResult = useMemo(() => {
+    if (!modelRecords.length) return null;
 
-    let smsComparison = '';
-    // If SMS filter is active, hide the comparison
-    if (filters.smsReceived !== 'All') {
-      const filterType = filters.smsReceived === '1' ? 'Yes' : 'No';
-      smsComparison = `📱 SMS filter active: showing only ${filterType} SMS appointments. SMS comparison hidden.`;
-    } else if (withSMS.length === 0 || withoutSMS.length === 0) {
-      smsComparison = 'Not enough data for SMS comparison under current filters. Clear filters to compare.';
-    } else {
-      smsComparison =
-        `SMS reminder data: ${smsNoShowRate}% no-show rate with SMS (n=${withSMS.length}) vs. ` +
-        `${noSmsNoShowRate}% without SMS (n=${withoutSMS.length}).`;
-    }
+    const features = modelOptions.features.filter((f) => availableModelFeatures.includes(f));
+    return fitBaselineModel(modelRecords, { ...modelOptions, features });
+  }, [modelRecords, modelOptions, availableModelFeatures]);
 
-    const waitingBins = {
-      '0': { name: '0 days', total: 0, noShows: 0 },
-      '1-3': { name: '1-3 days', total: 0, noShows: 0 },
-      '4-7': { name: '4-7 days', total: 0, noShows: 0 },
-      '8-14': { name: '8-14 days', total: 0, noShows: 0 },
-      '15+': { name: '15+ days', total: 0, noShows: 0 }
-    };
+  // Risk-scored appointments in the current filter selection, for the outreach worklist
+  const riskWorklist = useMemo(() => {
+    if (!showWorklist || !modelResult || modelResult.error) return null;
 
-    filteredData.forEach((row) => {
-      const days = getWaitingDays(row);
-      if (days === null) return;
+    const today = toDateKey(new Date());
+    const { appointmentDate } = dataColumns;
+    const selected = Array.from(selection.indices);
+    const upcoming = upcomingOnly
+      ? selected.filter((i) => {
+          const day = appointmentDate.values[appointmentDate.codes[i]];
+          return day && day >= today;
+        })
+      : [];
+    // Historical files have no future appointments; score every selected row rather than show nothing
+    const showingAll = !upcomingOnly || upcoming.length === 0;
+    const indices = showingAll ? selected : upcoming;
 
-      let bin = '15+';
-      if (days === 0) bin = '0';
-      else if (days <= 3) bin = '1-3';
-      else if (days <= 7) bin = '4-7';
-      else if (days <= 14) bin = '8-14';
+    const { scored, unscored } = scoreAppointments(indices, modelResult, (i) => modelRecordAt(dataColumns, i));
 
-      waitingBins[bin].total++;
-      if (row.NoShow === 1) waitingBins[bin].noShows++;
+    const items = scored.map(({ index, record, probability, factors }) => {
+      const row = csvData[index];
+      return {
+        id: index,
+        appointmentDay: String(row.AppointmentDay || row.Appointment || row.AppointmentDate || '').slice(0, 10),
+        scheduledDay: String(row.ScheduledDay || row.ScheduledDate || row.Scheduled || '').slice(0, 16).replace('T', ' '),
+        ageGroup: fixAgeGroupLabel(row.AgeGroup) || '',
+        age: record.age,
+        waitingDays: record.waitingDays,
+        sms: record.sms === 1 ? 'Yes' : record.sms === 0 ? 'No' : '',
+        outcome: record.noShow === 1 ? 'No-show' : record.noShow === 0 ? 'Showed' : '',
+        probability,
+        factors
+      };
     });
 
-    let highestVolumeBin = null;
-    let highestRateBin = null;
-    let maxVolume = 0;
-    let maxRate = 0;
+    return { items, unscored, noUpcoming: upcomingOnly && showingAll };
+  }, [showWorklist, modelResult, selection, dataColumns, csvData, upcomingOnly]);
 
-    Object.entries(waitingBins).forEach(([key, bin]) => {
-      if (bin.total > maxVolume) {
-        maxVolume = bin.total;
-        highestVolumeBin = { ...bin, key };
-      }
-      const rate = bin.total > 0 ? (bin.noShows / bin.total) * 100 : 0;
-      if (bin.total >= 50 && rate > maxRate) {
-        maxRate = rate;
-        highestRateBin = { ...bin, key, rate };
-      }
+  const exportMeta = (title) => ({
+    title,
+    filters: activeFilterCount > 0 ? filterDescription : 'none (all appointments)',
+    filterState: filters
+  });
+
+  // Row-level export of the filtered appointments, with the columns the dashboard loaded
+  const exportFilteredData = (format) => {
+    const columns = Object.keys(csvData[0] || {}).map((key) => ({ key, label: key }));
+    exportTable({
+      filename: 'noshow_filtered_appointments',
+      rows: filteredData,
+      columns,
+      format,
+      meta: exportMeta('Patient No-Show Dashboard - filtered appointments')
     });
+  };
 
-    let waitingInsight = '';
-    if (highestVolumeBin && highestRateBin) {
-      const volumeRate = ((highestVolumeBin.noShows / highestVolumeBin.total) * 100).toFixed(1);
-      waitingInsight =
-        `Most appointments have ${highestVolumeBin.name} waiting time (${volumeRate}% no-show, n=${highestVolumeBin.total}); ` +
-        `highest no-show rate is ${highestRateBin.rate.toFixed(1)}% for ${highestRateBin.name} waits (n=${highestRateBin.total}).`;
-    } else if (highestVolumeBin) {
-      const volumeRate = ((highestVolumeBin.noShows / highestVolumeBin.total) * 100).toFixed(1);
-      waitingInsight = `Most appointments have ${highestVolumeBin.name} waiting time with ${volumeRate}% no-show rate (n=${highestVolumeBin.total}).`;
+  const exportAggregate = (key, format) => {
+    const config = AGGREGATE_EXPORTS[key];
+    let rows = chartData[key];
+    if (key === 'pieData') {
+      const total = rows.reduce((sum, d) => sum + d.value, 0);
+      rows = rows.map((d) => ({ ...d, percent: total > 0 ? parseFloat(((d.value / total) * 100).toFixed(1)) : 0 }));
     }
-
-    return [currentSelectionRate, smsComparison, waitingInsight].filter(Boolean);
-  }, [filteredData, kpis, csvData, filters]);
-
-  const CustomBarTooltip = ({ active, payload }) => {
-    if (!active || !payload || !payload.length) return null;
-    const total = payload.reduce((sum, entry) => sum + entry.value, 0);
-    return (
-      <div
-        className={`${isDarkMode ? 'bg-slate-800 text-slate-200 border-slate-700' : 'bg-white text-slate-700 border-gray-300'} p-3 border rounded shadow-lg`}
-      >
-        <p className="font-semibold mb-1">{payload[0].payload.name}</p>
-        {payload.map((entry, index) => {
-          const percent = total > 0 ? ((entry.value / total) * 100).toFixed(1) : '0.0';
-          return (
-            <p key={index} style={{ color: entry.color }}>
-              {entry.name}: {entry.value} ({percent}%)
-            </p>
-          );
-        })}
-        <p className={`mt-1 text-sm ${isDarkMode ? 'text-slate-300 border-slate-700' : 'text-gray-600 border-gray-200'} border-t pt-1`}>
-          Total: {total}
-        </p>
-      </div>
-    );
+    exportTable({
+      filename: config.filename,
+      rows,
+      columns: config.columns,
+      format,
+      meta: exportMeta(`Patient No-Show Dashboard - ${config.label}`)
+    });
   };
 
-  const CustomWaitingTooltip = ({ active, payload }) => {
-    if (!active || !payload || !payload.length) return null;
-    const data = payload[0].payload;
-    return (
-      <div
-        className={`${isDarkMode ? 'bg-slate-800 text-slate-200 border-slate-700' : 'bg-white text-slate-700 border-gray-300'} p-3 border rounded shadow-lg`}
-      >
-        <p className="font-semibold mb-1">{data.name}</p>
-        <p>No-Show Rate: {data['No-Show Rate']}%</p>
-        <p className={`text-sm ${isDarkMode ? 'text-slate-300' : 'text-gray-600'}`}>n = {data.n}</p>
-        <p className={`text-sm ${isDarkMode ? 'text-slate-300' : 'text-gray-600'}`}>no-shows = {data.noShows}</p>
-      </div>
-    );
+  const viewLabel = (view) => (view === 'rate' ? 'no-show rate %' : 'counts');
+  const chartTitles = {
+    byAge: `No-Show by Age Group (${viewLabel(ageView)})`,
+    pieData: 'Overall Distribution',
+    bySMS: `No-Show by SMS Reminder (${viewLabel(smsView)})`,
+    byWaitingDays: 'No-Show Rate by Waiting Time',
+    byWeek: `No-Show Trends by Week (${viewLabel(weeklyView)})`,
+    byWeekday: 'No-Show Rate by Appointment Weekday',
+    byBookingType: 'No-Show Rate by Booking Type',
+    byBookingHour: 'No-Show Rate by Booking Hour',
+    byDate: `Appointments per Day (${calendarView === 'rate' ? 'no-show rate' : 'volume'})`
   };
-
-  const CustomWeeklyRateTooltip = ({ active, payload }) => {
-    if (!active || !payload || !payload.length) return null;
-    const data = payload[0].payload;
-    return (
-      <div
-        className={`${isDarkMode ? 'bg-slate-800 text-slate-200 border-slate-700' : 'bg-white text-slate-700 border-gray-300'} p-3 border rounded shadow-lg`}
-      >
-        <p className="font-semibold mb-1">{data.name}</p>
-        <p style={{ color: '#fb923c' }}>No-Show Rate: {data.rate}% (n={data.total.toLocaleString()})</p>
-      </div>
-    );
+  // Panels that chart segment A only, even in compare mode
+  const segmentAChartKeys = ['byWeekday', 'byBookingType', 'byBookingHour', 'byDate'];
+
+  // Title, filter caption and n for a chart image; theme 'light' forces the print-friendly palette
+  const chartImageOptions = (key, theme) => {
+    const countRows = (rows) => (key === 'pieData'
+      ? rows.reduce((sum, d) => sum + d.value, 0)
+      : rows.reduce((sum, d) => sum + (key === 'byWaitingDays' ? d.n : d.total), 0));
+    const { filters: filterText } = exportMeta(chartTitles[key]);
+    const n = (data) => countRows(data).toLocaleString();
+    let scope = `Filters: ${filterText} · n = ${n(chartData[key])} appointments`;
+    if (compareChartData) {
+      scope = segmentAChartKeys.includes(key)
+        ? `Segment A: ${segmentLabels.A} · n = ${n(chartData[key])} appointments`
+        : `A: ${segmentLabels.A} (n = ${n(chartData[key])}) vs B: ${segmentLabels.B} (n = ${n(compareChartData[key])})`;
+    }
+    return {
+      title: chartTitles[key],
+      caption: `${scope} · exported ${new Date().toLocaleDateString()}`,
+      theme,
+      sourceTheme: isDarkMode ? 'dark' : 'light',
+      filename: AGGREGATE_EXPORTS[key].filename
+    };
   };
 
-  const CustomAgeRateTooltip = ({ active, payload }) => {
-    if (!active || !payload || !payload.length) return null;
-    const data = payload[0].payload;
-    return (
-      <div
-        className={`${isDarkMode ? 'bg-slate-800 text-slate-200 border-slate-700' : 'bg-white text-slate-700 border-gray-300'} p-3 border rounded shadow-lg`}
-      >
-        <p className="font-semibold mb-1">Age Group: {data.name}</p>
-        <p style={{ color: '#fb923c' }}>No-Show Rate: {data.rate}% (n={data.total.toLocaleString()})</p>
-      </div>
-    );
+  const exportChartImage = (key, format, theme) => {
+    const options = chartImageOptions(key, theme);
+    if (format === 'svg') {
+      exportChartSvg(chartRefs.current[key], options);
+    } else {
+      exportChartPng(chartRefs.current[key], options).catch((err) => {
+        console.error('Chart export failed:', err);
+      });
+    }
   };
 
-  const CustomSmsRateTooltip = ({ active, payload }) => {
-    if (!active || !payload || !payload.length) return null;
-    const data = payload[0].payload;
+  // KPI card value for both segments in compare mode
+  const renderSegmentKpi = (key, suffix = '') => (
+    <div className="flex flex-col gap-1">
+      {[['A', kpis], ['B', compareKpis]].map(([segment, values]) => (
+        <p key={segment} className="flex items-baseline gap-2">
+          <span className={`text-xs font-semibold rounded px-1.5 py-0.5 text-white ${segment === 'A' ? 'bg-teal-500' : 'bg-indigo-500'}`}>
+            {segment}
+          </span>
+          <span className={`text-2xl font-bold tracking-tight ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>
+            {typeof values[key] === 'number' ? values[key].toLocaleString() : values[key]}{suffix}
+          </span>
+        </p>
+      ))}
+    </div>
+  );
+
+  // Change against the baseline under a KPI card: counts as +n (+x%), the rate in percentage points.
+  // Significant rate changes are coloured (rose = worse, teal = better).
+  const renderBaselineKpi = (key) => {
+    if (!baselineComparison) return null;
+    const mutedClass = isDarkMode ? 'text-slate-400' : 'text-slate-500';
+
+    if (key === 'rate') {
+      const change = baselineComparison.kpis.rate;
+      if (!change) return <p className={`text-xs mt-1 ${mutedClass}`}>vs baseline: n/a</p>;
+      const colorClass = !change.significant ? mutedClass : change.diff > 0 ? 'text-rose-500' : 'text-teal-600';
+      return (
+        <p className={`text-xs mt-1 ${colorClass}`} title={`Two-proportion z-test, ${formatPValue(change.p)}`}>
+          {formatPointChange(change.diff)} vs baseline {change.baseline.rate.toFixed(1)}%{change.significant && ' ✓'}
+        </p>
+      );
+    }
+
+    const { baseline: baselineValue, change, percentChange } = baselineComparison.kpis[key];
     return (
-      <div
-        className={`${isDarkMode ? 'bg-slate-800 text-slate-200 border-slate-700' : 'bg-white text-slate-700 border-gray-300'} p-3 border rounded shadow-lg`}
-      >
-        <p className="font-semibold mb-1">{data.name}</p>
-        <p style={{ color: '#fb923c' }}>No-Show Rate: {data.rate}% (n={data.total.toLocaleString()})</p>
-      </div>
+      <p className={`text-xs mt-1 ${mutedClass}`}>
+        {change >= 0 ? '+' : '−'}{Math.abs(change).toLocaleString()}
+        {percentChange !== null && ` (${percentChange >= 0 ? '+' : '−'}${Math.abs(percentChange).toFixed(1)}%)`}
+        {' '}vs baseline {baselineValue.toLocaleString()}
+      </p>
     );
   };
 
-  const chartData = useMemo(() => {
-    if (!filteredData.length) {
-      return { byAge: [], bySMS: [], byWeek: [], byWaitingDays: [], pieData: [] };
-    }
+  const renderChartExportMenu = (key) => (
+    <ExportMenu
+      label="⬇"
+      title="Download this chart as an image (PNG / SVG) or its data (CSV / JSON)"
+      isDarkMode={isDarkMode}
+      sections={[
+        { label: isDarkMode ? 'Image (dark theme)' : 'Image', theme: isDarkMode ? 'dark' : 'light' },
+        ...(isDarkMode ? [{ label: 'Image (light, for print)', theme: 'light' }] : [])
+      ].map(({ label, theme }) => ({
+        label,
+        actions: ['png', 'svg'].map((format) => ({
+          label: format.toUpperCase(),
+          disabled: filteredData.length === 0,
+          onClick: () => exportChartImage(key, format, theme)
+        }))
+      })).concat({
+        label: 'Chart data',
+        actions: ['csv', 'json'].map((format) => ({
+          label: format.toUpperCase(),
+          disabled: filteredData.length === 0,
+          onClick: () => exportAggregate(key, format)
+        }))
+      })}
+    />
+  );
 
-    const sortAgeGroups = (a, b) => {
-      if (a === 'Unknown') return 1;
-      if (b === 'Unknown') return -1;
-      const getNum = (str) => {
-        const match = String(str).match(/^(\d+)/);
-        return match ? parseInt(match[1], 10) : 999;
-      };
-      return getNum(a) - getNum(b);
-    };
+  // Snapshot the current view (charts in the light theme) into the print report and open the print dialog
+  const openPrintReport = (paperSize) => {
+    const charts = Object.keys(chartTitles)
+      .map((key) => ({ key, title: chartTitles[key], ...chartImageDataUrl(chartRefs.current[key], chartImageOptions(key, 'light')) }))
+      .filter((chart) => chart.src);
+    setPrintReport({ paperSize, generatedAt: new Date(), charts });
+  };
 
-    const ageGroups = {};
-    filteredData.forEach((row) => {
-      const age = fixAgeGroupLabel(row.AgeGroup) || 'Unknown';
-      if (!ageGroups[age]) ageGroups[age] = { name: age, NoShow: 0, Show: 0 };
-      if (row.NoShow === 1) ageGroups[age].NoShow++;
-      else ageGroups[age].Show++;
+  const exportWorklist = (items) => {
+    const rows = items.map((item, i) => ({
+      rank: i + 1,
+      probability: item.probability.toFixed(4),
+      appointmentDay: item.appointmentDay,
+      scheduledDay: item.scheduledDay,
+      ageGroup: item.ageGroup,
+      age: item.age,
+      waitingDays: item.waitingDays,
+      sms: item.sms,
+      outcome: item.outcome,
+      factors: item.factors.map((f) => `${f.label} (${f.logOdds >= 0 ? '+' : ''}${f.logOdds.toFixed(2)})`).join('; ')
+    }));
+    const columns = [
+      { key: 'rank', label: 'Rank' },
+      { key: 'probability', label: 'NoShowProbability' },
+      { key: 'appointmentDay', label: 'AppointmentDay' },
+      { key: 'scheduledDay', label: 'ScheduledDay' },
+      { key: 'ageGroup', label: 'AgeGroup' },
+      { key: 'age', label: 'Age' },
+      { key: 'waitingDays', label: 'WaitingDays' },
+      { key: 'sms', label: 'SMS_received' },
+      { key: 'outcome', label: 'Outcome' },
+      { key: 'factors', label: 'ContributingFactors' }
+    ];
+    exportTable({
+      filename: 'noshow_outreach_worklist',
+      rows,
+      columns,
+      format: 'csv',
+      meta: {
+        ...exportMeta('Patient No-Show Outreach Worklist'),
+        extra: { Model: `logistic regression on ${modelResult.coefficients.map((c) => c.key).join(', ')}` }
+      }
     });
-    const byAge = Object.values(ageGroups).map((group) => {
-      const total = group.NoShow + group.Show;
-      const rate = total > 0 ? ((group.NoShow / total) * 100).toFixed(1) : '0.0';
-      return {
-        ...group,
-        total,
-        rate: parseFloat(rate),
-        noShows: group.NoShow
-      };
-    }).sort((a, b) => sortAgeGroups(a.name, b.name));
+  };
 
-    const smsGroups = {
-      Yes: { name: 'SMS Sent', NoShow: 0, Show: 0 },
-      No: { name: 'No SMS', NoShow: 0, Show: 0 }
-    };
-    filteredData.forEach((row) => {
-      const sms = row.SMS_received === '1' ? 'Yes' : 'No';
-      if (row.NoShow === 1) smsGroups[sms].NoShow++;
-      else smsGroups[sms].Show++;
-    });
-    const bySMS = Object.values(smsGroups).map((group) => {
-      const total = group.NoShow + group.Show;
-      const rate = total > 0 ? ((group.NoShow / total) * 100).toFixed(1) : '0.0';
-      return {
-        ...group,
-        total,
-        rate: parseFloat(rate),
-        noShows: group.NoShow
-      };
-    });
+  const toggleModelFeature = (key) => {
+    setModelOptions((prev) => ({
+      ...prev,
+      features: prev.features.includes(key) ? prev.features.filter((f) => f !== key) : [...prev.features, key]
+    }));
+  };
 
-    const weekGroups = {};
-    filteredData.forEach((row) => {
-      const week = row.Week || 'Unknown';
-      if (!weekGroups[week]) weekGroups[week] = { name: week, NoShow: 0, Show: 0 };
-      if (row.NoShow === 1) weekGroups[week].NoShow++;
-      else weekGroups[week].Show++;
-    });
-    const byWeek = Object.values(weekGroups).map((week) => {
-      const total = week.NoShow + week.Show;
-      const rate = total > 0 ? ((week.NoShow / total) * 100).toFixed(1) : '0.0';
-      return {
-        ...week,
-        total,
-        rate: parseFloat(rate),
-        noShows: week.NoShow
-      };
-    }).sort((a, b) => {
-      if (a.name === 'Unknown') return 1;
-      if (b.name === 'Unknown') return -1;
-      return new Date(a.name) - new Date(b.name);
-    });
+  const keyTakeaways = useMemo(() => {
+    if (!selection || !selection.kpis.total) return [];
 
-    const waitingBins = {
-      '0': { name: '0 days', total: 0, noShows: 0 },
-      '1-3': { name: '1-3 days', total: 0, noShows: 0 },
-      '4-7': { name: '4-7 days', total: 0, noShows: 0 },
-      '8-14': { name: '8-14 days', total: 0, noShows: 0 },
-      '15+': { name: '15+ days', total: 0, noShows: 0 }
-    };
+    const currentSelectionRate = `No-show rate in current selection is ${kpis.noShowRate}% (${kpis.noShows} of ${kpis.total} appointments)`;
 
-    filteredData.forEach((row) => {
-      const days = getWaitingDays(row);
-      if (days === null) return;
+    // For SMS comparison, ignore SMS filter but respect all other filters
+    const { sent: withSMS, notSent: withoutSMS } = selection.smsSplit;
 
-      let bin = '15+';
-      if (days === 0) bin = '0';
-      else if (days <= 3) bin = '1-3';
-      else if (days <= 7) bin = '4-7';
-      else if (days <= 14) bin = '8-14';
+    const smsNoShowRate = withSMS.total ? ((withSMS.noShows / withSMS.total) * 100).toFixed(1) : '0.0';
+    const noSmsNoShowRate = withoutSMS.total ? ((withoutSMS.noShows / withoutSMS.total) * 100).toFixed(1) : '0.0';
 
-      waitingBins[bin].total++;
-      if (row.NoShow === 1) waitingBins[bin].noShows++;
-    });
+    let smsComparison = '';
+    // If SMS filter is active, hide the comparison
+    if (filters.smsReceived.length === 1) {
+      const filterType = filters.smsReceived[0] === '1' ? 'Yes' : 'No';
+      smsComparison = `📱 SMS filter active: showing only ${filterType} SMS appointments. SMS comparison hidden.`;
+    } else if (withSMS.total === 0 || withoutSMS.total === 0) {
+      smsComparison = 'Not enough data for SMS comparison under current filters. Clear filters to compare.';
+    } else {
+      smsComparison =
+        `SMS reminder data: ${smsNoShowRate}% no-show rate with SMS (n=${withSMS.total}) vs. ` +
+        `${noSmsNoShowRate}% without SMS (n=${withoutSMS.total}).`;
+    }
 
-    const byWaitingDays = Object.values(waitingBins).map((bin) => {
-      const rate = bin.total > 0 ? (bin.noShows / bin.total) * 100 : 0;
-      return {
-        name: bin.name,
-        'No-Show Rate': parseFloat(rate.toFixed(1)),
-        n: bin.total,
-        noShows: bin.noShows
-      };
+    let highestVolumeBin = null;
+    let highestRateBin = null;
+    let maxVolume = 0;
+    let maxRate = 0;
+
+    selection.waitingBins.forEach((bin) => {
+      if (bin.n > maxVolume) {
+        maxVolume = bin.n;
+        highestVolumeBin = { ...bin, total: bin.n };
+      }
+      if (bin.n >= MIN_SAMPLE_SIZE && bin['No-Show Rate'] > maxRate) {
+        maxRate = bin['No-Show Rate'];
+        highestRateBin = { ...bin, total: bin.n, rate: (bin.noShows / bin.n) * 100 };
+      }
     });
 
-    const pieData = [
-      { name: 'Showed Up', value: kpis.shows },
-      { name: 'No-Show', value: kpis.noShows }
-    ];
+    let waitingInsight = '';
+    if (highestVolumeBin && highestRateBin) {
+      const volumeRate = ((highestVolumeBin.noShows / highestVolumeBin.total) * 100).toFixed(1);
+      waitingInsight =
+        `Most appointments have ${highestVolumeBin.name} waiting time (${volumeRate}% no-show, n=${highestVolumeBin.total}); ` +
+        `highest no-show rate is ${highestRateBin.rate.toFixed(1)}% (95% CI ${highestRateBin.ciLow}–${highestRateBin.ciHigh}%) for ${highestRateBin.name} waits (n=${highestRateBin.total}).`;
+    } else if (highestVolumeBin) {
+      const volumeRate = ((highestVolumeBin.noShows / highestVolumeBin.total) * 100).toFixed(1);
+      waitingInsight = `Most appointments have ${highestVolumeBin.name} waiting time with ${volumeRate}% no-show rate (n=${highestVolumeBin.total}).`;
+    }
 
-    return {
-      byAge,
-      bySMS,
-      byWeek,
-      byWaitingDays,
-      pieData
-    };
-  }, [filteredData, kpis]);
+    return [currentSelectionRate, smsComparison, waitingInsight].filter(Boolean);
+  }, [selection, kpis, filters]);
 
   const ageGroupInsight = useMemo(() => {
     if (!chartData.byAge || chartData.byAge.length === 0) return { count: null, rate: null };
@@ -760,9 +1234,9 @@ const PatientNoShowDashboard = () => {
       const total = g.total || 0;
       if (total <= 0) return;
 
-      // Track highest rate
-      if (!highestRate || g.rate > highestRate.rate) {
-        highestRate = { ageGroup: g.name, rate: g.rate, total: g.total };
+      // Track highest rate (small segments are too noisy to headline)
+      if (!g.isSmallSample && (!highestRate || g.rate > highestRate.rate)) {
+        highestRate = { ageGroup: g.name, rate: g.rate, total: g.total, ciLow: g.ciLow, ciHigh: g.ciHigh };
       }
 
       // Track highest volume
@@ -777,17 +1251,16 @@ const PatientNoShowDashboard = () => {
 
     let rateInsight = null;
     if (highestRate) {
-      // Check if younger patients (10-29) have higher rates than older patients (50+)
-      const youngerGroups = chartData.byAge.filter(g => {
-        const match = g.name.match(/^(\d+)/);
-        const age = match ? parseInt(match[1]) : 999;
-        return age >= 10 && age < 30;
+      // Check if younger patients (10-29) have higher rates than older patients (50+); only groups lying
+      // wholly inside either range count, so schemes without such groups skip the comparison
+      const youngerGroups = chartData.byAge.filter((g) => {
+        const range = parseAgeRange(g.name);
+        return range && range.min >= 10 && range.max !== null && range.max <= 29;
       });
 
-      const olderGroups = chartData.byAge.filter(g => {
-        const match = g.name.match(/^(\d+)/);
-        const age = match ? parseInt(match[1]) : 999;
-        return age >= 50 && age < 100;
+      const olderGroups = chartData.byAge.filter((g) => {
+        const range = parseAgeRange(g.name);
+        return range && range.min >= 50;
       });
 
       const youngerAvg = youngerGroups.length > 0
@@ -802,7 +1275,9 @@ const PatientNoShowDashboard = () => {
         ? 'Younger patients (10-29) have significantly higher no-show rates than patients 50+.'
         : '';
 
-      rateInsight = `📊 Highest no-show rate: ${highestRate.rate}% in age group ${highestRate.ageGroup} (n=${highestRate.total.toLocaleString()}). ${comparison}`;
+      rateInsight = `📊 Highest no-show rate: ${highestRate.rate}% (95% CI ${highestRate.ciLow}–${highestRate.ciHigh}%) in age group ${highestRate.ageGroup} (n=${highestRate.total.toLocaleString()}). ${comparison}`;
+    } else if (chartData.byAge.some((g) => g.total > 0)) {
+      rateInsight = `📊 Every age group has fewer than ${MIN_SAMPLE_SIZE} appointments in this selection - rates are too noisy to rank.`;
     }
 
     return { count: countInsight, rate: rateInsight };
@@ -817,7 +1292,9 @@ const PatientNoShowDashboard = () => {
     let maxRate = { week: null, rate: 0 };
     let minRate = { week: null, rate: 100 };
 
-    validWeeks.forEach((week) => {
+    // Peak/trough only consider weeks with enough appointments; fall back to all weeks if none qualify
+    const reliableWeeks = validWeeks.filter((w) => !w.isSmallSample);
+    (reliableWeeks.length > 0 ? reliableWeeks : validWeeks).forEach((week) => {
       if (week.rate > maxRate.rate) {
         maxRate = { week: week.name, rate: week.rate };
       }
@@ -833,32 +1310,67 @@ const PatientNoShowDashboard = () => {
     return `📈 No-show rate peaked at ${maxRate.rate}% in week of ${maxRate.week}, then ${trend} to ${lastWeek.rate}% by ${lastWeek.name}`;
   }, [chartData.byWeek]);
 
+  // Age groups follow the chosen scheme; the rest is read off the dataset summary
   const uniqueValues = useMemo(() => {
-    if (!csvData) return { ageGroups: [], weeks: [] };
-
-    const sortAgeGroups = (a, b) => {
-      if (a === 'Unknown') return 1;
-      if (b === 'Unknown') return -1;
-      const getNum = (str) => {
-        const match = String(str).match(/^(\d+)/);
-        return match ? parseInt(match[1], 10) : 999;
-      };
-      return getNum(a) - getNum(b);
-    };
+    const values = datasetSummary?.uniqueValues ?? { ageGroups: [], weeks: [], optional: {}, dateRange: { min: '', max: '' } };
+    return ageBands && bandedColumns ? { ...values, ageGroups: bandedColumns.ageGroup.values.filter(Boolean).sort(sortAgeGroups) } : values;
+  }, [datasetSummary, ageBands, bandedColumns]);
 
-    const ageGroups = [...new Set(csvData.map((row) => fixAgeGroupLabel(row.AgeGroup)))].filter(Boolean).sort(sortAgeGroups);
-    const weeks = [...new Set(csvData.map((row) => row.Week))].filter(Boolean).sort((a, b) => {
-      if (a === 'Unknown') return 1;
-      if (b === 'Unknown') return -1;
-      return new Date(a) - new Date(b);
-    });
+  const COLORS = ['#0d9488', '#fb923c', '#94a3b8'];
 
-    return { ageGroups, weeks };
-  }, [csvData]);
-
-  const COLORS = ['#0d9488', '#fb923c'];
+  const rateIntervalCaption = (
+    <p className={`mt-2 text-xs ${isDarkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+      Error bars / shaded band show 95% Wilson confidence intervals. Faded segments have fewer than {MIN_SAMPLE_SIZE} appointments.
+    </p>
+  );
   const takeawayBorderColors = ['border-teal-500', 'border-amber-500', 'border-blue-500'];
 
+  // Cross-filter highlighting: once a chart's own filter is set, selected elements get an outline
+  // and the rest are dimmed
+  const selectionStyle = (key, value, fillOpacity = 1) => {
+    const selected = filters[key];
+    if (!isFilterActive(selected)) return { fillOpacity };
+    const isSelected = isRangeFilter(key) ? matchesRange(value, selected) : selected.includes(value);
+    return isSelected
+      ? { fillOpacity, stroke: isDarkMode ? '#f8fafc' : '#1e293b', strokeWidth: 2 }
+      : { fillOpacity: fillOpacity * 0.3 };
+  };
+
+  if (sheetRequest) {
+    return (
+      <SheetPicker
+        fileName={sheetRequest.fileName}
+        sheets={sheetRequest.sheets}
+        onSelect={selectSheet}
+        onCancel={cancelLoad}
+      />
+    );
+  }
+
+  if (mappingRequest) {
+    return (
+      <ColumnMappingWizard
+        fileName={mappingRequest.fileName}
+        fields={mappingRequest.fields}
+        samples={mappingRequest.samples}
+        initialMapping={mappingRequest.initialMapping}
+        onApply={applyColumnMapping}
+        onCancel={cancelLoad}
+      />
+    );
+  }
+
+  if (validationRequest) {
+    return (
+      <ValidationReport
+        fileName={validationRequest.fileName}
+        report={validationRequest.report}
+        onProceed={proceedPastValidation}
+        onCancel={cancelLoad}
+      />
+    );
+  }
+
   if (isLoading) {
     return (
       <div className="min-h-screen bg-slate-100 p-8 flex items-center justify-center">
@@ -867,8 +1379,26 @@ const PatientNoShowDashboard = () => {
             <div className="h-10 w-10 rounded-full border-4 border-slate-200 border-t-teal-600 animate-spin" />
             <div>
               <p className="text-sm font-semibold text-slate-800">Loading dashboard…</p>
-              <p className="text-xs text-slate-500">Parsing CSV and rendering charts</p>
+              <p className="text-xs text-slate-500">
+                {loadProgress?.rowsParsed
+                  ? `Parsing: ${loadProgress.rowsParsed.toLocaleString()} rows (${loadProgress.percent}%)`
+                  : 'Reading file'}
+              </p>
             </div>
+            <button
+              type="button"
+              onClick={cancelLoad}
+              className="ml-auto px-3 py-1 text-xs font-medium rounded-md border bg-white text-slate-700 border-slate-200 hover:bg-slate-50"
+            >
+              Cancel
+            </button>
+          </div>
+
+          <div className="mt-6 h-2 w-full bg-slate-200 rounded-full overflow-hidden">
+            <div
+              className="h-full bg-teal-600 rounded-full transition-all"
+              style={{ width: `${loadProgress?.percent ?? 0}%` }}
+            />
           </div>
 
           <div className="mt-6 space-y-3">
@@ -893,33 +1423,83 @@ const PatientNoShowDashboard = () => {
       <div className="min-h-screen bg-slate-100 p-8 flex items-center justify-center">
         <div className="bg-white p-8 rounded-lg shadow-lg max-w-md w-full">
           <h1 className="text-2xl font-bold text-gray-800 mb-4">Patient No-Show Analysis Dashboard</h1>
-          <p className="text-gray-600 mb-6">Upload your CSV file to analyze patient no-show patterns</p>
+          <p className="text-gray-600 mb-6">
+            Upload a CSV, TSV, JSON / NDJSON or Excel file to analyze patient no-show patterns
+          </p>
           <input
             type="file"
-            accept=".csv"
+            accept={ACCEPTED_EXTENSIONS}
             onChange={handleFileUpload}
             className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
           />
+          {storedDatasets.length > 0 && (
+            <div className="mt-6">
+              <p className="text-sm font-semibold text-gray-700 mb-2">Or open a dataset saved in this browser</p>
+              <ul className="space-y-1">
+                {storedDatasets.map((dataset) => (
+                  <li key={dataset.id}>
+                    <button
+                      type="button"
+                      onClick={() => startLoad({ datasetId: dataset.id })}
+                      className="w-full flex items-center justify-between px-3 py-2 text-sm rounded-md border bg-white text-slate-700 border-slate-200 hover:bg-slate-50"
+                    >
+                      <span className="truncate font-medium">{dataset.name}</span>
+                      <span className="text-xs text-slate-500">{dataset.rowCount.toLocaleString()} rows</span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
         </div>
       </div>
     );
   }
 
   return (
-    <div className={`min-h-screen p-6 ${isDarkMode ? 'bg-slate-900' : 'bg-slate-100'}`}>
-      {isLoading && (
-        <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/10">
-          <div className="bg-white rounded-xl shadow-md p-4 border border-slate-200 flex items-center gap-3">
-            <div className="h-6 w-6 rounded-full border-4 border-slate-200 border-t-teal-600 animate-spin" />
-            <p className="text-sm font-medium text-slate-700">Updating…</p>
-          </div>
-        </div>
+    <div className={`min-h-screen p-6 print:min-h-0 print:p-0 print:bg-white ${isDarkMode ? 'bg-slate-900' : 'bg-slate-100'}`}>
+      {printReport && (
+        <PrintReport
+          ref={printReportRef}
+          paperSize={printReport.paperSize}
+          generatedAt={printReport.generatedAt}
+          datasetOverview={datasetOverview}
+          filterText={isComparing ? `Segment A: ${segmentLabels.A} vs Segment B: ${segmentLabels.B}` : exportMeta('').filters}
+          kpis={kpis}
+          keyTakeaways={keyTakeaways}
+          dataQualityStats={dataQualityStats}
+          statistics={statisticalSummaryText}
+          charts={printReport.charts}
+        />
       )}
-      <div className="w-full space-y-8">
+      <div className={`w-full space-y-8 ${printReport ? 'print:hidden' : ''}`}>
         <div className="flex items-start justify-between gap-4">
           <h1 className={`flex-1 text-center text-3xl font-bold tracking-tight mb-2 ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>
             Patient No-Show Analysis Dashboard
           </h1>
+          <DatasetSwitcher
+            datasets={storedDatasets}
+            activeId={activeDataset ? activeDataset.id : null}
+            activeName={activeDataset?.name}
+            isDarkMode={isDarkMode}
+            onLoad={(id) => startLoad({ datasetId: id })}
+            onLoadBundled={() => startLoad(bundledCsvMessage())}
+            onUpload={uploadFile}
+            onRename={renameStoredDataset}
+            onDelete={deleteStoredDataset}
+          />
+          <button
+            type="button"
+            onClick={copyShareLink}
+            className={`inline-flex items-center gap-2 rounded-md border px-3 py-2 text-sm font-medium shadow-sm transition ${
+              isDarkMode
+                ? 'border-slate-700 bg-slate-800 text-white hover:bg-slate-700'
+                : 'border-slate-200 bg-white text-slate-700 hover:bg-slate-50'
+            }`}
+            title="Copy a link to this exact view (filters, chart toggles and open panels)"
+          >
+            {linkCopied ? '✓ Copied' : '🔗 Copy link'}
+          </button>
           <button
             type="button"
             onClick={() => setIsDarkMode(!isDarkMode)}
@@ -994,6 +1574,11 @@ const PatientNoShowDashboard = () => {
                     <p className={isDarkMode ? 'text-slate-300' : 'text-slate-600'}>
                       {dataQualityStats.total.toLocaleString()} total appointments
                     </p>
+                    {dataQualityStats.excludedRows > 0 && (
+                      <p className={isDarkMode ? 'text-slate-300' : 'text-slate-600'}>
+                        {dataQualityStats.excludedRows.toLocaleString()} rows excluded at upload (failed validation)
+                      </p>
+                    )}
                   </div>
 
                   <div>
@@ -1067,6 +1652,38 @@ const PatientNoShowDashboard = () => {
           >
             📓 Open in Colab
           </a>
+          <ExportMenu
+            label="📤 Export Data"
+            title="Export the filtered appointments or chart data (CSV / JSON)"
+            isDarkMode={isDarkMode}
+            align="left"
+            sections={[
+              { label: `Filtered appointments (${filteredData.length.toLocaleString()})`, key: 'rows' },
+              ...Object.entries(AGGREGATE_EXPORTS).map(([key, config]) => ({ label: config.label, key }))
+            ].map(({ label, key }) => ({
+              label,
+              actions: ['csv', 'json'].map((format) => ({
+                label: format.toUpperCase(),
+                disabled: filteredData.length === 0,
+                onClick: () => (key === 'rows' ? exportFilteredData(format) : exportAggregate(key, format))
+              }))
+            }))}
+          />
+          <ExportMenu
+            label="🖨️ Print Report"
+            title="Print the current view or save it as PDF (works offline)"
+            isDarkMode={isDarkMode}
+            align="left"
+            sections={[
+              {
+                label: 'Report page size',
+                actions: [
+                  { label: 'Letter', onClick: () => openPrintReport('letter'), disabled: filteredData.length === 0 },
+                  { label: 'A4', onClick: () => openPrintReport('a4'), disabled: filteredData.length === 0 }
+                ]
+              }
+            ]}
+          />
         </div>
 
         <div className={`rounded-xl p-6 mb-8 ${isDarkMode ? 'bg-slate-800' : 'bg-slate-50'}`}>
@@ -1091,8 +1708,8 @@ const PatientNoShowDashboard = () => {
         <div className={`${isDarkMode ? 'bg-slate-800' : 'bg-white'} p-4 rounded-lg shadow mb-8`}>
           <div className="flex justify-between items-center mb-3">
             <h2 className={`text-lg font-semibold ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>
-              Filters
-              {activeFilterCount > 0 && (
+              {isComparing ? `Filters — Segment ${editingSegment}` : 'Filters'}
+              {panelFilterCount > 0 && (
                 <span
                   className={`ml-2 text-xs font-semibold border rounded-full px-2 py-0.5 ${
                     isDarkMode
@@ -1100,99 +1717,203 @@ const PatientNoShowDashboard = () => {
                       : 'text-slate-600 bg-slate-100 border-slate-200'
                   }`}
                 >
-                  ({activeFilterCount} active)
+                  ({panelFilterCount} active)
                 </span>
               )}
             </h2>
-            <button
-              type="button"
-              onClick={resetFilters}
-              disabled={activeFilterCount === 0}
-              className={`px-4 py-2 rounded-md text-sm font-medium transition disabled:opacity-60 disabled:cursor-not-allowed ${
-                activeFilterCount > 0
-                  ? 'bg-rose-500 hover:bg-rose-600 text-white'
-                  : isDarkMode
-                    ? '!bg-slate-700 hover:!bg-slate-600 !text-slate-200 border border-slate-600'
-                    : '!bg-gray-200 hover:!bg-gray-300 !text-gray-700'
-              }`}
-              aria-disabled={activeFilterCount === 0}
-              title={activeFilterCount === 0 ? 'No filters to reset' : 'Reset filters'}
-            >
-              Reset Filters
-            </button>
-          </div>
-
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-            <div>
-              <label className={`block text-sm font-medium mb-1 ${isDarkMode ? 'text-slate-300' : 'text-slate-600'}`}>Age Group</label>
-              <select
-                value={uniqueValues.ageGroups.includes(filters.ageGroup) ? filters.ageGroup : 'All'}
-                onChange={(e) => setFilters({ ...filters, ageGroup: e.target.value })}
-                className={`w-full p-2 border rounded-md ${
-                  isDarkMode
-                    ? 'bg-slate-700 text-white border-slate-600'
-                    : 'bg-white text-slate-700 border-slate-300'
-                } ${
-                  filters.ageGroup !== 'All'
-                    ? isDarkMode
-                      ? 'border-teal-500'
-                      : 'bg-teal-50 border-teal-300'
-                    : ''
+            <div className="flex items-center gap-2">
+              {isComparing && (
+                <div
+                  role="tablist"
+                  aria-label="Segment to edit"
+                  className={`inline-flex rounded-lg p-1 border ${isDarkMode ? 'bg-slate-700 border-slate-600' : 'bg-slate-100 border-slate-200'}`}
+                >
+                  {['A', 'B'].map((segment) => (
+                    <button
+                      key={segment}
+                      type="button"
+                      role="tab"
+                      aria-selected={editingSegment === segment}
+                      onClick={() => setEditingSegment(segment)}
+                      className={
+                        editingSegment === segment
+                          ? `px-3 py-1 text-xs font-medium rounded-md text-white ${segment === 'A' ? 'bg-teal-500' : 'bg-indigo-500'}`
+                          : (isDarkMode ? 'px-3 py-1 text-xs font-medium rounded-md bg-slate-700 text-slate-300' : 'px-3 py-1 text-xs font-medium rounded-md bg-white text-slate-600 border border-slate-200')
+                      }
+                    >
+                      Segment {segment}
+                    </button>
+                  ))}
+                </div>
+              )}
+              <button
+                type="button"
+                onClick={toggleCompareMode}
+                aria-pressed={isComparing}
+                title={isComparing ? 'Leave compare mode' : 'Compare two segments with independent filters'}
+                className={`px-4 py-2 rounded-md text-sm font-medium transition border ${
+                  isComparing
+                    ? 'bg-indigo-500 hover:bg-indigo-600 text-white border-indigo-500'
+                    : isDarkMode
+                      ? 'bg-slate-700 hover:bg-slate-600 text-slate-200 border-slate-600'
+                      : 'bg-white hover:bg-slate-50 text-slate-700 border-slate-200'
                 }`}
               >
-                <option value="All">All Age Groups</option>
-                {uniqueValues.ageGroups.map((age) => (
-                  <option key={age} value={age}>{age}</option>
-                ))}
-              </select>
+                {isComparing ? '✕ Exit Compare' : '⚖️ Compare Segments'}
+              </button>
+              <button
+                type="button"
+                onClick={resetFilters}
+                disabled={panelFilterCount === 0}
+                className={`px-4 py-2 rounded-md text-sm font-medium transition disabled:opacity-60 disabled:cursor-not-allowed ${
+                  panelFilterCount > 0
+                    ? 'bg-rose-500 hover:bg-rose-600 text-white'
+                    : isDarkMode
+                      ? '!bg-slate-700 hover:!bg-slate-600 !text-slate-200 border border-slate-600'
+                      : '!bg-gray-200 hover:!bg-gray-300 !text-gray-700'
+                }`}
+                aria-disabled={panelFilterCount === 0}
+                title={panelFilterCount === 0 ? 'No filters to reset' : 'Reset filters'}
+              >
+                Reset Filters
+              </button>
             </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <MultiSelectFilter
+              label="Age Group"
+              allLabel="All Age Groups"
+              options={uniqueValues.ageGroups.map((age) => ({ value: age, label: age }))}
+              selected={panelFilters.ageGroup}
+              onChange={(selected) => setPanelFilters((prev) => ({ ...prev, ageGroup: selected }))}
+              isDarkMode={isDarkMode}
+            />
+
+            <MultiSelectFilter
+              label="SMS Received"
+              options={[{ value: '1', label: 'Yes' }, { value: '0', label: 'No' }]}
+              selected={panelFilters.smsReceived}
+              onChange={(selected) => setPanelFilters((prev) => ({ ...prev, smsReceived: selected }))}
+              isDarkMode={isDarkMode}
+            />
+
+            <MultiSelectFilter
+              label="Waiting Time"
+              allLabel="Any Waiting Time"
+              options={waitingFilterOptions}
+              selected={panelFilters.waitingDays}
+              onChange={(selected) => setPanelFilters((prev) => ({ ...prev, waitingDays: selected }))}
+              isDarkMode={isDarkMode}
+            />
+
+            <MultiSelectFilter
+              label="Outcome"
+              allLabel="All Outcomes"
+              options={[{ value: '0', label: 'Showed Up' }, { value: '1', label: 'No-Show' }]}
+              selected={panelFilters.outcome}
+              onChange={(selected) => setPanelFilters((prev) => ({ ...prev, outcome: selected }))}
+              isDarkMode={isDarkMode}
+            />
+
+            <MultiSelectFilter
+              label="Appointment Weekday"
+              allLabel="Any Weekday"
+              options={Object.entries(WEEKDAY_LABELS).map(([value, label]) => ({ value, label }))}
+              selected={panelFilters.weekday}
+              onChange={(selected) => setPanelFilters((prev) => ({ ...prev, weekday: selected }))}
+              isDarkMode={isDarkMode}
+            />
+
+            <MultiSelectFilter
+              label="Booking Type"
+              allLabel="Same-day and Advance"
+              options={Object.entries(BOOKING_TYPE_LABELS).map(([value, label]) => ({ value, label }))}
+              selected={panelFilters.bookingType}
+              onChange={(selected) => setPanelFilters((prev) => ({ ...prev, bookingType: selected }))}
+              isDarkMode={isDarkMode}
+            />
+
+            {(bookingHours.length > 0 || panelFilters.bookingHour.length > 0) && (
+              <MultiSelectFilter
+                label="Booking Hour"
+                allLabel="Any Hour"
+                options={[...new Set([...bookingHours.map(String), ...panelFilters.bookingHour])]
+                  .map((value) => ({ value, label: formatBookingHour(value) }))}
+                selected={panelFilters.bookingHour}
+                onChange={(selected) => setPanelFilters((prev) => ({ ...prev, bookingHour: selected }))}
+                isDarkMode={isDarkMode}
+              />
+            )}
 
             <div>
-              <label className={`block text-sm font-medium mb-1 ${isDarkMode ? 'text-slate-300' : 'text-slate-600'}`}>SMS Received</label>
-              <select
-                value={['All', '1', '0'].includes(filters.smsReceived) ? filters.smsReceived : 'All'}
-                onChange={(e) => setFilters({ ...filters, smsReceived: e.target.value })}
-                className={`w-full p-2 border rounded-md ${
-                  isDarkMode
-                    ? 'bg-slate-700 text-white border-slate-600'
-                    : 'bg-white text-slate-700 border-slate-300'
-                } ${
-                  filters.smsReceived !== 'All'
-                    ? isDarkMode
-                      ? 'border-teal-500'
-                      : 'bg-teal-50 border-teal-300'
-                    : ''
-                }`}
-              >
-                <option value="All">All</option>
-                <option value="1">Yes</option>
-                <option value="0">No</option>
-              </select>
+              <label className={`block text-sm font-medium mb-1 ${isDarkMode ? 'text-slate-300' : 'text-slate-600'}`}>Weeks</label>
+              <div className="flex items-center gap-2">
+                {['start', 'end'].map((bound) => (
+                  <select
+                    key={bound}
+                    value={uniqueValues.weeks.includes(panelFilters.week[bound]) ? panelFilters.week[bound] : ''}
+                    onChange={(e) => updateRangeFilter('week', bound, e.target.value)}
+                    aria-label={bound === 'start' ? 'First week' : 'Last week'}
+                    className={`w-full p-2 border rounded-md ${
+                      isDarkMode
+                        ? 'bg-slate-700 text-white border-slate-600'
+                        : 'bg-white text-slate-700 border-slate-300'
+                    } ${
+                      panelFilters.week[bound]
+                        ? isDarkMode
+                          ? 'border-teal-500'
+                          : 'bg-teal-50 border-teal-300'
+                        : ''
+                    }`}
+                  >
+                    <option value="">{bound === 'start' ? 'From first week' : 'To last week'}</option>
+                    {uniqueValues.weeks.filter((week) => week !== 'Unknown').map((week) => (
+                      <option key={week} value={week}>{week}</option>
+                    ))}
+                  </select>
+                ))}
+              </div>
             </div>
 
             <div>
-              <label className={`block text-sm font-medium mb-1 ${isDarkMode ? 'text-slate-300' : 'text-slate-600'}`}>Week</label>
-              <select
-                value={uniqueValues.weeks.includes(filters.week) ? filters.week : 'All'}
-                onChange={(e) => setFilters({ ...filters, week: e.target.value })}
-                className={`w-full p-2 border rounded-md ${
-                  isDarkMode
-                    ? 'bg-slate-700 text-white border-slate-600'
-                    : 'bg-white text-slate-700 border-slate-300'
-                } ${
-                  filters.week !== 'All'
-                    ? isDarkMode
-                      ? 'border-teal-500'
-                      : 'bg-teal-50 border-teal-300'
-                    : ''
-                }`}
-              >
-                <option value="All">All Weeks</option>
-                {uniqueValues.weeks.map((week) => (
-                  <option key={week} value={week}>{week}</option>
+              <label className={`block text-sm font-medium mb-1 ${isDarkMode ? 'text-slate-300' : 'text-slate-600'}`}>Appointment Dates</label>
+              <div className="flex items-center gap-2">
+                {['start', 'end'].map((bound) => (
+                  <input
+                    key={bound}
+                    type="date"
+                    value={panelFilters.appointmentDate[bound]}
+                    min={uniqueValues.dateRange.min || undefined}
+                    max={uniqueValues.dateRange.max || undefined}
+                    onChange={(e) => updateRangeFilter('appointmentDate', bound, e.target.value)}
+                    aria-label={bound === 'start' ? 'First appointment date' : 'Last appointment date'}
+                    className={`w-full p-2 border rounded-md ${
+                      isDarkMode
+                        ? 'bg-slate-700 text-white border-slate-600 [color-scheme:dark]'
+                        : 'bg-white text-slate-700 border-slate-300'
+                    } ${
+                      panelFilters.appointmentDate[bound]
+                        ? isDarkMode
+                          ? 'border-teal-500'
+                          : 'bg-teal-50 border-teal-300'
+                        : ''
+                    }`}
+                  />
                 ))}
-              </select>
+              </div>
             </div>
+
+            {optionalFilters.map((def) => (
+              <MultiSelectFilter
+                key={def.key}
+                label={def.label}
+                options={(uniqueValues.optional[def.key] || []).map((v) => ({ value: v, label: formatOptionalFilterValue(def, v) }))}
+                selected={panelFilters[def.key]}
+                onChange={(selected) => setPanelFilters((prev) => ({ ...prev, [def.key]: selected }))}
+                isDarkMode={isDarkMode}
+              />
+            ))}
           </div>
         </div>
 
@@ -1208,9 +1929,12 @@ const PatientNoShowDashboard = () => {
                 ℹ️
               </span>
             </p>
-            <p className={`text-3xl font-bold tracking-tight ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>
-              {kpis.total.toLocaleString()}
-            </p>
+            {isComparing ? renderSegmentKpi('total') : (
+              <p className={`text-3xl font-bold tracking-tight ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>
+                {kpis.total.toLocaleString()}
+              </p>
+            )}
+            {renderBaselineKpi('total')}
           </div>
 
           <div className={`${isDarkMode ? 'bg-slate-800' : 'bg-white'} p-6 rounded-xl shadow-md border-t-[6px] border-rose-400 transition-all duration-200 cursor-pointer hover:-translate-y-0.5 hover:shadow-lg`}>
@@ -1224,7 +1948,10 @@ const PatientNoShowDashboard = () => {
                 ℹ️
               </span>
             </p>
-            <p className="text-3xl font-bold text-rose-400 tracking-tight">{kpis.noShows.toLocaleString()}</p>
+            {isComparing ? renderSegmentKpi('noShows') : (
+              <p className="text-3xl font-bold text-rose-400 tracking-tight">{kpis.noShows.toLocaleString()}</p>
+            )}
+            {renderBaselineKpi('noShows')}
           </div>
 
           <div className={`${isDarkMode ? 'bg-slate-800' : 'bg-white'} p-6 rounded-xl shadow-md border-t-[6px] border-teal-500 transition-all duration-200 cursor-pointer hover:-translate-y-0.5 hover:shadow-lg`}>
@@ -1238,7 +1965,10 @@ const PatientNoShowDashboard = () => {
                 ℹ️
               </span>
             </p>
-            <p className="text-3xl font-bold text-teal-600 tracking-tight">{kpis.shows.toLocaleString()}</p>
+            {isComparing ? renderSegmentKpi('shows') : (
+              <p className="text-3xl font-bold text-teal-600 tracking-tight">{kpis.shows.toLocaleString()}</p>
+            )}
+            {renderBaselineKpi('shows')}
           </div>
 
           <div className={`${isDarkMode ? 'bg-slate-800' : 'bg-white'} p-6 rounded-xl shadow-md border-t-[6px] border-amber-500 transition-all duration-200 cursor-pointer hover:-translate-y-0.5 hover:shadow-lg`}>
@@ -1252,18 +1982,61 @@ const PatientNoShowDashboard = () => {
                 ℹ️
               </span>
             </p>
-            <p className="text-3xl font-bold text-amber-500 tracking-tight">{kpis.noShowRate}%</p>
+            {isComparing ? renderSegmentKpi('noShowRate', '%') : (
+              <p className="text-3xl font-bold text-amber-500 tracking-tight">{kpis.noShowRate}%</p>
+            )}
+            {renderBaselineKpi('rate')}
           </div>
         </div>
 
         <div className={`text-center text-sm mb-6 ${isDarkMode ? 'text-slate-400' : 'text-slate-500'}`}>
           <span className="inline-flex items-center gap-1">
             <span>ℹ️</span>
-            <span>All stats and charts reflect current filters (n = {filteredData.length.toLocaleString()} appointments)</span>
+            <span>
+              {isComparing
+                ? `KPIs and charts compare segment A (n = ${kpis.total.toLocaleString()}) with segment B (n = ${compareKpis.total.toLocaleString()}); takeaways, statistics and the model use segment A`
+                : `All stats and charts reflect current filters (n = ${filteredData.length.toLocaleString()} appointments)${
+                  baselineComparison ? `; changes are against the baseline, ${baseline.name}` : ''
+                }`}
+            </span>
           </span>
         </div>
 
-        {currentViewSummary && (
+        {segmentComparison && (
+          <div
+            className={`${
+              isDarkMode ? 'bg-indigo-900/20' : 'bg-indigo-50'
+            } border-l-4 border-indigo-500 rounded-xl shadow-md p-6 mb-8`}
+          >
+            <div className="flex items-start gap-3">
+              <span className="text-2xl flex-shrink-0" aria-hidden="true">⚖️</span>
+              <div className="flex-1">
+                <h3 className={`text-lg font-semibold mb-2 ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>
+                  Segment Comparison
+                </h3>
+                <p className={`text-sm mb-2 ${isDarkMode ? 'text-slate-300' : 'text-slate-700'}`}>
+                  {segmentComparison.summary}
+                </p>
+                <p className={`text-sm mb-3 ${isDarkMode ? 'text-slate-300' : 'text-slate-700'}`}>
+                  {segmentComparison.result}
+                </p>
+                {segmentComparison.insight && (
+                  <p className={`text-sm font-medium ${isDarkMode ? 'text-indigo-300' : 'text-indigo-700'}`}>
+                    {segmentComparison.insight}
+                  </p>
+                )}
+                {segmentComparison.overlap > 0 && (
+                  <p className={`text-xs mt-2 ${isDarkMode ? 'text-amber-300' : 'text-amber-700'}`}>
+                    ⚠️ {segmentComparison.overlap.toLocaleString()} appointments match both segments. The test assumes independent
+                    groups, so treat the p-value as approximate.
+                  </p>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+
+        {!isComparing && currentViewSummary && (
           <div
             className={`${
               isDarkMode ? 'bg-purple-900/20' : 'bg-purple-50'
@@ -1331,87 +2104,138 @@ const PatientNoShowDashboard = () => {
           </div>
         )}
 
+        {!isComparing && (
+          <p className={`text-xs mb-2 ${isDarkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+            Click a bar, slice or week to filter the dashboard to it; Shift-click to select several. Click a selection again to clear it.
+          </p>
+        )}
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
           <div className={`${isDarkMode ? 'bg-slate-800' : 'bg-white'} p-8 rounded-xl shadow-md border-l-4 border-teal-500`}>
             <div className="flex items-center justify-between mb-4">
               <h3 className={`text-lg font-semibold ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>No-Show by Age Group</h3>
-              <div className={`inline-flex rounded-lg p-1 border ${isDarkMode ? 'bg-slate-700 border-slate-600' : 'bg-slate-100 border-slate-200'}`}>
-                <button
-                  onClick={() => setAgeView('count')}
-                  className={
-                    ageView === 'count'
-                      ? (isDarkMode ? 'px-3 py-1 text-xs font-medium rounded-md bg-teal-500 text-white' : 'px-3 py-1 text-xs font-medium rounded-md bg-teal-600 text-white')
-                      : (isDarkMode ? 'px-3 py-1 text-xs font-medium rounded-md bg-slate-700 text-slate-300' : 'px-3 py-1 text-xs font-medium rounded-md bg-white text-slate-600 border border-slate-200')
-                  }
-                >
-                  Count
-                </button>
+              <div className="flex items-center gap-2">
                 <button
-                  onClick={() => setAgeView('rate')}
-                  className={
-                    ageView === 'rate'
-                      ? (isDarkMode ? 'px-3 py-1 text-xs font-medium rounded-md bg-teal-500 text-white' : 'px-3 py-1 text-xs font-medium rounded-md bg-teal-600 text-white')
-                      : (isDarkMode ? 'px-3 py-1 text-xs font-medium rounded-md bg-slate-700 text-slate-300' : 'px-3 py-1 text-xs font-medium rounded-md bg-white text-slate-600 border border-slate-200')
-                  }
+                  type="button"
+                  onClick={() => setShowAgeBandEditor(!showAgeBandEditor)}
+                  aria-expanded={showAgeBandEditor}
+                  title="Choose how ages are grouped in the chart, filter and insights"
+                  className={`px-3 py-1 text-xs font-medium rounded-md border ${
+                    isDarkMode ? 'bg-slate-700 text-slate-300 border-slate-600 hover:bg-slate-600' : 'bg-white text-slate-600 border-slate-200 hover:bg-slate-50'
+                  }`}
                 >
-                  Rate
+                  ⚙️ Bands
                 </button>
+                <div className={`inline-flex rounded-lg p-1 border ${isDarkMode ? 'bg-slate-700 border-slate-600' : 'bg-slate-100 border-slate-200'}`}>
+                  <button
+                    onClick={() => setAgeView('count')}
+                    className={
+                      ageView === 'count'
+                        ? (isDarkMode ? 'px-3 py-1 text-xs font-medium rounded-md bg-teal-500 text-white' : 'px-3 py-1 text-xs font-medium rounded-md bg-teal-600 text-white')
+                        : (isDarkMode ? 'px-3 py-1 text-xs font-medium rounded-md bg-slate-700 text-slate-300' : 'px-3 py-1 text-xs font-medium rounded-md bg-white text-slate-600 border border-slate-200')
+                    }
+                  >
+                    Count
+                  </button>
+                  <button
+                    onClick={() => setAgeView('rate')}
+                    className={
+                      ageView === 'rate'
+                        ? (isDarkMode ? 'px-3 py-1 text-xs font-medium rounded-md bg-teal-500 text-white' : 'px-3 py-1 text-xs font-medium rounded-md bg-teal-600 text-white')
+                        : (isDarkMode ? 'px-3 py-1 text-xs font-medium rounded-md bg-slate-700 text-slate-300' : 'px-3 py-1 text-xs font-medium rounded-md bg-white text-slate-600 border border-slate-200')
+                    }
+                  >
+                    Rate
+                  </button>
+                </div>
+                {renderChartExportMenu('byAge')}
               </div>
             </div>
+            {showAgeBandEditor && (
+              <AgeBandEditor
+                settings={ageBandSettings}
+                groups={uniqueValues.ageGroups}
+                hasAges={hasAges}
+                isDarkMode={isDarkMode}
+                onChange={updateAgeBandSettings}
+              />
+            )}
 
-            <ResponsiveContainer width="100%" height={300}>
-              {ageView === 'count' ? (
-                <BarChart data={chartData.byAge}>
-                  <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis
-                    dataKey="name"
-                    tick={{ fill: isDarkMode ? '#e2e8f0' : '#475569' }}
-                  />
-                  <YAxis
-                    width={60}
-                    tick={{ fill: isDarkMode ? '#e2e8f0' : '#475569' }}
-                  />
-                  <Tooltip content={<CustomBarTooltip />} />
-                  <Legend />
-                  <Bar dataKey="Show" fill="#0d9488" cursor="pointer" onClick={handleAgeGroupBarClick} />
-                  <Bar dataKey="NoShow" fill="#fb923c" cursor="pointer" onClick={handleAgeGroupBarClick} />
-                </BarChart>
+            <div ref={(el) => { chartRefs.current.byAge = el; }}>
+              {comparisonSeries ? (
+                <SegmentComparisonChart
+                  data={comparisonSeries.byAge}
+                  type="bar" view={ageView}
+                  segmentLabels={segmentLabels}
+                  onSelect={selectFromComparison('ageGroup')}
+                  isDarkMode={isDarkMode}
+                />
               ) : (
-                <BarChart data={chartData.byAge}>
-                  <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis
-                    dataKey="name"
-                    tick={{ fill: isDarkMode ? '#e2e8f0' : '#475569' }}
-                  />
-                  <YAxis
-                    domain={[0, 30]}
-                    width={60}
-                    tick={{ fill: isDarkMode ? '#e2e8f0' : '#475569' }}
-                    label={{ value: 'No-Show Rate (%)', angle: -90, position: 'insideLeft', fill: isDarkMode ? '#e2e8f0' : '#475569' }}
-                  />
-                  <Tooltip content={<CustomAgeRateTooltip />} />
-                  <ReferenceLine
-                    y={parseFloat(overallKpis.noShowRate)}
-                    stroke={isDarkMode ? '#94a3b8' : '#64748b'}
-                    strokeDasharray="5 5"
-                    label={{
-                      value: `Avg: ${overallKpis.noShowRate}%`,
-                      position: 'right',
-                      fill: isDarkMode ? '#94a3b8' : '#64748b',
-                      fontSize: 12
-                    }}
-                  />
-                  <Bar dataKey="rate" fill="#fb923c" cursor="pointer" onClick={handleAgeGroupBarClick} />
-                </BarChart>
+                <ResponsiveContainer width="100%" height={300}>
+                  {ageView === 'count' ? (
+                    <BarChart data={chartData.byAge}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis
+                        dataKey="name"
+                        tick={{ fill: isDarkMode ? '#e2e8f0' : '#475569' }}
+                      />
+                      <YAxis
+                        width={60}
+                        tick={{ fill: isDarkMode ? '#e2e8f0' : '#475569' }}
+                      />
+                      <Tooltip content={<BarTooltip isDarkMode={isDarkMode} />} />
+                      <Legend />
+                      {[['Show', '#0d9488'], ['NoShow', '#fb923c']].map(([dataKey, color]) => (
+                        <Bar key={dataKey} dataKey={dataKey} fill={color} cursor="pointer" onClick={handleAgeGroupBarClick}>
+                          {chartData.byAge.map((entry) => (
+                            <Cell key={entry.name} fill={color} {...selectionStyle('ageGroup', entry.name)} />
+                          ))}
+                        </Bar>
+                      ))}
+                    </BarChart>
+                  ) : (
+                    <BarChart data={chartData.byAge}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis
+                        dataKey="name"
+                        tick={{ fill: isDarkMode ? '#e2e8f0' : '#475569' }}
+                      />
+                      <YAxis
+                        domain={rateAxisDomain(chartData.byAge)}
+                        width={60}
+                        tick={{ fill: isDarkMode ? '#e2e8f0' : '#475569' }}
+                        label={{ value: 'No-Show Rate (%)', angle: -90, position: 'insideLeft', fill: isDarkMode ? '#e2e8f0' : '#475569' }}
+                      />
+                      <Tooltip content={<RateTooltip isDarkMode={isDarkMode} labelPrefix="Age Group: " />} />
+                      <ReferenceLine
+                        y={parseFloat(overallKpis.noShowRate)}
+                        stroke={isDarkMode ? '#94a3b8' : '#64748b'}
+                        strokeDasharray="5 5"
+                        label={{
+                          value: `Avg: ${overallKpis.noShowRate}%`,
+                          position: 'right',
+                          fill: isDarkMode ? '#94a3b8' : '#64748b',
+                          fontSize: 12
+                        }}
+                      />
+                      <Bar dataKey="rate" fill="#fb923c" cursor="pointer" onClick={handleAgeGroupBarClick}>
+                        {chartData.byAge.map((entry) => (
+                          <Cell key={entry.name} fill="#fb923c" {...selectionStyle('ageGroup', entry.name, entry.isSmallSample ? 0.35 : 1)} />
+                        ))}
+                        <ErrorBar dataKey="rateError" width={6} strokeWidth={1.5} stroke={isDarkMode ? '#e2e8f0' : '#475569'} />
+                      </Bar>
+                    </BarChart>
+                  )}
+                </ResponsiveContainer>
               )}
-            </ResponsiveContainer>
+            </div>
 
-            {ageView === 'count' && ageGroupInsight.count && (
+            {ageView === 'rate' && rateIntervalCaption}
+            {!isComparing && ageView === 'count' && ageGroupInsight.count && (
               <p className={`mt-3 text-xs ${isDarkMode ? 'text-slate-300' : 'text-slate-600'}`}>
                 {ageGroupInsight.count}
               </p>
             )}
-            {ageView === 'rate' && ageGroupInsight.rate && (
+            {!isComparing && ageView === 'rate' && ageGroupInsight.rate && (
               <p className={`mt-3 text-xs ${isDarkMode ? 'text-slate-300' : 'text-slate-600'}`}>
                 {ageGroupInsight.rate}
               </p>
@@ -1419,250 +2243,475 @@ const PatientNoShowDashboard = () => {
           </div>
 
           <div className={`${isDarkMode ? 'bg-slate-800' : 'bg-white'} p-8 rounded-xl shadow-md border-l-4 border-teal-500`}> 
-            <h3 className={`text-lg font-semibold mb-4 ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>Overall Distribution</h3>
-            <ResponsiveContainer width="100%" height={300}>
-              <PieChart>
-                <Pie
-                  data={chartData.pieData}
-                  cx="50%"
-                  cy="50%"
-                  outerRadius={100}
-                  dataKey="value"
-                >
-                  {chartData.pieData.map((entry, index) => (
-                    <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
-                  ))}
-                </Pie>
-                <Legend
-                  verticalAlign="bottom"
-                  height={36}
-                  wrapperStyle={{ fontSize: 14 }}
-                  formatter={(value, entry) => {
-                    const total = chartData.pieData.reduce(
-                      (sum, d) => sum + (Number(d.value) || 0),
-                      0
-                    );
-                    const v = entry?.payload?.value ?? 0;
-                    const pct = total > 0 ? ((v / total) * 100).toFixed(1) : '0.0';
-
-                    const label =
-                      value === 'Showed Up'
-                        ? 'Showed Up'
-                        : value === 'No-Show'
-                          ? 'No-Show'
-                          : String(value);
-
-                    return `${label} (${pct}%)`;
-                  }}
+            <div className="flex items-center justify-between mb-4">
+              <h3 className={`text-lg font-semibold ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>Overall Distribution</h3>
+              {renderChartExportMenu('pieData')}
+            </div>
+            <div ref={(el) => { chartRefs.current.pieData = el; }}>
+              {comparisonSeries ? (
+                <SegmentComparisonChart
+                  data={comparisonSeries.pieData}
+                  type="pie"
+                  segmentLabels={segmentLabels}
+                  onSelect={selectFromComparison('outcome')}
+                  isDarkMode={isDarkMode}
                 />
-                <Tooltip />
-              </PieChart>
-            </ResponsiveContainer>
+              ) : (
+                <ResponsiveContainer width="100%" height={300}>
+                  <PieChart>
+                    <Pie
+                      data={chartData.pieData}
+                      cx="50%"
+                      cy="50%"
+                      outerRadius={100}
+                      dataKey="value"
+                      cursor="pointer"
+                      onClick={(data, index, event) => selectFromChart('outcome', data?.payload?.outcome, event)}
+                    >
+                      {chartData.pieData.map((entry, index) => (
+                        <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} {...selectionStyle('outcome', entry.outcome)} />
+                      ))}
+                    </Pie>
+                    <Legend
+                      verticalAlign="bottom"
+                      height={36}
+                      wrapperStyle={{ fontSize: 14 }}
+                      formatter={(value, entry) => {
+                        const total = chartData.pieData.reduce(
+                          (sum, d) => sum + (Number(d.value) || 0),
+                          0
+                        );
+                        const v = entry?.payload?.value ?? 0;
+                        const pct = total > 0 ? ((v / total) * 100).toFixed(1) : '0.0';
+
+                        const label =
+                          value === 'Showed Up'
+                            ? 'Showed Up'
+                            : value === 'No-Show'
+                              ? 'No-Show'
+                              : String(value);
+
+                        return `${label} (${pct}%)`;
+                      }}
+                    />
+                    <Tooltip />
+                  </PieChart>
+                </ResponsiveContainer>
+              )}
+            </div>
           </div>
 
           <div className={`${isDarkMode ? 'bg-slate-800' : 'bg-white'} p-8 rounded-xl shadow-md border-l-4 border-blue-500`}>
             <div className="flex items-center justify-between mb-4">
               <h3 className={`text-lg font-semibold ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>No-Show by SMS Reminder</h3>
-              <div className={`inline-flex rounded-lg p-1 border ${isDarkMode ? 'bg-slate-700 border-slate-600' : 'bg-slate-100 border-slate-200'}`}>
-                <button
-                  onClick={() => setSmsView('count')}
-                  className={
-                    smsView === 'count'
-                      ? (isDarkMode ? 'px-3 py-1 text-xs font-medium rounded-md bg-teal-500 text-white' : 'px-3 py-1 text-xs font-medium rounded-md bg-teal-600 text-white')
-                      : (isDarkMode ? 'px-3 py-1 text-xs font-medium rounded-md bg-slate-700 text-slate-300' : 'px-3 py-1 text-xs font-medium rounded-md bg-white text-slate-600 border border-slate-200')
-                  }
-                >
-                  Count
-                </button>
-                <button
-                  onClick={() => setSmsView('rate')}
-                  className={
-                    smsView === 'rate'
-                      ? (isDarkMode ? 'px-3 py-1 text-xs font-medium rounded-md bg-teal-500 text-white' : 'px-3 py-1 text-xs font-medium rounded-md bg-teal-600 text-white')
-                      : (isDarkMode ? 'px-3 py-1 text-xs font-medium rounded-md bg-slate-700 text-slate-300' : 'px-3 py-1 text-xs font-medium rounded-md bg-white text-slate-600 border border-slate-200')
-                  }
-                >
-                  Rate
-                </button>
+              <div className="flex items-center gap-2">
+                <div className={`inline-flex rounded-lg p-1 border ${isDarkMode ? 'bg-slate-700 border-slate-600' : 'bg-slate-100 border-slate-200'}`}>
+                  <button
+                    onClick={() => setSmsView('count')}
+                    className={
+                      smsView === 'count'
+                        ? (isDarkMode ? 'px-3 py-1 text-xs font-medium rounded-md bg-teal-500 text-white' : 'px-3 py-1 text-xs font-medium rounded-md bg-teal-600 text-white')
+                        : (isDarkMode ? 'px-3 py-1 text-xs font-medium rounded-md bg-slate-700 text-slate-300' : 'px-3 py-1 text-xs font-medium rounded-md bg-white text-slate-600 border border-slate-200')
+                    }
+                  >
+                    Count
+                  </button>
+                  <button
+                    onClick={() => setSmsView('rate')}
+                    className={
+                      smsView === 'rate'
+                        ? (isDarkMode ? 'px-3 py-1 text-xs font-medium rounded-md bg-teal-500 text-white' : 'px-3 py-1 text-xs font-medium rounded-md bg-teal-600 text-white')
+                        : (isDarkMode ? 'px-3 py-1 text-xs font-medium rounded-md bg-slate-700 text-slate-300' : 'px-3 py-1 text-xs font-medium rounded-md bg-white text-slate-600 border border-slate-200')
+                    }
+                  >
+                    Rate
+                  </button>
+                </div>
+                {renderChartExportMenu('bySMS')}
               </div>
             </div>
 
-            <ResponsiveContainer width="100%" height={300}>
-              {smsView === 'count' ? (
-                <BarChart data={chartData.bySMS}>
-                  <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis
-                    dataKey="name"
-                    tick={{ fill: isDarkMode ? '#e2e8f0' : '#475569' }}
-                  />
-                  <YAxis
-                    width={60}
-                    tick={{ fill: isDarkMode ? '#e2e8f0' : '#475569' }}
-                  />
-                  <Tooltip content={<CustomBarTooltip />} />
-                  <Legend />
-                  <Bar dataKey="Show" fill="#0d9488" />
-                  <Bar dataKey="NoShow" fill="#fb923c" />
-                </BarChart>
+            <div ref={(el) => { chartRefs.current.bySMS = el; }}>
+              {comparisonSeries ? (
+                <SegmentComparisonChart
+                  data={comparisonSeries.bySMS}
+                  type="bar" view={smsView}
+                  segmentLabels={segmentLabels}
+                  onSelect={selectFromComparison('smsReceived')}
+                  isDarkMode={isDarkMode}
+                />
               ) : (
-                <BarChart data={chartData.bySMS}>
-                  <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis
-                    dataKey="name"
-                    tick={{ fill: isDarkMode ? '#e2e8f0' : '#475569' }}
-                  />
-                  <YAxis
-                    domain={[0, 35]}
-                    width={60}
-                    tick={{ fill: isDarkMode ? '#e2e8f0' : '#475569' }}
-                    tickFormatter={(v) => `${v}%`}
-                    label={{ value: 'No-Show Rate (%)', angle: -90, position: 'insideLeft', fill: isDarkMode ? '#e2e8f0' : '#475569' }}
-                  />
-                  <Tooltip content={<CustomSmsRateTooltip />} />
-                  <ReferenceLine
-                    y={parseFloat(overallKpis.noShowRate)}
-                    stroke={isDarkMode ? '#94a3b8' : '#64748b'}
-                    strokeDasharray="5 5"
-                    label={{
-                      value: `Avg: ${overallKpis.noShowRate}%`,
-                      position: 'right',
-                      fill: isDarkMode ? '#94a3b8' : '#64748b',
-                      fontSize: 12
-                    }}
-                  />
-                  <Bar dataKey="rate" fill="#fb923c" />
-                </BarChart>
+                <ResponsiveContainer width="100%" height={300}>
+                  {smsView === 'count' ? (
+                    <BarChart data={chartData.bySMS}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis
+                        dataKey="name"
+                        tick={{ fill: isDarkMode ? '#e2e8f0' : '#475569' }}
+                      />
+                      <YAxis
+                        width={60}
+                        tick={{ fill: isDarkMode ? '#e2e8f0' : '#475569' }}
+                      />
+                      <Tooltip content={<BarTooltip isDarkMode={isDarkMode} />} />
+                      <Legend />
+                      {[['Show', '#0d9488'], ['NoShow', '#fb923c']].map(([dataKey, color]) => (
+                        <Bar key={dataKey} dataKey={dataKey} fill={color} cursor="pointer" onClick={handleSmsBarClick}>
+                          {chartData.bySMS.map((entry) => (
+                            <Cell key={entry.name} fill={color} {...selectionStyle('smsReceived', entry.filterValue)} />
+                          ))}
+                        </Bar>
+                      ))}
+                    </BarChart>
+                  ) : (
+                    <BarChart data={chartData.bySMS}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis
+                        dataKey="name"
+                        tick={{ fill: isDarkMode ? '#e2e8f0' : '#475569' }}
+                      />
+                      <YAxis
+                        domain={rateAxisDomain(chartData.bySMS)}
+                        width={60}
+                        tick={{ fill: isDarkMode ? '#e2e8f0' : '#475569' }}
+                        tickFormatter={(v) => `${v}%`}
+                        label={{ value: 'No-Show Rate (%)', angle: -90, position: 'insideLeft', fill: isDarkMode ? '#e2e8f0' : '#475569' }}
+                      />
+                      <Tooltip content={<RateTooltip isDarkMode={isDarkMode} />} />
+                      <ReferenceLine
+                        y={parseFloat(overallKpis.noShowRate)}
+                        stroke={isDarkMode ? '#94a3b8' : '#64748b'}
+                        strokeDasharray="5 5"
+                        label={{
+                          value: `Avg: ${overallKpis.noShowRate}%`,
+                          position: 'right',
+                          fill: isDarkMode ? '#94a3b8' : '#64748b',
+                          fontSize: 12
+                        }}
+                      />
+                      <Bar dataKey="rate" fill="#fb923c" cursor="pointer" onClick={handleSmsBarClick}>
+                        {chartData.bySMS.map((entry) => (
+                          <Cell key={entry.name} fill="#fb923c" {...selectionStyle('smsReceived', entry.filterValue, entry.isSmallSample ? 0.35 : 1)} />
+                        ))}
+                        <ErrorBar dataKey="rateError" width={6} strokeWidth={1.5} stroke={isDarkMode ? '#e2e8f0' : '#475569'} />
+                      </Bar>
+                    </BarChart>
+                  )}
+                </ResponsiveContainer>
               )}
-            </ResponsiveContainer>
+            </div>
+            {smsView === 'rate' && rateIntervalCaption}
 
-            {chartData.bySMS && (chartData.bySMS[0]?.total === 0 || chartData.bySMS[1]?.total === 0) && (
+            {!isComparing && chartData.bySMS && (chartData.bySMS[0]?.total === 0 || chartData.bySMS[1]?.total === 0) && (
               <p className={`text-xs mt-2 italic ${isDarkMode ? 'text-slate-400' : 'text-slate-500'}`}>
                 Note: {chartData.bySMS[0]?.total === 0 ? 'No appointments in "SMS Sent"' : 'No appointments in "No SMS"'} for the current filters.
               </p>
             )}
 
-            <div className={`${isDarkMode ? 'bg-yellow-900/20 border-yellow-500' : 'bg-yellow-50 border-yellow-500'} border-l-4 p-3 mt-3 rounded`}>
-              <p className={`font-semibold ${isDarkMode ? 'text-yellow-400' : 'text-yellow-700'}`}>
-                ⚠️ Counter-Intuitive Finding
-              </p>
-              <p className={`text-sm mt-1 ${isDarkMode ? 'text-yellow-300' : 'text-yellow-800'}`}>
-                SMS recipients have HIGHER no-show rates (27.6%) than non-recipients (16.7%). This likely indicates SMS reminders are sent to high-risk patients, not that SMS causes no-shows.
-              </p>
-            </div>
+            {smsRecipientsNoShowMore && (
+              <div className={`${isDarkMode ? 'bg-yellow-900/20 border-yellow-500' : 'bg-yellow-50 border-yellow-500'} border-l-4 p-3 mt-3 rounded`}>
+                <p className={`font-semibold ${isDarkMode ? 'text-yellow-400' : 'text-yellow-700'}`}>
+                  ⚠️ Counter-Intuitive Finding
+                </p>
+                <p className={`text-sm mt-1 ${isDarkMode ? 'text-yellow-300' : 'text-yellow-800'}`}>
+                  SMS recipients have HIGHER no-show rates ({smsSent.rate}%) than non-recipients ({smsNotSent.rate}%). This likely indicates SMS reminders are sent to high-risk patients, not that SMS causes no-shows.
+                </p>
+              </div>
+            )}
           </div>
 
           <div className={`${isDarkMode ? 'bg-slate-800' : 'bg-white'} p-8 rounded-xl shadow-md border-l-4 border-amber-500`}> 
-            <h3 className={`text-lg font-semibold mb-4 ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>No-Show Rate by Waiting Time</h3>
-            {waitingDaysStats.excludedCount > 0 && (
+            <div className="flex items-center justify-between mb-4">
+              <h3 className={`text-lg font-semibold ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>No-Show Rate by Waiting Time</h3>
+              <div className="flex items-center gap-2">
+                <button
+                  type="button"
+                  onClick={() => setShowBinEditor(!showBinEditor)}
+                  aria-expanded={showBinEditor}
+                  title="Choose the waiting-time bins used by the chart, insights, filter and exports"
+                  className={`px-3 py-1 text-xs font-medium rounded-md border ${
+                    isDarkMode ? 'bg-slate-700 text-slate-300 border-slate-600 hover:bg-slate-600' : 'bg-white text-slate-600 border-slate-200 hover:bg-slate-50'
+                  }`}
+                >
+                  ⚙️ Bins
+                </button>
+                {renderChartExportMenu('byWaitingDays')}
+              </div>
+            </div>
+            {showBinEditor && (
+              <WaitingBinEditor
+                settings={waitingBinSettings}
+                bins={waitingTimeBins}
+                isDarkMode={isDarkMode}
+                onChange={updateWaitingBinSettings}
+              />
+            )}
+            {!isComparing && waitingDaysStats.excludedCount > 0 && (
               <p className={`text-xs mt-2 mb-2 ${isDarkMode ? 'text-slate-300' : 'text-slate-600'}`}>
                 Note: {waitingDaysStats.excludedCount} appointments excluded (missing waiting time).
               </p>
             )}
-            <ResponsiveContainer width="100%" height={300}>
-              <BarChart data={chartData.byWaitingDays}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis
-                  dataKey="name"
-                  tick={{ fill: isDarkMode ? '#e2e8f0' : '#475569' }}
-                />
-                <YAxis
-                  width={60}
-                  tick={{ fill: isDarkMode ? '#e2e8f0' : '#475569' }}
+            <div ref={(el) => { chartRefs.current.byWaitingDays = el; }}>
+              {comparisonSeries ? (
+                <SegmentComparisonChart
+                  data={comparisonSeries.byWaitingDays}
+                  type="bar" view="rate"
+                  segmentLabels={segmentLabels}
+                  onSelect={selectFromComparison('waitingDays')}
+                  isDarkMode={isDarkMode}
                 />
-                <Tooltip content={<CustomWaitingTooltip />} />
-                <Bar dataKey="No-Show Rate" fill="#fb923c" />
-              </BarChart>
-            </ResponsiveContainer>
+              ) : (
+                <ResponsiveContainer width="100%" height={300}>
+                  <BarChart data={chartData.byWaitingDays}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis
+                      dataKey="name"
+                      tick={{ fill: isDarkMode ? '#e2e8f0' : '#475569' }}
+                    />
+                    <YAxis
+                      domain={rateAxisDomain(chartData.byWaitingDays)}
+                      width={60}
+                      tick={{ fill: isDarkMode ? '#e2e8f0' : '#475569' }}
+                    />
+                    <Tooltip content={<WaitingTooltip isDarkMode={isDarkMode} />} />
+                    <Bar
+                      dataKey="No-Show Rate"
+                      fill="#fb923c"
+                      cursor="pointer"
+                      onClick={(data, index, event) => selectFromChart('waitingDays', data?.payload?.filterValue, event)}
+                    >
+                      {chartData.byWaitingDays.map((entry) => (
+                        <Cell key={entry.name} fill="#fb923c" {...selectionStyle('waitingDays', entry.filterValue, entry.isSmallSample ? 0.35 : 1)} />
+                      ))}
+                      <ErrorBar dataKey="rateError" width={6} strokeWidth={1.5} stroke={isDarkMode ? '#e2e8f0' : '#475569'} />
+                    </Bar>
+                  </BarChart>
+                </ResponsiveContainer>
+              )}
+            </div>
+            {rateIntervalCaption}
           </div>
 
           <div className={`${isDarkMode ? 'bg-slate-800' : 'bg-white'} p-8 rounded-xl shadow-md border-l-4 border-indigo-500 lg:col-span-2`}>
             <div className="flex items-center justify-between mb-4">
               <h3 className={`text-lg font-semibold ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>No-Show Trends by Week</h3>
-              <div className={`inline-flex rounded-lg p-1 border ${isDarkMode ? 'bg-slate-700 border-slate-600' : 'bg-slate-100 border-slate-200'}`}>
-                <button
-                  onClick={() => setWeeklyView('count')}
-                  className={
-                    weeklyView === 'count'
-                      ? (isDarkMode ? 'px-3 py-1 text-xs font-medium rounded-md bg-teal-500 text-white' : 'px-3 py-1 text-xs font-medium rounded-md bg-teal-600 text-white')
-                      : (isDarkMode ? 'px-3 py-1 text-xs font-medium rounded-md bg-slate-700 text-slate-300' : 'px-3 py-1 text-xs font-medium rounded-md bg-white text-slate-600 border border-slate-200')
-                  }
-                >
-                  Count
-                </button>
-                <button
-                  onClick={() => setWeeklyView('rate')}
-                  className={
-                    weeklyView === 'rate'
-                      ? (isDarkMode ? 'px-3 py-1 text-xs font-medium rounded-md bg-teal-500 text-white' : 'px-3 py-1 text-xs font-medium rounded-md bg-teal-600 text-white')
-                      : (isDarkMode ? 'px-3 py-1 text-xs font-medium rounded-md bg-slate-700 text-slate-300' : 'px-3 py-1 text-xs font-medium rounded-md bg-white text-slate-600 border border-slate-200')
-                  }
-                >
-                  Rate
-                </button>
+              <div className="flex items-center gap-2">
+                <div className={`inline-flex rounded-lg p-1 border ${isDarkMode ? 'bg-slate-700 border-slate-600' : 'bg-slate-100 border-slate-200'}`}>
+                  <button
+                    onClick={() => setWeeklyView('count')}
+                    className={
+                      weeklyView === 'count'
+                        ? (isDarkMode ? 'px-3 py-1 text-xs font-medium rounded-md bg-teal-500 text-white' : 'px-3 py-1 text-xs font-medium rounded-md bg-teal-600 text-white')
+                        : (isDarkMode ? 'px-3 py-1 text-xs font-medium rounded-md bg-slate-700 text-slate-300' : 'px-3 py-1 text-xs font-medium rounded-md bg-white text-slate-600 border border-slate-200')
+                    }
+                  >
+                    Count
+                  </button>
+                  <button
+                    onClick={() => setWeeklyView('rate')}
+                    className={
+                      weeklyView === 'rate'
+                        ? (isDarkMode ? 'px-3 py-1 text-xs font-medium rounded-md bg-teal-500 text-white' : 'px-3 py-1 text-xs font-medium rounded-md bg-teal-600 text-white')
+                        : (isDarkMode ? 'px-3 py-1 text-xs font-medium rounded-md bg-slate-700 text-slate-300' : 'px-3 py-1 text-xs font-medium rounded-md bg-white text-slate-600 border border-slate-200')
+                    }
+                  >
+                    Rate
+                  </button>
+                </div>
+                {renderChartExportMenu('byWeek')}
               </div>
             </div>
 
-            <ResponsiveContainer width="100%" height={300}>
-              {weeklyView === 'count' ? (
-                <BarChart data={chartData.byWeek}>
-                  <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis
-                    dataKey="name"
-                    tick={{ fill: isDarkMode ? '#e2e8f0' : '#475569' }}
-                    angle={-45}
-                    textAnchor="end"
-                    height={80}
-                  />
-                  <YAxis
-                    width={60}
-                    tick={{ fill: isDarkMode ? '#e2e8f0' : '#475569' }}
-                  />
-                  <Tooltip content={<CustomBarTooltip />} />
-                  <Legend />
-                  <Bar dataKey="Show" fill="#0d9488" />
-                  <Bar dataKey="NoShow" fill="#fb923c" />
-                </BarChart>
+            <div ref={(el) => { chartRefs.current.byWeek = el; }}>
+              {comparisonSeries ? (
+                <SegmentComparisonChart
+                  data={comparisonSeries.byWeek}
+                  type="line" view={weeklyView}
+                  segmentLabels={segmentLabels}
+                  onSelect={selectFromComparison('week')}
+                  isDarkMode={isDarkMode}
+                />
               ) : (
-                <LineChart data={chartData.byWeek}>
-                  <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis
-                    dataKey="name"
-                    tick={{ fill: isDarkMode ? '#e2e8f0' : '#475569' }}
-                    angle={-45}
-                    textAnchor="end"
-                    height={80}
-                  />
-                  <YAxis
-                    domain={[15, 25]}
-                    width={60}
-                    tick={{ fill: isDarkMode ? '#e2e8f0' : '#475569' }}
-                    label={{ value: 'No-Show Rate (%)', angle: -90, position: 'insideLeft', fill: isDarkMode ? '#e2e8f0' : '#475569' }}
-                  />
-                  <Tooltip content={<CustomWeeklyRateTooltip />} />
-                  <ReferenceLine
-                    y={parseFloat(overallKpis.noShowRate)}
-                    stroke={isDarkMode ? '#94a3b8' : '#64748b'}
-                    strokeDasharray="5 5"
-                    label={{
-                      value: `Avg: ${overallKpis.noShowRate}%`,
-                      position: 'right',
-                      fill: isDarkMode ? '#94a3b8' : '#64748b',
-                      fontSize: 12
-                    }}
-                  />
-                  <Line
-                    type="monotone"
-                    dataKey="rate"
-                    stroke="#fb923c"
-                    strokeWidth={2}
-                    dot={{ fill: '#fb923c', strokeWidth: 2, r: 4 }}
-                    activeDot={{ r: 6 }}
-                  />
-                </LineChart>
+                <ResponsiveContainer width="100%" height={300}>
+                  {weeklyView === 'count' ? (
+                    <BarChart data={chartData.byWeek} onClick={selectWeekFromChart} style={{ cursor: 'pointer' }}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis
+                        dataKey="name"
+                        tick={{ fill: isDarkMode ? '#e2e8f0' : '#475569' }}
+                        angle={-45}
+                        textAnchor="end"
+                        height={80}
+                      />
+                      <YAxis
+                        width={60}
+                        tick={{ fill: isDarkMode ? '#e2e8f0' : '#475569' }}
+                      />
+                      <Tooltip content={<BarTooltip isDarkMode={isDarkMode} />} />
+                      <Legend />
+                      {[['Show', '#0d9488'], ['NoShow', '#fb923c']].map(([dataKey, color]) => (
+                        <Bar key={dataKey} dataKey={dataKey} fill={color}>
+                          {chartData.byWeek.map((entry) => (
+                            <Cell key={entry.name} fill={color} {...selectionStyle('week', entry.name)} />
+                          ))}
+                        </Bar>
+                      ))}
+                    </BarChart>
+                  ) : (
+                    <ComposedChart
+                      data={weeklyChartData}
+                      onClick={(state, event) => {
+                        // Forecast weeks have no appointments to filter to
+                        if (weeklyForecast?.points.some((point) => point.name === state?.activeLabel)) return;
+                        selectWeekFromChart(state, event);
+                      }}
+                      style={{ cursor: 'pointer' }}
+                    >
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis
+                        dataKey="name"
+                        tick={{ fill: isDarkMode ? '#e2e8f0' : '#475569' }}
+                        angle={-45}
+                        textAnchor="end"
+                        height={80}
+                      />
+                      <YAxis
+                        domain={rateAxisDomain(weeklyChartData, ['rateBand', 'forecastBand'], { zoom: true })}
+                        width={60}
+                        tick={{ fill: isDarkMode ? '#e2e8f0' : '#475569' }}
+                        label={{ value: 'No-Show Rate (%)', angle: -90, position: 'insideLeft', fill: isDarkMode ? '#e2e8f0' : '#475569' }}
+                      />
+                      <Tooltip content={<RateTooltip isDarkMode={isDarkMode} />} />
+                      <ReferenceLine
+                        y={parseFloat(overallKpis.noShowRate)}
+                        stroke={isDarkMode ? '#94a3b8' : '#64748b'}
+                        strokeDasharray="5 5"
+                        label={{
+                          value: `Avg: ${overallKpis.noShowRate}%`,
+                          position: 'right',
+                          fill: isDarkMode ? '#94a3b8' : '#64748b',
+                          fontSize: 12
+                        }}
+                      />
+                      <Area
+                        type="monotone"
+                        dataKey="rateBand"
+                        stroke="none"
+                        fill="#fb923c"
+                        fillOpacity={0.15}
+                        activeDot={false}
+                        isAnimationActive={false}
+                      />
+                      <Line
+                        type="monotone"
+                        dataKey="rate"
+                        stroke="#fb923c"
+                        strokeWidth={2}
+                        dot={({ cx, cy, index, payload }) => {
+                          if (payload.isForecast) return <g key={`week-dot-${index}`} />;
+                          const selection = selectionStyle('week', payload.name, payload.isSmallSample ? 0.2 : 1);
+                          return (
+                            <circle
+                              key={`week-dot-${index}`}
+                              cx={cx}
+                              cy={cy}
+                              r={selection.stroke ? 6 : 4}
+                              fill="#fb923c"
+                              stroke={selection.stroke || '#fb923c'}
+                              strokeWidth={2}
+                              fillOpacity={selection.fillOpacity}
+                              strokeOpacity={payload.isSmallSample || selection.fillOpacity < 0.3 ? 0.4 : 1}
+                            />
+                          );
+                        }}
+                        activeDot={{ r: 6 }}
+                      />
+                      {weeklyForecast && (
+                        <Area
+                          type="monotone"
+                          dataKey="forecastBand"
+                          stroke="none"
+                          fill={isDarkMode ? '#94a3b8' : '#64748b'}
+                          fillOpacity={0.2}
+                          activeDot={false}
+                          isAnimationActive={false}
+                        />
+                      )}
+                      {weeklyForecast && (
+                        <Line
+                          type="monotone"
+                          dataKey="forecast"
+                          stroke="#fb923c"
+                          strokeWidth={2}
+                          strokeDasharray="6 4"
+                          dot={false}
+                          activeDot={{ r: 5 }}
+                          isAnimationActive={false}
+                        />
+                      )}
+                    </ComposedChart>
+                  )}
+                </ResponsiveContainer>
               )}
-            </ResponsiveContainer>
+            </div>
+            {weeklyView === 'rate' && rateIntervalCaption}
+
+            {!isComparing && weeklyView === 'rate' && (
+              <div className={`mt-3 space-y-2 text-xs ${isDarkMode ? 'text-slate-300' : 'text-slate-600'}`}>
+                <div className="flex flex-wrap items-center gap-3">
+                  <label className="flex items-center gap-1 font-medium">
+                    <input type="checkbox" checked={showForecast} onChange={(e) => setShowForecast(e.target.checked)} />
+                    Forecast
+                  </label>
+                  <select
+                    value={forecastOptions.horizon}
+                    onChange={(e) => setForecastOptions((prev) => ({ ...prev, horizon: Number(e.target.value) }))}
+                    disabled={!showForecast}
+                    aria-label="Forecast horizon"
+                    className={`rounded-md border px-2 py-1 ${isDarkMode ? 'bg-slate-900 border-slate-600 text-slate-200' : 'bg-white border-slate-300 text-slate-700'}`}
+                  >
+                    {FORECAST_HORIZONS.map((weeks) => (
+                      <option key={weeks} value={weeks}>next {weeks} weeks</option>
+                    ))}
+                  </select>
+                  <select
+                    value={forecastOptions.seasonPeriod}
+                    onChange={(e) => setForecastOptions((prev) => ({ ...prev, seasonPeriod: Number(e.target.value) }))}
+                    disabled={!showForecast}
+                    aria-label="Forecast seasonality"
+                    className={`rounded-md border px-2 py-1 ${isDarkMode ? 'bg-slate-900 border-slate-600 text-slate-200' : 'bg-white border-slate-300 text-slate-700'}`}
+                  >
+                    {SEASON_PERIODS.map((period) => (
+                      <option key={period} value={period} disabled={period > 0 && !canUseSeason(datedWeekCount, period)}>
+                        {period ? `${period}-week cycle` : 'No seasonality'}
+                        {period > 0 && !canUseSeason(datedWeekCount, period) ? ` (needs ${2 * period} weeks)` : ''}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                {showForecast && !weeklyForecast && (
+                  <p>The forecast needs at least {MIN_FORECAST_WEEKS} weeks of data; this selection has {datedWeekCount}.</p>
+                )}
+                {weeklyForecast && (
+                  <p>
+                    🔮 Forecast for the week of {weeklyForecast.points[0].name}: {weeklyForecast.points[0].forecast}%
+                    (95% prediction interval {weeklyForecast.points[0].forecastBand[0].toFixed(1)}–{weeklyForecast.points[0].forecastBand[1].toFixed(1)}%),
+                    from exponential smoothing{weeklyForecast.params.beta > 0 ? ' with trend' : ''}
+                    {weeklyForecast.seasonPeriod ? ` and a ${weeklyForecast.seasonPeriod}-week cycle` : ''}.
+                    {weeklyForecast.backtest && (
+                      <>
+                        {' '}Backtest over {weeklyForecast.backtest.count} past forecasts (1–{forecastOptions.horizon} weeks ahead): off by{' '}
+                        {weeklyForecast.backtest.mae.toFixed(1)} pp on average, vs {weeklyForecast.backtest.naiveMae.toFixed(1)} pp for
+                        repeating the last week; {Math.round(weeklyForecast.backtest.coverage * 100)}% of actual rates fell inside the interval.
+                        {weeklyForecast.backtest.mae >= weeklyForecast.backtest.naiveMae && ' The model does no better than that benchmark here, so treat the projection as a rough guide.'}
+                      </>
+                    )}
+                  </p>
+                )}
+              </div>
+            )}
 
-            {weeklyView === 'rate' && weeklyTrendInsight && (
+            {!isComparing && weeklyView === 'rate' && weeklyTrendInsight && (
               <p className={`mt-3 text-xs ${isDarkMode ? 'text-slate-300' : 'text-slate-600'}`}>
                 {weeklyTrendInsight}
               </p>
@@ -1670,6 +2719,259 @@ const PatientNoShowDashboard = () => {
           </div>
         </div>
 
+        <div className={`rounded-xl shadow-md p-4 mt-6 border ${isDarkMode ? 'bg-slate-800 border-slate-700' : 'bg-white border-slate-200'}`}>
+          <button
+            onClick={() => setShowBaseline(!showBaseline)}
+            className={`w-full flex justify-between items-center ${isDarkMode ? 'text-slate-200' : 'text-slate-700'}`}
+          >
+            <h3 className={`font-semibold ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>
+              📈 Change vs Baseline{baseline ? ` (${baseline.name})` : ''}
+            </h3>
+            <span className={isDarkMode ? 'text-white' : 'text-slate-800'}>
+              {showBaseline ? '▼' : '▶'}
+            </span>
+          </button>
+
+          {showBaseline && (
+            <div className={`mt-4 space-y-4 text-sm ${isDarkMode ? 'text-slate-300' : 'text-slate-700'}`}>
+              <div className="flex flex-wrap items-center gap-2">
+                <label htmlFor="baseline-dataset" className="font-medium">Baseline dataset</label>
+                <select
+                  id="baseline-dataset"
+                  value={baseline ? String(baseline.id ?? 'sample') : ''}
+                  onChange={(e) => selectBaseline(e.target.value)}
+                  className={`rounded-md border px-2 py-1 ${isDarkMode ? 'bg-slate-900 border-slate-600 text-slate-200' : 'bg-white border-slate-300 text-slate-700'}`}
+                >
+                  <option value="">None</option>
+                  {activeDataset && <option value="sample">Sample dataset</option>}
+                  {storedDatasets
+                    .filter((dataset) => dataset.id !== activeDataset?.id)
+                    .map((dataset) => (
+                      <option key={dataset.id} value={String(dataset.id)}>{dataset.name}</option>
+                    ))}
+                </select>
+                {baseline?.status === 'loading' && (
+                  <span className={`text-xs ${isDarkMode ? 'text-slate-400' : 'text-slate-500'}`}>Loading…</span>
+                )}
+              </div>
+
+              {!baseline && (
+                <p className={`text-xs ${isDarkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+                  Pick an earlier extract (say, last month&apos;s) to see how the KPIs and every chart breakdown changed since.
+                  Uploaded files are saved in this browser and listed here.
+                </p>
+              )}
+              {baseline?.status === 'error' && (
+                <p className={isDarkMode ? 'text-rose-300' : 'text-rose-700'}>
+                  The baseline could not be loaded: {baseline.error}
+                </p>
+              )}
+              {baseline?.status === 'ready' && isComparing && (
+                <p className={`text-xs ${isDarkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+                  Baseline changes are hidden while segments A and B are compared.
+                </p>
+              )}
+
+              {baselineComparison && (
+                <>
+                  <p className={`text-xs ${isDarkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+                    Current: {datasetSummary.uniqueValues.dateRange.min || '?'} – {datasetSummary.uniqueValues.dateRange.max || '?'}{' '}
+                    (n = {kpis.total.toLocaleString()}). Baseline: {baseline.summary.uniqueValues.dateRange.min || '?'} –{' '}
+                    {baseline.summary.uniqueValues.dateRange.max || '?'} (n = {baselineSelection.kpis.total.toLocaleString()}).
+                    Both use the current filters except the week and date ranges; weeks are paired by their position in
+                    each period. ✓ = p &lt; 0.05 (two-proportion z-test); faded rows have n &lt; {MIN_SAMPLE_SIZE} in a period.
+                  </p>
+
+                  <div>
+                    <p className={`font-medium ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>Biggest movers</p>
+                    {baselineComparison.movers.length > 0 ? (
+                      <ol className="mt-1 ml-4 list-decimal space-y-0.5">
+                        {baselineComparison.movers.map((mover) => (
+                          <li key={`${mover.key}-${mover.name}`}>
+                            {mover.breakdown} {mover.label}: {mover.change.baseline.rate.toFixed(1)}% →{' '}
+                            {mover.change.current.rate.toFixed(1)}%{' '}
+                            <span
+                              className={
+                                !mover.change.significant ? '' : mover.change.diff > 0 ? 'text-rose-500' : 'text-teal-600'
+                              }
+                            >
+                              ({formatPointChange(mover.change.diff)}, {formatPValue(mover.change.p)}){mover.change.significant && ' ✓'}
+                            </span>
+                          </li>
+                        ))}
+                      </ol>
+                    ) : (
+                      <p className={`mt-1 text-xs ${isDarkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+                        No segment has at least {MIN_SAMPLE_SIZE} appointments in both periods.
+                      </p>
+                    )}
+                  </div>
+
+                  <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                    {BASELINE_BREAKDOWNS.map(({ key, label }) => (
+                      <div key={key} className="overflow-x-auto">
+                        <p className={`font-medium mb-1 ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>{label}</p>
+                        <table className="w-full text-xs">
+                          <thead>
+                            <tr className={isDarkMode ? 'text-slate-400' : 'text-slate-500'}>
+                              <th className="text-left font-medium py-1">Segment</th>
+                              <th className="text-right font-medium py-1">Baseline</th>
+                              <th className="text-right font-medium py-1">Current</th>
+                              <th className="text-right font-medium py-1">Change</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {baselineComparison.breakdowns[key].map((item) => (
+                              <tr
+                                key={item.name}
+                                className={`border-t ${isDarkMode ? 'border-slate-700' : 'border-slate-100'} ${
+                                  !item.change || item.change.isSmallSample ? 'opacity-50' : ''
+                                }`}
+                              >
+                                <td className="py-1" title={item.baselineName && item.baselineName !== item.label ? `${item.name} vs ${item.baselineName}` : undefined}>
+                                  {item.label}
+                                </td>
+                                <td className="py-1 text-right">{item.change ? `${item.change.baseline.rate.toFixed(1)}%` : '—'}</td>
+                                <td className="py-1 text-right">{item.change ? `${item.change.current.rate.toFixed(1)}%` : '—'}</td>
+                                <td className="py-1 text-right" title={item.change ? formatPValue(item.change.p) : 'Not in the baseline'}>
+                                  {item.change ? `${formatPointChange(item.change.diff)}${item.change.significant ? ' ✓' : ''}` : '—'}
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    ))}
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className={`rounded-xl shadow-md p-4 mt-6 border ${isDarkMode ? 'bg-slate-800 border-slate-700' : 'bg-white border-slate-200'}`}>
+          <button
+            onClick={() => setShowCalendar(!showCalendar)}
+            className={`w-full flex justify-between items-center ${isDarkMode ? 'text-slate-200' : 'text-slate-700'}`}
+          >
+            <h3 className={`font-semibold ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>
+              📅 Daily Calendar ({calendarView === 'rate' ? 'no-show rate' : 'appointments'})
+            </h3>
+            <span className={isDarkMode ? 'text-white' : 'text-slate-800'}>
+              {showCalendar ? '▼' : '▶'}
+            </span>
+          </button>
+
+          {showCalendar && (
+            <div className="mt-4 space-y-3">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <p className={`text-xs ${isDarkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+                  Each square is one appointment day from {datasetOverview?.dateRange ?? 'the dataset'}
+                  {isComparing ? ' (segment A)' : ''}. Click a day to filter to it; Shift-click to extend the date range.
+                </p>
+                <div className="flex items-center gap-2">
+                  <div className={`inline-flex rounded-lg p-1 border ${isDarkMode ? 'bg-slate-700 border-slate-600' : 'bg-slate-100 border-slate-200'}`}>
+                    <button
+                      onClick={() => setCalendarView('count')}
+                      className={
+                        calendarView === 'count'
+                          ? (isDarkMode ? 'px-3 py-1 text-xs font-medium rounded-md bg-teal-500 text-white' : 'px-3 py-1 text-xs font-medium rounded-md bg-teal-600 text-white')
+                          : (isDarkMode ? 'px-3 py-1 text-xs font-medium rounded-md bg-slate-700 text-slate-300' : 'px-3 py-1 text-xs font-medium rounded-md bg-white text-slate-600 border border-slate-200')
+                      }
+                    >
+                      Volume
+                    </button>
+                    <button
+                      onClick={() => setCalendarView('rate')}
+                      className={
+                        calendarView === 'rate'
+                          ? (isDarkMode ? 'px-3 py-1 text-xs font-medium rounded-md bg-teal-500 text-white' : 'px-3 py-1 text-xs font-medium rounded-md bg-teal-600 text-white')
+                          : (isDarkMode ? 'px-3 py-1 text-xs font-medium rounded-md bg-slate-700 text-slate-300' : 'px-3 py-1 text-xs font-medium rounded-md bg-white text-slate-600 border border-slate-200')
+                      }
+                    >
+                      Rate
+                    </button>
+                  </div>
+                  {renderChartExportMenu('byDate')}
+                </div>
+              </div>
+              <div ref={(el) => { chartRefs.current.byDate = el; }}>
+                <CalendarHeatmap
+                  days={chartData.byDate}
+                  start={datasetOverview?.firstDay}
+                  end={datasetOverview?.lastDay}
+                  metric={calendarView}
+                  averageRate={parseFloat(overallKpis.noShowRate)}
+                  selectionStyle={selectionStyle}
+                  onSelectDay={selectDayFromCalendar}
+                  isDarkMode={isDarkMode}
+                />
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className={`rounded-xl shadow-md p-4 mt-6 border ${isDarkMode ? 'bg-slate-800 border-slate-700' : 'bg-white border-slate-200'}`}>
+          <button
+            onClick={() => setShowSchedule(!showSchedule)}
+            className={`w-full flex justify-between items-center ${isDarkMode ? 'text-slate-200' : 'text-slate-700'}`}
+          >
+            <h3 className={`font-semibold ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>
+              🗓️ Weekday &amp; Booking Time
+            </h3>
+            <span className={isDarkMode ? 'text-white' : 'text-slate-800'}>
+              {showSchedule ? '▼' : '▶'}
+            </span>
+          </button>
+
+          {showSchedule && (
+            <div className="mt-4 space-y-3">
+              <p className={`text-xs ${isDarkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+                No-show rates for {isComparing ? 'segment A: ' : ''}{filterDescription || 'all appointments'}. Same-day bookings
+                have a waiting time under one day; the heatmap uses the waiting-time bins of the chart above.
+              </p>
+              <SchedulingPanel
+                chartData={chartData}
+                leadTime={selection?.weekdayLeadTime ?? EMPTY_SELECTION.weekdayLeadTime}
+                averageRate={parseFloat(overallKpis.noShowRate)}
+                filters={filters}
+                selectionStyle={selectionStyle}
+                onSelect={selectFromChart}
+                onSelectCell={selectScheduleCell}
+                renderExportMenu={renderChartExportMenu}
+                chartRef={(key) => (el) => { chartRefs.current[key] = el; }}
+                isDarkMode={isDarkMode}
+              />
+            </div>
+          )}
+        </div>
+
+        <div className={`rounded-xl shadow-md p-4 mt-6 border ${isDarkMode ? 'bg-slate-800 border-slate-700' : 'bg-white border-slate-200'}`}>
+          <button
+            onClick={() => setShowRows(!showRows)}
+            className={`w-full flex justify-between items-center ${isDarkMode ? 'text-slate-200' : 'text-slate-700'}`}
+          >
+            <h3 className={`font-semibold ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>
+              📋 Appointment Rows ({tableRows.length.toLocaleString()})
+            </h3>
+            <span className={isDarkMode ? 'text-white' : 'text-slate-800'}>
+              {showRows ? '▼' : '▶'}
+            </span>
+          </button>
+
+          {showRows && (
+            <div className="mt-4 space-y-3">
+              <p className={`text-xs ${isDarkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+                {isComparing ? `Segment ${tableSegment} rows` : 'Rows'} for {segmentLabels[tableSegment]}.
+                {isComparing
+                  ? ' Clicking a bar or slice narrows its segment and shows that segment here; clicking the weekly lines narrows the segment being edited.'
+                  : ' Clicking a chart element narrows this table to its rows.'}
+              </p>
+              <AppointmentTable rows={tableRows} isDarkMode={isDarkMode} />
+            </div>
+          )}
+        </div>
+
         <div className={`rounded-xl shadow-md p-4 mt-6 border ${isDarkMode ? 'bg-slate-800 border-slate-700' : 'bg-white border-slate-200'}`}>
           <button
             onClick={() => setShowStats(!showStats)}
@@ -1683,16 +2985,19 @@ const PatientNoShowDashboard = () => {
             </span>
           </button>
 
-          {showStats && (
+          {showStats && statisticalSummaryText && (
             <div className={`mt-4 space-y-3 ${isDarkMode ? 'text-slate-300' : 'text-slate-700'}`}>
               <div>
                 <p className={`font-medium ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>
-                  Correlations with No-Show:
+                  Correlations with No-Show (point-biserial):
                 </p>
                 <ul className="text-sm ml-4 mt-1">
-                  <li>Waiting Days: r = 0.186 (strongest predictor)</li>
-                  <li>SMS Received: r = 0.127</li>
-                  <li>Age: r = -0.060 (older patients slightly more likely to show)</li>
+                  {statisticalSummaryText.correlations.map(({ label, text, isStrongest }) => (
+                    <li key={label}>
+                      {label}: {text}
+                      {isStrongest && ' (strongest association)'}
+                    </li>
+                  ))}
                 </ul>
               </div>
               <div>
@@ -1700,15 +3005,24 @@ const PatientNoShowDashboard = () => {
                   Statistical Tests:
                 </p>
                 <ul className="text-sm ml-4 mt-1">
-                  <li>T-test (Waiting Days by NoShow): p &lt; 0.001 ✓</li>
-                  <li>Chi-square (SMS vs NoShow): χ² = 1768, p &lt; 0.001 ✓</li>
+                  <li>
+                    Welch t-test (Waiting Days by NoShow): {statisticalSummaryText.tTest.text}
+                    {statisticalSummaryText.tTest.significant && ' ✓'}
+                  </li>
+                  <li>
+                    Chi-square (SMS vs NoShow): {statisticalSummaryText.chiSquare.text}
+                    {statisticalSummaryText.chiSquare.significant && ' ✓'}
+                  </li>
                 </ul>
               </div>
               <p className={`text-sm italic mt-2 ${isDarkMode ? 'text-slate-400' : 'text-slate-600'}`}>
-                Waiting time is the strongest predictor. SMS correlation is confounded - reminders appear to be sent to higher-risk appointments.
+                {statisticalSummary.strongest
+                  ? `${statisticalSummary.strongest.label} has the strongest association with no-shows in this selection. `
+                  : ''}
+                These are associations, not causal effects - SMS reminders, for example, may be sent to higher-risk appointments.
               </p>
               <p className={`text-xs mt-3 ${isDarkMode ? 'text-slate-400' : 'text-slate-500'}`}>
-                Source: Google Colab EDA notebook —{' '}
+                Computed live from the current selection (n = {filteredData.length.toLocaleString()}, ✓ = p &lt; 0.05). Methods match the Google Colab EDA notebook —{' '}
                 <a
                   href={COLAB_URL}
                   target="_blank"
@@ -1721,6 +3035,193 @@ const PatientNoShowDashboard = () => {
             </div>
           )}
         </div>
+
+        <div className={`rounded-xl shadow-md p-4 mt-6 border ${isDarkMode ? 'bg-slate-800 border-slate-700' : 'bg-white border-slate-200'}`}>
+          <button
+            onClick={() => setShowModel(!showModel)}
+            className={`w-full flex justify-between items-center ${isDarkMode ? 'text-slate-200' : 'text-slate-700'}`}
+          >
+            <h3 className={`font-semibold ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>
+              🤖 Baseline Model (Logistic Regression)
+            </h3>
+            <span className={isDarkMode ? 'text-white' : 'text-slate-800'}>
+              {showModel ? '▼' : '▶'}
+            </span>
+          </button>
+
+          {showModel && (
+            <div className={`mt-4 space-y-4 text-sm ${isDarkMode ? 'text-slate-300' : 'text-slate-700'}`}>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                  <p className={`font-medium mb-1 ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>Features</p>
+                  {MODEL_FEATURES.map((f) => {
+                    const available = availableModelFeatures.includes(f.key);
+                    return (
+                      <label key={f.key} className={`flex items-center gap-2 ${available ? '' : 'opacity-50'}`}>
+                        <input
+                          type="checkbox"
+                          checked={available && modelOptions.features.includes(f.key)}
+                          disabled={!available}
+                          onChange={() => toggleModelFeature(f.key)}
+                        />
+                        {f.label}
+                        {!available && <span className="text-xs italic">(column not found)</span>}
+                      </label>
+                    );
+                  })}
+                </div>
+
+                <div>
+                  <label className={`block font-medium mb-1 ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>Test set size</label>
+                  <select
+                    value={modelOptions.testSize}
+                    onChange={(e) => setModelOptions({ ...modelOptions, testSize: parseFloat(e.target.value) })}
+                    className={`w-full p-2 border rounded-md ${
+                      isDarkMode ? 'bg-slate-700 text-white border-slate-600' : 'bg-white text-slate-700 border-slate-300'
+                    }`}
+                  >
+                    <option value={0.1}>10% test / 90% train</option>
+                    <option value={0.2}>20% test / 80% train</option>
+                    <option value={0.3}>30% test / 70% train</option>
+                  </select>
+                </div>
+
+                <div>
+                  <label className={`block font-medium mb-1 ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>Class weighting</label>
+                  <select
+                    value={modelOptions.classWeight}
+                    onChange={(e) => setModelOptions({ ...modelOptions, classWeight: e.target.value })}
+                    className={`w-full p-2 border rounded-md ${
+                      isDarkMode ? 'bg-slate-700 text-white border-slate-600' : 'bg-white text-slate-700 border-slate-300'
+                    }`}
+                  >
+                    <option value="none">None (notebook default)</option>
+                    <option value="balanced">Balanced (upweight no-shows)</option>
+                  </select>
+                </div>
+              </div>
+
+              {modelResult?.error && (
+                <p className={`italic ${isDarkMode ? 'text-slate-400' : 'text-slate-500'}`}>{modelResult.error}</p>
+              )}
+
+              {modelResult && !modelResult.error && (
+                <>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <p className={`font-medium mb-1 ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>Coefficients</p>
+                      <table className="w-full text-left">
+                        <thead>
+                          <tr className={isDarkMode ? 'text-slate-400' : 'text-slate-500'}>
+                            <th className="font-medium py-1">Feature</th>
+                            <th className="font-medium py-1 text-right">Coefficient</th>
+                            <th className="font-medium py-1 text-right">Odds Ratio</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          <tr>
+                            <td className="py-1">Intercept</td>
+                            <td className="py-1 text-right">{modelResult.model.intercept.toFixed(4)}</td>
+                            <td className="py-1 text-right">—</td>
+                          </tr>
+                          {modelResult.coefficients.map((c) => (
+                            <tr key={c.key}>
+                              <td className="py-1">{c.label}</td>
+                              <td className="py-1 text-right">{c.coefficient.toFixed(4)}</td>
+                              <td className="py-1 text-right">{c.oddsRatio.toFixed(3)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+
+                    <div>
+                      <p className={`font-medium mb-1 ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>
+                        Test set performance (n = {modelResult.evaluation.n.toLocaleString()})
+                      </p>
+                      <ul className="space-y-0.5">
+                        <li>Model accuracy: {modelResult.evaluation.accuracy.toFixed(4)}</li>
+                        <li>Baseline accuracy (predict all "show"): {modelResult.evaluation.baselineAccuracy.toFixed(4)}</li>
+                        <li>
+                          Log-loss: {modelResult.evaluation.logLoss.toFixed(4)}{' '}
+                          <span className={isDarkMode ? 'text-slate-400' : 'text-slate-500'}>
+                            (no-skill baseline {modelResult.evaluation.baselineLogLoss.toFixed(4)})
+                          </span>
+                        </li>
+                        <li>
+                          No-show recall: {(modelResult.evaluation.recall * 100).toFixed(1)}%{' '}
+                          <span className={isDarkMode ? 'text-slate-400' : 'text-slate-500'}>
+                            (TP {modelResult.evaluation.confusion.tp.toLocaleString()}, FN {modelResult.evaluation.confusion.fn.toLocaleString()},
+                            FP {modelResult.evaluation.confusion.fp.toLocaleString()}, TN {modelResult.evaluation.confusion.tn.toLocaleString()})
+                          </span>
+                        </li>
+                      </ul>
+                    </div>
+                  </div>
+
+                  <p className={`italic ${isDarkMode ? 'text-slate-400' : 'text-slate-600'}`}>
+                    {modelResult.evaluation.accuracy > modelResult.evaluation.baselineAccuracy
+                      ? 'The model beats the "predict all show" baseline on accuracy.'
+                      : 'The model does not beat the "predict all show" baseline on accuracy - class imbalance and a small feature set limit its signal.'}
+                    {' '}Odds ratios for normalized features compare the minimum to the maximum value in the dataset.
+                  </p>
+                  <p className={`text-xs ${isDarkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+                    Trained on {modelResult.trainSize.toLocaleString()} rows of the loaded CSV (all filters ignored), stratified split with seed {modelResult.options.seed}
+                    {modelResult.dropped > 0 && `, ${modelResult.dropped.toLocaleString()} rows skipped for missing values`}.
+                    L2-regularized (C = 1.0), {modelResult.model.iterations} Newton iterations.
+                  </p>
+                </>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className={`rounded-xl shadow-md p-4 mt-6 border ${isDarkMode ? 'bg-slate-800 border-slate-700' : 'bg-white border-slate-200'}`}>
+          <button
+            onClick={() => setShowWorklist(!showWorklist)}
+            className={`w-full flex justify-between items-center ${isDarkMode ? 'text-slate-200' : 'text-slate-700'}`}
+          >
+            <h3 className={`font-semibold ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>
+              📞 Outreach Worklist (highest no-show risk first)
+            </h3>
+            <span className={isDarkMode ? 'text-white' : 'text-slate-800'}>
+              {showWorklist ? '▼' : '▶'}
+            </span>
+          </button>
+
+          {showWorklist && (
+            <div className="mt-4 space-y-3">
+              <div className={`flex flex-wrap items-center gap-4 text-sm ${isDarkMode ? 'text-slate-300' : 'text-slate-600'}`}>
+                <label className="inline-flex items-center gap-2">
+                  <input type="checkbox" checked={upcomingOnly} onChange={(e) => setUpcomingOnly(e.target.checked)} />
+                  Only upcoming appointments (from today)
+                </label>
+                <span className="text-xs">
+                  Scores use the baseline model settings above and respect the current filters.
+                </span>
+              </div>
+              {riskWorklist?.noUpcoming && (
+                <p className={`text-xs ${isDarkMode ? 'text-amber-300' : 'text-amber-700'}`}>
+                  No selected appointments fall on or after today, so the worklist shows all of them.
+                </p>
+              )}
+
+              {modelResult?.error && (
+                <p className={`text-sm italic ${isDarkMode ? 'text-slate-400' : 'text-slate-500'}`}>{modelResult.error}</p>
+              )}
+
+              {riskWorklist && (
+                <RiskWorklist
+                  items={riskWorklist.items}
+                  unscoredCount={riskWorklist.unscored}
+                  baseRate={parseFloat(overallKpis.noShowRate) / 100}
+                  isDarkMode={isDarkMode}
+                  onExport={exportWorklist}
+                />
+              )}
+            </div>
+          )}
+        </div>
       </div>
     </div>
   );
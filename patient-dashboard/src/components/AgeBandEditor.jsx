@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { AGE_SCHEMES, parseAgeEdges } from '../lib/ageBands';
+
+// Age group scheme (see lib/ageBands). groups are the age groups in use, listed as a preview;
+// hasAges says whether the dataset has a numeric Age column to re-band from.
+const AgeBandEditor = ({ settings, groups, hasAges, isDarkMode, onChange }) => {
+  const [edgesText, setEdgesText] = useState(settings.edges.join(', '));
+  const [error, setError] = useState(null);
+
+  const applyEdges = () => {
+    const parsed = parseAgeEdges(edgesText);
+    setError(parsed.error || null);
+    if (parsed.edges) {
+      setEdgesText(parsed.edges.join(', '));
+      onChange({ scheme: 'custom', edges: parsed.edges });
+    }
+  };
+
+  const schemeClass = (scheme) =>
+    settings.scheme === scheme
+      ? (isDarkMode ? 'px-3 py-1 text-xs font-medium rounded-md bg-teal-500 text-white' : 'px-3 py-1 text-xs font-medium rounded-md bg-teal-600 text-white')
+      : (isDarkMode ? 'px-3 py-1 text-xs font-medium rounded-md bg-slate-700 text-slate-300' : 'px-3 py-1 text-xs font-medium rounded-md bg-white text-slate-600 border border-slate-200');
+
+  const mutedClass = isDarkMode ? 'text-slate-400' : 'text-slate-500';
+
+  return (
+    <div
+      className={`mb-4 rounded-lg border p-3 text-sm space-y-3 ${
+        isDarkMode ? 'border-slate-600 bg-slate-900/40 text-slate-300' : 'border-slate-200 bg-slate-50 text-slate-700'
+      }`}
+    >
+      <div className={`inline-flex flex-wrap gap-1 rounded-lg p-1 border ${isDarkMode ? 'bg-slate-700 border-slate-600' : 'bg-slate-100 border-slate-200'}`}>
+        {AGE_SCHEMES.map((scheme) => (
+          <button
+            key={scheme.key}
+            type="button"
+            onClick={() => onChange({ ...settings, scheme: scheme.key })}
+            disabled={!hasAges && scheme.key !== 'dataset'}
+            className={`${schemeClass(scheme.key)} disabled:opacity-50 disabled:cursor-not-allowed`}
+          >
+            {scheme.label}
+          </button>
+        ))}
+      </div>
+
+      {!hasAges && (
+        <p className={`text-xs ${mutedClass}`}>
+          This dataset has no numeric Age column, so its AgeGroup column is used as it is.
+        </p>
+      )}
+
+      {hasAges && settings.scheme === 'custom' && (
+        <div>
+          <div className="flex flex-wrap items-center gap-2">
+            <label htmlFor="age-band-edges" className="font-medium">Band starts (years)</label>
+            <input
+              id="age-band-edges"
+              type="text"
+              value={edgesText}
+              onChange={(e) => setEdgesText(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') applyEdges();
+              }}
+              className={`flex-1 min-w-40 rounded-md border px-2 py-1 text-sm ${
+                isDarkMode ? 'bg-slate-900 border-slate-600 text-slate-200' : 'bg-white border-slate-300 text-slate-700'
+              }`}
+            />
+            <button
+              type="button"
+              onClick={applyEdges}
+              className={`px-3 py-1 text-sm font-medium rounded-md border ${
+                isDarkMode
+                  ? 'bg-slate-800 text-slate-200 border-slate-600 hover:bg-slate-700'
+                  : 'bg-white text-slate-700 border-slate-200 hover:bg-slate-50'
+              }`}
+            >
+              Apply
+            </button>
+          </div>
+          {error ? (
+            <p className={`mt-1 text-xs ${isDarkMode ? 'text-rose-300' : 'text-rose-700'}`}>{error}</p>
+          ) : (
+            <p className={`mt-1 text-xs ${mutedClass}`}>
+              The first year of each band; the last band is open-ended. 0, 18, 40, 65 gives 0-17, 18-39, 40-64 and 65+.
+            </p>
+          )}
+        </div>
+      )}
+
+      {hasAges && settings.scheme === 'dataset' && (
+        <p className={`text-xs ${mutedClass}`}>
+          The AgeGroup column as loaded; rows without one are grouped by the decade of their age.
+        </p>
+      )}
+
+      <p className="text-xs">
+        <span className="font-medium">Groups:</span> {groups.length ? groups.join(' · ') : 'none'}
+      </p>
+    </div>
+  );
+};
+
+export default AgeBandEditor;
@@ -0,0 +1,178 @@
+import React, { useState, useMemo, useDeferredValue } from 'react';
+import { normKey } from '../lib/values';
+import { fixAgeGroupLabel } from '../lib/records';
+import MultiSelectFilter from './MultiSelectFilter';
+
+// Rows are a fixed height so only the ones in view need rendering (the full dataset is ~110k rows)
+const ROW_HEIGHT = 32;
+const VIEWPORT_HEIGHT = 480;
+const OVERSCAN = 10;
+const COLUMN_WIDTH = 140;
+
+const isBlank = (v) => v === null || v === undefined || v === '';
+
+// Plain < / > rather than localeCompare: fast enough to re-sort the full dataset on every click
+const compareValues = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  const sa = String(a);
+  const sb = String(b);
+  if (sa < sb) return -1;
+  return sa > sb ? 1 : 0;
+};
+
+const formatCell = (column, value) => {
+  if (isBlank(value)) return '—';
+  if (column === 'AgeGroup') return fixAgeGroupLabel(value);
+  return String(value);
+};
+
+// The scaled helper columns from the notebook are hidden until asked for
+const isDefaultColumn = (column) => !normKey(column).includes('normalized');
+
+// Appointment-level view of the current selection: sortable, searchable, with a column picker.
+// The body is virtualized - only the rows inside the scroll viewport are in the DOM.
+const AppointmentTable = ({ rows, isDarkMode }) => {
+  const [sort, setSort] = useState(null);
+  const [search, setSearch] = useState('');
+  const [columnSelection, setColumnSelection] = useState(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const deferredSearch = useDeferredValue(search);
+
+  const columns = useMemo(() => (rows.length ? Object.keys(rows[0]) : []), [rows]);
+  const selectedColumns = useMemo(() => columnSelection ?? columns.filter(isDefaultColumn), [columnSelection, columns]);
+  // An empty pick means "all columns", as in the filter dropdowns
+  const visibleColumns = useMemo(
+    () => (selectedColumns.length ? columns.filter((c) => selectedColumns.includes(c)) : columns),
+    [selectedColumns, columns]
+  );
+
+  const searchedRows = useMemo(() => {
+    const query = deferredSearch.trim().toLowerCase();
+    if (!query) return rows;
+    return rows.filter((row) =>
+      visibleColumns.some((column) => formatCell(column, row[column]).toLowerCase().includes(query))
+    );
+  }, [rows, deferredSearch, visibleColumns]);
+
+  const sortedRows = useMemo(() => {
+    if (!sort) return searchedRows;
+    const dir = sort.dir === 'asc' ? 1 : -1;
+    return [...searchedRows].sort((a, b) => {
+      const aVal = a[sort.key];
+      const bVal = b[sort.key];
+      // Keep blanks at the bottom in both directions
+      if (isBlank(aVal) || isBlank(bVal)) return isBlank(aVal) - isBlank(bVal);
+      return dir * compareValues(aVal, bVal);
+    });
+  }, [searchedRows, sort]);
+
+  const handleSort = (key) => {
+    setSort((prev) => {
+      if (prev?.key !== key) return { key, dir: 'asc' };
+      return prev.dir === 'asc' ? { key, dir: 'desc' } : null;
+    });
+  };
+
+  // Clamp so a shrinking result set never leaves the window past the end
+  const visibleCount = Math.ceil(VIEWPORT_HEIGHT / ROW_HEIGHT) + OVERSCAN * 2;
+  const start = Math.max(0, Math.min(Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN, sortedRows.length - visibleCount));
+  const end = Math.min(sortedRows.length, start + visibleCount);
+  const windowRows = sortedRows.slice(start, end);
+
+  if (!rows.length) {
+    return (
+      <p className={`text-sm italic ${isDarkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+        No appointments match the current filters.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+        <div className="md:col-span-2">
+          <label className={`block text-sm font-medium mb-1 ${isDarkMode ? 'text-slate-300' : 'text-slate-600'}`}>Search</label>
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search the visible columns"
+            className={`w-full p-2 border rounded-md ${isDarkMode ? 'bg-slate-700 text-white border-slate-600' : 'bg-white text-slate-700 border-slate-300'}`}
+          />
+        </div>
+        <MultiSelectFilter
+          label="Columns"
+          allLabel="All Columns"
+          options={columns.map((column) => ({ value: column, label: column }))}
+          selected={selectedColumns}
+          onChange={setColumnSelection}
+          isDarkMode={isDarkMode}
+        />
+      </div>
+
+      <p className={`text-sm ${isDarkMode ? 'text-slate-300' : 'text-slate-600'}`}>
+        {sortedRows.length === rows.length
+          ? `${rows.length.toLocaleString()} appointments`
+          : `${sortedRows.length.toLocaleString()} of ${rows.length.toLocaleString()} appointments match "${deferredSearch.trim()}"`}
+      </p>
+
+      <div
+        className={`overflow-auto border rounded-md ${isDarkMode ? 'border-slate-700' : 'border-slate-200'}`}
+        style={{ height: VIEWPORT_HEIGHT }}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      >
+        <table
+          className={`table-fixed text-sm text-left ${isDarkMode ? 'text-slate-300' : 'text-slate-700'}`}
+          style={{ width: (visibleColumns.length + 1) * COLUMN_WIDTH, minWidth: '100%' }}
+        >
+          <thead className={`sticky top-0 z-10 ${isDarkMode ? 'bg-slate-800' : 'bg-white'}`}>
+            <tr className={`border-b ${isDarkMode ? 'border-slate-600 text-slate-400' : 'border-slate-200 text-slate-500'}`}>
+              <th className="py-2 px-3 font-medium" style={{ width: COLUMN_WIDTH / 2 }}>#</th>
+              {visibleColumns.map((column) => (
+                <th key={column} className="py-2 px-3 font-medium whitespace-nowrap">
+                  <button
+                    type="button"
+                    onClick={() => handleSort(column)}
+                    className="inline-flex items-center gap-1 hover:underline"
+                    aria-sort={sort?.key === column ? (sort.dir === 'asc' ? 'ascending' : 'descending') : 'none'}
+                  >
+                    {column}
+                    {sort?.key === column && <span>{sort.dir === 'asc' ? '▲' : '▼'}</span>}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {start > 0 && (
+              <tr style={{ height: start * ROW_HEIGHT }}>
+                <td colSpan={visibleColumns.length + 1} />
+              </tr>
+            )}
+            {windowRows.map((row, i) => (
+              <tr
+                key={start + i}
+                style={{ height: ROW_HEIGHT }}
+                className={`border-b ${isDarkMode ? 'border-slate-700' : 'border-slate-100'}`}
+              >
+                <td className="px-3">{(start + i + 1).toLocaleString()}</td>
+                {visibleColumns.map((column) => (
+                  <td key={column} className="px-3 truncate" title={formatCell(column, row[column])}>
+                    {formatCell(column, row[column])}
+                  </td>
+                ))}
+              </tr>
+            ))}
+            {end < sortedRows.length && (
+              <tr style={{ height: (sortedRows.length - end) * ROW_HEIGHT }}>
+                <td colSpan={visibleColumns.length + 1} />
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default AppointmentTable;
@@ -0,0 +1,122 @@
+import React, { useMemo } from 'react';
+import { calendarYears, indexDays } from '../lib/calendar';
+
+const CELL = 12;
+const GAP = 2;
+const STEP = CELL + GAP;
+const LEFT = 30;
+const TOP = 16;
+const YEAR_LABEL = 16;
+const YEAR_GAP = 12;
+const WEEKDAY_ROWS = [[0, 'Mon'], [2, 'Wed'], [4, 'Fri']];
+const METRIC_COLORS = { count: '#0d9488', rate: '#fb923c' };
+
+// Daily calendar heatmap over start..end ('YYYY-MM-DD'), one block per year. days is the byDate chart
+// data; metric is 'count' (appointments per day) or 'rate' (no-show rate, scaled up to twice
+// averageRate so a few tiny days at 100% do not wash out the rest). Days with no appointments keep an
+// empty cell, so closures and holidays stand out. onSelectDay(key, event) filters to a day;
+// selectionStyle is the dashboard's cross-filter highlighting.
+const CalendarHeatmap = ({ days, start, end, metric, averageRate, selectionStyle, onSelectDay, isDarkMode }) => {
+  const years = useMemo(() => calendarYears(start, end), [start, end]);
+  const byDay = useMemo(() => indexDays(days), [days]);
+
+  const maxTotal = Math.max(1, ...days.map((day) => day.total));
+  const rateCap = Math.max(1, averageRate * 2);
+  const strength = (day) => (metric === 'rate' ? Math.min(day.rate / rateCap, 1) : day.total / maxTotal);
+
+  const labelColor = isDarkMode ? '#94a3b8' : '#64748b';
+  const emptyColor = isDarkMode ? '#334155' : '#e2e8f0';
+
+  const describeDay = (key, day) => {
+    const date = new Date(`${key}T00:00:00Z`).toLocaleDateString(undefined, {
+      weekday: 'short', year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC'
+    });
+    if (!day) return `${date}: no appointments`;
+    return `${date}: ${day.total.toLocaleString()} appointments, ${day.rate}% no-show ` +
+      `(95% CI ${day.ciLow}–${day.ciHigh}%, ${day.noShows.toLocaleString()} no-shows)`;
+  };
+
+  if (!years.length) {
+    return <p className={`text-xs italic ${isDarkMode ? 'text-slate-400' : 'text-slate-500'}`}>No appointment dates in this dataset.</p>;
+  }
+
+  // All years in one <svg> (stacked, labelled when there is more than one) so the chart exports as one image
+  const yearLabel = years.length > 1 ? YEAR_LABEL : 0;
+  const blockHeight = yearLabel + TOP + 7 * STEP + YEAR_GAP;
+  const width = LEFT + Math.max(...years.map((y) => y.weeks.length)) * STEP;
+
+  return (
+    <div className="space-y-4">
+      <div className="overflow-x-auto">
+        <svg
+          width={width}
+          height={years.length * blockHeight - YEAR_GAP}
+          role="img"
+          aria-label={`Appointments per day, ${years.map((y) => y.year).join(' and ')}`}
+          data-chart-image
+        >
+          {years.map(({ year, weeks, months }, index) => (
+            <g key={year} transform={`translate(0, ${index * blockHeight})`}>
+              {yearLabel > 0 && (
+                <text x={0} y={11} fontSize={11} fontWeight={600} fill={labelColor}>{year}</text>
+              )}
+              <g transform={`translate(0, ${yearLabel})`}>
+                {months.map((month) => (
+                  <text key={month.label} x={LEFT + month.week * STEP} y={10} fontSize={10} fill={labelColor}>{month.label}</text>
+                ))}
+                {WEEKDAY_ROWS.map(([row, label]) => (
+                  <text key={label} x={0} y={TOP + row * STEP + CELL - 2} fontSize={10} fill={labelColor}>{label}</text>
+                ))}
+                {weeks.map((week, w) => week.map((key, d) => {
+                  if (!key) return null;
+                  const day = byDay.get(key);
+                  const x = LEFT + w * STEP;
+                  const y = TOP + d * STEP;
+                  if (!day) {
+                    return (
+                      <rect key={key} x={x} y={y} width={CELL} height={CELL} rx={2} fill={emptyColor}>
+                        <title>{describeDay(key, null)}</title>
+                      </rect>
+                    );
+                  }
+                  return (
+                    <rect
+                      key={key}
+                      x={x}
+                      y={y}
+                      width={CELL}
+                      height={CELL}
+                      rx={2}
+                      fill={METRIC_COLORS[metric]}
+                      cursor="pointer"
+                      onClick={(event) => onSelectDay(key, event)}
+                      {...selectionStyle('appointmentDate', key, 0.15 + 0.85 * strength(day))}
+                    >
+                      <title>{describeDay(key, day)}</title>
+                    </rect>
+                  );
+                }))}
+              </g>
+            </g>
+          ))}
+        </svg>
+      </div>
+
+      <div className={`flex flex-wrap items-center gap-2 text-xs ${isDarkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+        <span>{metric === 'rate' ? '0%' : 'Fewer'}</span>
+        {[0, 0.25, 0.5, 0.75, 1].map((level) => (
+          <span
+            key={level}
+            className="inline-block w-3 h-3 rounded-sm"
+            style={{ backgroundColor: METRIC_COLORS[metric], opacity: 0.15 + 0.85 * level }}
+          />
+        ))}
+        <span>{metric === 'rate' ? `${rateCap.toFixed(0)}%+` : `${maxTotal.toLocaleString()} appointments`}</span>
+        <span className="inline-block w-3 h-3 rounded-sm ml-3" style={{ backgroundColor: emptyColor }} />
+        <span>no appointments</span>
+      </div>
+    </div>
+  );
+};
+
+export default CalendarHeatmap;
@@ -0,0 +1,99 @@
+import React from 'react';
+import { MIN_SAMPLE_SIZE } from '../lib/aggregations';
+import { formatPointChange } from '../lib/periodComparison';
+import { formatPValue } from '../lib/stats';
+
+// Tooltips for the dashboard charts, used as <Tooltip content={<BarTooltip isDarkMode={...} />} />
+
+const tooltipClass = (isDarkMode) =>
+  `${isDarkMode ? 'bg-slate-800 text-slate-200 border-slate-700' : 'bg-white text-slate-700 border-gray-300'} p-3 border rounded shadow-lg`;
+
+const RateInterval = ({ data, isDarkMode }) => (
+  <>
+    <p className={`text-sm ${isDarkMode ? 'text-slate-300' : 'text-gray-600'}`}>
+      95% CI: {data.ciLow}% – {data.ciHigh}%
+    </p>
+    {data.isSmallSample && (
+      <p className={`text-xs mt-1 ${isDarkMode ? 'text-amber-300' : 'text-amber-700'}`}>
+        ⚠️ Small sample (n &lt; {MIN_SAMPLE_SIZE}) - interpret with caution
+      </p>
+    )}
+  </>
+);
+
+// Rate change against the baseline dataset, when one is loaded (entry.baselineChange, see lib/periodComparison)
+const BaselineChange = ({ change, isDarkMode }) => {
+  if (!change) return null;
+  const against = change.label === change.baselineName ? 'baseline' : `baseline ${change.baselineName}`;
+  return (
+    <p className={`text-xs mt-1 pt-1 border-t ${isDarkMode ? 'text-slate-300 border-slate-700' : 'text-gray-600 border-gray-200'}`}>
+      vs {against}: {formatPointChange(change.diff)} (was {change.baseline.rate.toFixed(1)}%, {formatPValue(change.p)})
+      {change.significant && ' ✓'}
+    </p>
+  );
+};
+
+// Show / no-show counts with their shares
+export const BarTooltip = ({ active, payload, isDarkMode }) => {
+  if (!active || !payload || !payload.length) return null;
+  const total = payload.reduce((sum, entry) => sum + entry.value, 0);
+  return (
+    <div className={tooltipClass(isDarkMode)}>
+      <p className="font-semibold mb-1">{payload[0].payload.name}</p>
+      {payload.map((entry, index) => {
+        const percent = total > 0 ? ((entry.value / total) * 100).toFixed(1) : '0.0';
+        return (
+          <p key={index} style={{ color: entry.color }}>
+            {entry.name}: {entry.value} ({percent}%)
+          </p>
+        );
+      })}
+      <p className={`mt-1 text-sm ${isDarkMode ? 'text-slate-300 border-slate-700' : 'text-gray-600 border-gray-200'} border-t pt-1`}>
+        Total: {total}
+      </p>
+      {payload[0].payload.ciLow !== undefined && <RateInterval data={payload[0].payload} isDarkMode={isDarkMode} />}
+      <BaselineChange change={payload[0].payload.baselineChange} isDarkMode={isDarkMode} />
+    </div>
+  );
+};
+
+export const WaitingTooltip = ({ active, payload, isDarkMode }) => {
+  if (!active || !payload || !payload.length) return null;
+  const data = payload[0].payload;
+  return (
+    <div className={tooltipClass(isDarkMode)}>
+      <p className="font-semibold mb-1">{data.name}</p>
+      <p>No-Show Rate: {data['No-Show Rate']}%</p>
+      <p className={`text-sm ${isDarkMode ? 'text-slate-300' : 'text-gray-600'}`}>n = {data.n}</p>
+      <p className={`text-sm ${isDarkMode ? 'text-slate-300' : 'text-gray-600'}`}>no-shows = {data.noShows}</p>
+      <RateInterval data={data} isDarkMode={isDarkMode} />
+      <BaselineChange change={data.baselineChange} isDarkMode={isDarkMode} />
+    </div>
+  );
+};
+
+// No-show rate of one category; labelPrefix e.g. 'Age Group: '
+export const RateTooltip = ({ active, payload, isDarkMode, labelPrefix = '' }) => {
+  if (!active || !payload || !payload.length) return null;
+  const data = payload[0].payload;
+  // Forecast weeks of the weekly chart (see lib/forecast)
+  if (data.isForecast) {
+    return (
+      <div className={tooltipClass(isDarkMode)}>
+        <p className="font-semibold mb-1">{labelPrefix}{data.name} (forecast)</p>
+        <p style={{ color: '#fb923c' }}>No-Show Rate: {data.forecast}%</p>
+        <p className={`text-sm ${isDarkMode ? 'text-slate-300' : 'text-gray-600'}`}>
+          95% prediction interval: {data.forecastBand[0].toFixed(1)}% – {data.forecastBand[1].toFixed(1)}%
+        </p>
+      </div>
+    );
+  }
+  return (
+    <div className={tooltipClass(isDarkMode)}>
+      <p className="font-semibold mb-1">{labelPrefix}{data.name}</p>
+      <p style={{ color: '#fb923c' }}>No-Show Rate: {data.rate}% (n={data.total.toLocaleString()})</p>
+      <RateInterval data={data} isDarkMode={isDarkMode} />
+      <BaselineChange change={data.baselineChange} isDarkMode={isDarkMode} />
+    </div>
+  );
+};
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import { MAPPING_TARGETS, MAX_SAMPLE_VALUES, suggestValueMap } from '../lib/columnMapping';
+
+// Mapping step for an upload whose headers lack the required columns: pick the source column for each
+// dashboard field, then say what each outcome value means. fields/samples come from the parse worker.
+
+const selectClass = 'w-full px-2 py-1 text-sm rounded-md border bg-white text-slate-700 border-slate-200';
+
+const ColumnMappingWizard = ({ fileName, fields, samples, initialMapping, onApply, onCancel }) => {
+  const [mapping, setMapping] = useState(initialMapping);
+  const [remember, setRemember] = useState(true);
+
+  const missingRequired = MAPPING_TARGETS.filter((target) => target.required && !mapping.columns[target.key]);
+
+  const setColumn = (target, source) => {
+    setMapping((prev) => ({
+      columns: { ...prev.columns, [target.key]: source },
+      values: target.outcomes
+        ? { ...prev.values, [target.key]: suggestValueMap(target.key, samples[source]) }
+        : prev.values
+    }));
+  };
+
+  const setValue = (targetKey, raw, outcome) => {
+    setMapping((prev) => ({
+      ...prev,
+      values: { ...prev.values, [targetKey]: { ...prev.values[targetKey], [raw]: outcome } }
+    }));
+  };
+
+  const examples = (source) => (samples[source] || []).filter((v) => v !== '').slice(0, 3).join(', ');
+
+  return (
+    <div className="min-h-screen bg-slate-100 p-8 flex items-center justify-center">
+      <div className="bg-white rounded-xl shadow-md p-8 w-full max-w-2xl border-l-4 border-teal-500">
+        <h1 className="text-xl font-bold text-slate-800">Map your columns</h1>
+        <p className="mt-1 text-sm text-slate-600">
+          {fileName ? <span className="font-medium">{fileName}</span> : 'This file'} doesn&apos;t use the column names the
+          dashboard expects. Choose which column holds each field.
+        </p>
+
+        <table className="mt-4 w-full text-sm">
+          <tbody>
+            {MAPPING_TARGETS.map((target) => {
+              const source = mapping.columns[target.key];
+              return (
+                <tr key={target.key} className="border-t border-slate-100 align-top">
+                  <td className="py-2 pr-3 font-medium text-slate-700 whitespace-nowrap">
+                    {target.label}
+                    {target.required && <span className="text-rose-600"> *</span>}
+                  </td>
+                  <td className="py-2 w-1/2">
+                    <select
+                      value={source}
+                      onChange={(e) => setColumn(target, e.target.value)}
+                      className={selectClass}
+                      aria-label={`Column for ${target.label}`}
+                    >
+                      <option value="">— not in this file —</option>
+                      {fields.map((field) => (
+                        <option key={field} value={field}>{field}</option>
+                      ))}
+                    </select>
+                    {source && examples(source) && (
+                      <p className="mt-1 text-xs text-slate-500 truncate">e.g. {examples(source)}</p>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+
+        {MAPPING_TARGETS.filter((target) => target.outcomes && mapping.columns[target.key]).map((target) => {
+          const source = mapping.columns[target.key];
+          const values = (samples[source] || []).filter((v) => v !== '');
+          return (
+            <div key={target.key} className="mt-4">
+              <h2 className="text-sm font-semibold text-slate-700">
+                {target.label} values <span className="font-normal text-slate-500">({source})</span>
+              </h2>
+              {values.length >= MAX_SAMPLE_VALUES && (
+                <p className="text-xs text-amber-700">
+                  More than {MAX_SAMPLE_VALUES} different values; check that this is the right column.
+                </p>
+              )}
+              <div className="mt-2 grid grid-cols-2 gap-2">
+                {values.map((raw) => (
+                  <label key={raw} className="flex items-center gap-2 text-sm text-slate-700">
+                    <span className="w-1/2 truncate font-mono text-xs" title={raw}>{raw}</span>
+                    <select
+                      value={mapping.values[target.key]?.[raw] ?? ''}
+                      onChange={(e) => setValue(target.key, raw, e.target.value)}
+                      className={selectClass}
+                    >
+                      {target.outcomes.map((outcome) => (
+                        <option key={outcome.value} value={outcome.value}>{outcome.label}</option>
+                      ))}
+                      <option value="">Unknown (leave out)</option>
+                    </select>
+                  </label>
+                ))}
+              </div>
+            </div>
+          );
+        })}
+
+        <label className="mt-6 flex items-center gap-2 text-sm text-slate-700">
+          <input type="checkbox" checked={remember} onChange={(e) => setRemember(e.target.checked)} />
+          Remember this mapping for files with the same columns
+        </label>
+
+        <div className="mt-4 flex items-center justify-end gap-2">
+          {missingRequired.length > 0 && (
+            <p className="mr-auto text-xs text-rose-600">
+              Choose a column for {missingRequired.map((target) => target.label).join(' and ')}.
+            </p>
+          )}
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-3 py-1 text-sm font-medium rounded-md border bg-white text-slate-700 border-slate-200 hover:bg-slate-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={() => onApply(mapping, remember)}
+            disabled={missingRequired.length > 0}
+            className="px-3 py-1 text-sm font-medium rounded-md border bg-teal-600 text-white border-teal-600 hover:bg-teal-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Load data
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMappingWizard;
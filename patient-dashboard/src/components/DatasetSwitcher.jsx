@@ -0,0 +1,175 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { ACCEPTED_EXTENSIONS } from '../lib/fileFormats';
+
+// Header dropdown of the datasets saved in this browser (see lib/datasetStore): load, rename or delete one,
+// go back to the bundled sample, or upload another file.
+// datasets: [{ id, name, rowCount, uploadedAt, dateRange: { min, max } }]; activeId null = the bundled sample.
+// activeName labels the button, so a dataset deleted while on screen keeps its name there.
+const DatasetSwitcher = ({ datasets, activeId, activeName, isDarkMode, onLoad, onLoadBundled, onUpload, onRename, onDelete }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [renaming, setRenaming] = useState(null);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setIsOpen(false);
+        setRenaming(null);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  const run = (action) => {
+    setIsOpen(false);
+    setRenaming(null);
+    action();
+  };
+
+  const submitRename = () => {
+    const name = renaming.name.trim();
+    if (name) onRename(renaming.id, name);
+    setRenaming(null);
+  };
+
+  const describe = (dataset) => {
+    const range = dataset.dateRange?.min ? ` · ${dataset.dateRange.min} – ${dataset.dateRange.max}` : '';
+    return `${dataset.rowCount.toLocaleString()} rows${range} · saved ${new Date(dataset.uploadedAt).toLocaleDateString()}`;
+  };
+
+  const itemClass = (isActive) =>
+    `flex-1 min-w-0 text-left rounded px-2 py-1 ${
+      isActive
+        ? isDarkMode ? 'bg-slate-700' : 'bg-slate-100'
+        : isDarkMode ? 'hover:bg-slate-700' : 'hover:bg-slate-100'
+    }`;
+
+  const iconButtonClass = `rounded px-1.5 py-0.5 text-xs border ${
+    isDarkMode ? 'border-slate-600 hover:bg-slate-700' : 'border-slate-200 hover:bg-slate-100'
+  }`;
+
+  return (
+    <div ref={containerRef} className="relative inline-block text-left">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+        title="Switch between datasets saved in this browser"
+        className={`inline-flex max-w-56 items-center gap-2 rounded-md border px-3 py-2 text-sm font-medium shadow-sm transition ${
+          isDarkMode
+            ? 'border-slate-700 bg-slate-800 text-white hover:bg-slate-700'
+            : 'border-slate-200 bg-white text-slate-700 hover:bg-slate-50'
+        }`}
+      >
+        <span className="truncate">🗂️ {activeId === null ? 'Sample dataset' : activeName}</span>
+        <span className="text-xs">{isOpen ? '▲' : '▼'}</span>
+      </button>
+
+      {isOpen && (
+        <div
+          role="menu"
+          className={`absolute right-0 z-30 mt-1 w-96 rounded-md border shadow-lg p-2 text-sm ${
+            isDarkMode ? 'bg-slate-800 border-slate-600 text-slate-200' : 'bg-white border-slate-200 text-slate-700'
+          }`}
+        >
+          <p className={`px-2 pb-1 text-xs ${isDarkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+            Saved in this browser only
+          </p>
+          {datasets.length === 0 && (
+            <p className={`px-2 py-1 text-xs italic ${isDarkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+              Uploaded files are saved here.
+            </p>
+          )}
+          <ul className="max-h-80 overflow-y-auto space-y-1">
+            {datasets.map((dataset) => (
+              <li key={dataset.id} className="flex items-center gap-1">
+                {renaming?.id === dataset.id ? (
+                  <input
+                    type="text"
+                    value={renaming.name}
+                    autoFocus
+                    aria-label="Dataset name"
+                    onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') submitRename();
+                      if (e.key === 'Escape') setRenaming(null);
+                    }}
+                    onBlur={submitRename}
+                    className={`flex-1 min-w-0 rounded border px-2 py-1 ${
+                      isDarkMode ? 'bg-slate-900 border-slate-600' : 'bg-white border-slate-300'
+                    }`}
+                  />
+                ) : (
+                  <button
+                    type="button"
+                    role="menuitem"
+                    onClick={() => run(() => onLoad(dataset.id))}
+                    className={itemClass(dataset.id === activeId)}
+                  >
+                    <span className="block truncate font-medium">{dataset.name}</span>
+                    <span className={`block truncate text-xs ${isDarkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+                      {describe(dataset)}
+                    </span>
+                  </button>
+                )}
+                <button
+                  type="button"
+                  onClick={() => setRenaming({ id: dataset.id, name: dataset.name })}
+                  className={iconButtonClass}
+                  aria-label={`Rename ${dataset.name}`}
+                  title="Rename"
+                >
+                  ✏️
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    if (window.confirm(`Delete "${dataset.name}" from this browser?`)) onDelete(dataset.id);
+                  }}
+                  className={iconButtonClass}
+                  aria-label={`Delete ${dataset.name}`}
+                  title="Delete"
+                >
+                  🗑️
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          <div className={`mt-2 pt-2 border-t flex items-center gap-2 ${isDarkMode ? 'border-slate-600' : 'border-slate-200'}`}>
+            <button
+              type="button"
+              role="menuitem"
+              onClick={() => run(onLoadBundled)}
+              className={itemClass(activeId === null)}
+            >
+              Sample dataset
+            </button>
+            <label
+              className={`flex-shrink-0 cursor-pointer rounded border px-2 py-1 text-xs ${
+                isDarkMode ? 'border-slate-600 hover:bg-slate-700' : 'border-slate-200 hover:bg-slate-100'
+              }`}
+            >
+              ⬆️ Upload file…
+              <input
+                type="file"
+                accept={ACCEPTED_EXTENSIONS}
+                className="sr-only"
+                onChange={(e) => {
+                  const file = e.target.files[0];
+                  e.target.value = '';
+                  if (file) run(() => onUpload(file));
+                }}
+              />
+            </label>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DatasetSwitcher;
@@ -0,0 +1,73 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+// Small dropdown of export actions.
+// sections: [{ label, actions: [{ label, onClick, disabled }] }]
+const ExportMenu = ({ label = '📤 Export', title, sections, isDarkMode, align = 'right' }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  return (
+    <div ref={containerRef} className="relative inline-block text-left">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+        title={title}
+        className={`inline-flex items-center gap-2 rounded-lg px-3 py-1.5 font-medium text-sm transition-colors focus:outline-none focus:ring-2 focus:ring-teal-500/40 ${
+          isDarkMode
+            ? 'bg-slate-700 border border-slate-600 text-slate-200 hover:bg-slate-600'
+            : 'bg-white border border-slate-200 text-slate-700 hover:bg-slate-50'
+        }`}
+      >
+        {label}
+        <span className="text-xs">{isOpen ? '▲' : '▼'}</span>
+      </button>
+
+      {isOpen && (
+        <div
+          role="menu"
+          className={`absolute z-30 mt-1 w-72 rounded-md border shadow-lg py-1 ${align === 'right' ? 'right-0' : 'left-0'} ${
+            isDarkMode ? 'bg-slate-800 border-slate-600 text-slate-200' : 'bg-white border-slate-200 text-slate-700'
+          }`}
+        >
+          {sections.map((section) => (
+            <div key={section.label} className="flex items-center justify-between gap-2 px-3 py-1.5 text-sm">
+              <span className="truncate">{section.label}</span>
+              <span className="flex gap-1 flex-shrink-0">
+                {section.actions.map((action) => (
+                  <button
+                    key={action.label}
+                    type="button"
+                    role="menuitem"
+                    disabled={action.disabled}
+                    onClick={() => {
+                      action.onClick();
+                      setIsOpen(false);
+                    }}
+                    className={`rounded px-2 py-0.5 text-xs font-semibold border disabled:opacity-50 disabled:cursor-not-allowed ${
+                      isDarkMode ? 'border-slate-600 hover:bg-slate-700' : 'border-slate-200 hover:bg-slate-100'
+                    }`}
+                  >
+                    {action.label}
+                  </button>
+                ))}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
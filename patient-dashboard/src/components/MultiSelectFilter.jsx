@@ -0,0 +1,91 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { toggleValue } from '../lib/filters';
+
+// Dropdown of checkboxes; an empty selection means "all"
+const MultiSelectFilter = ({ label, allLabel = 'All', options, selected, onChange, isDarkMode }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  // Close when clicking anywhere outside the dropdown
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  // Ignore selections that are not options in the current dataset
+  const activeSelected = selected.filter((v) => options.some((o) => o.value === v));
+  const isActive = activeSelected.length > 0;
+
+  let summary = allLabel;
+  if (activeSelected.length === 1) {
+    summary = options.find((o) => o.value === activeSelected[0])?.label ?? activeSelected[0];
+  } else if (activeSelected.length > 1) {
+    summary = `${activeSelected.length} selected`;
+  }
+
+  return (
+    <div ref={containerRef} className="relative">
+      <label className={`block text-sm font-medium mb-1 ${isDarkMode ? 'text-slate-300' : 'text-slate-600'}`}>{label}</label>
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        aria-haspopup="listbox"
+        aria-expanded={isOpen}
+        className={`w-full p-2 border rounded-md flex items-center justify-between text-left ${
+          isDarkMode
+            ? 'bg-slate-700 text-white border-slate-600'
+            : 'bg-white text-slate-700 border-slate-300'
+        } ${
+          isActive
+            ? isDarkMode
+              ? 'border-teal-500'
+              : 'bg-teal-50 border-teal-300'
+            : ''
+        }`}
+      >
+        <span className="truncate">{summary}</span>
+        <span className="ml-2 text-xs">{isOpen ? '▲' : '▼'}</span>
+      </button>
+
+      {isOpen && (
+        <div
+          role="listbox"
+          aria-multiselectable="true"
+          className={`absolute z-20 mt-1 w-full max-h-64 overflow-y-auto rounded-md border shadow-lg ${
+            isDarkMode ? 'bg-slate-800 border-slate-600 text-slate-200' : 'bg-white border-slate-200 text-slate-700'
+          }`}
+        >
+          <button
+            type="button"
+            onClick={() => onChange([])}
+            disabled={!isActive}
+            className={`w-full text-left px-3 py-2 text-xs font-medium border-b disabled:opacity-50 ${
+              isDarkMode ? 'border-slate-700 hover:bg-slate-700' : 'border-slate-100 hover:bg-slate-50'
+            }`}
+          >
+            Clear selection ({allLabel})
+          </button>
+          {options.map((option) => (
+            <label
+              key={option.value}
+              className={`flex items-center gap-2 px-3 py-1.5 text-sm cursor-pointer ${isDarkMode ? 'hover:bg-slate-700' : 'hover:bg-slate-50'}`}
+            >
+              <input
+                type="checkbox"
+                checked={activeSelected.includes(option.value)}
+                onChange={() => onChange(toggleValue(activeSelected, option.value))}
+              />
+              {option.label}
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MultiSelectFilter;
@@ -0,0 +1,146 @@
+import React from 'react';
+
+const PAGE_SIZES = { letter: 'letter', a4: 'A4' };
+
+const KPI_CARDS = [
+  { key: 'total', label: 'Total Appointments', border: 'border-blue-500', text: 'text-slate-800' },
+  { key: 'noShows', label: 'No-Shows', border: 'border-rose-400', text: 'text-rose-500' },
+  { key: 'shows', label: 'Showed Up', border: 'border-teal-500', text: 'text-teal-600' },
+  { key: 'noShowRate', label: 'No-Show Rate', border: 'border-amber-500', text: 'text-amber-600', suffix: '%' }
+];
+
+const SectionTitle = ({ children }) => (
+  <h2 className="text-base font-bold text-slate-800 border-b border-slate-300 pb-1 mb-2">{children}</h2>
+);
+
+// Print-only report of the current view. Hidden on screen; the dashboard hides itself while it is mounted.
+// Charts arrive as light-theme SVG data URLs so they scale to the page instead of the screen width.
+const PrintReport = ({
+  ref,
+  paperSize,
+  generatedAt,
+  datasetOverview,
+  filterText,
+  kpis,
+  keyTakeaways,
+  dataQualityStats,
+  statistics,
+  charts
+}) => (
+  <div
+    ref={ref}
+    className="hidden print:block bg-white text-slate-700 text-sm"
+    style={{ printColorAdjust: 'exact', WebkitPrintColorAdjust: 'exact' }}
+  >
+    <style>{`@page { size: ${PAGE_SIZES[paperSize] || 'auto'} portrait; margin: 14mm; }`}</style>
+
+    <header className="mb-4">
+      <h1 className="text-2xl font-bold text-slate-800">Patient No-Show Analysis Report</h1>
+      <p className="text-xs text-slate-500">Generated {generatedAt.toLocaleString()}</p>
+    </header>
+
+    <section className="mb-4 break-inside-avoid">
+      <SectionTitle>Dataset Overview</SectionTitle>
+      {datasetOverview && (
+        <p>
+          {datasetOverview.total.toLocaleString()} appointments spanning {datasetOverview.dateRange}. {datasetOverview.noShowDef}.
+        </p>
+      )}
+      <p className="mt-1">
+        <span className="font-semibold">Active filters:</span> {filterText}
+      </p>
+    </section>
+
+    <section className="mb-4 break-inside-avoid">
+      <div className="grid grid-cols-4 gap-3">
+        {KPI_CARDS.map((card) => (
+          <div key={card.key} className={`rounded-lg border border-slate-200 border-t-4 ${card.border} p-3`}>
+            <p className="text-xs font-medium text-slate-600">{card.label}</p>
+            <p className={`text-xl font-bold ${card.text}`}>
+              {typeof kpis[card.key] === 'number' ? kpis[card.key].toLocaleString() : kpis[card.key]}
+              {card.suffix}
+            </p>
+          </div>
+        ))}
+      </div>
+    </section>
+
+    <section className="mb-4 break-inside-avoid">
+      <SectionTitle>Key Takeaways & Recommendations</SectionTitle>
+      <ul className="list-disc ml-5 space-y-1">
+        {keyTakeaways.map((takeaway) => (
+          <li key={takeaway}>{takeaway}</li>
+        ))}
+      </ul>
+    </section>
+
+    {dataQualityStats && (
+      <section className="mb-4 break-inside-avoid">
+        <SectionTitle>Data Quality & Assumptions</SectionTitle>
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <p className="font-semibold text-slate-800">Records</p>
+            <p>{dataQualityStats.total.toLocaleString()} total appointments</p>
+            {dataQualityStats.excludedRows > 0 && (
+              <p>{dataQualityStats.excludedRows.toLocaleString()} rows excluded at upload (failed validation)</p>
+            )}
+            {datasetOverview?.dateRangeDays !== undefined && (
+              <p>{datasetOverview.dateRange} ({datasetOverview.dateRangeDays} days)</p>
+            )}
+          </div>
+          <div>
+            <p className="font-semibold text-slate-800">Missing Data</p>
+            <p>Waiting Days: {dataQualityStats.missingWaitingDays.toLocaleString()} records</p>
+            <p>SMS Received: {dataQualityStats.missingSMS.toLocaleString()} records</p>
+            <p>Age Group: {dataQualityStats.missingAgeGroup.toLocaleString()} records</p>
+          </div>
+          <div>
+            <p className="font-semibold text-slate-800">Key Assumption</p>
+            <p>NoShow=1 indicates patient did not attend scheduled appointment</p>
+          </div>
+          <div>
+            <p className="font-semibold text-slate-800">Limitations</p>
+            <p className="italic">Single healthcare system; results may not generalize to other populations or settings</p>
+          </div>
+        </div>
+      </section>
+    )}
+
+    <section className="break-before-page">
+      <SectionTitle>Charts</SectionTitle>
+      <div className="grid grid-cols-2 gap-4">
+        {charts.map((chart) => (
+          <figure key={chart.key} className={`break-inside-avoid ${chart.key === 'byWeek' ? 'col-span-2' : ''}`}>
+            <img src={chart.src} alt={chart.title} className="w-full h-auto border border-slate-200 rounded" />
+          </figure>
+        ))}
+      </div>
+    </section>
+
+    {statistics && (
+      <section className="break-before-page">
+        <SectionTitle>Statistical Summary</SectionTitle>
+        <p className="font-medium text-slate-800">Correlations with No-Show (point-biserial):</p>
+        <ul className="ml-5 list-disc">
+          {statistics.correlations.map((c) => (
+            <li key={c.label}>
+              {c.label}: {c.text}
+              {c.isStrongest && ' (strongest association)'}
+            </li>
+          ))}
+        </ul>
+        <p className="font-medium text-slate-800 mt-2">Statistical Tests:</p>
+        <ul className="ml-5 list-disc">
+          <li>Welch t-test (Waiting Days by NoShow): {statistics.tTest.text}{statistics.tTest.significant && ' ✓'}</li>
+          <li>Chi-square (SMS vs NoShow): {statistics.chiSquare.text}{statistics.chiSquare.significant && ' ✓'}</li>
+        </ul>
+        <p className="text-xs text-slate-500 mt-2">
+          Computed from the current selection (n = {kpis.total.toLocaleString()}, ✓ = p &lt; 0.05). These are associations, not causal
+          effects - SMS reminders, for example, may be sent to higher-risk appointments.
+        </p>
+      </section>
+    )}
+  </div>
+);
+
+export default PrintReport;
@@ -0,0 +1,178 @@
+import React, { useState, useMemo } from 'react';
+import { getRiskLevel } from '../lib/riskScoring';
+
+const COLUMNS = [
+  { key: 'probability', label: 'Risk' },
+  { key: 'appointmentDay', label: 'Appointment' },
+  { key: 'scheduledDay', label: 'Scheduled' },
+  { key: 'ageGroup', label: 'Age Group' },
+  { key: 'age', label: 'Age' },
+  { key: 'waitingDays', label: 'Waiting Days' },
+  { key: 'sms', label: 'SMS' },
+  { key: 'outcome', label: 'Outcome' }
+];
+
+const PAGE_SIZES = [25, 50, 100];
+
+const isBlank = (v) => v === null || v === undefined || v === '';
+
+const compareValues = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+};
+
+const RiskWorklist = ({ items, baseRate, unscoredCount, isDarkMode, onExport }) => {
+  const [sort, setSort] = useState({ key: 'probability', dir: 'desc' });
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(25);
+
+  const sortedItems = useMemo(() => {
+    const dir = sort.dir === 'asc' ? 1 : -1;
+    return [...items].sort((a, b) => {
+      const aVal = a[sort.key];
+      const bVal = b[sort.key];
+      // Keep blanks at the bottom in both directions
+      if (isBlank(aVal) || isBlank(bVal)) return isBlank(aVal) - isBlank(bVal);
+      return dir * compareValues(aVal, bVal);
+    });
+  }, [items, sort]);
+
+  const pageCount = Math.max(1, Math.ceil(sortedItems.length / pageSize));
+  const currentPage = Math.min(page, pageCount - 1);
+  const pageItems = sortedItems.slice(currentPage * pageSize, (currentPage + 1) * pageSize);
+
+  const handleSort = (key) => {
+    setSort((prev) => ({ key, dir: prev.key === key && prev.dir === 'desc' ? 'asc' : 'desc' }));
+    setPage(0);
+  };
+
+  const riskBadgeClass = (level) => {
+    if (level === 'High') return isDarkMode ? 'bg-rose-900/40 text-rose-300' : 'bg-rose-100 text-rose-700';
+    if (level === 'Elevated') return isDarkMode ? 'bg-amber-900/40 text-amber-300' : 'bg-amber-100 text-amber-700';
+    return isDarkMode ? 'bg-slate-700 text-slate-300' : 'bg-slate-100 text-slate-600';
+  };
+
+  const buttonClass = `px-3 py-1 text-xs font-medium rounded-md border disabled:opacity-50 disabled:cursor-not-allowed ${
+    isDarkMode ? 'bg-slate-700 text-slate-200 border-slate-600 hover:bg-slate-600' : 'bg-white text-slate-700 border-slate-200 hover:bg-slate-50'
+  }`;
+
+  if (!items.length) {
+    return (
+      <p className={`text-sm italic ${isDarkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+        No appointments to score for the current filters.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-3 text-sm">
+        <p className={isDarkMode ? 'text-slate-300' : 'text-slate-600'}>
+          {items.length.toLocaleString()} appointments scored
+          {unscoredCount > 0 && ` (${unscoredCount.toLocaleString()} skipped for missing model inputs)`}.
+          Average no-show rate: {(baseRate * 100).toFixed(1)}%.
+        </p>
+        <button type="button" onClick={() => onExport(sortedItems)} className={buttonClass}>
+          📥 Export worklist (CSV)
+        </button>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className={`w-full text-sm text-left ${isDarkMode ? 'text-slate-300' : 'text-slate-700'}`}>
+          <thead>
+            <tr className={`border-b ${isDarkMode ? 'border-slate-600 text-slate-400' : 'border-slate-200 text-slate-500'}`}>
+              <th className="py-2 pr-3 font-medium">#</th>
+              {COLUMNS.map((col) => (
+                <th key={col.key} className="py-2 pr-3 font-medium whitespace-nowrap">
+                  <button
+                    type="button"
+                    onClick={() => handleSort(col.key)}
+                    className="inline-flex items-center gap-1 hover:underline"
+                    aria-sort={sort.key === col.key ? (sort.dir === 'asc' ? 'ascending' : 'descending') : 'none'}
+                  >
+                    {col.label}
+                    {sort.key === col.key && <span>{sort.dir === 'asc' ? '▲' : '▼'}</span>}
+                  </button>
+                </th>
+              ))}
+              <th className="py-2 font-medium">Contributing Factors</th>
+            </tr>
+          </thead>
+          <tbody>
+            {pageItems.map((item, i) => {
+              const level = getRiskLevel(item.probability, baseRate);
+              return (
+                <tr key={item.id} className={`border-b ${isDarkMode ? 'border-slate-700' : 'border-slate-100'}`}>
+                  <td className="py-2 pr-3">{currentPage * pageSize + i + 1}</td>
+                  <td className="py-2 pr-3 whitespace-nowrap">
+                    <span className={`inline-block rounded-full px-2 py-0.5 text-xs font-semibold ${riskBadgeClass(level)}`}>
+                      {(item.probability * 100).toFixed(1)}% · {level}
+                    </span>
+                  </td>
+                  <td className="py-2 pr-3 whitespace-nowrap">{item.appointmentDay || '—'}</td>
+                  <td className="py-2 pr-3 whitespace-nowrap">{item.scheduledDay || '—'}</td>
+                  <td className="py-2 pr-3">{item.ageGroup || '—'}</td>
+                  <td className="py-2 pr-3">{item.age ?? '—'}</td>
+                  <td className="py-2 pr-3">{item.waitingDays ?? '—'}</td>
+                  <td className="py-2 pr-3">{item.sms || '—'}</td>
+                  <td className="py-2 pr-3">{item.outcome || '—'}</td>
+                  <td className="py-2">
+                    <div className="flex flex-wrap gap-1">
+                      {item.factors.map((f) => (
+                        <span
+                          key={f.key}
+                          title={`${f.logOdds >= 0 ? '+' : ''}${f.logOdds.toFixed(2)} log-odds vs. an average appointment`}
+                          className={`rounded px-1.5 py-0.5 text-xs ${
+                            f.logOdds >= 0
+                              ? (isDarkMode ? 'bg-rose-900/30 text-rose-300' : 'bg-rose-50 text-rose-700')
+                              : (isDarkMode ? 'bg-teal-900/30 text-teal-300' : 'bg-teal-50 text-teal-700')
+                          }`}
+                        >
+                          {f.logOdds >= 0 ? '▲' : '▼'} {f.label}
+                        </span>
+                      ))}
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-3 text-sm">
+        <label className={`inline-flex items-center gap-2 ${isDarkMode ? 'text-slate-300' : 'text-slate-600'}`}>
+          Rows per page
+          <select
+            value={pageSize}
+            onChange={(e) => {
+              setPageSize(Number(e.target.value));
+              setPage(0);
+            }}
+            className={`p-1 border rounded-md ${isDarkMode ? 'bg-slate-700 text-white border-slate-600' : 'bg-white text-slate-700 border-slate-300'}`}
+          >
+            {PAGE_SIZES.map((size) => (
+              <option key={size} value={size}>{size}</option>
+            ))}
+          </select>
+        </label>
+        <div className="inline-flex items-center gap-2">
+          <button type="button" onClick={() => setPage(0)} disabled={currentPage === 0} className={buttonClass}>
+            « First
+          </button>
+          <button type="button" onClick={() => setPage(currentPage - 1)} disabled={currentPage === 0} className={buttonClass}>
+            ‹ Prev
+          </button>
+          <span className={isDarkMode ? 'text-slate-300' : 'text-slate-600'}>
+            Page {currentPage + 1} of {pageCount.toLocaleString()}
+          </span>
+          <button type="button" onClick={() => setPage(currentPage + 1)} disabled={currentPage >= pageCount - 1} className={buttonClass}>
+            Next ›
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RiskWorklist;
@@ -0,0 +1,145 @@
+import React from 'react';
+import {
+  BarChart, Bar, Cell, ErrorBar, ReferenceLine, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer
+} from 'recharts';
+import { RateTooltip } from './ChartTooltips';
+import { MIN_SAMPLE_SIZE } from '../lib/aggregations';
+
+// No-show rate by appointment weekday, booking hour and same-day vs advance booking, plus a
+// weekday x waiting-time heatmap. chartData holds byWeekday / byBookingHour / byBookingType (see
+// aggregateSelection), leadTime its weekdayLeadTime. Bars select through onSelect(filterKey, value, event)
+// like the other charts; a heatmap cell calls onSelectCell(weekday, waitingDaysValue).
+// renderExportMenu(chartKey) and chartRef(chartKey) hook each bar chart into the dashboard's chart exports.
+const SchedulingPanel = ({
+  chartData, leadTime, averageRate, filters, selectionStyle, onSelect, onSelectCell, renderExportMenu, chartRef, isDarkMode
+}) => {
+  const axisColor = isDarkMode ? '#e2e8f0' : '#475569';
+  const mutedClass = isDarkMode ? 'text-slate-400' : 'text-slate-500';
+  const hasBookingHours = chartData.byBookingHour.length > 0;
+  const onlyMidnight = hasBookingHours && chartData.byBookingHour.every((d) => d.filterValue === '0');
+
+  const renderRateChart = (title, chartKey, filterKey, height = 220) => {
+    const data = chartData[chartKey];
+    return (
+      <div>
+        <div className="flex items-center justify-between gap-2 mb-2">
+          <h4 className={`text-sm font-medium ${isDarkMode ? 'text-slate-200' : 'text-slate-700'}`}>{title}</h4>
+          {data.length > 0 && renderExportMenu(chartKey)}
+        </div>
+        {data.length === 0 ? (
+          <p className={`text-xs italic ${mutedClass}`}>No appointments with this information for the current filters.</p>
+        ) : (
+          <div ref={chartRef(chartKey)}>
+            <ResponsiveContainer width="100%" height={height}>
+              <BarChart data={data}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="name" tick={{ fill: axisColor, fontSize: 12 }} />
+                <YAxis width={45} tick={{ fill: axisColor, fontSize: 12 }} tickFormatter={(v) => `${v}%`} />
+                <Tooltip content={<RateTooltip isDarkMode={isDarkMode} />} />
+                <ReferenceLine y={averageRate} stroke={isDarkMode ? '#94a3b8' : '#64748b'} strokeDasharray="5 5" />
+                <Bar
+                  dataKey="rate"
+                  fill="#fb923c"
+                  cursor="pointer"
+                  onClick={(d, index, event) => onSelect(filterKey, d?.payload?.filterValue, event)}
+                >
+                  {data.map((entry) => (
+                    <Cell key={entry.name} fill="#fb923c" {...selectionStyle(filterKey, entry.filterValue, entry.isSmallSample ? 0.35 : 1)} />
+                  ))}
+                  <ErrorBar dataKey="rateError" width={4} strokeWidth={1.5} stroke={axisColor} />
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Heatmap shading: orange scaled by the cell's rate against the highest rate in the table
+  const maxRate = Math.max(0, ...leadTime.flatMap((row) => row.cells.filter((cell) => cell.total).map((cell) => cell.rate)));
+  const cellStyle = (cell) => {
+    if (!cell.total) return {};
+    const strength = maxRate > 0 ? cell.rate / maxRate : 0;
+    return { backgroundColor: `rgba(251, 146, 60, ${(0.1 + strength * 0.75) * (cell.isSmallSample ? 0.4 : 1)})` };
+  };
+  const isCellSelected = (row, cell) =>
+    filters.weekday.length === 1 && filters.weekday[0] === row.filterValue &&
+    filters.waitingDays.length === 1 && filters.waitingDays[0] === cell.filterValue;
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {renderRateChart('By appointment weekday', 'byWeekday', 'weekday')}
+        {renderRateChart('Same-day vs advance booking', 'byBookingType', 'bookingType')}
+        {renderRateChart('By booking hour', 'byBookingHour', 'bookingHour')}
+      </div>
+      {!hasBookingHours && (
+        <p className={`text-xs ${mutedClass}`}>
+          Booking hours need a time of day in ScheduledDay (e.g. 2016-04-29T18:38:08Z); this dataset only has dates.
+        </p>
+      )}
+      {onlyMidnight && (
+        <p className={`text-xs ${mutedClass}`}>
+          Every booking time is 00:00, so the times were probably dropped when the data was exported.
+        </p>
+      )}
+
+      <div>
+        <h4 className={`text-sm font-medium mb-2 ${isDarkMode ? 'text-slate-200' : 'text-slate-700'}`}>
+          Weekday × waiting time (no-show rate)
+        </h4>
+        {leadTime.length === 0 ? (
+          <p className={`text-xs italic ${mutedClass}`}>No appointments with a weekday and waiting time for the current filters.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className={`text-xs border-collapse ${isDarkMode ? 'text-slate-200' : 'text-slate-700'}`}>
+              <thead>
+                <tr>
+                  <th className="px-2 py-1" />
+                  {leadTime[0].cells.map((cell) => (
+                    <th key={cell.name} className="px-2 py-1 font-medium whitespace-nowrap">{cell.name}</th>
+                  ))}
+                  <th className="px-2 py-1 font-medium">All</th>
+                </tr>
+              </thead>
+              <tbody>
+                {leadTime.map((row) => (
+                  <tr key={row.name}>
+                    <th className="px-2 py-1 font-medium text-left">{row.name}</th>
+                    {row.cells.map((cell) => (
+                      <td key={cell.name} className="p-0.5">
+                        <button
+                          type="button"
+                          disabled={!cell.total}
+                          onClick={() => onSelectCell(row.filterValue, cell.filterValue)}
+                          title={cell.total
+                            ? `${row.name}, ${cell.name}: ${cell.rate}% no-show (95% CI ${cell.ciLow}–${cell.ciHigh}%, n = ${cell.total.toLocaleString()})`
+                            : `${row.name}, ${cell.name}: no appointments`}
+                          style={cellStyle(cell)}
+                          className={`w-full min-w-16 rounded px-2 py-1.5 tabular-nums disabled:cursor-default ${
+                            isCellSelected(row, cell) ? (isDarkMode ? 'ring-2 ring-slate-100' : 'ring-2 ring-slate-800') : ''
+                          } ${cell.total ? '' : mutedClass}`}
+                        >
+                          {cell.total ? `${cell.rate}%` : '–'}
+                        </button>
+                      </td>
+                    ))}
+                    <td className={`px-2 py-1 tabular-nums ${mutedClass}`}>
+                      {row.rate}% <span className="opacity-75">(n={row.total.toLocaleString()})</span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        <p className={`mt-2 text-xs ${mutedClass}`}>
+          Darker cells have higher no-show rates; faded cells have fewer than {MIN_SAMPLE_SIZE} appointments. Click a cell to filter to that weekday and waiting time.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default SchedulingPanel;
@@ -0,0 +1,130 @@
+import React from 'react';
+import {
+  BarChart, Bar, LineChart, Line, PieChart, Pie, Cell, ErrorBar,
+  XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer
+} from 'recharts';
+
+const SEGMENT_COLORS = { A: '#14b8a6', B: '#6366f1' };
+const OUTCOME_COLORS = ['#14b8a6', '#f43f5e', '#94a3b8'];
+
+const ComparisonTooltip = ({ active, payload, isRate, isDarkMode }) => {
+  if (!active || !payload || !payload.length) return null;
+  const d = payload[0].payload;
+
+  return (
+    <div className={`${isDarkMode ? 'bg-slate-800 border-slate-600 text-slate-200' : 'bg-white border-gray-200 text-gray-700'} p-3 border rounded shadow-lg text-sm`}>
+      <p className="font-semibold mb-1">{d.name}</p>
+      {['A', 'B'].map((segment) => (
+        <p key={segment} style={{ color: SEGMENT_COLORS[segment] }}>
+          {segment}: {d[segment] === null ? 'no appointments' : isRate ? `${d[segment]}%` : d[segment].toLocaleString()}
+          {isRate && d[segment] !== null && ` (95% CI ${d[`ciLow${segment}`]}–${d[`ciHigh${segment}`]}%, n = ${d[`n${segment}`].toLocaleString()})`}
+          {isRate && d[`small${segment}`] && ' ⚠️'}
+        </p>
+      ))}
+    </div>
+  );
+};
+
+// Compare-mode version of a dashboard chart: segment A and B side by side (bars), overlaid (lines)
+// or as two pies. data comes from mergeSegmentSeries; for pies it is { A: pieData, B: pieData }.
+// view 'rate' plots no-show rates with 95% CI error bars, 'count' plots appointment counts.
+// Clicking a bar or slice calls onSelect(segment, filterValue, event) for the segment it belongs to;
+// lines are shared by both segments, so a line chart click calls onSelect(null, category, event).
+const SegmentComparisonChart = ({ data, type = 'bar', view = 'rate', segmentLabels, onSelect, isDarkMode, height = 300 }) => {
+  const tickColor = isDarkMode ? '#e2e8f0' : '#475569';
+  const isRate = view === 'rate';
+
+  const legendFormatter = (value) => `${value}: ${segmentLabels[value]}`;
+
+  if (type === 'pie') {
+    return (
+      <ResponsiveContainer width="100%" height={height}>
+        <PieChart>
+          {['A', 'B'].map((segment) => (
+            <Pie
+              key={segment}
+              data={data[segment]}
+              dataKey="value"
+              cx={segment === 'A' ? '25%' : '75%'}
+              cy="45%"
+              outerRadius={80}
+              label={({ percent }) => `${(percent * 100).toFixed(1)}%`}
+              labelLine={false}
+              cursor="pointer"
+              onClick={(d, index, event) => onSelect(segment, d?.payload?.outcome, event)}
+            >
+              {data[segment].map((entry, index) => (
+                <Cell key={`${segment}-${entry.name}`} fill={OUTCOME_COLORS[index % OUTCOME_COLORS.length]} />
+              ))}
+            </Pie>
+          ))}
+          <text x="25%" y={height - 40} textAnchor="middle" fill={SEGMENT_COLORS.A} fontWeight={600}>Segment A</text>
+          <text x="75%" y={height - 40} textAnchor="middle" fill={SEGMENT_COLORS.B} fontWeight={600}>Segment B</text>
+          <Legend verticalAlign="bottom" height={24} payload={
+            (data.A.length >= data.B.length ? data.A : data.B).map((entry, index) => (
+              { value: entry.name, type: 'square', color: OUTCOME_COLORS[index % OUTCOME_COLORS.length] }
+            ))
+          } />
+          <Tooltip />
+        </PieChart>
+      </ResponsiveContainer>
+    );
+  }
+
+  if (type === 'line') {
+    return (
+      <ResponsiveContainer width="100%" height={height}>
+        <LineChart data={data} onClick={(state, event) => onSelect(null, state?.activeLabel, event)} style={{ cursor: 'pointer' }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="name" tick={{ fill: tickColor }} />
+          <YAxis width={60} tick={{ fill: tickColor }} unit={isRate ? '%' : ''} />
+          <Tooltip content={<ComparisonTooltip isRate={isRate} isDarkMode={isDarkMode} />} />
+          <Legend formatter={legendFormatter} />
+          {['A', 'B'].map((segment) => (
+            <Line
+              key={segment}
+              type="monotone"
+              dataKey={segment}
+              stroke={SEGMENT_COLORS[segment]}
+              strokeWidth={2}
+              dot={{ r: 3 }}
+              connectNulls
+            />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+    );
+  }
+
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <BarChart data={data}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey="name" tick={{ fill: tickColor }} />
+        <YAxis width={60} tick={{ fill: tickColor }} unit={isRate ? '%' : ''} />
+        <Tooltip content={<ComparisonTooltip isRate={isRate} isDarkMode={isDarkMode} />} />
+        <Legend formatter={legendFormatter} />
+        {['A', 'B'].map((segment) => (
+          <Bar
+            key={segment}
+            dataKey={segment}
+            fill={SEGMENT_COLORS[segment]}
+            cursor="pointer"
+            onClick={(d, index, event) => onSelect(segment, d?.payload?.filterValue, event)}
+          >
+            {data.map((entry) => (
+              <Cell
+                key={`${segment}-${entry.name}`}
+                fill={SEGMENT_COLORS[segment]}
+                fillOpacity={isRate && entry[`small${segment}`] ? 0.35 : 1}
+              />
+            ))}
+            {isRate && <ErrorBar dataKey={`error${segment}`} width={4} strokeWidth={1.5} stroke={tickColor} />}
+          </Bar>
+        ))}
+      </BarChart>
+    </ResponsiveContainer>
+  );
+};
+
+export default SegmentComparisonChart;
@@ -0,0 +1,41 @@
+import React from 'react';
+
+// Sheet choice for an uploaded workbook with more than one sheet. sheets: [{ name, rowCount }] from the parse worker.
+const SheetPicker = ({ fileName, sheets, onSelect, onCancel }) => (
+  <div className="min-h-screen bg-slate-100 p-8 flex items-center justify-center">
+    <div className="bg-white rounded-xl shadow-md p-8 w-full max-w-md border-l-4 border-teal-500">
+      <h1 className="text-xl font-bold text-slate-800">Choose a sheet</h1>
+      <p className="mt-1 text-sm text-slate-600">
+        {fileName ? <span className="font-medium">{fileName}</span> : 'This workbook'} has {sheets.length} sheets. Which one
+        holds the appointments?
+      </p>
+
+      <ul className="mt-4 space-y-2">
+        {sheets.map((sheet) => (
+          <li key={sheet.name}>
+            <button
+              type="button"
+              onClick={() => onSelect(sheet.name)}
+              className="w-full flex items-center justify-between px-3 py-2 text-sm rounded-md border bg-white text-slate-700 border-slate-200 hover:bg-slate-50"
+            >
+              <span className="font-medium">{sheet.name}</span>
+              <span className="text-xs text-slate-500">{sheet.rowCount.toLocaleString()} rows</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <div className="mt-6 flex justify-end">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1 text-sm font-medium rounded-md border bg-white text-slate-700 border-slate-200 hover:bg-slate-50"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  </div>
+);
+
+export default SheetPicker;
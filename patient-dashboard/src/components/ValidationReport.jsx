@@ -0,0 +1,96 @@
+import React from 'react';
+
+// What the upload validation found (see lib/validation), shown before anything loads.
+// The user either loads the file without the bad rows or cancels.
+
+const Examples = ({ examples, count, render }) => (
+  <ul className="mt-1 ml-4 space-y-0.5 text-xs text-slate-600">
+    {examples.map((example, i) => (
+      <li key={i}>• {render(example)}</li>
+    ))}
+    {count > examples.length && <li className="italic">… and {(count - examples.length).toLocaleString()} more</li>}
+  </ul>
+);
+
+const ValidationReport = ({ fileName, report, onProceed, onCancel }) => {
+  const validRows = report.rowCount - report.badRowCount;
+
+  return (
+    <div className="min-h-screen bg-slate-100 p-8 flex items-center justify-center">
+      <div className="bg-white rounded-xl shadow-md p-8 w-full max-w-2xl border-l-4 border-amber-500">
+        <h1 className="text-xl font-bold text-slate-800">Check your data</h1>
+        <p className="mt-1 text-sm text-slate-600">
+          {fileName ? <span className="font-medium">{fileName}</span> : 'The dataset'}: {report.rowCount.toLocaleString()} rows,{' '}
+          {report.badRowCount.toLocaleString()} with problems.{' '}
+          {report.firstRowNumber === 1 ? 'Rows are numbered by record, from 1.' : 'Row numbers count the header as row 1.'}
+        </p>
+
+        <div className="mt-4 space-y-4 text-sm text-slate-700 max-h-[60vh] overflow-y-auto">
+          {report.parseErrors.count > 0 && (
+            <div>
+              <p className="font-semibold">Parse errors: {report.parseErrors.count.toLocaleString()}</p>
+              <Examples
+                examples={report.parseErrors.examples}
+                count={report.parseErrors.count}
+                render={(err) => (err.row ? `Row ${err.row}: ${err.message}` : err.message)}
+              />
+            </div>
+          )}
+
+          {report.issues.map((issue) => (
+            <div key={issue.key}>
+              <p className="font-semibold">{issue.label}: {issue.count.toLocaleString()} rows</p>
+              <Examples
+                examples={issue.examples}
+                count={issue.count}
+                render={(example) => `Row ${example.row}: ${example.value === '' ? '(blank)' : `"${example.value}"`}`}
+              />
+            </div>
+          ))}
+
+          {report.missingColumns.length > 0 && (
+            <div>
+              <p className="font-semibold">Missing columns</p>
+              <ul className="mt-1 ml-4 space-y-0.5 text-xs text-slate-600">
+                {report.missingColumns.map((col) => (
+                  <li key={col.label}>• {col.label}: the {col.effect} will be empty</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {report.unusedColumns.length > 0 && (
+            <div>
+              <p className="font-semibold">Columns the dashboard doesn&apos;t use</p>
+              <p className="mt-1 text-xs text-slate-600">
+                {report.unusedColumns.join(', ')} (still shown in the appointment rows table)
+              </p>
+            </div>
+          )}
+        </div>
+
+        <div className="mt-6 flex items-center justify-end gap-2">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-3 py-1 text-sm font-medium rounded-md border bg-white text-slate-700 border-slate-200 hover:bg-slate-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={onProceed}
+            disabled={validRows === 0}
+            className="px-3 py-1 text-sm font-medium rounded-md border bg-teal-600 text-white border-teal-600 hover:bg-teal-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {report.badRowCount > 0
+              ? `Load ${validRows.toLocaleString()} rows, excluding ${report.badRowCount.toLocaleString()}`
+              : 'Load data'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ValidationReport;
@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { DEFAULT_WAITING_BIN_SETTINGS, QUANTILE_BIN_COUNTS, parseBinEdges } from '../lib/waitingBins';
+
+// Waiting-time bin settings (see lib/waitingBins): custom lower edges, or quantiles of the dataset's
+// waiting times. bins are the bins in use, listed as a preview; onChange receives the new settings.
+const WaitingBinEditor = ({ settings, bins, isDarkMode, onChange }) => {
+  const [edgesText, setEdgesText] = useState(settings.edges.join(', '));
+  const [error, setError] = useState(null);
+
+  const applyEdges = () => {
+    const parsed = parseBinEdges(edgesText);
+    setError(parsed.error || null);
+    if (parsed.edges) {
+      setEdgesText(parsed.edges.join(', '));
+      onChange({ ...settings, mode: 'edges', edges: parsed.edges });
+    }
+  };
+
+  const reset = () => {
+    setEdgesText(DEFAULT_WAITING_BIN_SETTINGS.edges.join(', '));
+    setError(null);
+    onChange(DEFAULT_WAITING_BIN_SETTINGS);
+  };
+
+  const modeClass = (mode) =>
+    settings.mode === mode
+      ? (isDarkMode ? 'px-3 py-1 text-xs font-medium rounded-md bg-teal-500 text-white' : 'px-3 py-1 text-xs font-medium rounded-md bg-teal-600 text-white')
+      : (isDarkMode ? 'px-3 py-1 text-xs font-medium rounded-md bg-slate-700 text-slate-300' : 'px-3 py-1 text-xs font-medium rounded-md bg-white text-slate-600 border border-slate-200');
+
+  const inputClass = `rounded-md border px-2 py-1 text-sm ${
+    isDarkMode ? 'bg-slate-900 border-slate-600 text-slate-200' : 'bg-white border-slate-300 text-slate-700'
+  }`;
+
+  const buttonClass = `px-3 py-1 text-sm font-medium rounded-md border ${
+    isDarkMode
+      ? 'bg-slate-800 text-slate-200 border-slate-600 hover:bg-slate-700'
+      : 'bg-white text-slate-700 border-slate-200 hover:bg-slate-50'
+  }`;
+
+  return (
+    <div
+      className={`mb-4 rounded-lg border p-3 text-sm space-y-3 ${
+        isDarkMode ? 'border-slate-600 bg-slate-900/40 text-slate-300' : 'border-slate-200 bg-slate-50 text-slate-700'
+      }`}
+    >
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className={`inline-flex rounded-lg p-1 border ${isDarkMode ? 'bg-slate-700 border-slate-600' : 'bg-slate-100 border-slate-200'}`}>
+          <button type="button" onClick={() => onChange({ ...settings, mode: 'edges' })} className={modeClass('edges')}>
+            Custom edges
+          </button>
+          <button type="button" onClick={() => onChange({ ...settings, mode: 'quantiles' })} className={modeClass('quantiles')}>
+            Quantiles
+          </button>
+        </div>
+        <button type="button" onClick={reset} className={buttonClass}>
+          Reset to default
+        </button>
+      </div>
+
+      {settings.mode === 'edges' ? (
+        <div>
+          <div className="flex flex-wrap items-center gap-2">
+            <label htmlFor="waiting-bin-edges" className="font-medium">Bin starts (days)</label>
+            <input
+              id="waiting-bin-edges"
+              type="text"
+              value={edgesText}
+              onChange={(e) => setEdgesText(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') applyEdges();
+              }}
+              className={`${inputClass} flex-1 min-w-40`}
+            />
+            <button type="button" onClick={applyEdges} className={buttonClass}>
+              Apply
+            </button>
+          </div>
+          {error ? (
+            <p className={`mt-1 text-xs ${isDarkMode ? 'text-rose-300' : 'text-rose-700'}`}>{error}</p>
+          ) : (
+            <p className={`mt-1 text-xs ${isDarkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+              The first day of each bin; the last bin is open-ended. 0, 1, 8, 31, 91 gives 0, 1-7, 8-30, 31-90 and 91+ days.
+            </p>
+          )}
+        </div>
+      ) : (
+        <div>
+          <label className="font-medium">
+            Split into{' '}
+            <select
+              value={settings.quantiles}
+              onChange={(e) => onChange({ ...settings, quantiles: Number(e.target.value) })}
+              className={inputClass}
+            >
+              {QUANTILE_BIN_COUNTS.map((count) => (
+                <option key={count} value={count}>{count}</option>
+              ))}
+            </select>{' '}
+            groups of similar size
+          </label>
+          <p className={`mt-1 text-xs ${isDarkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+            Edges come from this dataset&apos;s waiting times. Tied values (many same-day bookings) can merge groups.
+          </p>
+        </div>
+      )}
+
+      <p className="text-xs">
+        <span className="font-medium">Bins:</span> {bins.map((bin) => bin.name).join(' · ')}
+      </p>
+    </div>
+  );
+};
+
+export default WaitingBinEditor;
@@ -0,0 +1,95 @@
+import { parseBinEdges } from './waitingBins';
+
+// Age group schemes. 'dataset' keeps the AgeGroup column as provided (rows without one get the decade
+// of their Age, see buildColumns); the others re-band every row from the numeric Age column:
+//   decades     0-9, 10-19, ... 90+
+//   lifeStages  Pediatric (0-17), Adult (18-64), Senior (65+)
+//   custom      lower edges in years, e.g. [0, 18, 40, 65] for 0-17, 18-39, 40-64 and 65+
+// Settings, saved in the browser: { scheme, edges } (edges for the custom scheme)
+
+const STORAGE_KEY = 'patientDashboard.ageBands';
+
+export const AGE_SCHEMES = [
+  { key: 'dataset', label: 'As in the data' },
+  { key: 'decades', label: 'Decades' },
+  { key: 'lifeStages', label: 'Pediatric / adult / senior' },
+  { key: 'custom', label: 'Custom' }
+];
+
+export const MAX_AGE_BANDS = 15;
+
+const DECADE_EDGES = [0, 10, 20, 30, 40, 50, 60, 70, 80, 90];
+const LIFE_STAGES = [
+  { min: 0, label: 'Pediatric' },
+  { min: 18, label: 'Adult' },
+  { min: 65, label: 'Senior' }
+];
+
+export const DEFAULT_AGE_BAND_SETTINGS = { scheme: 'dataset', edges: [0, 18, 40, 65] };
+
+// Decade of an age in the dataset's own label style ("20-29"); '' when the age is missing
+export const decadeLabel = (years) => {
+  if (!Number.isFinite(years) || years < 0) return '';
+  const decade = Math.floor(years / 10) * 10;
+  return `${decade}-${decade + 9}`;
+};
+
+// [{ min, name }] from lower edges, names e.g. "18-39" or "65+" (prefixed with the stage name when given)
+const bandsFromEdges = (edges, stageNames = []) =>
+  edges.map((min, i) => {
+    const range = i < edges.length - 1 ? `${min}-${edges[i + 1] - 1}` : `${min}+`;
+    return { min, name: stageNames[i] ? `${stageNames[i]} (${range})` : range };
+  });
+
+// The bands for these settings, or null for 'dataset' (the AgeGroup column as loaded)
+export const ageBandsFor = (settings) => {
+  switch (settings.scheme) {
+    case 'decades':
+      return bandsFromEdges(DECADE_EDGES);
+    case 'lifeStages':
+      return bandsFromEdges(LIFE_STAGES.map((stage) => stage.min), LIFE_STAGES.map((stage) => stage.label));
+    case 'custom':
+      return bandsFromEdges(settings.edges);
+    default:
+      return null;
+  }
+};
+
+// The band an age falls in; '' when the age is missing (bands start at 0, so every other age has one)
+export const ageBandLabel = (years, bands) => {
+  if (!Number.isFinite(years) || years < 0) return '';
+  let name = bands[0].name;
+  bands.forEach((band) => {
+    if (years >= band.min) name = band.name;
+  });
+  return name;
+};
+
+// { min, max } of an age group label like "20-29", "Adult (18-64)" or "65+" (max null when open-ended);
+// null for labels without an age range
+export const parseAgeRange = (label) => {
+  const match = String(label).match(/(\d+)(?:\s*-\s*(\d+)|\+)/);
+  return match ? { min: Number(match[1]), max: match[2] === undefined ? null : Number(match[2]) } : null;
+};
+
+// Text like "0, 18, 40, 65" -> { edges } or { error }
+export const parseAgeEdges = (text) => parseBinEdges(text, { maxBins: MAX_AGE_BANDS });
+
+export const loadAgeBandSettings = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (!saved || !AGE_SCHEMES.some((scheme) => scheme.key === saved.scheme)) return DEFAULT_AGE_BAND_SETTINGS;
+    const { edges } = parseAgeEdges((saved.edges || []).join(','));
+    return { scheme: saved.scheme, edges: edges || DEFAULT_AGE_BAND_SETTINGS.edges };
+  } catch {
+    return DEFAULT_AGE_BAND_SETTINGS;
+  }
+};
+
+export const saveAgeBandSettings = (settings) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.error('Saving age bands failed:', err);
+  }
+};
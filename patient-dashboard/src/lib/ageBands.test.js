@@ -0,0 +1,41 @@
+import { describe, expect, it } from 'vitest';
+import { ageBandLabel, ageBandsFor, decadeLabel, parseAgeEdges, parseAgeRange } from './ageBands';
+
+describe('age bands', () => {
+  it('labels the decade of an age', () => {
+    expect(decadeLabel(0)).toBe('0-9');
+    expect(decadeLabel(47.5)).toBe('40-49');
+    expect(decadeLabel(NaN)).toBe('');
+    expect(decadeLabel(-1)).toBe('');
+  });
+
+  it('builds the bands of each scheme', () => {
+    expect(ageBandsFor({ scheme: 'dataset' })).toBeNull();
+    expect(ageBandsFor({ scheme: 'decades' }).map((band) => band.name).slice(-2)).toEqual(['80-89', '90+']);
+    expect(ageBandsFor({ scheme: 'lifeStages' }).map((band) => band.name))
+      .toEqual(['Pediatric (0-17)', 'Adult (18-64)', 'Senior (65+)']);
+    expect(ageBandsFor({ scheme: 'custom', edges: [0, 18, 40, 65] }).map((band) => band.name))
+      .toEqual(['0-17', '18-39', '40-64', '65+']);
+  });
+
+  it('puts an age in the last band it reaches', () => {
+    const bands = ageBandsFor({ scheme: 'custom', edges: [0, 18, 40, 65] });
+    expect(ageBandLabel(0, bands)).toBe('0-17');
+    expect(ageBandLabel(17.9, bands)).toBe('0-17');
+    expect(ageBandLabel(18, bands)).toBe('18-39');
+    expect(ageBandLabel(102, bands)).toBe('65+');
+    expect(ageBandLabel(NaN, bands)).toBe('');
+  });
+
+  it('reads the age range back out of a label', () => {
+    expect(parseAgeRange('20-29')).toEqual({ min: 20, max: 29 });
+    expect(parseAgeRange('Adult (18-64)')).toEqual({ min: 18, max: 64 });
+    expect(parseAgeRange('65+')).toEqual({ min: 65, max: null });
+    expect(parseAgeRange('Unknown')).toBeNull();
+  });
+
+  it('parses custom edges with the age band limit', () => {
+    expect(parseAgeEdges('18, 40, 65')).toEqual({ edges: [0, 18, 40, 65] });
+    expect(parseAgeEdges(Array.from({ length: 15 }, (_, i) => (i + 1) * 5).join(',')).error).toMatch(/At most 15/);
+  });
+});
@@ -0,0 +1,373 @@
+import { wilsonInterval } from './stats';
+import { compileFilters } from './columnar';
+import { DEFAULT_WAITING_BINS } from './waitingBins';
+import { BOOKING_TYPE_LABELS, WEEKDAY_LABELS, formatBookingHour } from './filters';
+
+// Segments with fewer appointments than this are faded in the charts and skipped by "highest rate" insights
+export const MIN_SAMPLE_SIZE = 50;
+
+// 95% Wilson interval for a no-show rate, in percent.
+// rateError holds the [below, above] offsets Recharts' ErrorBar expects; rateBand is the [low, high] pair for range areas.
+export const getRateInterval = (noShows, total) => {
+  const { low, high } = wilsonInterval(noShows, total);
+  const rate = total > 0 ? (noShows / total) * 100 : 0;
+  return {
+    ciLow: parseFloat((low * 100).toFixed(1)),
+    ciHigh: parseFloat((high * 100).toFixed(1)),
+    rateError: [rate - low * 100, high * 100 - rate],
+    rateBand: [low * 100, high * 100],
+    isSmallSample: total < MIN_SAMPLE_SIZE
+  };
+};
+
+// Rate chart Y-axis from 0 up to the highest rate or interval bound (bandKeys hold [low, high] pairs),
+// rounded up to the next 5% so the error bars are never clipped. zoom starts the axis at the lowest
+// rate or bound (rounded down to 5%) instead of 0, for trend lines.
+export const rateAxisDomain = (data, bandKeys = ['rateBand'], { zoom = false } = {}) => {
+  const bounds = (side) => data
+    .flatMap((d) => [d.rate, ...bandKeys.map((key) => d[key]?.[side])])
+    .filter(Number.isFinite);
+  const high = Math.min(100, Math.ceil(Math.max(5, ...bounds(1)) / 5) * 5);
+  const low = zoom ? Math.max(0, Math.floor(Math.min(high - 5, ...bounds(0)) / 5) * 5) : 0;
+  return [low, high];
+};
+
+// Age groups by their lower bound ("0-9" < "10-19", "Pediatric (0-17)" < "Adult (18-64)"), Unknown last
+export const sortAgeGroups = (a, b) => {
+  if (a === 'Unknown') return 1;
+  if (b === 'Unknown') return -1;
+  const getNum = (str) => {
+    const match = String(str).match(/(\d+)/);
+    return match ? parseInt(match[1], 10) : 999;
+  };
+  return getNum(a) - getNum(b);
+};
+
+// Week labels are Monday dates; Unknown last
+export const sortWeeks = (a, b) => {
+  if (a === 'Unknown') return 1;
+  if (b === 'Unknown') return -1;
+  return new Date(a) - new Date(b);
+};
+
+// Headline counts; noShowRate is a one-decimal percentage string
+const summarizeCounts = (total, noShows) => {
+  if (!total) return { total: 0, noShows: 0, shows: 0, noShowRate: 0 };
+  return { total, noShows, shows: total - noShows, noShowRate: ((noShows / total) * 100).toFixed(1) };
+};
+
+// One bar of a show / no-show breakdown
+const rateGroup = (name, noShows, total, extra = {}) => {
+  const rate = total > 0 ? ((noShows / total) * 100).toFixed(1) : '0.0';
+  return {
+    name,
+    ...extra,
+    NoShow: noShows,
+    Show: total - noShows,
+    total,
+    rate: parseFloat(rate),
+    noShows,
+    ...getRateInterval(noShows, total)
+  };
+};
+
+// Dictionary-coded counts -> rate groups, merged by display name and sorted
+const dictionaryGroups = (values, totals, noShows, label, sort) => {
+  const groups = new Map();
+  values.forEach((value, code) => {
+    if (!totals[code]) return;
+    const name = label(value);
+    const group = groups.get(name) || { total: 0, noShows: 0 };
+    group.total += totals[code];
+    group.noShows += noShows[code];
+    groups.set(name, group);
+  });
+  return [...groups.entries()]
+    .map(([name, group]) => rateGroup(name, group.noShows, group.total))
+    .sort((a, b) => sort(a.name, b.name));
+};
+
+// Index of the bin holding a waiting time, with the same min / max test as the waiting-time filter;
+// -1 when no bin does
+const waitingBinIndex = (bins, days) =>
+  bins.findIndex((bin) => days >= bin.min && (bin.max === null || days <= bin.max));
+
+const formatWaitingBins = (bins, totals, noShows) =>
+  bins.map((bin, i) => {
+    const rate = totals[i] > 0 ? (noShows[i] / totals[i]) * 100 : 0;
+    return {
+      name: bin.name,
+      filterValue: bin.filterValue,
+      'No-Show Rate': parseFloat(rate.toFixed(1)),
+      n: totals[i],
+      noShows: noShows[i],
+      ...getRateInterval(noShows[i], totals[i])
+    };
+  });
+
+// Weekday rate groups Monday to Sunday, days without appointments left out; extra(day) adds fields per day
+const weekdayGroups = (totals, noShows, extra = () => ({})) =>
+  [1, 2, 3, 4, 5, 6, 7]
+    .filter((day) => totals[day])
+    .map((day) => rateGroup(WEEKDAY_LABELS[day], noShows[day], totals[day], { filterValue: String(day), ...extra(day) }));
+
+// Line up one chart's aggregates for compare mode, matched by category name:
+// [{ name, filterValue, A, B, nA, nB, errorA, errorB, ciLowA, ciHighA, ciLowB, ciHighB, smallA, smallB }]
+// filterValue is the category's value for its chart filter (the name when the series has none).
+// value / total name the fields to read (e.g. 'rate' / 'total'); sort orders the category names.
+export const mergeSegmentSeries = (seriesA, seriesB, { value, total, sort }) => {
+  const merged = new Map();
+  [['A', seriesA], ['B', seriesB]].forEach(([segment, series]) => {
+    series.forEach((d) => {
+      if (!merged.has(d.name)) {
+        merged.set(d.name, { name: d.name, filterValue: d.filterValue ?? d.name, A: null, B: null, nA: 0, nB: 0 });
+      }
+      Object.assign(merged.get(d.name), {
+        [segment]: d[value],
+        [`n${segment}`]: d[total],
+        [`error${segment}`]: d.rateError,
+        [`ciLow${segment}`]: d.ciLow,
+        [`ciHigh${segment}`]: d.ciHigh,
+        [`small${segment}`]: d.isSmallSample
+      });
+    });
+  });
+
+  const rows = [...merged.values()];
+  return sort ? rows.sort((a, b) => sort(a.name, b.name)) : rows;
+};
+
+// Which filter each chart shows. When cross-filtering, a chart ignores its own filter so the
+// selected bars / slices stay visible (and highlighted) next to the rest.
+export const CHART_FILTER_KEYS = {
+  byAge: 'ageGroup',
+  bySMS: 'smsReceived',
+  byWeek: 'week',
+  byWaitingDays: 'waitingDays',
+  byWeekday: 'weekday',
+  byBookingHour: 'bookingHour',
+  byBookingType: 'bookingType',
+  byDate: 'appointmentDate',
+  pieData: 'outcome'
+};
+
+const CHART_KEYS = Object.keys(CHART_FILTER_KEYS);
+
+// Everything the dashboard shows for one filter set, from a single pass over the columns
+// (see buildColumns):
+//   indices          row indexes of the selection (Uint32Array)
+//   kpis             { total, noShows, shows, noShowRate }
+//   chartData        { byAge, bySMS, byWeek, byWaitingDays, byWeekday, byBookingHour, byBookingType, byDate, pieData }
+//                    (byDate: one entry per appointment day, named by its 'YYYY-MM-DD' key)
+//   waitingBins      waiting-time breakdown of the selection itself (chartData's may be cross-filtered)
+//   waitingByOutcome { showed, noShow }: sorted waiting days of the selection by outcome
+//   missingWaitingDays  selected rows without a waiting time
+//   smsSplit         { sent, notSent } totals / no-shows with the SMS filter ignored
+//   weekdayLeadTime  appointment weekday x waiting-time bin rates of the selection itself:
+//                    [{ name, filterValue, cells: [{ name, filterValue, ...rate group }] }], weekdays with data only
+// With crossFilter, a chart whose own filter is active counts the rows that fail only that
+// filter too - a row failing exactly one filter belongs to that filter's chart and no other.
+// waitingTimeBins are the waiting-time bins to count into (see lib/waitingBins).
+export const aggregateSelection = (
+  columns, filters, optionalFilters, { crossFilter = false, waitingTimeBins = DEFAULT_WAITING_BINS } = {}
+) => {
+  const tests = compileFilters(columns, filters, optionalFilters);
+  const { length, noShow, waitingDays, weekday, bookingHour } = columns;
+  const ageCodes = columns.ageGroup.codes;
+  const weekCodes = columns.week.codes;
+  const dateCodes = columns.appointmentDate.codes;
+  const smsCodes = columns.sms.codes;
+  const smsSentCode = columns.sms.values.indexOf('1');
+  const smsNotSentCode = columns.sms.values.indexOf('0');
+
+  const indices = new Uint32Array(length);
+  let selected = 0;
+  let selectedNoShows = 0;
+  let missingWaitingDays = 0;
+  const showedWait = [];
+  const noShowWait = [];
+  const smsSplit = { sent: { total: 0, noShows: 0 }, notSent: { total: 0, noShows: 0 } };
+  const ownWaitTotals = new Array(waitingTimeBins.length).fill(0);
+  const ownWaitNoShows = new Array(waitingTimeBins.length).fill(0);
+
+  const chartRows = Object.fromEntries(CHART_KEYS.map((key) => [key, 0]));
+  const ageTotals = new Uint32Array(columns.ageGroup.values.length);
+  const ageNoShows = new Uint32Array(columns.ageGroup.values.length);
+  const weekTotals = new Uint32Array(columns.week.values.length);
+  const weekNoShows = new Uint32Array(columns.week.values.length);
+  const dateTotals = new Uint32Array(columns.appointmentDate.values.length);
+  const dateNoShows = new Uint32Array(columns.appointmentDate.values.length);
+  const smsTotals = [0, 0];
+  const smsNoShows = [0, 0];
+  const waitTotals = new Array(waitingTimeBins.length).fill(0);
+  const waitNoShows = new Array(waitingTimeBins.length).fill(0);
+  // Showed up, no-show, no outcome recorded
+  const outcomeTotals = [0, 0, 0];
+  // Weekdays are 1-7 (index 0 unused), booking types same-day / advance
+  const weekdayTotals = new Uint32Array(8);
+  const weekdayNoShows = new Uint32Array(8);
+  const hourTotals = new Uint32Array(24);
+  const hourNoShows = new Uint32Array(24);
+  const bookingTypeTotals = [0, 0];
+  const bookingTypeNoShows = [0, 0];
+  const leadTimeTotals = Array.from({ length: 8 }, () => new Array(waitingTimeBins.length).fill(0));
+  const leadTimeNoShows = Array.from({ length: 8 }, () => new Array(waitingTimeBins.length).fill(0));
+
+  for (let i = 0; i < length; i++) {
+    let failures = 0;
+    let failedKey = null;
+    for (let t = 0; t < tests.length && failures < 2; t++) {
+      if (!tests[t].test(i)) {
+        failures++;
+        failedKey = tests[t].key;
+      }
+    }
+    if (failures > 1) continue;
+
+    const isNoShow = noShow[i] === 1 ? 1 : 0;
+    const days = waitingDays[i];
+    const hasDays = !Number.isNaN(days);
+    const bin = hasDays ? waitingBinIndex(waitingTimeBins, days) : -1;
+
+    if (failures === 0) {
+      indices[selected++] = i;
+      selectedNoShows += isNoShow;
+      if (hasDays) {
+        if (bin !== -1) {
+          ownWaitTotals[bin]++;
+          ownWaitNoShows[bin] += isNoShow;
+          if (weekday[i] > 0) {
+            leadTimeTotals[weekday[i]][bin]++;
+            leadTimeNoShows[weekday[i]][bin] += isNoShow;
+          }
+        }
+        if (noShow[i] === 1) noShowWait.push(days);
+        else if (noShow[i] === 0) showedWait.push(days);
+      } else {
+        missingWaitingDays++;
+      }
+    }
+
+    if (failures === 0 || failedKey === 'smsReceived') {
+      const split = smsCodes[i] === smsSentCode ? smsSplit.sent : smsCodes[i] === smsNotSentCode ? smsSplit.notSent : null;
+      if (split) {
+        split.total++;
+        split.noShows += isNoShow;
+      }
+    }
+
+    const counts = (chartKey) => failures === 0 || (crossFilter && failedKey === CHART_FILTER_KEYS[chartKey]);
+    if (counts('byAge')) {
+      chartRows.byAge++;
+      ageTotals[ageCodes[i]]++;
+      ageNoShows[ageCodes[i]] += isNoShow;
+    }
+    if (counts('byWeek')) {
+      chartRows.byWeek++;
+      weekTotals[weekCodes[i]]++;
+      weekNoShows[weekCodes[i]] += isNoShow;
+    }
+    // Rows without a valid SMS_received value stay out of the comparison rather than counting as 'No SMS'
+    if (counts('bySMS') && (smsCodes[i] === smsSentCode || smsCodes[i] === smsNotSentCode)) {
+      const sms = smsCodes[i] === smsSentCode ? 1 : 0;
+      chartRows.bySMS++;
+      smsTotals[sms]++;
+      smsNoShows[sms] += isNoShow;
+    }
+    if (counts('byWaitingDays')) {
+      chartRows.byWaitingDays++;
+      if (bin !== -1) {
+        waitTotals[bin]++;
+        waitNoShows[bin] += isNoShow;
+      }
+    }
+    if (counts('byWeekday')) {
+      chartRows.byWeekday++;
+      if (weekday[i] > 0) {
+        weekdayTotals[weekday[i]]++;
+        weekdayNoShows[weekday[i]] += isNoShow;
+      }
+    }
+    if (counts('byBookingHour')) {
+      chartRows.byBookingHour++;
+      if (bookingHour[i] >= 0) {
+        hourTotals[bookingHour[i]]++;
+        hourNoShows[bookingHour[i]] += isNoShow;
+      }
+    }
+    if (counts('byBookingType') && hasDays) {
+      const type = days < 1 ? 0 : 1;
+      chartRows.byBookingType++;
+      bookingTypeTotals[type]++;
+      bookingTypeNoShows[type] += isNoShow;
+    }
+    if (counts('byDate')) {
+      chartRows.byDate++;
+      dateTotals[dateCodes[i]]++;
+      dateNoShows[dateCodes[i]] += isNoShow;
+    }
+    if (counts('pieData')) {
+      chartRows.pieData++;
+      outcomeTotals[noShow[i] === -1 ? 2 : isNoShow]++;
+    }
+  }
+
+  const chartData = {
+    byAge: chartRows.byAge
+      ? dictionaryGroups(columns.ageGroup.values, ageTotals, ageNoShows, (v) => v || 'Unknown', sortAgeGroups)
+      : [],
+    bySMS: chartRows.bySMS
+      ? [
+        rateGroup('SMS Sent', smsNoShows[1], smsTotals[1], { filterValue: '1' }),
+        rateGroup('No SMS', smsNoShows[0], smsTotals[0], { filterValue: '0' })
+      ]
+      : [],
+    byWeek: chartRows.byWeek
+      ? dictionaryGroups(columns.week.values, weekTotals, weekNoShows, (v) => v || 'Unknown', sortWeeks)
+      : [],
+    byWaitingDays: chartRows.byWaitingDays ? formatWaitingBins(waitingTimeBins, waitTotals, waitNoShows) : [],
+    byWeekday: chartRows.byWeekday ? weekdayGroups(weekdayTotals, weekdayNoShows) : [],
+    byBookingHour: chartRows.byBookingHour
+      ? [...hourTotals.keys()]
+        .filter((hour) => hourTotals[hour])
+        .map((hour) => rateGroup(formatBookingHour(hour), hourNoShows[hour], hourTotals[hour], { filterValue: String(hour) }))
+      : [],
+    byBookingType: chartRows.byBookingType
+      ? ['same-day', 'advance'].map((type, t) =>
+        rateGroup(BOOKING_TYPE_LABELS[type], bookingTypeNoShows[t], bookingTypeTotals[t], { filterValue: type }))
+      : [],
+    byDate: chartRows.byDate
+      ? dictionaryGroups(columns.appointmentDate.values, dateTotals, dateNoShows, (v) => v || 'Unknown', sortWeeks)
+        .filter((day) => day.name !== 'Unknown')
+      : [],
+    pieData: chartRows.pieData
+      ? [
+        { name: 'Showed Up', value: outcomeTotals[0], outcome: '0' },
+        { name: 'No-Show', value: outcomeTotals[1], outcome: '1' },
+        // Only when there are rows without an outcome, so the slices always add up to the rows counted
+        ...(outcomeTotals[2] ? [{ name: 'No Outcome', value: outcomeTotals[2], outcome: 'null' }] : [])
+      ]
+      : []
+  };
+
+  return {
+    indices: indices.slice(0, selected),
+    kpis: summarizeCounts(selected, selectedNoShows),
+    chartData,
+    waitingBins: formatWaitingBins(waitingTimeBins, ownWaitTotals, ownWaitNoShows),
+    waitingByOutcome: {
+      showed: Float64Array.from(showedWait).sort(),
+      noShow: Float64Array.from(noShowWait).sort()
+    },
+    missingWaitingDays,
+    smsSplit,
+    weekdayLeadTime: weekdayGroups(
+      leadTimeTotals.map((bins) => bins.reduce((sum, n) => sum + n, 0)),
+      leadTimeNoShows.map((bins) => bins.reduce((sum, n) => sum + n, 0)),
+      (day) => ({
+        cells: waitingTimeBins.map((bin, b) =>
+          rateGroup(bin.name, leadTimeNoShows[day][b], leadTimeTotals[day][b], { filterValue: bin.filterValue }))
+      })
+    )
+  };
+};
@@ -0,0 +1,240 @@
+import { describe, expect, it } from 'vitest';
+import {
+  aggregateSelection, getRateInterval, mergeSegmentSeries, rateAxisDomain, sortAgeGroups, sortWeeks
+} from './aggregations';
+import { buildColumns } from './columnar';
+import { createDefaultFilters } from './filters';
+import { binsFromEdges } from './waitingBins';
+
+describe('getRateInterval', () => {
+  it('gives the Wilson interval in percent with ErrorBar offsets', () => {
+    const interval = getRateInterval(81, 263);
+    expect(interval.ciLow).toBe(25.5);
+    expect(interval.ciHigh).toBe(36.6);
+    expect(interval.rateBand[0]).toBeCloseTo(25.5288, 3);
+    expect(interval.rateError[0]).toBeCloseTo((81 / 263) * 100 - 25.5288, 3);
+    expect(interval.isSmallSample).toBe(false);
+  });
+
+  it('flags segments below the minimum sample size', () => {
+    expect(getRateInterval(1, 10).isSmallSample).toBe(true);
+  });
+});
+
+describe('rateAxisDomain', () => {
+  it('reaches past the highest interval bound to the next 5%', () => {
+    const rows = [{ rate: 19, rateBand: [17.2, 21.1] }, { rate: 22, rateBand: [20, 24.3] }];
+    expect(rateAxisDomain(rows)).toEqual([0, 25]);
+    expect(rateAxisDomain([{ rate: 19, rateBand: [10, 26] }, { rate: 20 }])).toEqual([0, 30]);
+  });
+
+  it('starts at the lowest rate or bound when zoomed, covering the forecast band', () => {
+    const rows = [
+      { rate: 19, rateBand: [17.2, 21.1] },
+      { rate: 22, rateBand: [20, 24.3] },
+      { forecast: 20, forecastBand: [12.4, 27.8] }
+    ];
+    expect(rateAxisDomain(rows, ['rateBand', 'forecastBand'], { zoom: true })).toEqual([10, 30]);
+    expect(rateAxisDomain([{ rate: 20, rateBand: [20, 20] }], ['rateBand'], { zoom: true })).toEqual([15, 20]);
+  });
+
+  it('fits the waiting-time bins, whose rate field is named differently', () => {
+    expect(rateAxisDomain([{ 'No-Show Rate': 30, rateBand: [22.4, 38.6] }])).toEqual([0, 40]);
+  });
+
+  it('stays within 5-100%', () => {
+    expect(rateAxisDomain([])).toEqual([0, 5]);
+    expect(rateAxisDomain([{ rate: 98, rateBand: [90, 100] }])).toEqual([0, 100]);
+  });
+});
+
+describe('sorting', () => {
+  it('orders age groups by lower bound with Unknown last', () => {
+    expect(['Unknown', '10-19', '100+', '0-9'].sort(sortAgeGroups)).toEqual(['0-9', '10-19', '100+', 'Unknown']);
+  });
+
+  it('orders weeks by date with Unknown last', () => {
+    expect(['2016-05-09', 'Unknown', '2016-04-25'].sort(sortWeeks)).toEqual(['2016-04-25', '2016-05-09', 'Unknown']);
+  });
+});
+
+describe('aggregateSelection', () => {
+  // Hand-checked fixture: row 4's age group is an Excel date, row 5 has no waiting time, row 6 no outcome
+  const rows = [
+    { AgeGroup: '0-9', SMS_received: '1', NoShow: 1, WaitingDays: 2, Week: '2016-05-02' },
+    { AgeGroup: '0-9', SMS_received: '0', NoShow: 0, WaitingDays: 2, Week: '2016-05-02' },
+    { AgeGroup: '10-19', SMS_received: '1', NoShow: 0, WaitingDays: 9, Week: '2016-05-09' },
+    { AgeGroup: '10-19', SMS_received: '0', NoShow: 1, WaitingDays: 30, Week: '2016-05-09' },
+    { AgeGroup: '19-Oct', SMS_received: '1', NoShow: 1, WaitingDays: 0, Week: '2016-05-09' },
+    { AgeGroup: '', SMS_received: '0', NoShow: 0, Week: '' },
+    { AgeGroup: '20-29', SMS_received: '1', NoShow: null, WaitingDays: 5, Week: '2016-05-02' }
+  ];
+  const columns = buildColumns(rows, []);
+  const counts = (series, key = 'total') => series.map((d) => [d.name, d[key], d.noShows]);
+
+  describe('without filters', () => {
+    const result = aggregateSelection(columns, createDefaultFilters(), []);
+
+    it('selects every row', () => {
+      expect([...result.indices]).toEqual([0, 1, 2, 3, 4, 5, 6]);
+      expect(result.kpis).toEqual({ total: 7, noShows: 3, shows: 4, noShowRate: '42.9' });
+    });
+
+    it('groups the charts by category', () => {
+      expect(counts(result.chartData.byAge)).toEqual([['0-9', 2, 1], ['10-19', 3, 2], ['20-29', 1, 0], ['Unknown', 1, 0]]);
+      expect(counts(result.chartData.bySMS)).toEqual([['SMS Sent', 4, 2], ['No SMS', 3, 1]]);
+      expect(counts(result.chartData.byWeek)).toEqual([['2016-05-02', 3, 1], ['2016-05-09', 3, 2], ['Unknown', 1, 0]]);
+      expect(counts(result.chartData.byWaitingDays, 'n')).toEqual([
+        ['0 days', 1, 1], ['1-3 days', 2, 1], ['4-7 days', 1, 0], ['8-14 days', 1, 0], ['15+ days', 1, 1]
+      ]);
+      // Row 6 has no outcome: its own slice rather than a 'Showed Up' one, so the slices add up to the rows
+      expect(result.chartData.pieData.map((d) => [d.name, d.value, d.outcome])).toEqual([
+        ['Showed Up', 3, '0'], ['No-Show', 3, '1'], ['No Outcome', 1, 'null']
+      ]);
+    });
+
+    it('collects waiting times by outcome', () => {
+      expect([...result.waitingByOutcome.showed]).toEqual([2, 9]);
+      expect([...result.waitingByOutcome.noShow]).toEqual([0, 2, 30]);
+      expect(result.missingWaitingDays).toBe(1);
+      expect(result.smsSplit).toEqual({ sent: { total: 4, noShows: 2 }, notSent: { total: 3, noShows: 1 } });
+    });
+  });
+
+  describe('with age and SMS filters', () => {
+    const filters = { ...createDefaultFilters(), ageGroup: ['10-19'], smsReceived: ['1'] };
+
+    it('counts only the selection without cross-filtering', () => {
+      const result = aggregateSelection(columns, filters, []);
+      expect([...result.indices]).toEqual([2, 4]);
+      expect(result.kpis).toEqual({ total: 2, noShows: 1, shows: 1, noShowRate: '50.0' });
+      expect(counts(result.chartData.byAge)).toEqual([['10-19', 2, 1]]);
+      expect(counts(result.chartData.bySMS)).toEqual([['SMS Sent', 2, 1], ['No SMS', 0, 0]]);
+    });
+
+    it('keeps the other bars of a chart whose own filter is active when cross-filtering', () => {
+      const result = aggregateSelection(columns, filters, [], { crossFilter: true });
+      expect([...result.indices]).toEqual([2, 4]);
+      // Rows 0 and 6 fail only the age filter, row 3 only the SMS filter
+      expect(counts(result.chartData.byAge)).toEqual([['0-9', 1, 1], ['10-19', 2, 1], ['20-29', 1, 0]]);
+      expect(counts(result.chartData.bySMS)).toEqual([['SMS Sent', 2, 1], ['No SMS', 1, 1]]);
+      expect(counts(result.chartData.byWeek)).toEqual([['2016-05-09', 2, 1]]);
+      expect(result.chartData.pieData.map((d) => d.value)).toEqual([1, 1]);
+    });
+
+    it('ignores the SMS filter for the SMS split', () => {
+      const result = aggregateSelection(columns, filters, []);
+      expect(result.smsSplit).toEqual({ sent: { total: 2, noShows: 1 }, notSent: { total: 1, noShows: 1 } });
+    });
+  });
+
+  it('bins fractional waiting times where the waiting-time filter finds them', () => {
+    const waitColumns = buildColumns([{ WaitingDays: 0.5 }, { WaitingDays: 7.5 }, { WaitingDays: -1 }, { WaitingDays: 14.2 }], []);
+    const all = aggregateSelection(waitColumns, createDefaultFilters(), []);
+    expect(counts(all.chartData.byWaitingDays, 'n').map(([name, n]) => [name, n])).toEqual([
+      ['0 days', 2], ['1-3 days', 0], ['4-7 days', 1], ['8-14 days', 1], ['15+ days', 0]
+    ]);
+    const select = (range) => [...aggregateSelection(waitColumns, { ...createDefaultFilters(), waitingDays: [range] }, []).indices];
+    expect(select('0-0')).toEqual([0, 2]);
+    expect(select('4-7')).toEqual([1]);
+    expect(select('8-14')).toEqual([3]);
+  });
+
+  it('leaves rows without a valid SMS value out of the SMS comparison', () => {
+    const smsColumns = buildColumns([
+      { SMS_received: '1', NoShow: 1 }, { SMS_received: '', NoShow: 0 }, { SMS_received: 'yes', NoShow: 1 }, { SMS_received: '0', NoShow: 0 }
+    ], []);
+    const result = aggregateSelection(smsColumns, createDefaultFilters(), []);
+    expect(counts(result.chartData.bySMS)).toEqual([['SMS Sent', 1, 1], ['No SMS', 1, 0]]);
+    expect(result.kpis.total).toBe(4);
+  });
+
+  it('counts waiting times into the given bins', () => {
+    const result = aggregateSelection(columns, createDefaultFilters(), [], { waitingTimeBins: binsFromEdges([0, 7]) });
+    expect(counts(result.chartData.byWaitingDays, 'n')).toEqual([['0-6 days', 4, 2], ['7+ days', 2, 1]]);
+    expect(result.waitingBins.map((bin) => bin.filterValue)).toEqual(['0-6', '7-']);
+  });
+
+  it('returns empty series when nothing matches', () => {
+    const result = aggregateSelection(columns, { ...createDefaultFilters(), ageGroup: ['90+'] }, []);
+    expect(result.kpis).toEqual({ total: 0, noShows: 0, shows: 0, noShowRate: 0 });
+    expect(result.chartData).toEqual({
+      byAge: [], bySMS: [], byWeek: [], byWaitingDays: [], byWeekday: [], byBookingHour: [], byBookingType: [], byDate: [], pieData: []
+    });
+  });
+});
+
+describe('scheduling breakdowns', () => {
+  // Mondays and Fridays, booked at 07:xx, 08:xx and 14:xx; the last row has no dates or waiting time
+  const rows = [
+    { AppointmentDay: '2016-05-02', ScheduledDay: '2016-04-29 08:15:00', WaitingDays: 3, NoShow: 1 },
+    { AppointmentDay: '2016-05-02', ScheduledDay: '2016-05-02 07:40:00', WaitingDays: 0, NoShow: 1 },
+    { AppointmentDay: '2016-05-06', ScheduledDay: '2016-05-02T08:05:00Z', WaitingDays: 4, NoShow: 0 },
+    { AppointmentDay: '2016-05-06', ScheduledDay: '2016-05-06 14:00:00', WaitingDays: 0, NoShow: 0 },
+    { AppointmentDay: '', ScheduledDay: '', NoShow: 0 }
+  ];
+  const columns = buildColumns(rows, []);
+  const counts = (series) => series.map((d) => [d.name, d.total, d.noShows]);
+  const { chartData, weekdayLeadTime } = aggregateSelection(columns, createDefaultFilters(), []);
+
+  it('breaks the rates down by weekday, booking hour and booking type', () => {
+    expect(counts(chartData.byWeekday)).toEqual([['Mon', 2, 2], ['Fri', 2, 0]]);
+    expect(chartData.byWeekday.map((d) => d.filterValue)).toEqual(['1', '5']);
+    expect(counts(chartData.byBookingHour)).toEqual([['07:00', 1, 1], ['08:00', 2, 1], ['14:00', 1, 0]]);
+    expect(counts(chartData.byBookingType)).toEqual([['Same-day', 2, 1], ['Advance', 2, 1]]);
+  });
+
+  it('counts each appointment day, leaving out rows without a date', () => {
+    expect(counts(chartData.byDate)).toEqual([['2016-05-02', 2, 2], ['2016-05-06', 2, 0]]);
+  });
+
+  it('crosses weekdays with the waiting-time bins', () => {
+    expect(weekdayLeadTime.map((day) => day.name)).toEqual(['Mon', 'Fri']);
+    expect(weekdayLeadTime[0].cells.map((cell) => [cell.name, cell.total, cell.noShows])).toEqual([
+      ['0 days', 1, 1], ['1-3 days', 1, 1], ['4-7 days', 0, 0], ['8-14 days', 0, 0], ['15+ days', 0, 0]
+    ]);
+    expect(weekdayLeadTime[1].cells.map((cell) => cell.total)).toEqual([1, 0, 1, 0, 0]);
+  });
+
+  it('filters on the scheduling fields', () => {
+    const select = (changes) => [...aggregateSelection(columns, { ...createDefaultFilters(), ...changes }, []).indices];
+    expect(select({ weekday: ['5'] })).toEqual([2, 3]);
+    expect(select({ bookingHour: ['8'] })).toEqual([0, 2]);
+    expect(select({ bookingType: ['same-day'] })).toEqual([1, 3]);
+    expect(select({ bookingType: ['advance'], weekday: ['1'] })).toEqual([0]);
+  });
+});
+
+describe('mergeSegmentSeries', () => {
+  const segmentA = [
+    { name: '10-19', rate: 30, total: 40, rateError: [1, 2], ciLow: 29, ciHigh: 32, isSmallSample: true },
+    { name: '0-9', rate: 20, total: 100, rateError: [3, 4], ciLow: 17, ciHigh: 24, isSmallSample: false }
+  ];
+  const segmentB = [{ name: '20-29', rate: 10, total: 60, rateError: [5, 6], ciLow: 5, ciHigh: 16, isSmallSample: false }];
+
+  it('lines up both segments by category, leaving gaps empty', () => {
+    const merged = mergeSegmentSeries(segmentA, segmentB, { value: 'rate', total: 'total', sort: sortAgeGroups });
+    expect(merged.map((d) => [d.name, d.A, d.B, d.nA, d.nB])).toEqual([
+      ['0-9', 20, null, 100, 0],
+      ['10-19', 30, null, 40, 0],
+      ['20-29', null, 10, 0, 60]
+    ]);
+    expect(merged[1]).toMatchObject({ errorA: [1, 2], ciLowA: 29, ciHighA: 32, smallA: true });
+  });
+
+  it('keeps the filter value of each category for chart clicks', () => {
+    const merged = mergeSegmentSeries(
+      [{ name: 'Yes', filterValue: '1', rate: 30, total: 40 }],
+      [{ name: 'Yes', filterValue: '1', rate: 20, total: 50 }, { name: 'No', filterValue: '0', rate: 10, total: 60 }],
+      { value: 'rate', total: 'total' }
+    );
+    expect(merged.map((d) => [d.name, d.filterValue])).toEqual([['Yes', '1'], ['No', '0']]);
+    expect(mergeSegmentSeries(segmentA, segmentB, { value: 'rate', total: 'total' })[0].filterValue).toBe('10-19');
+  });
+
+  it('keeps first-seen order without a sort', () => {
+    const merged = mergeSegmentSeries(segmentA, segmentB, { value: 'total', total: 'total' });
+    expect(merged.map((d) => d.name)).toEqual(['10-19', '0-9', '20-29']);
+    expect(merged[0].A).toBe(40);
+  });
+});
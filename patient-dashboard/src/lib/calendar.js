@@ -0,0 +1,54 @@
+// Calendar layout for the daily heatmap: one block per year, one column per week (Monday first),
+// one row per weekday. Works on 'YYYY-MM-DD' keys in UTC so no time zone can shift a day.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const keyToTime = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+};
+
+const timeToKey = (time) => new Date(time).toISOString().slice(0, 10);
+
+// [{ year, weeks: [[key | null x 7]], months: [{ label, week }] }] covering start..end (inclusive).
+// Days outside the range, or in the neighbouring year, are null; months mark the week holding their 1st
+// (or the first week, for the month the range starts in).
+export const calendarYears = (start, end) => {
+  if (!start || !end || start > end) return [];
+  const firstYear = Number(start.slice(0, 4));
+  const lastYear = Number(end.slice(0, 4));
+  const years = [];
+
+  for (let year = firstYear; year <= lastYear; year++) {
+    const from = Math.max(keyToTime(start), Date.UTC(year, 0, 1));
+    const to = Math.min(keyToTime(end), Date.UTC(year, 11, 31));
+    // Back up to the Monday of the first week
+    const offset = (new Date(from).getUTCDay() + 6) % 7;
+    const weeks = [];
+    const months = [];
+    for (let weekStart = from - offset * DAY_MS; weekStart <= to; weekStart += 7 * DAY_MS) {
+      const week = [];
+      for (let d = 0; d < 7; d++) {
+        const time = weekStart + d * DAY_MS;
+        const inRange = time >= from && time <= to;
+        week.push(inRange ? timeToKey(time) : null);
+        if (inRange && (new Date(time).getUTCDate() === 1 || time === from)) {
+          const label = MONTH_LABELS[new Date(time).getUTCMonth()];
+          const previous = months[months.length - 1];
+          // A range starting late in a month would put two labels on top of each other; the new month wins
+          if (previous && weeks.length - previous.week < 2) months.pop();
+          if (!months.some((m) => m.label === label)) months.push({ label, week: weeks.length });
+        }
+      }
+      weeks.push(week);
+    }
+    years.push({ year, weeks, months });
+  }
+
+  return years;
+};
+
+// Date key -> entry lookup for byDate chart data ([{ name: key, total, noShows, rate, ... }])
+export const indexDays = (days) => new Map(days.map((day) => [day.name, day]));
@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest';
+import { calendarYears, indexDays } from './calendar';
+
+describe('calendarYears', () => {
+  it('lays the days out in Monday-first weeks', () => {
+    const [year] = calendarYears('2016-04-29', '2016-05-03');
+    expect(year.year).toBe(2016);
+    expect(year.weeks).toEqual([
+      [null, null, null, null, '2016-04-29', '2016-04-30', '2016-05-01'],
+      ['2016-05-02', '2016-05-03', null, null, null, null, null]
+    ]);
+  });
+
+  it('gives a month starting within two weeks of the previous label its place', () => {
+    expect(calendarYears('2016-04-29', '2016-05-03')[0].months).toEqual([{ label: 'May', week: 0 }]);
+    expect(calendarYears('2016-04-20', '2016-05-03')[0].months).toEqual([{ label: 'May', week: 1 }]);
+    expect(calendarYears('2016-04-11', '2016-05-03')[0].months).toEqual([
+      { label: 'Apr', week: 0 }, { label: 'May', week: 2 }
+    ]);
+  });
+
+  it('starts a new block for each year', () => {
+    const years = calendarYears('2016-12-30', '2017-01-02');
+    expect(years.map((y) => y.year)).toEqual([2016, 2017]);
+    expect(years[0].weeks).toEqual([[null, null, null, null, '2016-12-30', '2016-12-31', null]]);
+    expect(years[1].weeks).toEqual([
+      [null, null, null, null, null, null, '2017-01-01'],
+      ['2017-01-02', null, null, null, null, null, null]
+    ]);
+    expect(years[1].months).toEqual([{ label: 'Jan', week: 0 }]);
+  });
+
+  it('is empty without a valid range', () => {
+    expect(calendarYears('', '2016-05-03')).toEqual([]);
+    expect(calendarYears('2016-05-03', '2016-05-02')).toEqual([]);
+  });
+});
+
+describe('indexDays', () => {
+  it('looks the day entries up by date key', () => {
+    const day = { name: '2016-05-02', total: 3, noShows: 1 };
+    expect(indexDays([day]).get('2016-05-02')).toBe(day);
+  });
+});
@@ -0,0 +1,167 @@
+import { downloadFile, fileTimestamp } from './download';
+
+// Chart image export: clones the Recharts <svg> out of a panel, adds a title / caption header and
+// a legend (Recharts draws legends as HTML), and saves it as SVG or as a high-resolution PNG.
+
+const THEMES = {
+  light: { background: '#ffffff', title: '#1e293b', caption: '#475569' },
+  dark: { background: '#1e293b', title: '#ffffff', caption: '#cbd5e1' }
+};
+
+// Text/axis colours the dashboard uses in dark mode, and their light-mode counterparts.
+// Used when a chart rendered in dark mode is exported with the forced light (print) theme.
+const DARK_TO_LIGHT_COLORS = {
+  '#e2e8f0': '#475569',
+  '#94a3b8': '#64748b',
+  '#334155': '#e2e8f0' // calendar heatmap days without appointments
+};
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const FONT_FAMILY = 'system-ui, Avenir, Helvetica, Arial, sans-serif';
+const HEADER_HEIGHT = 64;
+const LEGEND_ROW_HEIGHT = 22;
+const PADDING = 16;
+
+const createText = (text, { x, y, size, weight = 'normal', fill, anchor = 'start' }) => {
+  const el = document.createElementNS(SVG_NS, 'text');
+  el.setAttribute('x', x);
+  el.setAttribute('y', y);
+  el.setAttribute('font-size', size);
+  el.setAttribute('font-weight', weight);
+  el.setAttribute('fill', fill);
+  el.setAttribute('text-anchor', anchor);
+  el.textContent = text;
+  return el;
+};
+
+const remapColors = (root, mapping) => {
+  root.querySelectorAll('[fill], [stroke]').forEach((el) => {
+    ['fill', 'stroke'].forEach((attr) => {
+      const value = el.getAttribute(attr)?.toLowerCase();
+      if (value && mapping[value]) el.setAttribute(attr, mapping[value]);
+    });
+  });
+};
+
+// Read the HTML legend Recharts renders next to the chart: [{ label, color }]
+const readLegend = (container) =>
+  [...container.querySelectorAll('.recharts-legend-item')].map((item) => {
+    const icon = item.querySelector('path, rect, line');
+    const color = icon?.getAttribute('fill') && icon.getAttribute('fill') !== 'none'
+      ? icon.getAttribute('fill')
+      : icon?.getAttribute('stroke') || '#64748b';
+    return { label: item.textContent.trim(), color };
+  }).filter((entry) => entry.label);
+
+// container: DOM element wrapping a ResponsiveContainer, or an <svg data-chart-image> drawn by hand
+// (the calendar heatmap)
+// theme: 'light' | 'dark'; sourceTheme: the theme the chart is currently rendered in
+export const buildChartSvg = (container, { title, caption, theme, sourceTheme }) => {
+  const source = container?.querySelector('svg.recharts-surface, svg[data-chart-image]');
+  if (!source) return null;
+
+  const width = source.width.baseVal.value || source.clientWidth;
+  const chartHeight = source.height.baseVal.value || source.clientHeight;
+  const legend = readLegend(container);
+  const legendHeight = legend.length ? LEGEND_ROW_HEIGHT + PADDING / 2 : 0;
+  const height = HEADER_HEIGHT + chartHeight + legendHeight + PADDING;
+  const colors = THEMES[theme];
+
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.setAttribute('xmlns', SVG_NS);
+  svg.setAttribute('width', width);
+  svg.setAttribute('height', height);
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  svg.setAttribute('font-family', FONT_FAMILY);
+
+  const background = document.createElementNS(SVG_NS, 'rect');
+  background.setAttribute('width', '100%');
+  background.setAttribute('height', '100%');
+  background.setAttribute('fill', colors.background);
+  svg.appendChild(background);
+
+  svg.appendChild(createText(title, { x: PADDING, y: 26, size: 18, weight: 600, fill: colors.title }));
+  svg.appendChild(createText(caption, { x: PADDING, y: 48, size: 12, fill: colors.caption }));
+
+  const chart = document.createElementNS(SVG_NS, 'g');
+  chart.setAttribute('transform', `translate(0, ${HEADER_HEIGHT})`);
+  [...source.childNodes].forEach((node) => chart.appendChild(node.cloneNode(true)));
+  // Hover artefacts should not end up in the export
+  chart.querySelectorAll('.recharts-tooltip-cursor, .recharts-active-dot').forEach((el) => el.remove());
+  if (sourceTheme === 'dark' && theme === 'light') remapColors(chart, DARK_TO_LIGHT_COLORS);
+  svg.appendChild(chart);
+
+  if (legend.length) {
+    const legendGroup = document.createElementNS(SVG_NS, 'g');
+    let x = PADDING;
+    const y = HEADER_HEIGHT + chartHeight + PADDING / 2 + 14;
+    legend.forEach(({ label, color }) => {
+      const swatch = document.createElementNS(SVG_NS, 'rect');
+      swatch.setAttribute('x', x);
+      swatch.setAttribute('y', y - 10);
+      swatch.setAttribute('width', 12);
+      swatch.setAttribute('height', 12);
+      swatch.setAttribute('fill', color);
+      legendGroup.appendChild(swatch);
+      legendGroup.appendChild(createText(label, { x: x + 18, y, size: 13, fill: colors.caption }));
+      x += 18 + label.length * 7 + 24;
+    });
+    svg.appendChild(legendGroup);
+  }
+
+  return { svg, width, height };
+};
+
+const serialize = (svg) => `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(svg)}`;
+
+// Data URL of the composed chart, for embedding as an <img> (used by the print report)
+export const chartImageDataUrl = (container, options) => {
+  const built = buildChartSvg(container, options);
+  if (!built) return null;
+  return {
+    src: `data:image/svg+xml;charset=utf-8,${encodeURIComponent(serialize(built.svg))}`,
+    width: built.width,
+    height: built.height
+  };
+};
+
+export const exportChartSvg = (container, options) => {
+  const built = buildChartSvg(container, options);
+  if (!built) return false;
+  downloadFile(serialize(built.svg), `${options.filename}_${fileTimestamp()}.svg`, 'image/svg+xml;charset=utf-8');
+  return true;
+};
+
+// Rasterize through an <img> + <canvas>; scale 3 gives print-quality output for slides
+export const exportChartPng = (container, { scale = 3, ...options }) => {
+  const built = buildChartSvg(container, options);
+  if (!built) return Promise.resolve(false);
+
+  const url = URL.createObjectURL(new Blob([serialize(built.svg)], { type: 'image/svg+xml;charset=utf-8' }));
+
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = built.width * scale;
+      canvas.height = built.height * scale;
+      const ctx = canvas.getContext('2d');
+      ctx.scale(scale, scale);
+      ctx.drawImage(img, 0, 0, built.width, built.height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => {
+        if (!blob) {
+          reject(new Error('PNG encoding failed'));
+          return;
+        }
+        downloadFile(blob, `${options.filename}_${fileTimestamp()}.png`, 'image/png');
+        resolve(true);
+      }, 'image/png');
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not render chart image'));
+    };
+    img.src = url;
+  });
+};
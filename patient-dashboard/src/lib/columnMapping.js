@@ -0,0 +1,159 @@
+import { toNum, normKey } from './values';
+
+// Column mapping for uploads whose headers don't match the ones the dashboard reads
+// (e.g. an EHR export with "Status = NOSHOW" instead of NoShow = 1).
+//   mapping: { columns: { [target]: sourceHeader | '' }, values: { [target]: { [rawValue]: '1' | '0' | '' } } }
+// values only exist for targets with outcomes; raw values mapped to '' (or not listed) become missing.
+
+export const MAPPING_TARGETS = [
+  {
+    key: 'NoShow',
+    label: 'No-show outcome',
+    required: true,
+    // Headers the dashboard already reads without a mapping
+    accepted: ['NoShow'],
+    aliases: ['noshow', 'noshows', 'status', 'appointmentstatus', 'visitstatus', 'attendance', 'attended', 'showed', 'outcome', 'dna', 'missed'],
+    outcomes: [
+      { value: '1', label: 'No-show', aliases: ['yes', 'y', 'true', 'noshow', 'dna', 'didnotattend', 'missed', 'absent', 'notarrived'] },
+      { value: '0', label: 'Showed up', aliases: ['no', 'n', 'false', 'show', 'showed', 'showedup', 'attended', 'arrived', 'completed', 'checkedin', 'checkedout', 'seen', 'kept'] }
+    ]
+  },
+  {
+    key: 'AppointmentDay',
+    label: 'Appointment date',
+    required: true,
+    accepted: ['AppointmentDay', 'Appointment', 'AppointmentDate'],
+    aliases: ['appointmentday', 'appointmentdate', 'appointment', 'appointmentdatetime', 'apptdate', 'apptday', 'visitdate', 'date']
+  },
+  {
+    key: 'ScheduledDay',
+    label: 'Scheduled (booking) date',
+    aliases: ['scheduledday', 'scheduleddate', 'scheduled', 'bookingdate', 'bookeddate', 'bookedon', 'createddate']
+  },
+  {
+    key: 'Age',
+    label: 'Age (years)',
+    aliases: ['age', 'patientage', 'ageyears']
+  },
+  {
+    key: 'AgeGroup',
+    label: 'Age group',
+    aliases: ['agegroup', 'ageband', 'agerange', 'agebracket']
+  },
+  {
+    key: 'SMS_received',
+    label: 'SMS reminder',
+    aliases: ['smsreceived', 'sms', 'smsreminder', 'remindersent', 'textreminder', 'reminder'],
+    outcomes: [
+      { value: '1', label: 'Sent', aliases: ['yes', 'y', 'true', 'sent', 'received', 'delivered'] },
+      { value: '0', label: 'Not sent', aliases: ['no', 'n', 'false', 'notsent', 'none'] }
+    ]
+  }
+];
+
+// Distinct values kept per column for the value-mapping step
+export const MAX_SAMPLE_VALUES = 50;
+
+const STORAGE_KEY = 'patientDashboard.columnMappings';
+
+// Required targets the headers don't provide (by any header the dashboard already reads)
+export const missingRequiredColumns = (fields) =>
+  MAPPING_TARGETS.filter((target) => target.required && !target.accepted.some((name) => fields.includes(name)))
+    .map((target) => target.key);
+
+// Identifies a header layout regardless of column order and case
+export const headerSignature = (fields) => fields.map((f) => String(f).trim().toLowerCase()).sort().join('|');
+
+// Adds one raw row's values to samples ({ [field]: Set }), up to MAX_SAMPLE_VALUES distinct values per field
+export const addSampleValues = (samples, row) => {
+  Object.entries(row).forEach(([field, value]) => {
+    if (!samples[field]) samples[field] = new Set();
+    if (samples[field].size < MAX_SAMPLE_VALUES) samples[field].add(value == null ? '' : String(value));
+  });
+};
+
+const guessColumn = (target, fields) => {
+  for (const alias of target.aliases) {
+    const field = fields.find((f) => normKey(f) === alias);
+    if (field) return field;
+  }
+  return '';
+};
+
+const guessOutcome = (target, value) => {
+  const n = toNum(value);
+  if (n === 1 || n === 0) return String(n);
+  const key = normKey(value);
+  const outcome = target.outcomes.find((o) => o.aliases.includes(key));
+  return outcome ? outcome.value : '';
+};
+
+// Outcome for each sampled value of the column mapped to targetKey
+export const suggestValueMap = (targetKey, sampleValues = [], base = {}) => {
+  const target = MAPPING_TARGETS.find((t) => t.key === targetKey);
+  const map = {};
+  sampleValues.forEach((value) => {
+    if (value === '') return;
+    map[value] = base && value in base ? base[value] : guessOutcome(target, value);
+  });
+  return map;
+};
+
+// A mapping for these headers: columns and values from base (e.g. a saved mapping) where they still apply,
+// guessed from the header names and sample values otherwise
+export const suggestMapping = (fields, samples, base = null) => {
+  const columns = {};
+  const values = {};
+  MAPPING_TARGETS.forEach((target) => {
+    const saved = base?.columns?.[target.key];
+    columns[target.key] = saved && fields.includes(saved) ? saved : guessColumn(target, fields);
+    if (target.outcomes) {
+      values[target.key] = suggestValueMap(target.key, samples[columns[target.key]], base?.values?.[target.key]);
+    }
+  });
+  return { columns, values };
+};
+
+// True when every required target has a column and every sampled value of a mapped outcome column has an entry,
+// i.e. the mapping can be applied without asking
+export const isMappingComplete = (mapping, fields, samples) =>
+  MAPPING_TARGETS.every((target) => {
+    const source = mapping.columns?.[target.key];
+    if (!source || !fields.includes(source)) return !target.required;
+    if (!target.outcomes) return true;
+    const map = mapping.values?.[target.key] || {};
+    return (samples[source] || []).every((value) => value === '' || value in map);
+  });
+
+// Copies the mapped columns onto the dashboard's field names (in place, before normalizeRow)
+export const applyColumnMapping = (row, mapping) => {
+  MAPPING_TARGETS.forEach((target) => {
+    const source = mapping.columns[target.key];
+    if (!source) return;
+    const raw = row[source] == null ? '' : String(row[source]);
+    if (target.outcomes) {
+      row[target.key] = mapping.values[target.key]?.[raw] ?? '';
+    } else {
+      row[target.key] = raw;
+    }
+  });
+  return row;
+};
+
+const readSavedMappings = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+export const loadSavedMapping = (signature) => readSavedMappings()[signature] || null;
+
+export const saveMapping = (signature, mapping) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...readSavedMappings(), [signature]: mapping }));
+  } catch (err) {
+    console.error('Saving column mapping failed:', err);
+  }
+};
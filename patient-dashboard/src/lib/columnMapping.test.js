@@ -0,0 +1,82 @@
+import { describe, expect, it } from 'vitest';
+import {
+  MAX_SAMPLE_VALUES, addSampleValues, applyColumnMapping, headerSignature, isMappingComplete, missingRequiredColumns,
+  suggestMapping, suggestValueMap
+} from './columnMapping';
+
+// An EHR-style export: outcome as a status word, dates and SMS under other names.
+// samples as the worker posts them: distinct values per header
+const fields = ['Patient ID', 'Visit Date', 'Booked On', 'Status', 'Text Reminder', 'Age'];
+const samples = {
+  Status: ['Arrived', 'DNA', 'No Show', ''],
+  'Text Reminder': ['Y', 'N']
+};
+
+describe('headers', () => {
+  it('lists the required targets the headers lack', () => {
+    expect(missingRequiredColumns(fields)).toEqual(['NoShow', 'AppointmentDay']);
+    expect(missingRequiredColumns(['NoShow', 'AppointmentDate'])).toEqual([]);
+  });
+
+  it('signs a header layout regardless of order and case', () => {
+    expect(headerSignature(['NoShow', ' Age '])).toBe(headerSignature(['age', 'noshow']));
+  });
+
+  it('samples a bounded number of distinct values per column', () => {
+    const collected = {};
+    for (let i = 0; i < MAX_SAMPLE_VALUES + 10; i++) addSampleValues(collected, { Status: `s${i % (MAX_SAMPLE_VALUES + 5)}`, Age: null });
+    expect(collected.Status.size).toBe(MAX_SAMPLE_VALUES);
+    expect([...collected.Age]).toEqual(['']);
+  });
+});
+
+describe('suggestMapping', () => {
+  const mapping = suggestMapping(fields, samples);
+
+  it('guesses columns from header aliases', () => {
+    expect(mapping.columns).toEqual({
+      NoShow: 'Status',
+      AppointmentDay: 'Visit Date',
+      ScheduledDay: 'Booked On',
+      Age: 'Age',
+      AgeGroup: '',
+      SMS_received: 'Text Reminder'
+    });
+  });
+
+  it('guesses outcomes from the sampled values, leaving unknown ones unmapped', () => {
+    expect(mapping.values.NoShow).toEqual({ Arrived: '0', DNA: '1', 'No Show': '1' });
+    expect(mapping.values.SMS_received).toEqual({ Y: '1', N: '0' });
+    expect(suggestValueMap('NoShow', ['Cancelled', '1'])).toEqual({ Cancelled: '', 1: '1' });
+  });
+
+  it('keeps a saved mapping where its columns still exist', () => {
+    const saved = { columns: { NoShow: 'Status', AgeGroup: 'Gone' }, values: { NoShow: { Arrived: '1' } } };
+    const restored = suggestMapping(fields, samples, saved);
+    expect(restored.columns.AgeGroup).toBe('');
+    expect(restored.values.NoShow.Arrived).toBe('1');
+    expect(restored.values.NoShow.DNA).toBe('1');
+  });
+});
+
+describe('isMappingComplete', () => {
+  it('needs the required columns and an entry for every sampled outcome value', () => {
+    const mapping = suggestMapping(fields, samples);
+    expect(isMappingComplete(mapping, fields, samples)).toBe(true);
+
+    const withNewValue = { ...samples, Status: ['Arrived', 'Cancelled'] };
+    expect(isMappingComplete(mapping, fields, withNewValue)).toBe(false);
+
+    const noDate = { ...mapping, columns: { ...mapping.columns, AppointmentDay: '' } };
+    expect(isMappingComplete(noDate, fields, samples)).toBe(false);
+  });
+});
+
+describe('applyColumnMapping', () => {
+  it('copies mapped columns onto the dashboard field names', () => {
+    const mapping = suggestMapping(fields, samples);
+    const row = applyColumnMapping({ 'Visit Date': '2016-05-02', Status: 'DNA', 'Text Reminder': 'N', Age: '42' }, mapping);
+    expect(row).toMatchObject({ AppointmentDay: '2016-05-02', NoShow: '1', SMS_received: '0', Age: '42', ScheduledDay: '' });
+    expect(applyColumnMapping({ Status: 'Cancelled' }, mapping).NoShow).toBe('');
+  });
+});
@@ -0,0 +1,175 @@
+import { toDateKey, toNum, weekdayOfDateKey } from './values';
+import { fixAgeGroupLabel, getWaitingDays, getBookingHour } from './records';
+import { ageBandLabel, decadeLabel } from './ageBands';
+import {
+  getOptionalFilterValue, isFilterActive, matchesCategorical, matchesRange, parseWaitingRangeValue, bookingTypeOf
+} from './filters';
+
+// Columnar copy of the dataset, built once per load (in the parse worker) so filtering and
+// aggregation never touch the row objects or re-derive fields:
+//   noShow       Int8Array    1 / 0, -1 when missing
+//   waitingDays  Float64Array whole days, negative values as 0, NaN when missing
+//   age          Float64Array NaN when missing (the raw Age column, for re-banding, see lib/ageBands)
+//   weekday      Int8Array    appointment weekday, 1 = Monday ... 7 = Sunday, -1 when missing
+//   bookingHour  Int8Array    hour of the ScheduledDay timestamp, -1 when missing
+//   ageGroup, week, sms, appointmentDate, optional[key]
+//                dictionary columns { values, codes }: codes[i] indexes values (distinct, first-seen order)
+// Rows without an AgeGroup get the decade of their Age, so a file with only Age still has age groups.
+
+const NO_VALUE = -1;
+
+// Model inputs of row i (see lib/logisticRegression): { age, waitingDays, sms, noShow }, null when missing
+export const modelRecordAt = (columns, i) => {
+  const sms = columns.sms.values[columns.sms.codes[i]];
+  return {
+    age: Number.isNaN(columns.age[i]) ? null : columns.age[i],
+    waitingDays: Number.isNaN(columns.waitingDays[i]) ? null : columns.waitingDays[i],
+    sms: sms === '1' ? 1 : sms === '0' ? 0 : null,
+    noShow: columns.noShow[i] === NO_VALUE ? null : columns.noShow[i]
+  };
+};
+
+// Encode values as indexes into their distinct values
+const dictionaryColumn = (rawValues) => {
+  const values = [...new Set(rawValues)];
+  const index = new Map(values.map((v, i) => [v, i]));
+  const codes = values.length <= 0xffff ? new Uint16Array(rawValues.length) : new Uint32Array(rawValues.length);
+  rawValues.forEach((v, i) => { codes[i] = index.get(v); });
+  return { values, codes };
+};
+
+export const buildColumns = (rows, optionalFilters) => {
+  const length = rows.length;
+  const noShow = new Int8Array(length);
+  const waitingDays = new Float64Array(length);
+  const age = new Float64Array(length);
+  const ageGroups = new Array(length);
+  const bookingHour = new Int8Array(length);
+  rows.forEach((row, i) => {
+    noShow[i] = row.NoShow === 1 ? 1 : row.NoShow === 0 ? 0 : NO_VALUE;
+    const days = getWaitingDays(row);
+    // Whole days, so fractional waits (0.5) land in the same bin in the charts as in the filters
+    waitingDays[i] = days === null ? NaN : Math.max(0, Math.floor(days));
+    const years = toNum(row.Age);
+    age[i] = years === null ? NaN : years;
+    const label = fixAgeGroupLabel(row.AgeGroup);
+    ageGroups[i] = label && label !== 'Unknown' ? label : decadeLabel(age[i]);
+    const hour = getBookingHour(row);
+    bookingHour[i] = hour === null ? NO_VALUE : hour;
+  });
+
+  const appointmentDate = dictionaryColumn(rows.map((row) => toDateKey(row.AppointmentDay || row.Appointment || row.AppointmentDate)));
+  // Weekdays per distinct date, then per row
+  const dateWeekdays = appointmentDate.values.map((key) => weekdayOfDateKey(key) ?? NO_VALUE);
+  const weekday = Int8Array.from(appointmentDate.codes, (code) => dateWeekdays[code]);
+
+  const optional = {};
+  optionalFilters.forEach((def) => {
+    optional[def.key] = dictionaryColumn(rows.map((row) => getOptionalFilterValue(row, def)));
+  });
+
+  return {
+    length,
+    noShow,
+    waitingDays,
+    age,
+    weekday,
+    bookingHour,
+    ageGroup: dictionaryColumn(ageGroups),
+    week: dictionaryColumn(rows.map((row) => row.Week)),
+    sms: dictionaryColumn(rows.map((row) => row.SMS_received)),
+    appointmentDate,
+    optional
+  };
+};
+
+// The columns with the age groups re-banded from Age (bands from lib/ageBands); rows without an age are ''
+export const withAgeBands = (columns, bands) => ({
+  ...columns,
+  ageGroup: dictionaryColumn(Array.from(columns.age, (years) => ageBandLabel(years, bands)))
+});
+
+// The typed-array buffers, for transferring the columns out of the worker without copying
+export const columnBuffers = (columns) => [
+  columns.noShow.buffer,
+  columns.waitingDays.buffer,
+  columns.age.buffer,
+  columns.weekday.buffer,
+  columns.bookingHour.buffer,
+  ...[columns.ageGroup, columns.week, columns.sms, columns.appointmentDate, ...Object.values(columns.optional)]
+    .map((column) => column.codes.buffer)
+];
+
+// Lookup table: allowed[code] = 1 when that dictionary value passes the filter
+const allowedCodes = (column, matches) => {
+  const allowed = new Uint8Array(column.values.length);
+  column.values.forEach((value, code) => { allowed[code] = matches(value) ? 1 : 0; });
+  return allowed;
+};
+
+const dictionaryTest = (column, matches) => {
+  const allowed = allowedCodes(column, matches);
+  const { codes } = column;
+  return (i) => allowed[codes[i]] === 1;
+};
+
+// Test for a small-integer column (values 0 .. size - 1, -1 = missing, which never matches)
+const codeTest = (values, size, matches) => {
+  const allowed = new Uint8Array(size);
+  for (let v = 0; v < size; v++) allowed[v] = matches(v) ? 1 : 0;
+  return (i) => allowed[values[i]] === 1;
+};
+
+// Active filters as per-row tests over the columns: [{ key, test(i) }]
+export const compileFilters = (columns, filters, optionalFilters) => {
+  const tests = [];
+
+  if (isFilterActive(filters.ageGroup)) {
+    tests.push({ key: 'ageGroup', test: dictionaryTest(columns.ageGroup, (v) => matchesCategorical(v, filters.ageGroup)) });
+  }
+  if (isFilterActive(filters.smsReceived)) {
+    tests.push({ key: 'smsReceived', test: dictionaryTest(columns.sms, (v) => matchesCategorical(v, filters.smsReceived)) });
+  }
+  if (isFilterActive(filters.outcome)) {
+    const allowed = { [-1]: filters.outcome.includes('null'), 0: filters.outcome.includes('0'), 1: filters.outcome.includes('1') };
+    const { noShow } = columns;
+    tests.push({ key: 'outcome', test: (i) => allowed[noShow[i]] });
+  }
+  if (isFilterActive(filters.waitingDays)) {
+    const ranges = filters.waitingDays.map(parseWaitingRangeValue);
+    const { waitingDays } = columns;
+    tests.push({
+      key: 'waitingDays',
+      test: (i) => {
+        const days = waitingDays[i];
+        // NaN (missing) fails every comparison, so it never matches an active waiting filter
+        return ranges.some(({ min, max }) => days >= min && (max === null || days <= max));
+      }
+    });
+  }
+  if (isFilterActive(filters.weekday)) {
+    tests.push({ key: 'weekday', test: codeTest(columns.weekday, 8, (v) => filters.weekday.includes(String(v))) });
+  }
+  if (isFilterActive(filters.bookingHour)) {
+    tests.push({ key: 'bookingHour', test: codeTest(columns.bookingHour, 24, (v) => filters.bookingHour.includes(String(v))) });
+  }
+  if (isFilterActive(filters.bookingType)) {
+    const { waitingDays } = columns;
+    tests.push({ key: 'bookingType', test: (i) => filters.bookingType.includes(bookingTypeOf(waitingDays[i])) });
+  }
+  if (isFilterActive(filters.week)) {
+    tests.push({ key: 'week', test: dictionaryTest(columns.week, (v) => matchesRange(v, filters.week)) });
+  }
+  if (isFilterActive(filters.appointmentDate)) {
+    tests.push({
+      key: 'appointmentDate',
+      test: dictionaryTest(columns.appointmentDate, (v) => matchesRange(v, filters.appointmentDate))
+    });
+  }
+  optionalFilters.forEach((def) => {
+    if (!isFilterActive(filters[def.key]) || !columns.optional[def.key]) return;
+    tests.push({ key: def.key, test: dictionaryTest(columns.optional[def.key], (v) => filters[def.key].includes(v)) });
+  });
+
+  return tests;
+};
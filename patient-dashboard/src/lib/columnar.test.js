@@ -0,0 +1,103 @@
+import { describe, expect, it } from 'vitest';
+import { buildColumns, columnBuffers, compileFilters, modelRecordAt, withAgeBands } from './columnar';
+import { ageBandsFor } from './ageBands';
+import { createDefaultFilters, detectOptionalFilters } from './filters';
+
+// Row 3's age group is an Excel date, row 4 has no waiting time or date, row 5 no outcome
+const rows = [
+  { AgeGroup: '0-9', SMS_received: '1', NoShow: 1, WaitingDays: 2, Week: '2016-05-02', AppointmentDay: '2016-05-02', Gender: 'F' },
+  { AgeGroup: '0-9', SMS_received: '0', NoShow: 0, WaitingDays: 2, Week: '2016-05-02', AppointmentDay: '2016-05-03', Gender: 'M' },
+  { AgeGroup: '10-19', SMS_received: '1', NoShow: 0, WaitingDays: 9, Week: '2016-05-09', AppointmentDay: '2016-05-10', Gender: 'F' },
+  { AgeGroup: '19-Oct', SMS_received: '0', NoShow: 1, WaitingDays: 30, Week: '2016-05-09', AppointmentDay: '2016-05-11', Gender: 'F' },
+  { AgeGroup: '', SMS_received: '0', NoShow: 0, Week: '', AppointmentDay: '', Gender: '' },
+  { AgeGroup: '20-29', SMS_received: '1', NoShow: null, WaitingDays: 5, Week: '2016-05-02', AppointmentDay: '2016-05-04', Gender: 'M' }
+];
+const optionalFilters = detectOptionalFilters(['Gender']);
+const columns = buildColumns(rows, optionalFilters);
+
+// Row indexes passing every compiled test
+const selection = (changes) => {
+  const tests = compileFilters(columns, { ...createDefaultFilters(), ...changes }, optionalFilters);
+  return rows.map((_, i) => i).filter((i) => tests.every(({ test }) => test(i)));
+};
+
+describe('buildColumns', () => {
+  it('stores outcomes and waiting times as typed arrays', () => {
+    expect([...columns.noShow]).toEqual([1, 0, 0, 1, 0, -1]);
+    expect([...columns.waitingDays]).toEqual([2, 2, 9, 30, NaN, 5]);
+  });
+
+  it('stores waiting times as whole days, negative ones as 0', () => {
+    const waits = buildColumns([{ WaitingDays: 0.5 }, { WaitingDays: 7.9 }, { WaitingDays: -2 }, { WaitingDays: '' }], []);
+    expect([...waits.waitingDays]).toEqual([0, 7, 0, NaN]);
+  });
+
+  it('dictionary-codes the categorical fields in first-seen order', () => {
+    expect(columns.ageGroup.values).toEqual(['0-9', '10-19', '', '20-29']);
+    expect([...columns.ageGroup.codes]).toEqual([0, 0, 1, 1, 2, 3]);
+    expect(columns.appointmentDate.values).toEqual(['2016-05-02', '2016-05-03', '2016-05-10', '2016-05-11', null, '2016-05-04']);
+    expect(columns.optional.gender.values).toEqual(['F', 'M', '']);
+  });
+
+  it('lists every buffer for a zero-copy transfer', () => {
+    expect(columnBuffers(columns)).toHaveLength(10);
+    expect(columnBuffers(columns)[0]).toBe(columns.noShow.buffer);
+  });
+
+  it('derives the age group from Age when the AgeGroup column is empty', () => {
+    const aged = buildColumns([{ AgeGroup: '', Age: '34' }, { Age: '7' }, { AgeGroup: '60-69', Age: '64' }, { Age: '' }], []);
+    expect([...aged.age]).toEqual([34, 7, 64, NaN]);
+    expect(aged.ageGroup.values).toEqual(['30-39', '0-9', '60-69', '']);
+  });
+
+  it('reads the model inputs of a row, null when missing', () => {
+    const modelColumns = buildColumns([
+      { Age: '34', WaitingDays: 5, SMS_received: '1', NoShow: 1 },
+      { Age: '', SMS_received: 'maybe', NoShow: null }
+    ], []);
+    expect(modelRecordAt(modelColumns, 0)).toEqual({ age: 34, waitingDays: 5, sms: 1, noShow: 1 });
+    expect(modelRecordAt(modelColumns, 1)).toEqual({ age: null, waitingDays: null, sms: null, noShow: null });
+  });
+
+  it('re-bands the age groups from Age', () => {
+    const aged = buildColumns([{ Age: '5' }, { AgeGroup: '60-69', Age: '64' }, { Age: '70' }, { Age: '' }], []);
+    const banded = withAgeBands(aged, ageBandsFor({ scheme: 'lifeStages' }));
+    expect(banded.ageGroup.values).toEqual(['Pediatric (0-17)', 'Adult (18-64)', 'Senior (65+)', '']);
+    expect(banded.age).toBe(aged.age);
+  });
+});
+
+describe('compileFilters', () => {
+  it('compiles nothing for the default filters', () => {
+    expect(compileFilters(columns, createDefaultFilters(), optionalFilters)).toEqual([]);
+  });
+
+  it('tags each test with its filter key', () => {
+    const tests = compileFilters(columns, { ...createDefaultFilters(), smsReceived: ['1'], gender: ['F'] }, optionalFilters);
+    expect(tests.map(({ key }) => key)).toEqual(['smsReceived', 'gender']);
+  });
+
+  it('matches categorical filters on the repaired values', () => {
+    expect(selection({ ageGroup: ['10-19'] })).toEqual([2, 3]);
+    expect(selection({ smsReceived: ['0'] })).toEqual([1, 3, 4]);
+    expect(selection({ gender: ['M'] })).toEqual([1, 5]);
+  });
+
+  it('matches outcomes, with "null" selecting missing ones', () => {
+    expect(selection({ outcome: ['0'] })).toEqual([1, 2, 4]);
+    expect(selection({ outcome: ['null'] })).toEqual([5]);
+  });
+
+  it('matches waiting-time ranges and never missing waiting times', () => {
+    expect(selection({ waitingDays: ['1-3', '15-'] })).toEqual([0, 1, 3]);
+  });
+
+  it('matches week and date ranges', () => {
+    expect(selection({ week: { start: '2016-05-09', end: '' } })).toEqual([2, 3]);
+    expect(selection({ appointmentDate: { start: '2016-05-03', end: '2016-05-10' } })).toEqual([1, 2, 5]);
+  });
+
+  it('requires every active filter', () => {
+    expect(selection({ smsReceived: ['1'], gender: ['F'] })).toEqual([0, 2]);
+  });
+});
@@ -0,0 +1,46 @@
+import { toNum, toBin01, toDateKey, weekdayOfDateKey, addDaysToDateKey } from './values';
+
+// PapaParse settings shared by every CSV load
+export const PARSE_CONFIG = {
+  header: true,
+  skipEmptyLines: true,
+  dynamicTyping: false,
+  // Strip BOM + non‑breaking spaces that Excel exports sometimes include
+  transformHeader: (h) => {
+    if (h == null) return h;
+    return String(h).replace(/\uFEFF/g, '').replace(/\u00A0/g, ' ').trim();
+  },
+  transform: (v) => (typeof v === 'string' ? v.replace(/\u00A0/g, ' ').trim() : v)
+};
+
+// Monday of the appointment's week as YYYY-MM-DD, or 'Unknown'. Works on the date key so the week
+// matches the weekday and calendar views in any time zone.
+const weekOf = (appt) => {
+  const key = toDateKey(appt);
+  if (!key) return 'Unknown';
+  return addDaysToDateKey(key, 1 - weekdayOfDateKey(key));
+};
+
+// Normalizes one parsed row in place so the rest of the app can rely on the field types
+export const normalizeRow = (obj) => {
+  // Week label: YYYY-MM-DD (Monday start) if missing
+  if (!obj.Week || String(obj.Week).trim() === '' || String(obj.Week).toLowerCase() === 'unknown') {
+    obj.Week = weekOf(obj.AppointmentDay || obj.Appointment || obj.AppointmentDate);
+  }
+  // Normalize SMS_received so filters match cleanly ('0'/'1')
+  if (obj.SMS_received !== undefined) {
+    obj.SMS_received = toBin01(obj.SMS_received);
+  }
+
+  // Normalize NoShow to a number (0/1) so comparisons like (row.NoShow === 1) work
+  if (obj.NoShow !== undefined) {
+    obj.NoShow = toNum(obj.NoShow);
+  }
+
+  // Normalize waiting day fields to numbers when present
+  if (obj.WaitingDays !== undefined) {
+    obj.WaitingDays = toNum(obj.WaitingDays);
+  }
+
+  return obj;
+};
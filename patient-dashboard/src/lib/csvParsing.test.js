@@ -0,0 +1,31 @@
+import { describe, expect, it } from 'vitest';
+import Papa from 'papaparse';
+import { PARSE_CONFIG, normalizeRow } from './csvParsing';
+
+describe('PARSE_CONFIG', () => {
+  it('strips the BOM and non-breaking spaces Excel leaves behind', () => {
+    const { data } = Papa.parse('﻿NoShow, Age \n1, 42 \n', PARSE_CONFIG);
+    expect(data).toEqual([{ NoShow: '1', Age: '42' }]);
+  });
+});
+
+describe('normalizeRow', () => {
+  it('types the outcome, SMS and waiting-days fields', () => {
+    expect(normalizeRow({ NoShow: '1', SMS_received: '1.0', WaitingDays: '3', Week: '2016-05-02' })).toEqual({
+      NoShow: 1, SMS_received: '1', WaitingDays: 3, Week: '2016-05-02'
+    });
+  });
+
+  it('derives the Monday week label when the file has none', () => {
+    expect(normalizeRow({ AppointmentDay: '2016-05-04T12:00:00' }).Week).toBe('2016-05-02');
+    expect(normalizeRow({ AppointmentDay: '2016-05-08T12:00:00', Week: 'unknown' }).Week).toBe('2016-05-02');
+    expect(normalizeRow({ AppointmentDay: 'soon' }).Week).toBe('Unknown');
+    expect(normalizeRow({}).Week).toBe('Unknown');
+  });
+
+  it('takes the week from the date as written, whatever the time zone', () => {
+    expect(normalizeRow({ AppointmentDay: '2016-05-08T00:00:00Z' }).Week).toBe('2016-05-02');
+    expect(normalizeRow({ AppointmentDay: '2016-05-09T00:00:00Z' }).Week).toBe('2016-05-09');
+    expect(normalizeRow({ AppointmentDay: '2017-01-01' }).Week).toBe('2016-12-26');
+  });
+});
@@ -0,0 +1,108 @@
+// Uploaded datasets kept in the browser (IndexedDB), so a reload or a switch doesn't need the file again.
+// Nothing leaves the machine. Two stores:
+//   datasets     metadata { id, name, rowCount, uploadedAt, dateRange: { min, max } }, listed by the switcher
+//   datasetRows  { rows, validation } by dataset id: the normalized rows as loaded, read back by the parse worker
+// Columns and summaries are rebuilt on load, so stored datasets survive changes to those.
+// Used from both the page and the parse worker.
+
+const DB_NAME = 'patientNoShowDashboard';
+const DB_VERSION = 1;
+const META_STORE = 'datasets';
+const ROWS_STORE = 'datasetRows';
+const ACTIVE_KEY = 'patientDashboard.activeDataset';
+
+const requestResult = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const transactionDone = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(META_STORE, { keyPath: 'id', autoIncrement: true });
+      request.result.createObjectStore(ROWS_STORE);
+    };
+    dbPromise = requestResult(request);
+    // Let the next call retry instead of caching the failure
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+// Newest first
+export const listDatasets = async () => {
+  const db = await openDb();
+  const datasets = await requestResult(db.transaction(META_STORE).objectStore(META_STORE).getAll());
+  return datasets.sort((a, b) => b.uploadedAt - a.uploadedAt);
+};
+
+// Resolves the new dataset's metadata
+export const saveDataset = async ({ name, rows, validation, dateRange }) => {
+  const db = await openDb();
+  const meta = { name, rowCount: rows.length, uploadedAt: Date.now(), dateRange };
+  const tx = db.transaction([META_STORE, ROWS_STORE], 'readwrite');
+  const addRequest = tx.objectStore(META_STORE).add(meta);
+  addRequest.onsuccess = () => tx.objectStore(ROWS_STORE).put({ rows, validation }, addRequest.result);
+  await transactionDone(tx);
+  return { ...meta, id: addRequest.result };
+};
+
+// Resolves { meta, rows, validation }, or null when the dataset no longer exists
+export const loadDataset = async (id) => {
+  const db = await openDb();
+  const tx = db.transaction([META_STORE, ROWS_STORE]);
+  const [meta, stored] = await Promise.all([
+    requestResult(tx.objectStore(META_STORE).get(id)),
+    requestResult(tx.objectStore(ROWS_STORE).get(id))
+  ]);
+  return meta && stored ? { meta, rows: stored.rows, validation: stored.validation } : null;
+};
+
+export const renameDataset = async (id, name) => {
+  const db = await openDb();
+  const tx = db.transaction(META_STORE, 'readwrite');
+  const store = tx.objectStore(META_STORE);
+  const getRequest = store.get(id);
+  getRequest.onsuccess = () => {
+    if (getRequest.result) store.put({ ...getRequest.result, name });
+  };
+  await transactionDone(tx);
+};
+
+export const deleteDataset = async (id) => {
+  const db = await openDb();
+  const tx = db.transaction([META_STORE, ROWS_STORE], 'readwrite');
+  tx.objectStore(META_STORE).delete(id);
+  tx.objectStore(ROWS_STORE).delete(id);
+  await transactionDone(tx);
+};
+
+// The stored dataset to open on the next visit (null = the bundled CSV). Page only.
+export const getActiveDatasetId = () => {
+  try {
+    const id = Number(window.localStorage.getItem(ACTIVE_KEY));
+    return Number.isInteger(id) && id > 0 ? id : null;
+  } catch {
+    return null;
+  }
+};
+
+export const rememberActiveDataset = (id) => {
+  try {
+    if (id === null) window.localStorage.removeItem(ACTIVE_KEY);
+    else window.localStorage.setItem(ACTIVE_KEY, String(id));
+  } catch (err) {
+    console.error('Saving the active dataset failed:', err);
+  }
+};
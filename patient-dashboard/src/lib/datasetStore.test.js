@@ -0,0 +1,35 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { getActiveDatasetId, rememberActiveDataset } from './datasetStore';
+
+// The IndexedDB stores need a browser; the active-dataset pointer only needs localStorage
+describe('active dataset', () => {
+  beforeEach(() => {
+    const items = new Map();
+    vi.stubGlobal('window', {
+      localStorage: {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+      }
+    });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('remembers a stored dataset and forgets it for the bundled CSV', () => {
+    expect(getActiveDatasetId()).toBe(null);
+    rememberActiveDataset(7);
+    expect(getActiveDatasetId()).toBe(7);
+    rememberActiveDataset(null);
+    expect(getActiveDatasetId()).toBe(null);
+  });
+
+  it('ignores ids that are not positive integers', () => {
+    window.localStorage.setItem('patientDashboard.activeDataset', 'abc');
+    expect(getActiveDatasetId()).toBe(null);
+    window.localStorage.setItem('patientDashboard.activeDataset', '0');
+    expect(getActiveDatasetId()).toBe(null);
+  });
+});
@@ -0,0 +1,89 @@
+import { sortAgeGroups, sortWeeks } from './aggregations';
+import { sortFilterValues } from './filters';
+import { toDateKey } from './values';
+
+// Facts about the whole dataset that do not depend on the filters. Computed once per load
+// (in the parse worker) from the rows and their columns, so the result has to survive postMessage.
+
+const NO_SHOW_DEF = 'NoShow=1 means patient missed appointment';
+
+const getOverview = (rows) => {
+  const total = rows.length;
+  let min = Infinity;
+  let max = -Infinity;
+  // First and last appointment day as 'YYYY-MM-DD' keys, for the calendar heatmap
+  let firstDay = '';
+  let lastDay = '';
+  rows.forEach((row) => {
+    const raw = row.AppointmentDay || row.Appointment || row.AppointmentDate;
+    const t = new Date(raw).getTime();
+    if (isNaN(t)) return;
+    if (t < min) min = t;
+    if (t > max) max = t;
+    const key = toDateKey(raw);
+    if (key && (!firstDay || key < firstDay)) firstDay = key;
+    if (key && key > lastDay) lastDay = key;
+  });
+
+  if (min === Infinity) {
+    return { total, dateRange: 'Unknown', noShowDef: NO_SHOW_DEF };
+  }
+
+  const minDate = new Date(min);
+  const maxDate = new Date(max);
+  const dateRange = `${minDate.toLocaleDateString()} – ${maxDate.toLocaleDateString()}`;
+
+  // Calculate date range in days
+  const daysDiff = Math.ceil((maxDate - minDate) / (1000 * 60 * 60 * 24));
+
+  return { total, dateRange, dateRangeDays: daysDiff, minDate, maxDate, firstDay, lastDay, noShowDef: NO_SHOW_DEF };
+};
+
+const getDataQuality = (rows, columns, validation) => ({
+  total: rows.length,
+  // Rows left out at upload by the validation step
+  excludedRows: validation ? validation.badRowCount : 0,
+  // Count missing values for key fields
+  missingWaitingDays: columns.waitingDays.filter((days) => Number.isNaN(days)).length,
+  missingSMS: rows.filter((row) => !row.SMS_received || row.SMS_received.trim() === '').length,
+  // Rows with neither an AgeGroup nor an Age to derive one from
+  missingAgeGroup: Array.from(columns.ageGroup.codes).filter((code) => {
+    const label = columns.ageGroup.values[code];
+    return !label || label === 'Unknown';
+  }).length
+});
+
+const getOverallKpis = (rows) => {
+  if (!rows.length) return { total: 0, noShows: 0, noShowRate: 0 };
+
+  const total = rows.length;
+  const noShows = rows.filter((row) => row.NoShow === 1).length;
+  return { total, noShows, noShowRate: ((noShows / total) * 100).toFixed(1) };
+};
+
+// Filter options: the values present in the dataset, read off the dictionary columns
+const getUniqueValues = (columns, optionalFilters) => {
+  const ageGroups = columns.ageGroup.values.filter(Boolean).sort(sortAgeGroups);
+  const weeks = columns.week.values.filter(Boolean).sort(sortWeeks);
+
+  const optional = {};
+  optionalFilters.forEach((def) => {
+    optional[def.key] = sortFilterValues(columns.optional[def.key].values.filter(Boolean));
+  });
+
+  const dateKeys = columns.appointmentDate.values.filter(Boolean).sort();
+  const dateRange = dateKeys.length ? { min: dateKeys[0], max: dateKeys[dateKeys.length - 1] } : { min: '', max: '' };
+
+  return { ageGroups, weeks, optional, dateRange };
+};
+
+// { optionalFilters, overview, dataQuality, overallKpis, uniqueValues, validation }
+// columns come from buildColumns(rows, optionalFilters); validation is the upload's validation report
+export const summarizeDataset = (rows, columns, optionalFilters, validation = null) => ({
+  optionalFilters,
+  validation,
+  overview: getOverview(rows),
+  dataQuality: getDataQuality(rows, columns, validation),
+  overallKpis: getOverallKpis(rows),
+  uniqueValues: getUniqueValues(columns, optionalFilters)
+});
@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import { buildColumns } from './columnar';
+import { detectOptionalFilters } from './filters';
+import { summarizeDataset } from './datasetSummary';
+
+describe('summarizeDataset', () => {
+  const rows = [
+    { AppointmentDay: '2016-05-02T00:00:00Z', NoShow: 1, SMS_received: '1', AgeGroup: '20-29', Week: '2016-05-02', Gender: 'F', WaitingDays: 2 },
+    { AppointmentDay: '2016-05-12T00:00:00Z', NoShow: 0, SMS_received: '', AgeGroup: '19-Oct', Week: '2016-05-09', Gender: 'M', WaitingDays: null },
+    { AppointmentDay: '2016-04-29T00:00:00Z', NoShow: 0, SMS_received: '0', AgeGroup: 'Unknown', Week: '2016-04-25', Gender: 'F', WaitingDays: 0 }
+  ];
+  const summarize = (data) => {
+    const optionalFilters = data.length ? detectOptionalFilters(Object.keys(data[0])) : [];
+    return summarizeDataset(data, buildColumns(data, optionalFilters), optionalFilters);
+  };
+  const summary = summarize(rows);
+
+  it('detects the optional filter columns', () => {
+    expect(summary.optionalFilters.map((def) => def.key)).toEqual(['gender']);
+  });
+
+  it('spans the appointment dates', () => {
+    expect(summary.overview.total).toBe(3);
+    expect(summary.overview.dateRangeDays).toBe(13);
+    expect(summary.uniqueValues.dateRange).toEqual({ min: '2016-04-29', max: '2016-05-12' });
+    expect(summary.overview).toMatchObject({ firstDay: '2016-04-29', lastDay: '2016-05-12' });
+  });
+
+  it('counts missing values and overall no-shows', () => {
+    expect(summary.dataQuality).toEqual({ total: 3, excludedRows: 0, missingWaitingDays: 1, missingSMS: 1, missingAgeGroup: 1 });
+    expect(summary.overallKpis).toEqual({ total: 3, noShows: 1, noShowRate: '33.3' });
+  });
+
+  it('lists the filter options in display order', () => {
+    expect(summary.uniqueValues.ageGroups).toEqual(['10-19', '20-29']);
+    expect(summary.uniqueValues.weeks).toEqual(['2016-04-25', '2016-05-02', '2016-05-09']);
+    expect(summary.uniqueValues.optional).toEqual({ gender: ['F', 'M'] });
+  });
+
+  it('carries the upload validation report', () => {
+    const validation = { rowCount: 5, badRowCount: 2 };
+    const optionalFilters = detectOptionalFilters(Object.keys(rows[0]));
+    const withValidation = summarizeDataset(rows, buildColumns(rows, optionalFilters), optionalFilters, validation);
+    expect(withValidation.validation).toBe(validation);
+    expect(withValidation.dataQuality.excludedRows).toBe(2);
+  });
+
+  it('handles an empty file', () => {
+    const empty = summarize([]);
+    expect(empty.optionalFilters).toEqual([]);
+    expect(empty.overview).toMatchObject({ total: 0, dateRange: 'Unknown' });
+    expect(empty.overallKpis).toEqual({ total: 0, noShows: 0, noShowRate: 0 });
+  });
+});
@@ -0,0 +1,25 @@
+import Papa from 'papaparse';
+
+// Trigger a browser download for in-memory content
+export const downloadFile = (content, filename, mimeType) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Let the click start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// columns: [{ key, label }] - keeps column order stable even when the first row has gaps
+export const toCSV = (rows, columns) =>
+  Papa.unparse({
+    fields: columns.map((c) => c.label),
+    data: rows.map((row) => columns.map((c) => row[c.key] ?? ''))
+  });
+
+// Filename-safe timestamp, e.g. 2016-05-02_14-03-59
+export const fileTimestamp = (date = new Date()) => date.toISOString().slice(0, 19).replace('T', '_').replace(/:/g, '-');
@@ -0,0 +1,111 @@
+import { downloadFile, toCSV, fileTimestamp } from './download';
+
+// Column layouts for the chart aggregates. Internal chart-only fields (rateError, rateBand) are left out.
+const RATE_COLUMNS = [
+  { key: 'total', label: 'Total' },
+  { key: 'noShows', label: 'NoShows' },
+  { key: 'rate', label: 'NoShowRatePct' },
+  { key: 'ciLow', label: 'CI95LowPct' },
+  { key: 'ciHigh', label: 'CI95HighPct' },
+  { key: 'isSmallSample', label: 'SmallSample' }
+];
+
+export const AGGREGATE_EXPORTS = {
+  byAge: {
+    label: 'No-show by age group',
+    filename: 'noshow_by_age_group',
+    columns: [{ key: 'name', label: 'AgeGroup' }, { key: 'Show', label: 'Shows' }, ...RATE_COLUMNS]
+  },
+  bySMS: {
+    label: 'No-show by SMS reminder',
+    filename: 'noshow_by_sms',
+    columns: [{ key: 'name', label: 'SMSGroup' }, { key: 'Show', label: 'Shows' }, ...RATE_COLUMNS]
+  },
+  byWeek: {
+    label: 'No-show trends by week',
+    filename: 'noshow_by_week',
+    columns: [{ key: 'name', label: 'Week' }, { key: 'Show', label: 'Shows' }, ...RATE_COLUMNS]
+  },
+  byWaitingDays: {
+    label: 'No-show rate by waiting time',
+    filename: 'noshow_by_waiting_time',
+    columns: [
+      { key: 'name', label: 'WaitingTime' },
+      { key: 'n', label: 'Total' },
+      { key: 'noShows', label: 'NoShows' },
+      { key: 'No-Show Rate', label: 'NoShowRatePct' },
+      { key: 'ciLow', label: 'CI95LowPct' },
+      { key: 'ciHigh', label: 'CI95HighPct' },
+      { key: 'isSmallSample', label: 'SmallSample' }
+    ]
+  },
+  byWeekday: {
+    label: 'No-show by appointment weekday',
+    filename: 'noshow_by_weekday',
+    columns: [{ key: 'name', label: 'Weekday' }, { key: 'Show', label: 'Shows' }, ...RATE_COLUMNS]
+  },
+  byBookingHour: {
+    label: 'No-show by booking hour',
+    filename: 'noshow_by_booking_hour',
+    columns: [{ key: 'name', label: 'BookingHour' }, { key: 'Show', label: 'Shows' }, ...RATE_COLUMNS]
+  },
+  byBookingType: {
+    label: 'No-show by booking type',
+    filename: 'noshow_by_booking_type',
+    columns: [{ key: 'name', label: 'BookingType' }, { key: 'Show', label: 'Shows' }, ...RATE_COLUMNS]
+  },
+  byDate: {
+    label: 'No-show by appointment day',
+    filename: 'noshow_by_day',
+    columns: [{ key: 'name', label: 'AppointmentDay' }, { key: 'Show', label: 'Shows' }, ...RATE_COLUMNS]
+  },
+  pieData: {
+    label: 'Overall distribution',
+    filename: 'noshow_overall_distribution',
+    columns: [{ key: 'name', label: 'Outcome' }, { key: 'value', label: 'Appointments' }, { key: 'percent', label: 'SharePct' }]
+  }
+};
+
+// meta: { title, filters (text), exportedAt (Date), rowCount, extra: { label: value } }
+const metaLines = (meta) => [
+  meta.title,
+  `Exported: ${meta.exportedAt.toISOString()}`,
+  `Filters: ${meta.filters}`,
+  `Rows: ${meta.rowCount}`,
+  ...Object.entries(meta.extra || {}).map(([label, value]) => `${label}: ${value}`)
+];
+
+// CSV with a "# "-prefixed preamble (pandas: read_csv(..., comment='#'))
+export const buildCsvExport = (rows, columns, meta) =>
+  `${metaLines(meta).map((line) => `# ${line}`).join('\n')}\n${toCSV(rows, columns)}\n`;
+
+export const buildJsonExport = (rows, columns, meta) =>
+  JSON.stringify(
+    {
+      meta: {
+        title: meta.title,
+        exportedAt: meta.exportedAt.toISOString(),
+        filters: meta.filters,
+        filterState: meta.filterState,
+        rowCount: meta.rowCount,
+        ...meta.extra
+      },
+      columns: columns.map((c) => c.label),
+      data: rows.map((row) => Object.fromEntries(columns.map((c) => [c.label, row[c.key] ?? null])))
+    },
+    null,
+    2
+  );
+
+// format: 'csv' | 'json'
+export const exportTable = ({ filename, rows, columns, format, meta }) => {
+  const exportedAt = new Date();
+  const fullMeta = { ...meta, exportedAt, rowCount: rows.length };
+  const name = `${filename}_${fileTimestamp(exportedAt)}.${format}`;
+
+  if (format === 'json') {
+    downloadFile(buildJsonExport(rows, columns, fullMeta), name, 'application/json;charset=utf-8');
+  } else {
+    downloadFile(buildCsvExport(rows, columns, fullMeta), name, 'text/csv;charset=utf-8');
+  }
+};
@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+import { fileTimestamp, toCSV } from './download';
+import { AGGREGATE_EXPORTS, buildCsvExport, buildJsonExport } from './exporters';
+
+const columns = [{ key: 'name', label: 'AgeGroup' }, { key: 'rate', label: 'NoShowRatePct' }];
+const rows = [{ name: '0-9', rate: 18.2, rateError: [1, 2] }, { name: 'Adult, "18+"', rate: null }];
+const meta = {
+  title: 'No-show by age group',
+  filters: 'SMS sent',
+  filterState: { smsReceived: ['1'] },
+  exportedAt: new Date('2016-05-02T14:03:59Z'),
+  rowCount: 2,
+  extra: { Source: 'sample.csv' }
+};
+
+describe('toCSV', () => {
+  it('writes the columns in order and quotes where needed', () => {
+    expect(toCSV(rows, columns)).toBe('AgeGroup,NoShowRatePct\r\n0-9,18.2\r\n"Adult, ""18+""",');
+  });
+});
+
+describe('buildCsvExport', () => {
+  it('puts the export details in a commented preamble', () => {
+    const csv = buildCsvExport(rows, columns, meta);
+    expect(csv.split('\n').slice(0, 5)).toEqual([
+      '# No-show by age group',
+      '# Exported: 2016-05-02T14:03:59.000Z',
+      '# Filters: SMS sent',
+      '# Rows: 2',
+      '# Source: sample.csv'
+    ]);
+  });
+
+  it('follows the preamble with the table', () => {
+    const csv = buildCsvExport(rows, columns, meta);
+    expect(csv.endsWith(`# Source: sample.csv\n${toCSV(rows, columns)}\n`)).toBe(true);
+  });
+});
+
+describe('buildJsonExport', () => {
+  it('labels the data with the export columns and keeps the filter state', () => {
+    const json = JSON.parse(buildJsonExport(rows, columns, meta));
+    expect(json.meta).toEqual({
+      title: 'No-show by age group',
+      exportedAt: '2016-05-02T14:03:59.000Z',
+      filters: 'SMS sent',
+      filterState: { smsReceived: ['1'] },
+      rowCount: 2,
+      Source: 'sample.csv'
+    });
+    expect(json.columns).toEqual(['AgeGroup', 'NoShowRatePct']);
+    expect(json.data).toEqual([{ AgeGroup: '0-9', NoShowRatePct: 18.2 }, { AgeGroup: 'Adult, "18+"', NoShowRatePct: null }]);
+  });
+});
+
+describe('AGGREGATE_EXPORTS', () => {
+  it('leaves the chart-only fields out', () => {
+    Object.values(AGGREGATE_EXPORTS).forEach(({ columns: exportColumns }) => {
+      expect(exportColumns.map((c) => c.key)).not.toContain('rateError');
+      expect(exportColumns.map((c) => c.key)).not.toContain('rateBand');
+    });
+  });
+});
+
+describe('fileTimestamp', () => {
+  it('is safe to use in a filename', () => {
+    expect(fileTimestamp(new Date('2016-05-02T14:03:59Z'))).toBe('2016-05-02_14-03-59');
+  });
+});
@@ -0,0 +1,94 @@
+import { PARSE_CONFIG } from './csvParsing';
+
+// Readers for the non-CSV uploads (workbooks are read by lib/workbook, loaded only when one is picked). Each returns rows shaped like PapaParse's header output (string values
+// keyed by cleaned header), so mapping, validation and normalizeRow treat every format the same:
+//   { rows, fields, errors } with errors as { row, message } (row = index into rows, or null)
+
+const FORMATS_BY_EXTENSION = {
+  csv: 'delimited',
+  txt: 'delimited',
+  tsv: 'tsv',
+  tab: 'tsv',
+  json: 'json',
+  ndjson: 'ndjson',
+  jsonl: 'ndjson',
+  xlsx: 'workbook',
+  xlsm: 'workbook',
+  xls: 'workbook',
+  ods: 'workbook'
+};
+
+// Extensions for the upload input's accept attribute
+export const ACCEPTED_EXTENSIONS = Object.keys(FORMATS_BY_EXTENSION).map((ext) => `.${ext}`).join(',');
+
+// 'delimited' (delimiter detected: comma, semicolon, tab, pipe), 'tsv', 'json', 'ndjson' or 'workbook'
+export const detectFormat = (fileName) => {
+  const ext = String(fileName || '').split('.').pop().toLowerCase();
+  return FORMATS_BY_EXTENSION[ext] || 'delimited';
+};
+
+const cleanValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return PARSE_CONFIG.transform(String(value));
+};
+
+// One JSON record as a row, with the same header / value cleanup as the CSV path
+export const recordToRow = (record) => {
+  const row = {};
+  Object.entries(record).forEach(([key, value]) => {
+    row[PARSE_CONFIG.transformHeader(key)] = cleanValue(value);
+  });
+  return row;
+};
+
+// Headers in first-seen order across all rows (JSON records need not share keys)
+export const collectFields = (rows) => {
+  const fields = new Set();
+  rows.forEach((row) => Object.keys(row).forEach((key) => fields.add(key)));
+  return [...fields];
+};
+
+const isRecord = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// One JSON record per line; lines that don't parse are reported and skipped
+export const parseNdjson = (text) => {
+  const rows = [];
+  const errors = [];
+  text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      const record = JSON.parse(line);
+      if (!isRecord(record)) throw new Error('not an object');
+      rows.push(recordToRow(record));
+    } catch (err) {
+      errors.push({ row: null, message: `Line ${i + 1}: ${err.message}` });
+    }
+  });
+  return { rows, fields: collectFields(rows), errors };
+};
+
+// A JSON array of records. A file that starts with anything but '[' is read as NDJSON instead.
+export const parseJson = (text) => {
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+  if (!trimmed.startsWith('[')) return parseNdjson(trimmed);
+
+  let records;
+  try {
+    records = JSON.parse(trimmed);
+  } catch (err) {
+    throw new Error(`Invalid JSON: ${err.message}`);
+  }
+
+  const rows = [];
+  const errors = [];
+  records.forEach((record, i) => {
+    if (!isRecord(record)) {
+      errors.push({ row: null, message: `Item ${i + 1} is not an object` });
+      return;
+    }
+    rows.push(recordToRow(record));
+  });
+  return { rows, fields: collectFields(rows), errors };
+};
@@ -0,0 +1,40 @@
+import { describe, expect, it } from 'vitest';
+import { detectFormat, parseJson, parseNdjson } from './fileFormats';
+
+describe('detectFormat', () => {
+  it('picks the reader from the extension, defaulting to delimited text', () => {
+    expect(detectFormat('extract.TSV')).toBe('tsv');
+    expect(detectFormat('extract.jsonl')).toBe('ndjson');
+    expect(detectFormat('extract.xlsx')).toBe('workbook');
+    expect(detectFormat('extract.csv')).toBe('delimited');
+    expect(detectFormat('extract')).toBe('delimited');
+  });
+});
+
+describe('parseJson', () => {
+  it('reads an array of records as string rows with cleaned headers', () => {
+    const { rows, fields, errors } = parseJson('﻿[{"NoShow": 1, " Age ": 42, "SMS": true}, {"NoShow": 0, "Notes": null}]');
+    expect(rows).toEqual([{ NoShow: '1', Age: '42', SMS: '1' }, { NoShow: '0', Notes: '' }]);
+    expect(fields).toEqual(['NoShow', 'Age', 'SMS', 'Notes']);
+    expect(errors).toEqual([]);
+  });
+
+  it('reports items that are not records', () => {
+    const { rows, errors } = parseJson('[{"NoShow": 1}, 5]');
+    expect(rows).toHaveLength(1);
+    expect(errors).toEqual([{ row: null, message: 'Item 2 is not an object' }]);
+  });
+
+  it('falls back to NDJSON and rejects broken JSON', () => {
+    expect(parseJson('{"NoShow": 1}\n{"NoShow": 0}').rows).toHaveLength(2);
+    expect(() => parseJson('[{"NoShow": 1}')).toThrow(/Invalid JSON/);
+  });
+});
+
+describe('parseNdjson', () => {
+  it('reads one record per line, skipping blank and broken lines', () => {
+    const { rows, errors } = parseNdjson('{"NoShow": 1}\n\n{"NoShow":\n[1]\r\n{"NoShow": 0}');
+    expect(rows).toEqual([{ NoShow: '1' }, { NoShow: '0' }]);
+    expect(errors.map((e) => e.message.split(':')[0])).toEqual(['Line 3', 'Line 4']);
+  });
+});
@@ -0,0 +1,175 @@
+import { toBin01, normKey } from './values';
+
+// Filter model:
+//   categorical fields hold an array of selected values (empty array = no filter)
+//   range fields hold { start, end } as 'YYYY-MM-DD' strings (either end may be '' = open)
+export const RANGE_FILTER_KEYS = ['week', 'appointmentDate'];
+
+// Extra dataset columns that become filters when they are present in the CSV header.
+// `columns` lists accepted header spellings: the Kaggle originals and the notebook's renamed versions.
+export const OPTIONAL_FILTERS = [
+  { key: 'gender', label: 'Gender', columns: ['Gender'], valueLabels: { F: 'Female', M: 'Male' } },
+  { key: 'neighbourhood', label: 'Neighbourhood', columns: ['Neighbourhood', 'Neighborhood'] },
+  { key: 'scholarship', label: 'Scholarship', columns: ['Scholarship'], binary: true },
+  { key: 'hypertension', label: 'Hypertension', columns: ['Hipertension', 'Hypertension'], binary: true },
+  { key: 'diabetes', label: 'Diabetes', columns: ['Diabetes'], binary: true },
+  { key: 'alcoholism', label: 'Alcoholism', columns: ['Alcoholism'], binary: true },
+  // Handcap is a 0-4 count of disabilities in the source data, so it stays categorical
+  { key: 'handicap', label: 'Handicap', columns: ['Handcap', 'Handicap'] }
+];
+
+// Returns the optional filters whose column exists in `headers`, with the matched header name as `column`
+export const detectOptionalFilters = (headers) => {
+  const byNorm = new Map(headers.map((h) => [normKey(h), h]));
+  return OPTIONAL_FILTERS.map((def) => {
+    const match = def.columns.map((c) => byNorm.get(normKey(c))).find(Boolean);
+    return match ? { ...def, column: match } : null;
+  }).filter(Boolean);
+};
+
+export const getOptionalFilterValue = (row, def) => {
+  const raw = row[def.column];
+  if (raw === null || raw === undefined) return '';
+  return def.binary ? toBin01(raw) : String(raw).trim();
+};
+
+export const formatOptionalFilterValue = (def, value) => {
+  if (def.binary) {
+    if (value === '1') return 'Yes';
+    if (value === '0') return 'No';
+  }
+  return def.valueLabels?.[value] ?? value;
+};
+
+export const sortFilterValues = (values) =>
+  [...values].sort((a, b) => {
+    const na = Number(a);
+    const nb = Number(b);
+    if (!Number.isNaN(na) && !Number.isNaN(nb)) return na - nb;
+    return String(a).localeCompare(String(b));
+  });
+
+export const OUTCOME_LABELS = { 0: 'Showed up', 1: 'No-show', null: 'No outcome' };
+
+// Waiting-time filter values are day ranges written "min-max"; an empty max is open-ended ("15-" = 15+ days)
+export const toWaitingRangeValue = (min, max) => `${min}-${max ?? ''}`;
+
+export const parseWaitingRangeValue = (value) => {
+  const [min, max] = String(value).split('-');
+  return { min: Number(min), max: max === '' || max === undefined ? null : Number(max) };
+};
+
+export const describeWaitingRangeValue = (value) => {
+  const { min, max } = parseWaitingRangeValue(value);
+  if (max === null) return `${min}+ days`;
+  return min === max ? `${min} days` : `${min}-${max} days`;
+};
+
+// Scheduling filters: appointment weekday ('1' = Monday ... '7' = Sunday), booking hour ('0'-'23', from the
+// ScheduledDay time) and booking type ('same-day' when booked less than a day ahead, else 'advance')
+export const WEEKDAY_LABELS = { 1: 'Mon', 2: 'Tue', 3: 'Wed', 4: 'Thu', 5: 'Fri', 6: 'Sat', 7: 'Sun' };
+
+export const BOOKING_TYPE_LABELS = { 'same-day': 'Same-day', advance: 'Advance' };
+
+export const formatBookingHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+// 'same-day' / 'advance' for a waiting time in days; null when it is missing
+export const bookingTypeOf = (days) => {
+  if (days === null || Number.isNaN(days)) return null;
+  return days < 1 ? 'same-day' : 'advance';
+};
+
+export const createDefaultFilters = () => ({
+  ageGroup: [],
+  smsReceived: [],
+  waitingDays: [],
+  outcome: [],
+  weekday: [],
+  bookingHour: [],
+  bookingType: [],
+  week: { start: '', end: '' },
+  appointmentDate: { start: '', end: '' },
+  ...Object.fromEntries(OPTIONAL_FILTERS.map((f) => [f.key, []]))
+});
+
+export const isRangeFilter = (key) => RANGE_FILTER_KEYS.includes(key);
+
+export const isFilterActive = (value) => {
+  if (Array.isArray(value)) return value.length > 0;
+  if (value && typeof value === 'object') return Boolean(value.start || value.end);
+  return false;
+};
+
+export const matchesCategorical = (value, selected) => selected.length === 0 || selected.includes(value);
+
+// Dates are compared as 'YYYY-MM-DD' strings; rows without a date never match an active range
+export const matchesRange = (value, range) => {
+  if (!isFilterActive(range)) return true;
+  if (!value || value === 'Unknown') return false;
+  if (range.start && value < range.start) return false;
+  if (range.end && value > range.end) return false;
+  return true;
+};
+
+export const toggleValue = (selected, value) =>
+  selected.includes(value) ? selected.filter((v) => v !== value) : [...selected, value];
+
+// "a, b and c"
+const joinList = (items) =>
+  items.length <= 1 ? items.join('') : `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+
+export const describeCategorical = (label, selected, formatValue = (v) => v) =>
+  `${label} ${joinList(selected.map(formatValue))}`;
+
+export const describeRange = (label, range) => {
+  if (range.start && range.end) return range.start === range.end ? `${label} ${range.start}` : `${label} ${range.start} through ${range.end}`;
+  if (range.start) return `${label} from ${range.start}`;
+  return `${label} through ${range.end}`;
+};
+
+export const SMS_LABELS = { 1: 'SMS sent', 0: 'no SMS' };
+
+// Plain-language description of the active filters, e.g. "age groups 0-9 and 10-19, SMS sent"
+export const describeFilters = (filters, optionalFilters) => {
+  const filterDescriptions = [];
+  if (isFilterActive(filters.ageGroup)) {
+    filterDescriptions.push(describeCategorical(filters.ageGroup.length > 1 ? 'age groups' : 'age group', filters.ageGroup));
+  }
+  if (isFilterActive(filters.smsReceived)) {
+    filterDescriptions.push(filters.smsReceived.map((v) => SMS_LABELS[v] ?? v).join(' or '));
+  }
+  if (isFilterActive(filters.waitingDays)) {
+    filterDescriptions.push(describeCategorical('waiting', filters.waitingDays, describeWaitingRangeValue));
+  }
+  if (isFilterActive(filters.outcome)) {
+    filterDescriptions.push(filters.outcome.map((v) => `${(OUTCOME_LABELS[v] ?? v).toLowerCase()} appointments`).join(' or '));
+  }
+  if (isFilterActive(filters.weekday)) {
+    filterDescriptions.push(describeCategorical('on', filters.weekday, (v) => WEEKDAY_LABELS[v] ?? v));
+  }
+  if (isFilterActive(filters.bookingHour)) {
+    filterDescriptions.push(describeCategorical('booked at', filters.bookingHour, formatBookingHour));
+  }
+  if (isFilterActive(filters.bookingType)) {
+    filterDescriptions.push(filters.bookingType.map((v) => `${(BOOKING_TYPE_LABELS[v] ?? v).toLowerCase()} bookings`).join(' or '));
+  }
+  if (isFilterActive(filters.week)) {
+    filterDescriptions.push(
+      filters.week.start && filters.week.start === filters.week.end
+        ? `week of ${filters.week.start}`
+        : describeRange('weeks', filters.week)
+    );
+  }
+  if (isFilterActive(filters.appointmentDate)) {
+    filterDescriptions.push(describeRange('appointments', filters.appointmentDate));
+  }
+  optionalFilters.forEach((def) => {
+    if (isFilterActive(filters[def.key])) {
+      filterDescriptions.push(
+        describeCategorical(`${def.label.toLowerCase()}:`, filters[def.key], (v) => formatOptionalFilterValue(def, v))
+      );
+    }
+  });
+
+  return filterDescriptions.join(', ');
+};
@@ -0,0 +1,130 @@
+import { describe, expect, it } from 'vitest';
+import {
+  createDefaultFilters, describeCategorical, describeFilters, describeRange, describeWaitingRangeValue, detectOptionalFilters,
+  formatOptionalFilterValue, getOptionalFilterValue, isFilterActive, matchesCategorical, matchesRange,
+  parseWaitingRangeValue, sortFilterValues, toggleValue, toWaitingRangeValue
+} from './filters';
+
+describe('detectOptionalFilters', () => {
+  it('finds the optional columns under any accepted spelling', () => {
+    const found = detectOptionalFilters(['PatientId', 'gender', 'Neighborhood', 'Hipertension', 'handcap']);
+    expect(found.map((def) => [def.key, def.column])).toEqual([
+      ['gender', 'gender'],
+      ['neighbourhood', 'Neighborhood'],
+      ['hypertension', 'Hipertension'],
+      ['handicap', 'handcap']
+    ]);
+  });
+
+  it('finds nothing in a file without them', () => {
+    expect(detectOptionalFilters(['AppointmentDay', 'NoShow'])).toEqual([]);
+  });
+});
+
+describe('optional filter values', () => {
+  const [gender, neighbourhood, scholarship] = detectOptionalFilters(['Gender', 'Neighbourhood', 'Scholarship']);
+
+  it('reads binary columns as 0 / 1 and trims the rest', () => {
+    expect(getOptionalFilterValue({ Scholarship: ' 1.0 ' }, scholarship)).toBe('1');
+    expect(getOptionalFilterValue({ Scholarship: 'n/a' }, scholarship)).toBe('n/a');
+    expect(getOptionalFilterValue({ Neighbourhood: ' CENTRO ' }, neighbourhood)).toBe('CENTRO');
+    expect(getOptionalFilterValue({}, gender)).toBe('');
+  });
+
+  it('labels values for display', () => {
+    expect(formatOptionalFilterValue(scholarship, '1')).toBe('Yes');
+    expect(formatOptionalFilterValue(scholarship, '0')).toBe('No');
+    expect(formatOptionalFilterValue(gender, 'F')).toBe('Female');
+    expect(formatOptionalFilterValue(neighbourhood, 'CENTRO')).toBe('CENTRO');
+  });
+
+  it('sorts numbers numerically and text alphabetically', () => {
+    expect(sortFilterValues(['10', '2', '0'])).toEqual(['0', '2', '10']);
+    expect(sortFilterValues(['Maruípe', 'Centro', 'Andorinhas'])).toEqual(['Andorinhas', 'Centro', 'Maruípe']);
+  });
+});
+
+describe('multi-select and range filters', () => {
+  it('starts with every filter off', () => {
+    const filters = createDefaultFilters();
+    expect(Object.values(filters).some(isFilterActive)).toBe(false);
+    expect(isFilterActive(['1'])).toBe(true);
+    expect(isFilterActive({ start: '', end: '2016-05-01' })).toBe(true);
+  });
+
+  it('matches any selected value, or everything when none is selected', () => {
+    expect(matchesCategorical('1', [])).toBe(true);
+    expect(matchesCategorical('1', ['0', '1'])).toBe(true);
+    expect(matchesCategorical('1', ['0'])).toBe(false);
+  });
+
+  it('matches date ranges inclusively, with open ends', () => {
+    const range = { start: '2016-05-02', end: '2016-05-09' };
+    expect(matchesRange('2016-05-02', range)).toBe(true);
+    expect(matchesRange('2016-05-09', range)).toBe(true);
+    expect(matchesRange('2016-05-10', range)).toBe(false);
+    expect(matchesRange('2016-01-01', { start: '', end: '2016-05-09' })).toBe(true);
+  });
+
+  it('never matches a row without a date to an active range', () => {
+    expect(matchesRange('Unknown', { start: '2016-05-02', end: '' })).toBe(false);
+    expect(matchesRange(null, { start: '2016-05-02', end: '' })).toBe(false);
+    expect(matchesRange(null, { start: '', end: '' })).toBe(true);
+  });
+
+  it('toggles a value in and out of a selection', () => {
+    expect(toggleValue(['a'], 'b')).toEqual(['a', 'b']);
+    expect(toggleValue(['a', 'b'], 'a')).toEqual(['b']);
+  });
+
+  it('describes selections in plain language', () => {
+    expect(describeCategorical('age groups', ['0-9', '10-19', '20-29'])).toBe('age groups 0-9, 10-19 and 20-29');
+    expect(describeRange('weeks', { start: '2016-05-02', end: '2016-05-02' })).toBe('weeks 2016-05-02');
+    expect(describeRange('weeks', { start: '2016-05-02', end: '2016-05-30' })).toBe('weeks 2016-05-02 through 2016-05-30');
+    expect(describeRange('dates', { start: '', end: '2016-05-30' })).toBe('dates through 2016-05-30');
+  });
+});
+
+describe('waiting-time ranges', () => {
+  it('round-trips bounded and open-ended ranges', () => {
+    expect(toWaitingRangeValue(1, 3)).toBe('1-3');
+    expect(toWaitingRangeValue(15, null)).toBe('15-');
+    expect(parseWaitingRangeValue('1-3')).toEqual({ min: 1, max: 3 });
+    expect(parseWaitingRangeValue('15-')).toEqual({ min: 15, max: null });
+  });
+
+  it('describes ranges in days', () => {
+    expect(describeWaitingRangeValue('0-0')).toBe('0 days');
+    expect(describeWaitingRangeValue('4-7')).toBe('4-7 days');
+    expect(describeWaitingRangeValue('15-')).toBe('15+ days');
+  });
+});
+
+describe('describeFilters', () => {
+  const optionalFilters = detectOptionalFilters(['Scholarship']);
+
+  it('joins the active filters into one caption', () => {
+    const filters = {
+      ...createDefaultFilters(),
+      ageGroup: ['0-9', '10-19'],
+      smsReceived: ['1'],
+      waitingDays: ['0-0', '15-'],
+      outcome: ['1'],
+      week: { start: '2016-05-02', end: '2016-05-02' },
+      scholarship: ['1']
+    };
+    expect(describeFilters(filters, optionalFilters)).toBe(
+      'age groups 0-9 and 10-19, SMS sent, waiting 0 days and 15+ days, no-show appointments, week of 2016-05-02, ' +
+        'scholarship: Yes'
+    );
+  });
+
+  it('describes the scheduling filters', () => {
+    const filters = { ...createDefaultFilters(), weekday: ['1', '5'], bookingHour: ['8'], bookingType: ['same-day'] };
+    expect(describeFilters(filters, optionalFilters)).toBe('on Mon and Fri, booked at 08:00, same-day bookings');
+  });
+
+  it('is empty with no filters', () => {
+    expect(describeFilters(createDefaultFilters(), optionalFilters)).toBe('');
+  });
+});
@@ -0,0 +1,162 @@
+import { addDaysToDateKey } from './values';
+
+// Weekly no-show rate forecast: additive exponential smoothing (level, trend and an optional season of
+// seasonPeriod weeks, i.e. Holt-Winters in error-correction form), fitted to the weekly rates in percent.
+// Smoothing parameters come from a grid search on one-step-ahead errors; a trend weight of 0 drops the
+// trend, so short or flat series fall back to simple exponential smoothing. Prediction intervals use the
+// analytic variance of the additive model (Hyndman & Athanasopoulos, Forecasting: Principles and
+// Practice, table 7.8), so they widen with the horizon. Weeks are taken as consecutive even when a week
+// is missing from the data.
+
+export const FORECAST_HORIZONS = [4, 8, 12];
+export const SEASON_PERIODS = [0, 4, 13, 52];
+export const DEFAULT_FORECAST_OPTIONS = { horizon: 4, seasonPeriod: 0 };
+
+// Fewer weeks than this leave too little to fit or backtest
+export const MIN_FORECAST_WEEKS = 6;
+
+const Z_95 = 1.96;
+const BACKTEST_ORIGINS = 26;
+const ALPHAS = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+const BETAS = [0, 0.02, 0.05, 0.1, 0.2];
+const GAMMAS = [0.05, 0.1, 0.2, 0.3];
+
+// A season needs two full cycles of data to initialise and update
+export const canUseSeason = (weeks, seasonPeriod) => seasonPeriod > 0 && weeks >= 2 * seasonPeriod;
+
+const initialState = (values, seasonPeriod) => {
+  if (!seasonPeriod) {
+    return { level: values[0], trend: values.length > 1 ? values[1] - values[0] : 0, season: [], start: 1 };
+  }
+  const cycleMean = (cycle) => {
+    const slice = values.slice(cycle * seasonPeriod, (cycle + 1) * seasonPeriod);
+    return slice.reduce((sum, v) => sum + v, 0) / slice.length;
+  };
+  const first = cycleMean(0);
+  return {
+    level: first,
+    trend: (cycleMean(1) - first) / seasonPeriod,
+    season: values.slice(0, seasonPeriod).map((v) => v - first),
+    start: seasonPeriod
+  };
+};
+
+// One pass of the model over the series: final state and the one-step-ahead errors
+const runModel = (values, { alpha, beta, gamma, seasonPeriod }) => {
+  const state = initialState(values, seasonPeriod);
+  let { level, trend } = state;
+  const season = [...state.season];
+  const errors = [];
+  for (let t = state.start; t < values.length; t++) {
+    const seasonal = seasonPeriod ? season[t % seasonPeriod] : 0;
+    const error = values[t] - (level + trend + seasonal);
+    errors.push(error);
+    level += trend + alpha * error;
+    trend += beta * error;
+    if (seasonPeriod) season[t % seasonPeriod] = seasonal + gamma * error;
+  }
+  return { level, trend, season, errors, length: values.length };
+};
+
+const sumOfSquares = (errors) => errors.reduce((sum, e) => sum + e * e, 0);
+
+// Grid search for the smoothing weights; beta is kept below alpha and gamma below 1 - alpha, the usual
+// bounds that keep the additive model stable
+const fitModel = (values, seasonPeriod) => {
+  let best = null;
+  ALPHAS.forEach((alpha) => {
+    BETAS.filter((beta) => beta < alpha).forEach((beta) => {
+      (seasonPeriod ? GAMMAS.filter((gamma) => gamma < 1 - alpha) : [0]).forEach((gamma) => {
+        const params = { alpha, beta, gamma, seasonPeriod };
+        const run = runModel(values, params);
+        const sse = sumOfSquares(run.errors);
+        if (!best || sse < best.sse) best = { params, run, sse };
+      });
+    });
+  });
+  const { errors } = best.run;
+  return { ...best, sigma: errors.length ? Math.sqrt(best.sse / errors.length) : 0 };
+};
+
+// Point forecast and standard error h weeks past the end of the fitted series
+const project = ({ params, run, sigma }, h) => {
+  const { alpha, beta, gamma, seasonPeriod } = params;
+  const seasonal = seasonPeriod ? run.season[(run.length + h - 1) % seasonPeriod] : 0;
+  const k = seasonPeriod ? Math.floor((h - 1) / seasonPeriod) : 0;
+  const variance = sigma * sigma * (
+    1 +
+    (h - 1) * (alpha * alpha + alpha * beta * h + (beta * beta * h * (2 * h - 1)) / 6) +
+    (seasonPeriod ? gamma * k * (2 * alpha + gamma + beta * seasonPeriod * (k + 1)) : 0)
+  );
+  return { value: run.level + h * run.trend + seasonal, se: Math.sqrt(variance) };
+};
+
+const clampRate = (rate) => Math.min(100, Math.max(0, rate));
+
+// Rolling-origin backtest: refit on each leading part of the series (at least MIN_FORECAST_WEEKS - 1
+// weeks; only the last BACKTEST_ORIGINS origins on long series), forecast up to horizon weeks ahead
+// and score against what happened. naiveMae is the same score for repeating the last observed week,
+// the benchmark the model has to beat; coverage is the share of actual rates inside the 95% interval.
+export const backtestForecast = (values, { horizon, seasonPeriod }) => {
+  const errors = [];
+  const naiveErrors = [];
+  let covered = 0;
+  const minTrain = Math.max(MIN_FORECAST_WEEKS - 1, seasonPeriod ? 2 * seasonPeriod : 0);
+  for (let origin = Math.max(minTrain, values.length - BACKTEST_ORIGINS); origin < values.length; origin++) {
+    const model = fitModel(values.slice(0, origin), seasonPeriod);
+    for (let h = 1; h <= horizon && origin + h - 1 < values.length; h++) {
+      const actual = values[origin + h - 1];
+      const { value, se } = project(model, h);
+      const predicted = clampRate(value);
+      errors.push(Math.abs(actual - predicted));
+      naiveErrors.push(Math.abs(actual - values[origin - 1]));
+      if (Math.abs(actual - value) <= Z_95 * se) covered++;
+    }
+  }
+  if (!errors.length) return null;
+  const average = (list) => list.reduce((sum, e) => sum + e, 0) / list.length;
+  return { mae: average(errors), naiveMae: average(naiveErrors), coverage: covered / errors.length, count: errors.length };
+};
+
+// Forecast for weekly chart data ([{ name: Monday 'YYYY-MM-DD', rate, ... }], 'Unknown' ignored):
+// { points: [{ name, forecast, forecastBand: [low, high] }], params, backtest, seasonPeriod }
+// or null when there are fewer than MIN_FORECAST_WEEKS weeks. A seasonPeriod the series is too short
+// for is dropped (seasonPeriod 0 in the result). Rates and intervals are clamped to 0-100%.
+export const forecastWeeklyRates = (weeks, { horizon, seasonPeriod }) => {
+  const dated = weeks.filter((week) => week.name !== 'Unknown');
+  if (dated.length < MIN_FORECAST_WEEKS) return null;
+  const values = dated.map((week) => week.rate);
+  const period = canUseSeason(values.length, seasonPeriod) ? seasonPeriod : 0;
+
+  const model = fitModel(values, period);
+  const lastWeek = dated[dated.length - 1].name;
+  const points = Array.from({ length: horizon }, (_, i) => {
+    const h = i + 1;
+    const { value, se } = project(model, h);
+    return {
+      name: addDaysToDateKey(lastWeek, 7 * h),
+      forecast: parseFloat(clampRate(value).toFixed(1)),
+      forecastBand: [clampRate(value - Z_95 * se), clampRate(value + Z_95 * se)]
+    };
+  });
+
+  return {
+    points,
+    params: model.params,
+    backtest: backtestForecast(values, { horizon, seasonPeriod: period }),
+    seasonPeriod: period
+  };
+};
+
+// The weekly chart rows with the forecast weeks after the last dated week (before 'Unknown'). That
+// week also gets the forecast fields (its own rate, no band) so the dashed line starts from it.
+export const withForecast = (weeks, forecast) => {
+  if (!forecast) return weeks;
+  const last = weeks.findLastIndex((week) => week.name !== 'Unknown');
+  return [
+    ...weeks.slice(0, last),
+    { ...weeks[last], forecast: weeks[last].rate, forecastBand: [weeks[last].rate, weeks[last].rate] },
+    ...forecast.points.map((point) => ({ ...point, isForecast: true })),
+    ...weeks.slice(last + 1)
+  ];
+};
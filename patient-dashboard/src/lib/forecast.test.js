@@ -0,0 +1,91 @@
+import { describe, expect, it } from 'vitest';
+import { addDaysToDateKey } from './values';
+import {
+  backtestForecast, canUseSeason, forecastWeeklyRates, MIN_FORECAST_WEEKS, withForecast
+} from './forecast';
+
+const weeksOf = (rates, start = '2016-01-04') =>
+  rates.map((rate, i) => ({ name: addDaysToDateKey(start, 7 * i), rate, total: 100 }));
+
+describe('forecastWeeklyRates', () => {
+  it('needs MIN_FORECAST_WEEKS dated weeks', () => {
+    const short = weeksOf(Array(MIN_FORECAST_WEEKS - 1).fill(20));
+    expect(forecastWeeklyRates([...short, { name: 'Unknown', rate: 50 }], { horizon: 4, seasonPeriod: 0 })).toBeNull();
+  });
+
+  it('projects a flat series flat with a tight band', () => {
+    const result = forecastWeeklyRates(weeksOf(Array(12).fill(20)), { horizon: 4, seasonPeriod: 0 });
+    expect(result.points.map((p) => p.forecast)).toEqual([20, 20, 20, 20]);
+    result.points.forEach((p) => {
+      expect(p.forecastBand[0]).toBeCloseTo(20, 8);
+      expect(p.forecastBand[1]).toBeCloseTo(20, 8);
+    });
+  });
+
+  it('continues the week dates after the last dated week', () => {
+    const weeks = weeksOf([18, 21, 19, 22, 20, 23, 21, 24]);
+    const result = forecastWeeklyRates(weeks, { horizon: 3, seasonPeriod: 0 });
+    expect(result.points.map((p) => p.name)).toEqual(['2016-02-29', '2016-03-07', '2016-03-14']);
+  });
+
+  it('widens the interval with the horizon and keeps it within 0-100%', () => {
+    const noisy = weeksOf([5, 30, 2, 40, 8, 35, 1, 45, 3, 38]);
+    const { points } = forecastWeeklyRates(noisy, { horizon: 12, seasonPeriod: 0 });
+    const widths = points.map((p) => p.forecastBand[1] - p.forecastBand[0]);
+    widths.slice(1).forEach((width, i) => expect(width).toBeGreaterThanOrEqual(widths[i] - 1e-9));
+    points.forEach((p) => {
+      expect(p.forecastBand[0]).toBeGreaterThanOrEqual(0);
+      expect(p.forecastBand[1]).toBeLessThanOrEqual(100);
+    });
+  });
+
+  it('drops a season the series is too short for', () => {
+    const weeks = weeksOf(Array.from({ length: 20 }, (_, i) => 20 + (i % 4)));
+    expect(canUseSeason(20, 13)).toBe(false);
+    expect(forecastWeeklyRates(weeks, { horizon: 4, seasonPeriod: 13 }).seasonPeriod).toBe(0);
+    expect(forecastWeeklyRates(weeks, { horizon: 4, seasonPeriod: 4 }).seasonPeriod).toBe(4);
+  });
+
+  it('picks up a repeating season', () => {
+    const pattern = [15, 25, 20, 30];
+    const weeks = weeksOf(Array.from({ length: 24 }, (_, i) => pattern[i % 4]));
+    const { points } = forecastWeeklyRates(weeks, { horizon: 4, seasonPeriod: 4 });
+    points.forEach((p, i) => expect(p.forecast).toBeCloseTo(pattern[i], 0));
+  });
+});
+
+describe('backtestForecast', () => {
+  it('scores a flat series as perfect', () => {
+    const backtest = backtestForecast(Array(10).fill(20), { horizon: 2, seasonPeriod: 0 });
+    expect(backtest.mae).toBeCloseTo(0, 8);
+    expect(backtest.naiveMae).toBe(0);
+    expect(backtest.count).toBeGreaterThan(0);
+  });
+
+  it('beats repeating the last week on a steady trend', () => {
+    const values = Array.from({ length: 16 }, (_, i) => 10 + i);
+    const backtest = backtestForecast(values, { horizon: 4, seasonPeriod: 0 });
+    expect(backtest.mae).toBeLessThan(backtest.naiveMae);
+  });
+
+  it('returns null when there is nothing to score', () => {
+    expect(backtestForecast([20, 21, 22], { horizon: 4, seasonPeriod: 0 })).toBeNull();
+  });
+});
+
+describe('withForecast', () => {
+  it('puts the forecast weeks after the last dated week and before Unknown', () => {
+    const weeks = [...weeksOf(Array(6).fill(20)), { name: 'Unknown', rate: 40, total: 3 }];
+    const forecast = forecastWeeklyRates(weeks, { horizon: 2, seasonPeriod: 0 });
+    const rows = withForecast(weeks, forecast);
+
+    expect(rows.map((row) => row.name)).toEqual([...weeks.slice(0, 6).map((w) => w.name), '2016-02-15', '2016-02-22', 'Unknown']);
+    expect(rows[5]).toMatchObject({ rate: 20, forecast: 20, forecastBand: [20, 20] });
+    expect(rows[6].isForecast).toBe(true);
+  });
+
+  it('leaves the weeks alone without a forecast', () => {
+    const weeks = weeksOf([20, 21]);
+    expect(withForecast(weeks, null)).toBe(weeks);
+  });
+});
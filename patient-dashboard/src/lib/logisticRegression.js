@@ -0,0 +1,286 @@
+// Baseline logistic regression, mirroring the Colab notebook:
+//   X = [Age_normalized, WaitingDays_normalized, SMS_received], y = NoShow
+//   train_test_split(test_size=0.2, random_state=42, stratify=y)
+//   LogisticRegression() -> L2 penalty with C = 1.0, intercept not penalized
+// Fitted with Newton's method (IRLS), which converges in a handful of iterations for 3 features.
+
+export const MODEL_FEATURES = [
+  { key: 'Age_normalized', label: 'Age (normalized)', source: 'age', scaled: true },
+  { key: 'WaitingDays_normalized', label: 'Waiting Days (normalized)', source: 'waitingDays', scaled: true },
+  { key: 'SMS_received', label: 'SMS Received', source: 'sms', scaled: false }
+];
+
+export const DEFAULT_MODEL_OPTIONS = {
+  features: MODEL_FEATURES.map((f) => f.key),
+  testSize: 0.2,
+  classWeight: 'none',
+  seed: 42
+};
+
+const sigmoid = (z) => (z >= 0 ? 1 / (1 + Math.exp(-z)) : Math.exp(z) / (1 + Math.exp(z)));
+
+// Deterministic PRNG so a given seed always produces the same split
+const mulberry32 = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const shuffle = (arr, random) => {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+};
+
+// Solve A x = b with Gaussian elimination + partial pivoting (A is small and symmetric positive definite here)
+const solveLinearSystem = (A, b) => {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+    }
+    if (Math.abs(M[pivot][col]) < 1e-12) return null;
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+
+    for (let r = col + 1; r < n; r++) {
+      const factor = M[r][col] / M[col][col];
+      for (let c = col; c <= n; c++) M[r][c] -= factor * M[col][c];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let sum = M[r][n];
+    for (let c = r + 1; c < n; c++) sum -= M[r][c] * x[c];
+    x[r] = sum / M[r][r];
+  }
+  return x;
+};
+
+// Min-max scaling ranges, computed on the full dataset like the notebook does
+const getRange = (values) => {
+  let min = Infinity;
+  let max = -Infinity;
+  values.forEach((v) => {
+    if (v === null) return;
+    if (v < min) min = v;
+    if (v > max) max = v;
+  });
+  return Number.isFinite(min) ? { min, max } : null;
+};
+
+// records: [{ age, waitingDays, sms, noShow }] with nulls for missing values
+// Returns which model features have any usable values in this dataset
+export const getAvailableFeatures = (records) =>
+  MODEL_FEATURES.filter((f) => records.some((r) => r[f.source] !== null && r[f.source] !== undefined)).map((f) => f.key);
+
+// Turn raw records into a design matrix for the selected features.
+// Rows missing the target or any selected feature are dropped.
+export const prepareModelData = (records, featureKeys) => {
+  const features = MODEL_FEATURES.filter((f) => featureKeys.includes(f.key));
+  const scaling = {};
+  features.forEach((f) => {
+    if (f.scaled) scaling[f.key] = getRange(records.map((r) => r[f.source]));
+  });
+
+  const X = [];
+  const y = [];
+  let dropped = 0;
+
+  records.forEach((r) => {
+    if (r.noShow !== 0 && r.noShow !== 1) {
+      dropped++;
+      return;
+    }
+    const x = [];
+    for (const f of features) {
+      const raw = r[f.source];
+      if (raw === null || raw === undefined) {
+        dropped++;
+        return;
+      }
+      x.push(scaleFeature(f.key, raw, scaling));
+    }
+    X.push(x);
+    y.push(r.noShow);
+  });
+
+  return { X, y, features, scaling, dropped };
+};
+
+export const scaleFeature = (key, raw, scaling) => {
+  const range = scaling[key];
+  if (!range) return raw;
+  const span = range.max - range.min;
+  return span > 0 ? (raw - range.min) / span : 0;
+};
+
+// Stratified split: each class is shuffled separately and testSize of it goes to the test set
+export const stratifiedSplit = (y, testSize, seed) => {
+  const random = mulberry32(seed);
+  const trainIdx = [];
+  const testIdx = [];
+
+  [0, 1].forEach((cls) => {
+    const idx = [];
+    y.forEach((v, i) => {
+      if (v === cls) idx.push(i);
+    });
+    shuffle(idx, random);
+    const nTest = Math.round(idx.length * testSize);
+    testIdx.push(...idx.slice(0, nTest));
+    trainIdx.push(...idx.slice(nTest));
+  });
+
+  return { trainIdx, testIdx };
+};
+
+// classWeight: 'none' | 'balanced' (n_samples / (n_classes * n_class_samples), as in sklearn)
+export const trainLogisticRegression = (X, y, { classWeight = 'none', C = 1.0, maxIter = 50, tol = 1e-8 } = {}) => {
+  const n = X.length;
+  const d = (X[0]?.length || 0) + 1; // + intercept
+
+  const positives = y.reduce((sum, v) => sum + v, 0);
+  const classWeights = classWeight === 'balanced' && positives > 0 && positives < n
+    ? { 0: n / (2 * (n - positives)), 1: n / (2 * positives) }
+    : { 0: 1, 1: 1 };
+
+  // Design matrix with the intercept column, flattened row by row and built once for all iterations
+  const design = new Float64Array(n * d);
+  for (let i = 0; i < n; i++) {
+    design[i * d] = 1;
+    for (let j = 1; j < d; j++) design[i * d + j] = X[i][j - 1];
+  }
+
+  let w = new Array(d).fill(0);
+  let iterations = 0;
+  let converged = false;
+
+  for (let iter = 0; iter < maxIter; iter++) {
+    iterations = iter + 1;
+    const grad = new Array(d).fill(0);
+    const hess = Array.from({ length: d }, () => new Array(d).fill(0));
+
+    for (let i = 0; i < n; i++) {
+      const xi = design.subarray(i * d, (i + 1) * d);
+      let z = 0;
+      for (let j = 0; j < d; j++) z += w[j] * xi[j];
+      const p = sigmoid(z);
+      const sw = classWeights[y[i]];
+      const err = sw * (p - y[i]);
+      const curv = sw * p * (1 - p);
+      for (let j = 0; j < d; j++) {
+        grad[j] += err * xi[j];
+        for (let k = j; k < d; k++) hess[j][k] += curv * xi[j] * xi[k];
+      }
+    }
+
+    // L2 penalty on coefficients only (index 0 is the intercept)
+    for (let j = 1; j < d; j++) {
+      grad[j] += w[j] / C;
+      hess[j][j] += 1 / C;
+    }
+    for (let j = 0; j < d; j++) {
+      for (let k = 0; k < j; k++) hess[j][k] = hess[k][j];
+    }
+
+    const step = solveLinearSystem(hess, grad);
+    if (!step) break;
+    w = w.map((v, j) => v - step[j]);
+
+    if (Math.max(...step.map(Math.abs)) < tol) {
+      converged = true;
+      break;
+    }
+  }
+
+  return { intercept: w[0], coefficients: w.slice(1), iterations, converged, classWeights };
+};
+
+export const predictProbability = (model, x) => {
+  let z = model.intercept;
+  for (let j = 0; j < x.length; j++) z += model.coefficients[j] * x[j];
+  return sigmoid(z);
+};
+
+const EPS = 1e-15;
+const logLoss = (y, probs) =>
+  -y.reduce((sum, v, i) => {
+    const p = Math.min(1 - EPS, Math.max(EPS, probs[i]));
+    return sum + (v === 1 ? Math.log(p) : Math.log(1 - p));
+  }, 0) / y.length;
+
+export const evaluateModel = (model, X, y, trainPositiveRate, threshold = 0.5) => {
+  const probs = X.map((x) => predictProbability(model, x));
+  const confusion = { tn: 0, fp: 0, fn: 0, tp: 0 };
+  probs.forEach((p, i) => {
+    const pred = p >= threshold ? 1 : 0;
+    if (y[i] === 1) confusion[pred ? 'tp' : 'fn']++;
+    else confusion[pred ? 'fp' : 'tn']++;
+  });
+
+  const n = y.length;
+  const accuracy = (confusion.tp + confusion.tn) / n;
+  // "Predict all show" baseline, same as (y_test == 0).mean() in the notebook
+  const baselineAccuracy = y.filter((v) => v === 0).length / n;
+
+  return {
+    n,
+    accuracy,
+    baselineAccuracy,
+    logLoss: logLoss(y, probs),
+    // Log-loss of always predicting the training no-show rate
+    baselineLogLoss: logLoss(y, y.map(() => trainPositiveRate)),
+    confusion,
+    recall: confusion.tp + confusion.fn > 0 ? confusion.tp / (confusion.tp + confusion.fn) : 0
+  };
+};
+
+// End-to-end: prepare -> split -> train -> evaluate. Returns everything the UI (and risk scoring) needs.
+export const fitBaselineModel = (records, options = DEFAULT_MODEL_OPTIONS) => {
+  const { features: featureKeys, testSize, classWeight, seed } = { ...DEFAULT_MODEL_OPTIONS, ...options };
+  if (!featureKeys.length) return { error: 'Select at least one feature.' };
+
+  const { X, y, features, scaling, dropped } = prepareModelData(records, featureKeys);
+  const { trainIdx, testIdx } = stratifiedSplit(y, testSize, seed);
+
+  const trainY = trainIdx.map((i) => y[i]);
+  const positives = trainY.reduce((sum, v) => sum + v, 0);
+  if (testIdx.length === 0 || positives === 0 || positives === trainY.length) {
+    return { error: 'Not enough shows and no-shows to train and evaluate the model.' };
+  }
+
+  const trainX = trainIdx.map((i) => X[i]);
+  const model = trainLogisticRegression(trainX, trainY, { classWeight });
+  // Average (scaled) feature values in the training set - the reference point for per-row contributions
+  const featureMeans = features.map((_, j) => trainX.reduce((sum, x) => sum + x[j], 0) / trainX.length);
+  const evaluation = evaluateModel(model, testIdx.map((i) => X[i]), testIdx.map((i) => y[i]), positives / trainY.length);
+
+  return {
+    model,
+    features,
+    scaling,
+    featureMeans,
+    evaluation,
+    coefficients: features.map((f, j) => ({
+      key: f.key,
+      label: f.label,
+      coefficient: model.coefficients[j],
+      oddsRatio: Math.exp(model.coefficients[j])
+    })),
+    trainSize: trainIdx.length,
+    testSize: testIdx.length,
+    dropped,
+    options: { features: featureKeys, testSize, classWeight, seed }
+  };
+};
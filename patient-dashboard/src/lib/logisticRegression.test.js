@@ -0,0 +1,98 @@
+import { describe, expect, it } from 'vitest';
+import {
+  fitBaselineModel, getAvailableFeatures, predictProbability, prepareModelData, stratifiedSplit, trainLogisticRegression
+} from './logisticRegression';
+
+// Deterministic records where no-shows rise with waiting time and fall with age
+const records = Array.from({ length: 400 }, (_, i) => {
+  const age = (i * 37) % 90;
+  const waitingDays = (i * 13) % 60;
+  const sms = i % 3 === 0 ? 1 : 0;
+  const score = waitingDays / 60 - age / 180 + ((i * 7919) % 100) / 100;
+  return { age, waitingDays, sms, noShow: score > 0.9 ? 1 : 0 };
+});
+
+describe('trainLogisticRegression', () => {
+  it('fits the log-odds of the mean without features', () => {
+    const y = [1, 0, 0, 0, 1, 0, 0, 0, 0, 0];
+    const model = trainLogisticRegression(y.map(() => []), y);
+    expect(model.converged).toBe(true);
+    expect(model.intercept).toBeCloseTo(Math.log(0.2 / 0.8), 8);
+  });
+
+  it('stops where the penalized gradient is zero', () => {
+    const { X, y } = prepareModelData(records, ['Age_normalized', 'WaitingDays_normalized', 'SMS_received']);
+    const C = 1;
+    const model = trainLogisticRegression(X, y, { C });
+    expect(model.converged).toBe(true);
+
+    const grad = [0, 0, 0, 0];
+    X.forEach((x, i) => {
+      const err = predictProbability(model, x) - y[i];
+      grad[0] += err;
+      x.forEach((v, j) => { grad[j + 1] += err * v; });
+    });
+    model.coefficients.forEach((w, j) => { grad[j + 1] += w / C; });
+    grad.forEach((g) => expect(Math.abs(g)).toBeLessThan(1e-6));
+  });
+
+  it('weighs the classes equally with balanced class weights', () => {
+    const { X, y } = prepareModelData(records, ['WaitingDays_normalized']);
+    const model = trainLogisticRegression(X, y, { classWeight: 'balanced' });
+    const positives = y.filter((v) => v === 1).length;
+
+    expect(model.classWeights[1]).toBeCloseTo(y.length / (2 * positives), 10);
+    // With an unpenalized intercept, the weighted residuals sum to zero
+    const residual = X.reduce((sum, x, i) => sum + model.classWeights[y[i]] * (predictProbability(model, x) - y[i]), 0);
+    expect(Math.abs(residual)).toBeLessThan(1e-6);
+  });
+});
+
+describe('prepareModelData', () => {
+  it('drops rows missing the outcome or a selected feature and scales to 0-1', () => {
+    const data = prepareModelData([
+      { age: 10, waitingDays: 0, sms: 1, noShow: 1 },
+      { age: 50, waitingDays: null, sms: 0, noShow: 0 },
+      { age: 90, waitingDays: 20, sms: null, noShow: 0 },
+      { age: 30, waitingDays: 5, sms: 0, noShow: null }
+    ], ['Age_normalized', 'SMS_received']);
+
+    expect(data.X).toEqual([[0, 1], [0.5, 0]]);
+    expect(data.y).toEqual([1, 0]);
+    expect(data.dropped).toBe(2);
+  });
+
+  it('lists the features a dataset has values for', () => {
+    expect(getAvailableFeatures([{ age: 3, waitingDays: null, sms: null, noShow: 0 }])).toEqual(['Age_normalized']);
+  });
+});
+
+describe('stratifiedSplit', () => {
+  it('keeps the class balance in both parts and covers every row once', () => {
+    const y = Array.from({ length: 100 }, (_, i) => (i % 4 === 0 ? 1 : 0));
+    const { trainIdx, testIdx } = stratifiedSplit(y, 0.2, 42);
+
+    expect([...trainIdx, ...testIdx].sort((a, b) => a - b)).toEqual(y.map((_, i) => i));
+    expect(testIdx.length).toBe(20);
+    expect(testIdx.filter((i) => y[i] === 1).length).toBe(5);
+  });
+});
+
+describe('fitBaselineModel', () => {
+  it('finds the direction of each effect', () => {
+    const fit = fitBaselineModel(records);
+    const byKey = Object.fromEntries(fit.coefficients.map((c) => [c.key, c.coefficient]));
+
+    expect(byKey.WaitingDays_normalized).toBeGreaterThan(0);
+    expect(byKey.Age_normalized).toBeLessThan(0);
+    expect(fit.trainSize + fit.testSize).toBe(records.length);
+  });
+
+  it('gives the same split and model for the same seed', () => {
+    expect(fitBaselineModel(records).model).toEqual(fitBaselineModel(records).model);
+  });
+
+  it('refuses a dataset with one outcome only', () => {
+    expect(fitBaselineModel(records.map((r) => ({ ...r, noShow: 0 }))).error).toBeDefined();
+  });
+});
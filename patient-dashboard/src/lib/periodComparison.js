@@ -0,0 +1,122 @@
+import { MIN_SAMPLE_SIZE } from './aggregations';
+import { RANGE_FILTER_KEYS, createDefaultFilters } from './filters';
+import { twoProportionTest } from './stats';
+
+// Period-over-period comparison: the current selection against the same filters applied to a baseline
+// dataset (e.g. last month's extract). Each rate change gets a two-proportion z-test.
+
+export const SIGNIFICANCE_LEVEL = 0.05;
+
+const NO_DATE_FILTERS = createDefaultFilters();
+
+// The filters to apply to the baseline: all but the date ranges, which pick days the baseline doesn't cover
+export const toBaselineFilters = (filters) => ({
+  ...filters,
+  ...Object.fromEntries(RANGE_FILTER_KEYS.map((key) => [key, NO_DATE_FILTERS[key]]))
+});
+
+// { current, baseline, diff (proportion), low, high, p, significant, isSmallSample } for one rate;
+// null when either side has no appointments
+export const compareRates = (noShows, total, baselineNoShows, baselineTotal) => {
+  const test = twoProportionTest(noShows, total, baselineNoShows, baselineTotal);
+  if (!test) return null;
+  return {
+    current: { noShows, total, rate: test.p1 * 100 },
+    baseline: { noShows: baselineNoShows, total: baselineTotal, rate: test.p2 * 100 },
+    diff: test.diff,
+    low: test.low,
+    high: test.high,
+    p: test.p,
+    significant: test.p < SIGNIFICANCE_LEVEL,
+    isSmallSample: total < MIN_SAMPLE_SIZE || baselineTotal < MIN_SAMPLE_SIZE
+  };
+};
+
+// Headline changes: volumes as absolute and relative change, the rate with its test
+export const compareHeadlineKpis = (kpis, baselineKpis) => {
+  const change = (key) => ({
+    current: kpis[key],
+    baseline: baselineKpis[key],
+    change: kpis[key] - baselineKpis[key],
+    percentChange: baselineKpis[key] ? ((kpis[key] - baselineKpis[key]) / baselineKpis[key]) * 100 : null
+  });
+  return {
+    total: change('total'),
+    noShows: change('noShows'),
+    shows: change('shows'),
+    rate: compareRates(kpis.noShows, kpis.total, baselineKpis.noShows, baselineKpis.total)
+  };
+};
+
+// Breakdown keys with the fields holding each entry's counts, and how entries are paired across periods.
+// Weeks pair by position (week 1 of each period, and so on): two extracts rarely share calendar weeks.
+export const BASELINE_BREAKDOWNS = [
+  { key: 'byAge', label: 'Age group', total: 'total', noShows: 'noShows', pairBy: 'name' },
+  { key: 'bySMS', label: 'SMS', total: 'total', noShows: 'noShows', pairBy: 'name' },
+  { key: 'byWeek', label: 'Week', total: 'total', noShows: 'noShows', pairBy: 'position' },
+  { key: 'byWaitingDays', label: 'Waiting time', total: 'n', noShows: 'noShows', pairBy: 'name' },
+  { key: 'byWeekday', label: 'Weekday', total: 'total', noShows: 'noShows', pairBy: 'name' },
+  { key: 'byBookingType', label: 'Booking', total: 'total', noShows: 'noShows', pairBy: 'name' },
+  { key: 'byBookingHour', label: 'Booking hour', total: 'total', noShows: 'noShows', pairBy: 'name' }
+];
+
+const pairEntries = (entries, baselineEntries, pairBy) => {
+  if (pairBy === 'position') {
+    const dated = (list) => list.filter((entry) => entry.name !== 'Unknown');
+    const baselineDated = dated(baselineEntries);
+    return dated(entries).map((entry, i) => ({
+      entry,
+      baselineEntry: baselineDated[i] ?? null,
+      label: `Week ${i + 1}`
+    }));
+  }
+  const byName = new Map(baselineEntries.map((entry) => [entry.name, entry]));
+  return entries.map((entry) => ({ entry, baselineEntry: byName.get(entry.name) ?? null, label: entry.name }));
+};
+
+// { [key]: [{ name, label, baselineName, change }] } for the chart breakdowns, in chart order, with change
+// from compareRates. Categories with no baseline counterpart (or no appointments) have change = null.
+export const compareBreakdowns = (chartData, baselineChartData) =>
+  Object.fromEntries(
+    BASELINE_BREAKDOWNS.map(({ key, total, noShows, pairBy }) => [
+      key,
+      pairEntries(chartData[key], baselineChartData[key], pairBy).map(({ entry, baselineEntry, label }) => ({
+        name: entry.name,
+        label,
+        baselineName: baselineEntry?.name ?? null,
+        change: baselineEntry
+          ? compareRates(entry[noShows], entry[total], baselineEntry[noShows], baselineEntry[total])
+          : null
+      }))
+    ])
+  );
+
+// Segments whose rate moved the most, largest first. Small samples on either side are left out,
+// since their rates swing by chance.
+export const biggestMovers = (breakdowns, limit = 5) =>
+  BASELINE_BREAKDOWNS.flatMap(({ key, label: breakdown }) =>
+    breakdowns[key]
+      .filter((item) => item.change && !item.change.isSmallSample)
+      .map((item) => ({ ...item, key, breakdown }))
+  )
+    .sort((a, b) => Math.abs(b.change.diff) - Math.abs(a.change.diff))
+    .slice(0, limit);
+
+// Chart entries with their baseline change attached (as baselineChange), for the tooltips
+export const withBaselineChanges = (chartData, breakdowns) => {
+  if (!breakdowns) return chartData;
+  const attach = (key) => chartData[key].map((entry) => {
+    const item = breakdowns[key].find((candidate) => candidate.name === entry.name);
+    return item?.change ? { ...entry, baselineChange: { ...item.change, label: item.label, baselineName: item.baselineName } } : entry;
+  });
+  return {
+    ...chartData,
+    ...Object.fromEntries(BASELINE_BREAKDOWNS.map(({ key }) => [key, attach(key)]))
+  };
+};
+
+// '+1.2 pp' style change of a proportion in percentage points
+export const formatPointChange = (diff) => {
+  const points = Number((diff * 100).toFixed(1));
+  return `${points > 0 ? '+' : points < 0 ? '−' : '±'}${Math.abs(points).toFixed(1)} pp`;
+};
@@ -0,0 +1,111 @@
+import { describe, expect, it } from 'vitest';
+import { createDefaultFilters } from './filters';
+import {
+  biggestMovers, compareBreakdowns, compareHeadlineKpis, compareRates, formatPointChange, toBaselineFilters,
+  withBaselineChanges
+} from './periodComparison';
+
+const entry = (name, noShows, total) => ({ name, noShows, total, n: total });
+
+describe('toBaselineFilters', () => {
+  it('keeps every filter but the date ranges', () => {
+    const filters = {
+      ...createDefaultFilters(),
+      ageGroup: ['0-9'],
+      week: { start: '2016-05-02', end: '2016-05-09' },
+      appointmentDate: { start: '2016-05-01', end: '' }
+    };
+    expect(toBaselineFilters(filters)).toEqual({ ...createDefaultFilters(), ageGroup: ['0-9'] });
+  });
+});
+
+describe('compareRates', () => {
+  it('tests the rate change between periods', () => {
+    const change = compareRates(56, 70, 48, 80);
+    expect(change.current).toEqual({ noShows: 56, total: 70, rate: 80 });
+    expect(change.baseline.rate).toBeCloseTo(60, 10);
+    expect(change.diff).toBeCloseTo(0.2, 10);
+    expect(change.p).toBeCloseTo(0.0080, 4);
+    expect(change.significant).toBe(true);
+    expect(change.isSmallSample).toBe(false);
+  });
+
+  it('flags small samples and needs appointments on both sides', () => {
+    expect(compareRates(5, 20, 48, 80).isSmallSample).toBe(true);
+    expect(compareRates(5, 20, 0, 0)).toBe(null);
+  });
+});
+
+describe('compareHeadlineKpis', () => {
+  it('gives absolute and relative volume changes', () => {
+    const result = compareHeadlineKpis({ total: 70, noShows: 56, shows: 14 }, { total: 80, noShows: 48, shows: 32 });
+    expect(result.total).toEqual({ current: 70, baseline: 80, change: -10, percentChange: -12.5 });
+    expect(result.noShows.change).toBe(8);
+    expect(result.rate.diff).toBeCloseTo(0.2, 10);
+  });
+
+  it('has no relative change from an empty baseline', () => {
+    const empty = { total: 0, noShows: 0, shows: 0 };
+    expect(compareHeadlineKpis({ total: 5, noShows: 1, shows: 4 }, empty).total.percentChange).toBe(null);
+  });
+});
+
+describe('compareBreakdowns', () => {
+  const chartData = {
+    byAge: [entry('0-9', 56, 70), entry('10-19', 10, 100)],
+    bySMS: [],
+    byWeek: [entry('2016-06-06', 20, 100), entry('2016-06-13', 30, 100), entry('Unknown', 1, 2)],
+    byWaitingDays: [entry('0 days', 5, 60)],
+    byWeekday: [entry('Mon', 12, 40)],
+    byBookingType: [],
+    byBookingHour: []
+  };
+  const baselineChartData = {
+    byAge: [entry('0-9', 48, 80)],
+    bySMS: [],
+    byWeek: [entry('2016-05-02', 25, 100)],
+    byWaitingDays: [entry('0 days', 6, 60)],
+    byWeekday: [entry('Mon', 10, 40), entry('Tue', 8, 40)],
+    byBookingType: [],
+    byBookingHour: []
+  };
+  const breakdowns = compareBreakdowns(chartData, baselineChartData);
+
+  it('pairs categories by name', () => {
+    expect(breakdowns.byAge.map((item) => [item.name, item.baselineName])).toEqual([['0-9', '0-9'], ['10-19', null]]);
+    expect(breakdowns.byAge[0].change.diff).toBeCloseTo(0.2, 10);
+    expect(breakdowns.byAge[1].change).toBe(null);
+    expect(breakdowns.byWeekday.map((item) => [item.name, item.baselineName])).toEqual([['Mon', 'Mon']]);
+  });
+
+  it('pairs dated weeks by position', () => {
+    expect(breakdowns.byWeek.map((item) => [item.label, item.name, item.baselineName])).toEqual([
+      ['Week 1', '2016-06-06', '2016-05-02'],
+      ['Week 2', '2016-06-13', null]
+    ]);
+  });
+
+  it('ranks the largest changes, leaving out small samples', () => {
+    expect(biggestMovers(breakdowns).map((item) => [item.key, item.name])).toEqual([
+      ['byAge', '0-9'],
+      ['byWeek', '2016-06-06'],
+      ['byWaitingDays', '0 days']
+    ]);
+    expect(biggestMovers(breakdowns, 1)).toHaveLength(1);
+  });
+
+  it('attaches the changes to the chart entries for the tooltips', () => {
+    const attached = withBaselineChanges(chartData, breakdowns);
+    expect(attached.byAge[0].baselineChange).toMatchObject({ label: '0-9', baselineName: '0-9' });
+    expect(attached.byAge[1].baselineChange).toBeUndefined();
+    expect(withBaselineChanges(chartData, null)).toBe(chartData);
+  });
+});
+
+describe('formatPointChange', () => {
+  it('formats percentage-point changes with a sign', () => {
+    expect(formatPointChange(0.012)).toBe('+1.2 pp');
+    expect(formatPointChange(-0.2)).toBe('−20.0 pp');
+    expect(formatPointChange(0.0001)).toBe('±0.0 pp');
+  });
+});
@@ -0,0 +1,95 @@
+import { toNum, normKey } from './values';
+
+// Field accessors for appointment rows, tolerant of the header variants seen in CSV exports
+
+// Excel turns age-group labels like "10-19" into dates ("19-Oct") when a CSV is opened and re-saved; map them back.
+// (Workbooks uploaded as .xlsx are read cell by cell, so text labels arrive intact.)
+export const fixAgeGroupLabel = (label) => {
+  if (!label) return label;
+  const str = String(label);
+
+  // Fix "19-Oct" or "Oct-19" back to "10-19"
+  if (str.toLowerCase().includes('oct') && str.includes('19')) {
+    return '10-19';
+  }
+  // Fix any other potential date conversions
+  if (str.match(/^\d{1,2}-[A-Za-z]{3}$/) || str.match(/^[A-Za-z]{3}-\d{1,2}$/)) {
+    // This looks like a date format, try to convert back
+    const monthMap = {
+      'jan': '1', 'feb': '2', 'mar': '3', 'apr': '4', 'may': '5', 'jun': '6',
+      'jul': '7', 'aug': '8', 'sep': '9', 'oct': '10', 'nov': '11', 'dec': '12'
+    };
+    for (const [month, num] of Object.entries(monthMap)) {
+      if (str.toLowerCase().includes(month)) {
+        const dayMatch = str.match(/\d+/);
+        if (dayMatch) {
+          return `${num}-${dayMatch[0]}`;
+        }
+      }
+    }
+  }
+  return str;
+};
+
+export const getWaitingDays = (row) => {
+  if (!row) return null;
+
+  // Try to find the waiting-days field even if the header has weird characters/spaces
+  const pickField = (targetNorm) => {
+    const key = Object.keys(row).find((k) => normKey(k) === targetNorm);
+    return key ? row[key] : undefined;
+  };
+
+  // 1) Use the real waiting-days field if present (do NOT use WaitingDays_ because it looks like a normalized/scaled value in your CSV)
+  const candidates = [
+    row.WaitingDays,
+    row.AwaitingTime,
+    row.AwaitingDays,
+    pickField('waitingdays'),
+    pickField('awaitingtime'),
+    pickField('awaitingdays'),
+  ];
+
+  for (const v of candidates) {
+    const n = toNum(v);
+    if (n !== null) return n;
+  }
+
+  // 2) Fallback: compute from ScheduledDay -> AppointmentDay
+  // Note: Safari is picky about date strings like "YYYY-MM-DD HH:mm:ss".
+  // Convert to ISO-ish "YYYY-MM-DDTHH:mm:ss" before parsing.
+  const toDate = (raw) => {
+    if (raw == null) return null;
+    const s = String(raw).trim();
+    if (!s) return null;
+    const iso = s.includes(' ') && !s.includes('T') ? s.replace(' ', 'T') : s;
+    const d = new Date(iso);
+    return Number.isNaN(d.getTime()) ? null : d;
+  };
+
+  const scheduledRaw =
+    row.ScheduledDay || row.ScheduledDate || row.Scheduled || row.Scheduled_Day || pickField('scheduledday');
+  const apptRaw =
+    row.AppointmentDay || row.AppointmentDate || row.Appointment || row.Appointment_Day || pickField('appointmentday');
+
+  const scheduled = toDate(scheduledRaw);
+  const appt = toDate(apptRaw);
+
+  if (scheduled && appt) {
+    const diffMs = appt.getTime() - scheduled.getTime();
+    const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
+    return diffDays < 0 ? 0 : diffDays;
+  }
+
+  return null;
+};
+
+// Hour of day (0-23) the appointment was booked, read off the ScheduledDay timestamp as written
+// (no time zone shift); null when it has no time of day
+export const getBookingHour = (row) => {
+  const raw = row.ScheduledDay || row.ScheduledDate || row.Scheduled || row.Scheduled_Day;
+  const match = String(raw ?? '').match(/\d[ T](\d{1,2}):\d{2}/);
+  if (!match) return null;
+  const hour = Number(match[1]);
+  return hour < 24 ? hour : null;
+};
@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import { fixAgeGroupLabel, getBookingHour, getWaitingDays } from './records';
+
+describe('fixAgeGroupLabel', () => {
+  it('undoes Excel turning age ranges into dates', () => {
+    expect(fixAgeGroupLabel('19-Oct')).toBe('10-19');
+    expect(fixAgeGroupLabel('Oct-19')).toBe('10-19');
+    expect(fixAgeGroupLabel('9-Jan')).toBe('1-9');
+  });
+
+  it('leaves other labels alone', () => {
+    expect(fixAgeGroupLabel('20-29')).toBe('20-29');
+    expect(fixAgeGroupLabel('')).toBe('');
+    expect(fixAgeGroupLabel(undefined)).toBe(undefined);
+  });
+});
+
+describe('getWaitingDays', () => {
+  it('reads the waiting-days column under any header spelling', () => {
+    expect(getWaitingDays({ WaitingDays: '5' })).toBe(5);
+    expect(getWaitingDays({ AwaitingTime: 3 })).toBe(3);
+    expect(getWaitingDays({ ' Waiting Days ': '7' })).toBe(7);
+  });
+
+  it('falls back to the days between scheduling and the appointment', () => {
+    expect(getWaitingDays({ ScheduledDay: '2016-04-29 08:00:00', AppointmentDay: '2016-05-02 09:00:00' })).toBe(3);
+    expect(getWaitingDays({ ScheduledDay: '2016-05-03T08:00:00', AppointmentDay: '2016-05-02T09:00:00' })).toBe(0);
+  });
+
+  it('returns null when it cannot tell', () => {
+    expect(getWaitingDays({ AppointmentDay: '2016-05-02' })).toBe(null);
+    expect(getWaitingDays(null)).toBe(null);
+  });
+});
+
+describe('getBookingHour', () => {
+  it('reads the hour off the scheduling timestamp as written', () => {
+    expect(getBookingHour({ ScheduledDay: '2016-04-29 08:15:00' })).toBe(8);
+    expect(getBookingHour({ ScheduledDay: '2016-04-29T18:38:08Z' })).toBe(18);
+    expect(getBookingHour({ ScheduledDate: '2016-04-29 7:05' })).toBe(7);
+  });
+
+  it('returns null without a time of day', () => {
+    expect(getBookingHour({ ScheduledDay: '2016-04-29' })).toBeNull();
+    expect(getBookingHour({ ScheduledDay: '2016-04-29 25:00' })).toBeNull();
+    expect(getBookingHour({})).toBeNull();
+  });
+});
@@ -0,0 +1,55 @@
+// Per-appointment no-show risk, scored with the baseline logistic regression.
+// Each factor's contribution is its log-odds shift relative to an "average" training appointment,
+// so positive values push the risk up and negative values pull it down.
+import { scaleFeature, predictProbability } from './logisticRegression';
+
+const describeFactor = (source, raw) => {
+  if (source === 'age') return `Age ${raw}`;
+  if (source === 'waitingDays') return `Waited ${raw} day${raw === 1 ? '' : 's'}`;
+  if (source === 'sms') return raw === 1 ? 'SMS sent' : 'No SMS';
+  return String(raw);
+};
+
+// Score one model record ({ age, waitingDays, sms, ... }). Returns null if a model feature is missing.
+export const scoreRecord = (fit, record) => {
+  const x = [];
+  for (const f of fit.features) {
+    const raw = record[f.source];
+    if (raw === null || raw === undefined) return null;
+    x.push(scaleFeature(f.key, raw, fit.scaling));
+  }
+
+  const factors = fit.features
+    .map((f, j) => ({
+      key: f.key,
+      label: describeFactor(f.source, record[f.source]),
+      logOdds: fit.model.coefficients[j] * (x[j] - fit.featureMeans[j])
+    }))
+    .sort((a, b) => Math.abs(b.logOdds) - Math.abs(a.logOdds));
+
+  return { probability: predictProbability(fit.model, x), factors };
+};
+
+// rowIndexes: indexes into the dataset; toRecord: row index -> model record
+export const scoreAppointments = (rowIndexes, fit, toRecord) => {
+  const scored = [];
+  let unscored = 0;
+
+  rowIndexes.forEach((index) => {
+    const record = toRecord(index);
+    const score = scoreRecord(fit, record);
+    if (!score) {
+      unscored++;
+      return;
+    }
+    scored.push({ index, record, ...score });
+  });
+
+  return { scored, unscored };
+};
+
+export const getRiskLevel = (probability, baseRate) => {
+  if (probability >= baseRate * 1.5) return 'High';
+  if (probability >= baseRate) return 'Elevated';
+  return 'Low';
+};
@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { MODEL_FEATURES } from './logisticRegression';
+import { getRiskLevel, scoreAppointments, scoreRecord } from './riskScoring';
+
+// A fitted model by hand: age scaled over 0-100, waiting days over 0-50, SMS as is
+const fit = {
+  features: MODEL_FEATURES,
+  scaling: { Age_normalized: { min: 0, max: 100 }, WaitingDays_normalized: { min: 0, max: 50 } },
+  featureMeans: [0.4, 0.2, 0.3],
+  model: { intercept: -1.5, coefficients: [-1, 2, 0.5] }
+};
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+describe('scoreRecord', () => {
+  it('scores with the model and explains the score against the training average', () => {
+    const { probability, factors } = scoreRecord(fit, { age: 20, waitingDays: 30, sms: 1 });
+
+    expect(probability).toBeCloseTo(sigmoid(-1.5 - 0.2 + 2 * 0.6 + 0.5), 12);
+    expect(factors.map((f) => f.label)).toEqual(['Waited 30 days', 'SMS sent', 'Age 20']);
+    expect(factors.map((f) => f.logOdds)).toEqual([
+      expect.closeTo(0.8, 12), expect.closeTo(0.35, 12), expect.closeTo(0.2, 12)
+    ]);
+  });
+
+  it('cannot score a record missing a model feature', () => {
+    expect(scoreRecord(fit, { age: 20, waitingDays: null, sms: 1 })).toBeNull();
+  });
+});
+
+describe('scoreAppointments', () => {
+  it('scores every row it can and counts the rest', () => {
+    const records = [
+      { age: 20, waitingDays: 1, sms: 0 }, { age: 70, waitingDays: null, sms: 1 }, { age: 45, waitingDays: 10, sms: 1 }
+    ];
+    const { scored, unscored } = scoreAppointments([2, 1, 0], fit, (i) => records[i]);
+
+    expect(unscored).toBe(1);
+    expect(scored.map((s) => s.index)).toEqual([2, 0]);
+    expect(scored[0].record).toBe(records[2]);
+  });
+});
+
+describe('getRiskLevel', () => {
+  it('compares the risk with the base rate', () => {
+    expect(getRiskLevel(0.35, 0.2)).toBe('High');
+    expect(getRiskLevel(0.25, 0.2)).toBe('Elevated');
+    expect(getRiskLevel(0.1, 0.2)).toBe('Low');
+  });
+});
@@ -0,0 +1,269 @@
+// Small statistics toolkit used by the dashboard.
+// Mirrors the scipy calls in the Colab notebook (stats.ttest_ind with equal_var=False,
+// chi2_contingency, DataFrame.corr) so numbers line up with the notebook output.
+
+export const mean = (arr) => (arr.length ? arr.reduce((sum, v) => sum + v, 0) / arr.length : NaN);
+
+// Sample variance (ddof = 1), same as pandas / scipy defaults
+export const variance = (arr) => {
+  if (arr.length < 2) return NaN;
+  const m = mean(arr);
+  return arr.reduce((sum, v) => sum + (v - m) ** 2, 0) / (arr.length - 1);
+};
+
+// ---------- Special functions ----------
+
+// Lanczos approximation of ln(Γ(x))
+const LANCZOS = [
+  676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+  12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+];
+
+export const logGamma = (x) => {
+  if (x < 0.5) {
+    // Reflection formula
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+  const z = x - 1;
+  let a = 0.99999999999980993;
+  const t = z + LANCZOS.length - 0.5;
+  LANCZOS.forEach((c, i) => {
+    a += c / (z + i + 1);
+  });
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(a);
+};
+
+// Continued fraction for the regularized incomplete beta function (Numerical Recipes betacf)
+const betaContinuedFraction = (x, a, b) => {
+  const MAX_ITER = 300;
+  const EPS = 1e-14;
+  const FPMIN = 1e-300;
+
+  const qab = a + b;
+  const qap = a + 1;
+  const qam = a - 1;
+  let c = 1;
+  let d = 1 - (qab * x) / qap;
+  if (Math.abs(d) < FPMIN) d = FPMIN;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m <= MAX_ITER; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((qam + m2) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    h *= d * c;
+
+    aa = (-(a + m) * (qab + m) * x) / ((a + m2) * (qap + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < EPS) break;
+  }
+  return h;
+};
+
+// I_x(a, b)
+export const regularizedBeta = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const lnFront = logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x);
+  const front = Math.exp(lnFront);
+  // Use the symmetry relation where the continued fraction converges fastest
+  if (x < (a + 1) / (a + b + 2)) {
+    return (front * betaContinuedFraction(x, a, b)) / a;
+  }
+  return 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+};
+
+// Upper regularized incomplete gamma Q(a, x)
+export const regularizedGammaQ = (a, x) => {
+  if (x <= 0) return 1;
+  const MAX_ITER = 500;
+  const EPS = 1e-14;
+  const lnFront = -x + a * Math.log(x) - logGamma(a);
+
+  if (x < a + 1) {
+    // Series representation of P(a, x)
+    let sum = 1 / a;
+    let term = sum;
+    for (let n = 1; n <= MAX_ITER; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * EPS) break;
+    }
+    return 1 - sum * Math.exp(lnFront);
+  }
+
+  // Continued fraction representation of Q(a, x)
+  const FPMIN = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / FPMIN;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i <= MAX_ITER; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = b + an / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < EPS) break;
+  }
+  return Math.exp(lnFront) * h;
+};
+
+// Two-tailed p-value for a Student t statistic
+export const studentTTwoTailedP = (t, df) => {
+  if (!Number.isFinite(t) || !(df > 0)) return NaN;
+  return regularizedBeta(df / (df + t * t), df / 2, 0.5);
+};
+
+// Upper-tail p-value for a chi-square statistic
+export const chiSquareP = (chi2, df) => {
+  if (!Number.isFinite(chi2) || !(df > 0)) return NaN;
+  return regularizedGammaQ(df / 2, chi2 / 2);
+};
+
+// ---------- Tests ----------
+
+// Pearson correlation. With a 0/1 variable this is the point-biserial correlation.
+// Pairs where either value is null are dropped.
+export const pearsonCorrelation = (xs, ys) => {
+  let n = 0;
+  let sx = 0;
+  let sy = 0;
+  for (let i = 0; i < xs.length; i++) {
+    if (xs[i] === null || ys[i] === null) continue;
+    n++;
+    sx += xs[i];
+    sy += ys[i];
+  }
+  if (n < 3) return null;
+
+  const mx = sx / n;
+  const my = sy / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < xs.length; i++) {
+    if (xs[i] === null || ys[i] === null) continue;
+    const dx = xs[i] - mx;
+    const dy = ys[i] - my;
+    sxy += dx * dy;
+    sxx += dx * dx;
+    syy += dy * dy;
+  }
+  if (sxx === 0 || syy === 0) return null;
+
+  const r = sxy / Math.sqrt(sxx * syy);
+  const df = n - 2;
+  const t = Math.abs(r) >= 1 ? Infinity : r * Math.sqrt(df / (1 - r * r));
+  const p = Number.isFinite(t) ? studentTTwoTailedP(t, df) : 0;
+
+  return { r, t, df, p, n };
+};
+
+// Welch's unequal-variance t-test (scipy.stats.ttest_ind(a, b, equal_var=False))
+export const welchTTest = (a, b) => {
+  if (a.length < 2 || b.length < 2) return null;
+
+  const meanA = mean(a);
+  const meanB = mean(b);
+  const varA = variance(a);
+  const varB = variance(b);
+  const seA = varA / a.length;
+  const seB = varB / b.length;
+  const se = Math.sqrt(seA + seB);
+  if (se === 0) return null;
+
+  const t = (meanA - meanB) / se;
+  const df = (seA + seB) ** 2 / ((seA ** 2) / (a.length - 1) + (seB ** 2) / (b.length - 1));
+  const p = studentTTwoTailedP(t, df);
+
+  return { t, df, p, nA: a.length, nB: b.length, meanA, meanB };
+};
+
+// Chi-square test of independence on an r x c table of counts
+// (scipy.stats.chi2_contingency; Yates' correction is applied when df = 1, as scipy does by default)
+export const chiSquareTest = (table, { yates = true } = {}) => {
+  const rows = table.length;
+  const cols = table[0]?.length || 0;
+  const rowTotals = table.map((row) => row.reduce((sum, v) => sum + v, 0));
+  const colTotals = Array.from({ length: cols }, (_, j) => table.reduce((sum, row) => sum + row[j], 0));
+  const n = rowTotals.reduce((sum, v) => sum + v, 0);
+
+  if (n === 0 || rowTotals.some((t) => t === 0) || colTotals.some((t) => t === 0)) return null;
+
+  const df = (rows - 1) * (cols - 1);
+  const corrected = yates && df === 1;
+  let chi2 = 0;
+
+  for (let i = 0; i < rows; i++) {
+    for (let j = 0; j < cols; j++) {
+      const expected = (rowTotals[i] * colTotals[j]) / n;
+      let diff = Math.abs(table[i][j] - expected);
+      if (corrected) diff = Math.max(0, diff - 0.5);
+      chi2 += (diff * diff) / expected;
+    }
+  }
+
+  return { chi2, df, p: chiSquareP(chi2, df), n, corrected };
+};
+
+// Wilson score interval for a binomial proportion (default 95%).
+// Unlike the normal approximation it stays inside [0, 1] and behaves sensibly for small n.
+export const wilsonInterval = (successes, n, z = 1.96) => {
+  if (!n) return { low: 0, high: 0 };
+  const p = successes / n;
+  const z2 = z * z;
+  const denom = 1 + z2 / n;
+  const center = (p + z2 / (2 * n)) / denom;
+  const margin = (z * Math.sqrt((p * (1 - p)) / n + z2 / (4 * n * n))) / denom;
+  return { low: Math.max(0, center - margin), high: Math.min(1, center + margin) };
+};
+
+// Two-sample test for a difference in proportions (pooled z-test, same as
+// statsmodels proportions_ztest) with Newcombe's hybrid score interval for p1 - p2.
+export const twoProportionTest = (x1, n1, x2, n2, z = 1.96) => {
+  if (!n1 || !n2) return null;
+  const p1 = x1 / n1;
+  const p2 = x2 / n2;
+  const pooled = (x1 + x2) / (n1 + n2);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+  const zStat = se > 0 ? (p1 - p2) / se : 0;
+
+  const ci1 = wilsonInterval(x1, n1, z);
+  const ci2 = wilsonInterval(x2, n2, z);
+  const diff = p1 - p2;
+
+  return {
+    p1,
+    p2,
+    diff,
+    low: diff - Math.sqrt((p1 - ci1.low) ** 2 + (ci2.high - p2) ** 2),
+    high: diff + Math.sqrt((ci1.high - p1) ** 2 + (p2 - ci2.low) ** 2),
+    z: zStat,
+    p: se > 0 ? chiSquareP(zStat * zStat, 1) : 1
+  };
+};
+
+// ---------- Formatting ----------
+
+export const formatPValue = (p) => {
+  if (p === null || p === undefined || Number.isNaN(p)) return 'p = n/a';
+  if (p === 0 || p < 1e-300) return 'p < 1e-300';
+  if (p < 0.001) return `p = ${p.toExponential(2)}`;
+  return `p = ${p.toFixed(3)}`;
+};
@@ -0,0 +1,118 @@
+import { describe, expect, it } from 'vitest';
+import {
+  chiSquareTest, formatPValue, pearsonCorrelation, twoProportionTest, welchTTest, wilsonInterval
+} from './stats';
+
+// Reference values from the closed forms, with the t-distribution tail integrated numerically
+
+describe('pearsonCorrelation', () => {
+  it('matches the textbook correlation and its t-test', () => {
+    const result = pearsonCorrelation([1, 2, 3, 4, 5], [2, 4, 5, 4, 5]);
+    expect(result.r).toBeCloseTo(0.774597, 6);
+    expect(result.t).toBeCloseTo(2.121320, 6);
+    expect(result.df).toBe(3);
+    expect(result.p).toBeCloseTo(0.124027, 5);
+  });
+
+  it('drops pairs with a missing value', () => {
+    const result = pearsonCorrelation([1, null, 2, 3, 4, 5], [2, 9, 4, 5, 4, null]);
+    expect(result.n).toBe(4);
+  });
+
+  it('needs three pairs and some variation', () => {
+    expect(pearsonCorrelation([1, 2], [1, 2])).toBeNull();
+    expect(pearsonCorrelation([1, 1, 1], [1, 2, 3])).toBeNull();
+  });
+});
+
+describe('welchTTest', () => {
+  it('uses the Welch-Satterthwaite degrees of freedom', () => {
+    const result = welchTTest([1, 2, 3, 4, 5], [2, 4, 6, 8, 10, 12]);
+    expect(result.t).toBeCloseTo(-2.376354, 6);
+    expect(result.df).toBeCloseTo(6.972256, 6);
+    expect(result.p).toBeCloseTo(0.049284, 5);
+    expect(result.meanA).toBe(3);
+    expect(result.meanB).toBe(7);
+  });
+
+  it('needs two values per group and some spread', () => {
+    expect(welchTTest([1], [1, 2])).toBeNull();
+    expect(welchTTest([2, 2], [2, 2])).toBeNull();
+  });
+});
+
+describe('chiSquareTest', () => {
+  it('applies the Yates correction to a 2x2 table', () => {
+    const result = chiSquareTest([[10, 20], [30, 40]]);
+    expect(result.corrected).toBe(true);
+    expect(result.chi2).toBeCloseTo(0.446429, 6);
+    expect(result.p).toBeCloseTo(0.504036, 5);
+  });
+
+  it('can skip the correction', () => {
+    const result = chiSquareTest([[10, 20], [30, 40]], { yates: false });
+    expect(result.chi2).toBeCloseTo(0.793651, 6);
+    expect(result.p).toBeCloseTo(0.372998, 5);
+  });
+
+  it('handles larger tables without correction', () => {
+    const result = chiSquareTest([[10, 20, 30], [20, 20, 10]]);
+    expect(result.df).toBe(2);
+    expect(result.corrected).toBe(false);
+    expect(result.chi2).toBeCloseTo(12.527778, 6);
+    expect(result.p).toBeCloseTo(0.001904, 6);
+  });
+
+  it('needs every row and column to have counts', () => {
+    expect(chiSquareTest([[0, 0], [3, 4]])).toBeNull();
+  });
+});
+
+describe('wilsonInterval', () => {
+  it('matches the closed form for 81 of 263', () => {
+    const { low, high } = wilsonInterval(81, 263);
+    expect(low).toBeCloseTo(0.255288, 6);
+    expect(high).toBeCloseTo(0.366211, 6);
+  });
+
+  it('stays inside 0-1 at the extremes', () => {
+    expect(wilsonInterval(0, 10).low).toBe(0);
+    expect(wilsonInterval(0, 10).high).toBeCloseTo(0.277540, 6);
+    expect(wilsonInterval(10, 10).low).toBeCloseTo(0.722460, 6);
+    expect(wilsonInterval(10, 10).high).toBe(1);
+  });
+
+  it('is empty without observations', () => {
+    expect(wilsonInterval(0, 0)).toEqual({ low: 0, high: 0 });
+  });
+});
+
+describe('twoProportionTest', () => {
+  it('matches the pooled z-test with a Newcombe interval', () => {
+    const result = twoProportionTest(56, 70, 48, 80);
+    expect(result.diff).toBeCloseTo(0.2, 10);
+    expect(result.low).toBeCloseTo(0.0524, 4);
+    expect(result.high).toBeCloseTo(0.3339, 4);
+    expect(result.z).toBeCloseTo(2.6502, 4);
+    expect(result.p).toBeCloseTo(0.0080, 4);
+  });
+
+  it('finds no difference between equal proportions', () => {
+    const result = twoProportionTest(20, 100, 10, 50);
+    expect(result.z).toBe(0);
+    expect(result.p).toBeCloseTo(1, 10);
+  });
+
+  it('needs both samples', () => {
+    expect(twoProportionTest(5, 10, 0, 0)).toBe(null);
+  });
+});
+
+describe('formatPValue', () => {
+  it('formats small, tiny and missing p-values', () => {
+    expect(formatPValue(0.04567)).toBe('p = 0.046');
+    expect(formatPValue(0.0001234)).toBe('p = 1.23e-4');
+    expect(formatPValue(0)).toBe('p < 1e-300');
+    expect(formatPValue(NaN)).toBe('p = n/a');
+  });
+});
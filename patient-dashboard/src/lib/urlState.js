@@ -0,0 +1,100 @@
+import { OPTIONAL_FILTERS, createDefaultFilters, isFilterActive } from './filters';
+
+// Query-string encoding of the dashboard view, e.g.
+//   ?age=0-9&age=10-19&sms=1&weeks=2016-05-02..2016-05-23&ageView=rate&theme=dark&panels=stats,model
+// Compare mode adds segment B's filters under a "b." prefix: ?compare=1&age=0-9&sms=1&b.age=0-9&b.sms=0
+// Only non-default values are written so a plain dashboard keeps a clean URL.
+
+const CATEGORICAL_PARAMS = [
+  { key: 'ageGroup', param: 'age' },
+  { key: 'smsReceived', param: 'sms' },
+  { key: 'waitingDays', param: 'wait' },
+  { key: 'outcome', param: 'outcome' },
+  { key: 'weekday', param: 'weekday' },
+  { key: 'bookingHour', param: 'hour' },
+  { key: 'bookingType', param: 'booking' },
+  ...OPTIONAL_FILTERS.map((f) => ({ key: f.key, param: f.key }))
+];
+
+const RANGE_PARAMS = [
+  { key: 'week', param: 'weeks' },
+  { key: 'appointmentDate', param: 'dates' }
+];
+
+const CHART_VIEWS = ['ageView', 'smsView', 'weeklyView', 'calendarView'];
+const CHART_VIEW_VALUES = ['count', 'rate'];
+
+export const PANEL_KEYS = ['quality', 'baseline', 'calendar', 'schedule', 'stats', 'model', 'worklist', 'rows'];
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+const COMPARE_PREFIX = 'b.';
+
+const appendFilters = (params, filters, prefix = '') => {
+  CATEGORICAL_PARAMS.forEach(({ key, param }) => {
+    (filters[key] || []).forEach((v) => params.append(prefix + param, v));
+  });
+  RANGE_PARAMS.forEach(({ key, param }) => {
+    if (isFilterActive(filters[key])) params.set(prefix + param, `${filters[key].start}..${filters[key].end}`);
+  });
+};
+
+const readFilters = (params, prefix = '') => {
+  const filters = createDefaultFilters();
+
+  CATEGORICAL_PARAMS.forEach(({ key, param }) => {
+    const values = params.getAll(prefix + param).filter(Boolean);
+    if (values.length) filters[key] = [...new Set(values)];
+  });
+  RANGE_PARAMS.forEach(({ key, param }) => {
+    const raw = params.get(prefix + param);
+    if (!raw) return;
+    const [start = '', end = ''] = raw.split('..');
+    filters[key] = {
+      start: DATE_KEY.test(start) ? start : '',
+      end: DATE_KEY.test(end) ? end : ''
+    };
+  });
+
+  return filters;
+};
+
+export const serializeFilters = (filters) => {
+  const params = new URLSearchParams();
+  appendFilters(params, filters);
+  return params.toString();
+};
+
+// state: { filters, compareFilters (null unless comparing), ageView, smsView, weeklyView, calendarView, isDarkMode, panels: [...] }
+export const serializeViewState = (state) => {
+  const params = new URLSearchParams();
+  appendFilters(params, state.filters);
+  if (state.compareFilters) {
+    params.set('compare', '1');
+    appendFilters(params, state.compareFilters, COMPARE_PREFIX);
+  }
+  CHART_VIEWS.forEach((view) => {
+    if (state[view] && state[view] !== 'count') params.set(view, state[view]);
+  });
+  if (state.isDarkMode) params.set('theme', 'dark');
+  if (state.panels?.length) params.set('panels', state.panels.join(','));
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
+
+export const parseViewState = (search) => {
+  const params = new URLSearchParams(search);
+  const filters = readFilters(params);
+  const compareFilters = params.get('compare') === '1' ? readFilters(params, COMPARE_PREFIX) : null;
+
+  const views = {};
+  CHART_VIEWS.forEach((view) => {
+    const value = params.get(view);
+    views[view] = CHART_VIEW_VALUES.includes(value) ? value : 'count';
+  });
+
+  const panels = (params.get('panels') || '').split(',').filter((p) => PANEL_KEYS.includes(p));
+
+  return { filters, compareFilters, ...views, isDarkMode: params.get('theme') === 'dark', panels };
+};
@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest';
+import { createDefaultFilters } from './filters';
+import { parseViewState, serializeFilters, serializeViewState } from './urlState';
+
+const viewState = (changes = {}) => ({
+  filters: createDefaultFilters(),
+  compareFilters: null,
+  ageView: 'count',
+  smsView: 'count',
+  weeklyView: 'count',
+  calendarView: 'count',
+  isDarkMode: false,
+  panels: [],
+  ...changes
+});
+
+describe('URL view state', () => {
+  it('keeps the default view out of the URL', () => {
+    expect(serializeViewState(viewState())).toBe('');
+    expect(parseViewState('')).toMatchObject(viewState());
+  });
+
+  it('round-trips filters, chart views, theme and panels', () => {
+    const state = viewState({
+      filters: {
+        ...createDefaultFilters(),
+        ageGroup: ['0-9', '10-19'],
+        smsReceived: ['1'],
+        waitingDays: ['15-'],
+        outcome: ['0'],
+        gender: ['F'],
+        week: { start: '2016-05-02', end: '2016-05-23' },
+        appointmentDate: { start: '', end: '2016-06-01' }
+      },
+      ageView: 'rate',
+      weeklyView: 'rate',
+      calendarView: 'rate',
+      isDarkMode: true,
+      panels: ['baseline', 'calendar', 'stats', 'model', 'rows']
+    });
+    const search = serializeViewState(state);
+
+    expect(search).toContain('age=0-9&age=10-19');
+    expect(search).toContain('weeks=2016-05-02..2016-05-23');
+    expect(parseViewState(search)).toMatchObject(state);
+  });
+
+  it('drops values it does not know', () => {
+    const parsed = parseViewState('?ageView=pie&panels=stats,bogus&weeks=2016-05-02..soon&sms=1&sms=1');
+    expect(parsed.ageView).toBe('count');
+    expect(parsed.panels).toEqual(['stats']);
+    expect(parsed.filters.week).toEqual({ start: '2016-05-02', end: '' });
+    expect(parsed.filters.smsReceived).toEqual(['1']);
+  });
+
+  it('serializes the filters alone for links to a filtered view', () => {
+    const filters = { ...createDefaultFilters(), smsReceived: ['0'], appointmentDate: { start: '2016-05-01', end: '' } };
+    expect(serializeFilters(filters)).toBe('sms=0&dates=2016-05-01..');
+  });
+
+  it('round-trips segment B under its own prefix in compare mode', () => {
+    const state = viewState({
+      filters: { ...createDefaultFilters(), smsReceived: ['1'] },
+      compareFilters: { ...createDefaultFilters(), smsReceived: ['0'], week: { start: '2016-05-02', end: '2016-05-09' } }
+    });
+    const search = serializeViewState(state);
+
+    expect(search).toBe('?sms=1&compare=1&b.sms=0&b.weeks=2016-05-02..2016-05-09');
+    expect(parseViewState(search)).toMatchObject(state);
+  });
+
+  it('ignores segment B filters unless compare mode is on', () => {
+    expect(parseViewState('?b.sms=0').compareFilters).toBe(null);
+  });
+});
@@ -0,0 +1,126 @@
+import { toNum, toDateKey, normKey } from './values';
+import { getWaitingDays } from './records';
+import { detectOptionalFilters } from './filters';
+
+// Upload validation: PapaParse errors, missing / unused columns and rows the charts can't use.
+// Rows are checked as parsed (after any column mapping, before normalizeRow) so examples show the file's values.
+// Row numbers follow the file: spreadsheet rows (header = row 1) for CSV and Excel, record numbers for JSON.
+
+const MAX_EXAMPLES = 5;
+
+// Headers the dashboard reads, compared with normKey
+const KNOWN_COLUMNS = [
+  'noshow', 'appointmentday', 'appointment', 'appointmentdate', 'scheduledday', 'scheduleddate', 'scheduled',
+  'age', 'agegroup', 'smsreceived', 'waitingdays', 'awaitingtime', 'awaitingdays', 'week'
+];
+
+const WAITING_COLUMNS = ['waitingdays', 'awaitingtime', 'awaitingdays'];
+
+// Columns that leave part of the dashboard empty when absent
+const RECOMMENDED_COLUMNS = [
+  { label: 'ScheduledDay or WaitingDays', effect: 'waiting-time charts', columns: ['scheduledday', 'scheduleddate', 'scheduled', ...WAITING_COLUMNS] },
+  { label: 'SMS_received', effect: 'SMS charts', columns: ['smsreceived'] },
+  { label: 'AgeGroup or Age', effect: 'age charts', columns: ['agegroup', 'age'] }
+];
+
+// Row checks, in report order. A row failing any of them is a bad row.
+const ROW_ISSUES = [
+  { key: 'noShow', label: 'NoShow is not 0 or 1' },
+  { key: 'sms', label: 'SMS_received is not 0 or 1' },
+  { key: 'appointmentDate', label: 'Appointment date missing or unparseable' },
+  { key: 'scheduledDate', label: 'Scheduled date unparseable' },
+  { key: 'negativeWaiting', label: 'Negative waiting days (scheduled after the appointment)' }
+];
+
+const isBinary = (value) => {
+  const n = toNum(value);
+  return n === 0 || n === 1;
+};
+
+// Validator for one upload. fields: the parsed headers; mapping: the column mapping applied to the rows, if any
+// (its source columns count as used, and examples show the source values); firstRowNumber: the number
+// reported for the first data row.
+//   check(row, index)              flags the row's problems
+//   addParseErrors(errors)         PapaParse errors, with row as an index into the whole file
+//   report(rowCount)               -> { rowCount, badRowCount, firstRowNumber, parseErrors, missingColumns,
+//                                       unusedColumns, issues }
+//   badRows                        Set of bad row indexes
+export const createRowValidator = (fields, mapping = null, { firstRowNumber = 2 } = {}) => {
+  const rowNumber = (index) => index + firstRowNumber;
+  const mappedTargets = mapping ? Object.keys(mapping.columns).filter((target) => mapping.columns[target]) : [];
+  const mappedSources = mappedTargets.map((target) => mapping.columns[target]);
+  // Mapped rows carry the target fields as well as the file's own
+  const normFields = [...fields, ...mappedTargets].map(normKey);
+  const has = (...names) => names.some((name) => normFields.includes(name));
+  const hasSms = has('smsreceived');
+  const hasScheduled = has('scheduledday', 'scheduleddate', 'scheduled');
+
+  const counts = Object.fromEntries(ROW_ISSUES.map((issue) => [issue.key, { count: 0, examples: [] }]));
+  const parseErrors = { count: 0, examples: [] };
+  const badRows = new Set();
+
+  const sourceValue = (row, target) => {
+    const source = mapping?.columns[target];
+    return source ? row[source] : row[target];
+  };
+
+  const flag = (key, index, value) => {
+    const entry = counts[key];
+    entry.count++;
+    if (entry.examples.length < MAX_EXAMPLES) entry.examples.push({ row: rowNumber(index), value: value == null ? '' : String(value) });
+    badRows.add(index);
+  };
+
+  const check = (row, index) => {
+    if (!isBinary(row.NoShow)) flag('noShow', index, sourceValue(row, 'NoShow'));
+    if (hasSms && !isBinary(row.SMS_received)) flag('sms', index, sourceValue(row, 'SMS_received'));
+
+    const appointmentRaw = row.AppointmentDay || row.Appointment || row.AppointmentDate;
+    const appointmentKey = toDateKey(appointmentRaw);
+    if (!appointmentKey) flag('appointmentDate', index, appointmentRaw);
+
+    const scheduledRaw = row.ScheduledDay || row.ScheduledDate || row.Scheduled;
+    const scheduledKey = toDateKey(scheduledRaw);
+    if (hasScheduled && !scheduledKey) flag('scheduledDate', index, scheduledRaw);
+
+    const days = getWaitingDays(row);
+    if (days !== null && days < 0) {
+      flag('negativeWaiting', index, days);
+    } else if (appointmentKey && scheduledKey && scheduledKey > appointmentKey) {
+      flag('negativeWaiting', index, `${scheduledKey} → ${appointmentKey}`);
+    }
+  };
+
+  const addParseErrors = (errors) => {
+    errors.forEach((err) => {
+      parseErrors.count++;
+      const index = Number.isInteger(err.row) ? err.row : null;
+      if (index !== null) badRows.add(index);
+      if (parseErrors.examples.length < MAX_EXAMPLES) {
+        parseErrors.examples.push({ row: index === null ? null : rowNumber(index), message: err.message });
+      }
+    });
+  };
+
+  const report = (rowCount) => {
+    const optionalColumns = detectOptionalFilters(fields).map((def) => def.column);
+    return {
+      rowCount,
+      badRowCount: badRows.size,
+      firstRowNumber,
+      parseErrors,
+      missingColumns: RECOMMENDED_COLUMNS.filter((col) => !has(...col.columns))
+        .map(({ label, effect }) => ({ label, effect })),
+      unusedColumns: fields.filter((field) =>
+        !KNOWN_COLUMNS.includes(normKey(field)) && !optionalColumns.includes(field) && !mappedSources.includes(field)),
+      issues: ROW_ISSUES.filter((issue) => counts[issue.key].count > 0)
+        .map((issue) => ({ ...issue, ...counts[issue.key] }))
+    };
+  };
+
+  return { check, addParseErrors, report, badRows };
+};
+
+// Whether the report has anything to show before loading (unused columns alone don't count)
+export const hasValidationProblems = (report) =>
+  report.parseErrors.count > 0 || report.missingColumns.length > 0 || report.issues.length > 0;
@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest';
+import { createRowValidator, hasValidationProblems } from './validation';
+
+const FIELDS = ['PatientId', 'ScheduledDay', 'AppointmentDay', 'Age', 'SMS_received', 'NoShow', 'Notes'];
+
+const row = (changes = {}) => ({
+  PatientId: '1',
+  ScheduledDay: '2016-04-20T08:05:00Z',
+  AppointmentDay: '2016-04-29T00:00:00Z',
+  Age: '40',
+  SMS_received: '1',
+  NoShow: '0',
+  Notes: '',
+  ...changes
+});
+
+const validate = (rows, fields = FIELDS, options) => {
+  const validator = createRowValidator(fields, null, options);
+  rows.forEach((r, i) => validator.check(r, i));
+  return { ...validator.report(rows.length), badRows: validator.badRows };
+};
+
+const issue = (report, key) => report.issues.find((i) => i.key === key);
+
+describe('createRowValidator', () => {
+  it('passes clean rows', () => {
+    const report = validate([row(), row({ NoShow: '1', SMS_received: '0' })]);
+    expect(report.badRowCount).toBe(0);
+    expect(report.issues).toEqual([]);
+    expect(hasValidationProblems(report)).toBe(false);
+  });
+
+  it('flags missing and unparseable dates', () => {
+    const report = validate([row({ AppointmentDay: 'next week' }), row({ ScheduledDay: 'soon' }), row({ AppointmentDay: '' })]);
+    expect(issue(report, 'appointmentDate')).toMatchObject({ count: 2, examples: [{ row: 2, value: 'next week' }, { row: 4, value: '' }] });
+    expect(issue(report, 'scheduledDate')).toMatchObject({ count: 1, examples: [{ row: 3, value: 'soon' }] });
+    expect([...report.badRows]).toEqual([0, 1, 2]);
+  });
+
+  it('flags appointment and scheduled dates that do not exist', () => {
+    const report = validate([row({ AppointmentDay: '2016-13-45' }), row({ ScheduledDay: '2016-02-30T10:00:00Z' })]);
+    expect(issue(report, 'appointmentDate')).toMatchObject({ count: 1, examples: [{ row: 2, value: '2016-13-45' }] });
+    expect(issue(report, 'scheduledDate')).toMatchObject({ count: 1, examples: [{ row: 3, value: '2016-02-30T10:00:00Z' }] });
+    expect([...report.badRows]).toEqual([0, 1]);
+  });
+
+  it('flags outcomes and SMS values other than 0 or 1', () => {
+    const report = validate([row({ NoShow: 'Yes' }), row({ SMS_received: '2' }), row({ NoShow: '' })]);
+    expect(issue(report, 'noShow').count).toBe(2);
+    expect(issue(report, 'sms').count).toBe(1);
+    expect(report.badRowCount).toBe(3);
+  });
+
+  it('numbers rows from the first data row of the file', () => {
+    const report = validate([row(), row({ NoShow: 'maybe' })], FIELDS, { firstRowNumber: 1 });
+    expect(report.firstRowNumber).toBe(1);
+    expect(issue(report, 'noShow').examples).toEqual([{ row: 2, value: 'maybe' }]);
+  });
+
+  it('flags bookings made after the appointment', () => {
+    const report = validate([row({ ScheduledDay: '2016-05-02T09:00:00Z' })]);
+    expect(issue(report, 'negativeWaiting').count).toBe(1);
+  });
+
+  it('reports missing and unused columns', () => {
+    const report = validate([{ AppointmentDay: '2016-04-29', NoShow: '1', Notes: 'x' }], ['AppointmentDay', 'NoShow', 'Notes']);
+    expect(report.missingColumns.map((col) => col.label)).toEqual(['ScheduledDay or WaitingDays', 'SMS_received', 'AgeGroup or Age']);
+    expect(report.unusedColumns).toEqual(['Notes']);
+    expect(hasValidationProblems(report)).toBe(true);
+  });
+});
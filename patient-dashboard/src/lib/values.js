@@ -0,0 +1,50 @@
+// Value helpers shared by parsing, filtering and the model
+
+export const toNum = (val) => {
+  if (val === null || val === undefined) return null;
+  const s = String(val).trim();
+  if (s === '') return null;
+  const n = Number(s);
+  return Number.isNaN(n) ? null : n;
+};
+
+export const toBin01 = (val) => {
+  const n = toNum(val);
+  if (n === 1) return '1';
+  if (n === 0) return '0';
+  return String(val ?? '').trim();
+};
+
+// Header comparison that ignores case, spaces and punctuation ("Waiting Days" === "waiting_days")
+export const normKey = (k) => String(k).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// 'YYYY-MM-DD' for a date-like value, or null. ISO-looking strings are sliced directly so
+// "2016-04-29T00:00:00Z" stays on the 29th regardless of the browser's time zone; a day that does
+// not exist in the calendar (2016-13-45, 2015-02-29) is null.
+export const toDateKey = (raw) => {
+  if (raw === null || raw === undefined) return null;
+  const s = String(raw).trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(s)) {
+    const [year, month, day] = s.slice(0, 10).split('-').map(Number);
+    const d = new Date(Date.UTC(year, month - 1, day));
+    const exists = d.getUTCFullYear() === year && d.getUTCMonth() === month - 1 && d.getUTCDate() === day;
+    return exists ? s.slice(0, 10) : null;
+  }
+  const d = new Date(s);
+  if (Number.isNaN(d.getTime())) return null;
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+// ISO weekday of a 'YYYY-MM-DD' key: 1 = Monday ... 7 = Sunday; null without a key
+export const weekdayOfDateKey = (key) => {
+  if (!key) return null;
+  const [year, month, day] = key.split('-').map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return Number.isNaN(weekday) ? null : weekday || 7;
+};
+
+// 'YYYY-MM-DD' key `days` days after (or before) another
+export const addDaysToDateKey = (key, days) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
@@ -0,0 +1,64 @@
+import { describe, expect, it } from 'vitest';
+import { addDaysToDateKey, normKey, toBin01, toDateKey, toNum, weekdayOfDateKey } from './values';
+
+describe('value helpers', () => {
+  it('reads numbers and treats blanks as missing', () => {
+    expect(toNum(' 12 ')).toBe(12);
+    expect(toNum('')).toBeNull();
+    expect(toNum('abc')).toBeNull();
+    expect(toNum(null)).toBeNull();
+  });
+
+  it('normalizes 0 / 1 flags and leaves other values as text', () => {
+    expect(toBin01('1.0')).toBe('1');
+    expect(toBin01(0)).toBe('0');
+    expect(toBin01(' yes ')).toBe('yes');
+  });
+
+  it('compares headers without case, spaces or punctuation', () => {
+    expect(normKey('Waiting Days')).toBe(normKey('waiting_days'));
+  });
+});
+
+describe('toDateKey', () => {
+  it('keeps ISO dates on their own day', () => {
+    expect(toDateKey('2016-04-29T23:30:00-03:00')).toBe('2016-04-29');
+    expect(toDateKey('2016-04-29T00:00:00Z')).toBe('2016-04-29');
+  });
+
+  it('reads other date formats in local time', () => {
+    expect(toDateKey('04/29/2016')).toBe('2016-04-29');
+    expect(toDateKey(new Date(2016, 3, 29, 23, 30))).toBe('2016-04-29');
+  });
+
+  it('rejects days that do not exist', () => {
+    expect(toDateKey('2016-02-29')).toBe('2016-02-29');
+    expect(toDateKey('2016-13-45')).toBeNull();
+    expect(toDateKey('2015-02-29')).toBeNull();
+    expect(toDateKey('2016-04-31T00:00:00Z')).toBeNull();
+    expect(toDateKey('2016-00-10')).toBeNull();
+  });
+
+  it('returns null for missing or unparseable values', () => {
+    expect(toDateKey(null)).toBeNull();
+    expect(toDateKey('')).toBeNull();
+    expect(toDateKey('next week')).toBeNull();
+  });
+});
+
+describe('weekdayOfDateKey', () => {
+  it('gives the ISO weekday of a date key', () => {
+    expect(weekdayOfDateKey('2016-05-02')).toBe(1);
+    expect(weekdayOfDateKey('2016-05-07')).toBe(6);
+    expect(weekdayOfDateKey('2016-05-08')).toBe(7);
+    expect(weekdayOfDateKey(null)).toBeNull();
+  });
+});
+
+describe('addDaysToDateKey', () => {
+  it('steps across month and year ends in either direction', () => {
+    expect(addDaysToDateKey('2016-05-30', 7)).toBe('2016-06-06');
+    expect(addDaysToDateKey('2016-12-29', 7)).toBe('2017-01-05');
+    expect(addDaysToDateKey('2016-03-01', -1)).toBe('2016-02-29');
+  });
+});
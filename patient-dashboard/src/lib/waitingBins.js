@@ -0,0 +1,93 @@
+import { describeWaitingRangeValue, toWaitingRangeValue } from './filters';
+
+// Waiting-time bins: one definition for the waiting-time chart and its tooltips, the insights, the exports
+// and the waiting-time filter. A bin set is written as the bins' lower edges in days, ascending from 0:
+// [0, 1, 4, 8, 15] gives 0, 1-3, 4-7, 8-14 and 15+ days. Quantile bins take their edges from the
+// dataset's waiting times instead.
+// Settings, saved in the browser: { mode: 'edges' | 'quantiles', edges: [...], quantiles: bin count }
+
+const STORAGE_KEY = 'patientDashboard.waitingBins';
+
+export const DEFAULT_BIN_EDGES = [0, 1, 4, 8, 15];
+export const MAX_WAITING_BINS = 12;
+export const QUANTILE_BIN_COUNTS = [3, 4, 5, 6, 8, 10];
+
+export const DEFAULT_WAITING_BIN_SETTINGS = { mode: 'edges', edges: DEFAULT_BIN_EDGES, quantiles: 4 };
+
+// [{ name, min, max, filterValue }] with max = null for the open-ended last bin;
+// filterValue is the matching waiting-days filter value
+export const binsFromEdges = (edges) =>
+  edges.map((min, i) => {
+    const max = i < edges.length - 1 ? edges[i + 1] - 1 : null;
+    const filterValue = toWaitingRangeValue(min, max);
+    return { name: describeWaitingRangeValue(filterValue), min, max, filterValue };
+  });
+
+export const DEFAULT_WAITING_BINS = binsFromEdges(DEFAULT_BIN_EDGES);
+
+const areValidEdges = (edges) =>
+  Array.isArray(edges) &&
+  edges.length >= 2 &&
+  edges.length <= MAX_WAITING_BINS &&
+  edges[0] === 0 &&
+  edges.every((edge, i) => Number.isInteger(edge) && (i === 0 || edge > edges[i - 1]));
+
+// Text like "0, 1, 8, 31, 91" -> { edges } or { error }. A missing leading 0 is added.
+// Also reads the custom age bands (see lib/ageBands).
+export const parseBinEdges = (text, { maxBins = MAX_WAITING_BINS } = {}) => {
+  const parts = String(text).split(/[\s,;]+/).filter(Boolean);
+  if (parts.some((part) => !/^\d+$/.test(part))) {
+    return { error: 'Use whole numbers, separated by commas' };
+  }
+  const numbers = parts.map(Number);
+  const edges = numbers[0] === 0 ? numbers : [0, ...numbers];
+  if (edges.some((edge, i) => i > 0 && edge <= edges[i - 1])) {
+    return { error: 'Each edge must be larger than the one before' };
+  }
+  if (edges.length < 2) return { error: 'Give at least one edge above 0' };
+  if (edges.length > maxBins) return { error: `At most ${maxBins} bins` };
+  return { edges };
+};
+
+// Lower edges splitting the sorted waiting days into `count` groups of about equal size: each quantile
+// closes a bin, so a quantile of 0 days gives a same-day bin of its own. Waiting days repeat a lot, so
+// tied quantiles merge and fewer bins can come back.
+export const quantileEdges = (sortedDays, count) => {
+  const edges = [0];
+  const longest = sortedDays[sortedDays.length - 1];
+  for (let q = 1; q < count; q++) {
+    const edge = Math.floor(sortedDays[Math.floor((q / count) * sortedDays.length)]) + 1;
+    if (edge > edges[edges.length - 1] && edge <= longest) edges.push(edge);
+  }
+  return edges;
+};
+
+// The bins for these settings; waitingDays is the dataset's waiting-days column (NaN = missing),
+// needed for quantile bins
+export const resolveWaitingBins = (settings, waitingDays) => {
+  if (settings.mode !== 'quantiles') return binsFromEdges(settings.edges);
+  const sorted = waitingDays ? waitingDays.filter((days) => !Number.isNaN(days) && days >= 0).sort() : [];
+  return sorted.length ? binsFromEdges(quantileEdges(sorted, settings.quantiles)) : DEFAULT_WAITING_BINS;
+};
+
+export const loadWaitingBinSettings = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (!saved || !['edges', 'quantiles'].includes(saved.mode)) return DEFAULT_WAITING_BIN_SETTINGS;
+    return {
+      mode: saved.mode,
+      edges: areValidEdges(saved.edges) ? saved.edges : DEFAULT_BIN_EDGES,
+      quantiles: QUANTILE_BIN_COUNTS.includes(saved.quantiles) ? saved.quantiles : DEFAULT_WAITING_BIN_SETTINGS.quantiles
+    };
+  } catch {
+    return DEFAULT_WAITING_BIN_SETTINGS;
+  }
+};
+
+export const saveWaitingBinSettings = (settings) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.error('Saving waiting-time bins failed:', err);
+  }
+};
@@ -0,0 +1,64 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DEFAULT_WAITING_BINS, MAX_WAITING_BINS, binsFromEdges, parseBinEdges, quantileEdges, resolveWaitingBins
+} from './waitingBins';
+
+describe('parseBinEdges', () => {
+  it('reads comma, space and semicolon separated edges', () => {
+    expect(parseBinEdges('0, 1, 8; 31 91')).toEqual({ edges: [0, 1, 8, 31, 91] });
+  });
+
+  it('adds a missing leading 0', () => {
+    expect(parseBinEdges('7, 14')).toEqual({ edges: [0, 7, 14] });
+  });
+
+  it('rejects anything but whole numbers', () => {
+    expect(parseBinEdges('0, 1.5, 8').error).toBeDefined();
+    expect(parseBinEdges('0, -1').error).toBeDefined();
+    expect(parseBinEdges('0, a').error).toBeDefined();
+  });
+
+  it('rejects edges that do not increase', () => {
+    expect(parseBinEdges('0, 8, 8').error).toMatch(/larger/);
+    expect(parseBinEdges('0, 8, 4').error).toMatch(/larger/);
+  });
+
+  it('needs an edge above 0', () => {
+    expect(parseBinEdges('0').error).toBeDefined();
+    expect(parseBinEdges('').error).toBeDefined();
+  });
+
+  it('limits the number of bins', () => {
+    const edges = Array.from({ length: MAX_WAITING_BINS + 1 }, (_, i) => i).join(',');
+    expect(parseBinEdges(edges).error).toMatch(/At most/);
+    expect(parseBinEdges('0, 10, 20, 30', { maxBins: 3 }).error).toMatch(/At most 3/);
+  });
+});
+
+describe('binsFromEdges', () => {
+  it('closes each bin one day before the next edge and leaves the last open', () => {
+    expect(binsFromEdges([0, 1, 4]).map(({ min, max, filterValue }) => ({ min, max, filterValue }))).toEqual([
+      { min: 0, max: 0, filterValue: '0-0' },
+      { min: 1, max: 3, filterValue: '1-3' },
+      { min: 4, max: null, filterValue: '4-' }
+    ]);
+  });
+});
+
+describe('quantile bins', () => {
+  it('splits the sorted waiting days into groups of about equal size', () => {
+    expect(quantileEdges([0, 0, 0, 1, 2, 3, 5, 8, 13, 21], 4)).toEqual([0, 1, 4, 9]);
+  });
+
+  it('merges tied quantiles', () => {
+    expect(quantileEdges([0, 0, 0, 0, 0, 0, 0, 0, 1, 2], 4)).toEqual([0, 1]);
+  });
+
+  it('resolves the bins for the settings, ignoring missing waiting times', () => {
+    const waitingDays = Float64Array.from([NaN, 21, 0, 13, 0, 1, 8, 0, 2, 5, 3]);
+    const bins = resolveWaitingBins({ mode: 'quantiles', quantiles: 4 }, waitingDays);
+    expect(bins.map((bin) => bin.name)).toEqual(['0 days', '1-3 days', '4-8 days', '9+ days']);
+    expect(resolveWaitingBins({ mode: 'quantiles', quantiles: 4 }, Float64Array.from([NaN]))).toBe(DEFAULT_WAITING_BINS);
+    expect(resolveWaitingBins({ mode: 'edges', edges: [0, 7] }, null).map((bin) => bin.name)).toEqual(['0-6 days', '7+ days']);
+  });
+});
@@ -0,0 +1,28 @@
+import * as XLSX from '@e965/xlsx';
+import { collectFields, recordToRow } from './fileFormats';
+
+// Excel / ODS uploads through SheetJS. The library is large, so the parse worker imports this module
+// only when a workbook is uploaded; rows come out like the other readers' (see lib/fileFormats).
+
+export const readWorkbook = (buffer) => XLSX.read(buffer, { type: 'array', cellNF: true });
+
+// [{ name, rowCount }] for the sheet picker
+export const listSheets = (workbook) =>
+  workbook.SheetNames.map((name) => {
+    const ref = workbook.Sheets[name]['!ref'];
+    return { name, rowCount: ref ? XLSX.utils.decode_range(ref).e.r : 0 };
+  });
+
+// Date cells as 'YYYY-MM-DD HH:mm:ss' (the cell's wall-clock time, no time zone shift); everything else
+// as Excel displays it. Text cells stay text, so labels like "10-19" come through unmangled.
+export const parseSheet = (workbook, name) => {
+  const sheet = workbook.Sheets[name];
+  Object.keys(sheet).forEach((address) => {
+    const cell = sheet[address];
+    if (address[0] === '!' || cell.t !== 'n' || !cell.z || !XLSX.SSF.is_date(cell.z)) return;
+    cell.w = XLSX.SSF.format('yyyy-mm-dd hh:mm:ss', cell.v);
+  });
+
+  const rows = XLSX.utils.sheet_to_json(sheet, { raw: false, defval: '' }).map(recordToRow);
+  return { rows, fields: collectFields(rows), errors: [] };
+};
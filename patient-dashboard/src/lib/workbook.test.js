@@ -0,0 +1,28 @@
+import { describe, expect, it } from 'vitest';
+import * as XLSX from '@e965/xlsx';
+import { listSheets, parseSheet } from './workbook';
+
+describe('workbooks', () => {
+  const sheet = XLSX.utils.aoa_to_sheet([
+    ['AgeGroup', 'AppointmentDay', 'NoShow'],
+    ['10-19', 42492.375, 1],
+    ['20-29', '', 0]
+  ]);
+  sheet.B2.z = 'm/d/yy h:mm';
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Appointments');
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Notes']]), 'Notes');
+
+  it('lists the sheets with their data row counts', () => {
+    expect(listSheets(workbook)).toEqual([{ name: 'Appointments', rowCount: 2 }, { name: 'Notes', rowCount: 0 }]);
+  });
+
+  it('keeps text labels and writes date cells as wall-clock dates', () => {
+    const { rows, fields } = parseSheet(workbook, 'Appointments');
+    expect(fields).toEqual(['AgeGroup', 'AppointmentDay', 'NoShow']);
+    expect(rows).toEqual([
+      { AgeGroup: '10-19', AppointmentDay: '2016-05-02 09:00:00', NoShow: '1' },
+      { AgeGroup: '20-29', AppointmentDay: '', NoShow: '0' }
+    ]);
+  });
+});
@@ -0,0 +1,203 @@
+import Papa from 'papaparse';
+import { PARSE_CONFIG, normalizeRow } from '../lib/csvParsing';
+import { addSampleValues, applyColumnMapping, missingRequiredColumns } from '../lib/columnMapping';
+import { createRowValidator, hasValidationProblems } from '../lib/validation';
+import { detectOptionalFilters } from '../lib/filters';
+import { buildColumns, columnBuffers } from '../lib/columnar';
+import { summarizeDataset } from '../lib/datasetSummary';
+import { loadDataset, saveDataset } from '../lib/datasetStore';
+import { detectFormat, parseJson, parseNdjson } from '../lib/fileFormats';
+
+// Parses a data file off the main thread, validates and summarizes it, so large extracts don't freeze the UI.
+//   in:  { file } (an uploaded CSV / TSV / JSON / NDJSON / Excel file, see lib/fileFormats), { url, requiredColumns }
+//        or { datasetId } (a dataset saved in the browser, see lib/datasetStore); withoutRows: true leaves
+//        the rows out of done (rows: null) for a load that only needs the columns, like a comparison baseline
+//   out: { type: 'progress', rowsParsed, percent } while streaming,
+//        then { type: 'done', rows, columns, summary, dataset } or { type: 'error', message }
+// The worker can stop and wait for the page on the way:
+//   out: { type: 'sheet-needed', sheets } for a workbook with several sheets ([{ name, rowCount }])
+//   in:  { type: 'sheet', name }
+//   out: { type: 'mapping-needed', fields, samples } when an uploaded file lacks the required columns
+//        (samples: distinct values per header, see lib/columnMapping)
+//   in:  { type: 'mapping', mapping }
+//   out: { type: 'validation', report } when validation finds problems (see lib/validation)
+//   in:  { type: 'proceed' } to load without the bad rows
+// Cancelling is done by terminating the worker.
+
+const CHUNK_SIZE = 1024 * 1024;
+
+const postProgress = (rowsParsed, percent) => self.postMessage({ type: 'progress', rowsParsed, percent });
+
+// Resolves with the page's reply to a message that needs one
+let resolveReply = null;
+
+const askPage = (message) =>
+  new Promise((resolve) => {
+    resolveReply = resolve;
+    self.postMessage(message);
+  });
+
+// Delimited text, streamed. Resolves { rows, fields, errors } with the rows as parsed (not normalized yet)
+// and the PapaParse errors indexed into the whole file. Without a delimiter PapaParse detects it.
+const parseBlob = (blob, { delimiter } = {}) =>
+  new Promise((resolve, reject) => {
+    const rows = [];
+    const errors = [];
+    let fields = null;
+    Papa.parse(blob, {
+      ...PARSE_CONFIG,
+      ...(delimiter ? { delimiter } : {}),
+      chunkSize: CHUNK_SIZE,
+      chunk: (results) => {
+        if (!fields) fields = results.meta.fields || [];
+        const offset = rows.length;
+        results.errors.forEach((err) => errors.push({ ...err, row: Number.isInteger(err.row) ? offset + err.row : null }));
+        results.data.forEach((row) => rows.push(row));
+        // cursor counts characters and size counts bytes, so hold back 100% until we are done
+        postProgress(rows.length, Math.min(99, Math.round((results.meta.cursor / Math.max(blob.size, 1)) * 100)));
+      },
+      complete: () => resolve({ rows, fields: fields || [], errors }),
+      error: (err) => reject(err)
+    });
+  });
+
+const parseWorkbook = async (blob) => {
+  const { listSheets, parseSheet, readWorkbook } = await import('../lib/workbook');
+  const workbook = readWorkbook(await blob.arrayBuffer());
+  const sheets = listSheets(workbook);
+  const name = sheets.length > 1 ? (await askPage({ type: 'sheet-needed', sheets })).name : sheets[0]?.name;
+  if (!name) throw new Error('Workbook has no sheets');
+  return parseSheet(workbook, name);
+};
+
+// Resolves { rows, fields, errors, firstRowNumber }; firstRowNumber is how the file itself would number
+// the first data row (2 below a header row, 1 for JSON records)
+const parseFile = async (blob, format) => {
+  switch (format) {
+    case 'json':
+      return { ...parseJson(await blob.text()), firstRowNumber: 1 };
+    case 'ndjson':
+      return { ...parseNdjson(await blob.text()), firstRowNumber: 1 };
+    case 'workbook':
+      return { ...(await parseWorkbook(blob)), firstRowNumber: 2 };
+    case 'tsv':
+      return { ...(await parseBlob(blob, { delimiter: '\t' })), firstRowNumber: 2 };
+    default:
+      return { ...(await parseBlob(blob)), firstRowNumber: 2 };
+  }
+};
+
+// { [field]: [distinct values] } for the column-mapping step
+const sampleValues = (rows, fields) => {
+  const samples = {};
+  rows.forEach((row) => addSampleValues(samples, row));
+  return Object.fromEntries(fields.map((field) => [field, [...(samples[field] || [])]]));
+};
+
+const fetchCsv = async (url) => {
+  const response = await fetch(url);
+
+  // Check if fetch was successful
+  if (!response.ok) {
+    throw new Error(`Failed to fetch CSV: ${response.status} ${response.statusText}`);
+  }
+
+  const blob = await response.blob();
+  const head = (await blob.slice(0, 1024).text()).trim();
+
+  // Guard: Check if response is HTML (404 page) instead of CSV
+  if (head.startsWith('<!') || head.startsWith('<html')) {
+    throw new Error('Received HTML instead of CSV - file may not exist');
+  }
+
+  // Guard: Check if it looks like a CSV (has comma or common headers)
+  if (!head.includes(',') || blob.size < 50) {
+    throw new Error('Response does not appear to be valid CSV data');
+  }
+
+  return blob;
+};
+
+// Parse, map and validate a file or URL. Resolves { rows, validation } with the rows normalized.
+const readRows = async (data) => {
+  const blob = data.file || (await fetchCsv(data.url));
+  postProgress(0, 0);
+  const { fields, errors, firstRowNumber, ...parsed } = await parseFile(blob, data.file ? detectFormat(data.file.name) : 'delimited');
+  let { rows } = parsed;
+  postProgress(rows.length, 99);
+
+  // Uploads without the required columns go through the mapping step
+  const mapping = data.file && missingRequiredColumns(fields).length > 0
+    ? (await askPage({ type: 'mapping-needed', fields, samples: sampleValues(rows, fields) })).mapping
+    : null;
+
+  if (data.requiredColumns) {
+    // Guard: Validate parsed data has expected columns
+    if (rows.length === 0) {
+      throw new Error('Parsed CSV is empty');
+    }
+    const missingColumns = data.requiredColumns.filter((col) => !(col in rows[0]));
+    if (missingColumns.length > 0) {
+      throw new Error(`CSV missing required columns: ${missingColumns.join(', ')}`);
+    }
+  }
+
+  const validator = createRowValidator(fields, mapping, { firstRowNumber });
+  validator.addParseErrors(errors);
+  rows.forEach((row, i) => {
+    if (mapping) applyColumnMapping(row, mapping);
+    validator.check(row, i);
+    normalizeRow(row);
+  });
+
+  const validation = validator.report(rows.length);
+  if (hasValidationProblems(validation)) {
+    await askPage({ type: 'validation', report: validation });
+    if (validator.badRows.size) rows = rows.filter((_, i) => !validator.badRows.has(i));
+    if (rows.length === 0) {
+      throw new Error('No valid rows left to load');
+    }
+  }
+  return { rows, validation };
+};
+
+// { datasetId } reads a dataset saved by an earlier upload; an upload is saved once it has loaded.
+// done carries the stored dataset's metadata as dataset (null for the bundled CSV or if saving failed).
+self.onmessage = async ({ data }) => {
+  if (data.type === 'sheet' || data.type === 'mapping' || data.type === 'proceed') {
+    resolveReply?.(data);
+    resolveReply = null;
+    return;
+  }
+
+  try {
+    let rows;
+    let validation;
+    let dataset = null;
+    if (data.datasetId) {
+      const stored = await loadDataset(data.datasetId);
+      if (!stored) throw new Error('Saved dataset not found');
+      ({ rows, validation, meta: dataset } = stored);
+    } else {
+      ({ rows, validation } = await readRows(data));
+    }
+
+    postProgress(rows.length, 100);
+    const optionalFilters = rows.length ? detectOptionalFilters(Object.keys(rows[0])) : [];
+    const columns = buildColumns(rows, optionalFilters);
+    const summary = summarizeDataset(rows, columns, optionalFilters, validation);
+
+    if (data.file) {
+      try {
+        dataset = await saveDataset({ name: data.file.name, rows, validation, dateRange: summary.uniqueValues.dateRange });
+      } catch (err) {
+        // Still show the upload; it just won't be there after a reload
+        console.error('Saving the dataset failed:', err);
+      }
+    }
+
+    self.postMessage({ type: 'done', rows: data.withoutRows ? null : rows, columns, summary, dataset }, columnBuffers(columns));
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err?.message || String(err) });
+  }
+};
@@ -4,4 +4,6 @@ import tailwindcss from '@tailwindcss/vite'
 
 export default defineConfig({
   plugins: [react(), tailwindcss()],
+  // ES module workers, so the parse worker can load the spreadsheet reader on demand
+  worker: { format: 'es' },
 })
\ No newline at end of file